@@ -0,0 +1,109 @@
+// Sort kernel: one invocation per compared pair, so a dispatch covers 2 * WORKGROUP_SIZE
+// elements per workgroup. Local steps (blockHeight <= 2 * WORKGROUP_SIZE) run in workgroup
+// memory, global steps compare and swap straight in the storage buffer. Pairs of one step
+// never overlap, so sorting happens in place. Bindings line up with bitonicDisplay.frag.wgsl
+// (data, uniforms) and atomicToZero.wgsl (counter).
+//
+// Defines (supplied by bitonicSort_new.js): WORKGROUP_SIZE and the ALGO_* step kinds from
+// common/gpu-sort.js.
+
+#ifndef WORKGROUP_SIZE
+#error WORKGROUP_SIZE must be defined
+#endif
+
+const LOCAL_SIZE = 2u * WORKGROUP_SIZE;
+
+struct ComputeUniforms {
+  width: f32,
+  height: f32,
+  algo: u32,
+  blockHeight: u32,
+}
+
+var<workgroup> local_data: array<u32, LOCAL_SIZE>;
+
+@group(0) @binding(0) var<storage, read_write> data: array<u32>;
+@group(0) @binding(2) var<uniform> uniforms: ComputeUniforms;
+@group(0) @binding(3) var<storage, read_write> counter: atomic<u32>;
+
+// idx_before is always < idx_after
+fn local_compare_and_swap(idx_before: u32, idx_after: u32) {
+  if (local_data[idx_after] < local_data[idx_before]) {
+    atomicAdd(&counter, 1u);
+    let temp = local_data[idx_before];
+    local_data[idx_before] = local_data[idx_after];
+    local_data[idx_after] = temp;
+  }
+}
+
+fn global_compare_and_swap(idx_before: u32, idx_after: u32) {
+  let before = data[idx_before];
+  let after = data[idx_after];
+  if (after < before) {
+    atomicAdd(&counter, 1u);
+    data[idx_before] = after;
+    data[idx_after] = before;
+  }
+}
+
+// Flip: compare mirrored positions within each block
+fn get_flip_indices(invoke_id: u32, block_height: u32) -> vec2u {
+  let block_offset = ((2u * invoke_id) / block_height) * block_height;
+  let half_height = block_height / 2u;
+  return vec2u(
+    invoke_id % half_height,
+    block_height - (invoke_id % half_height) - 1u,
+  ) + block_offset;
+}
+
+// Disperse: compare each element of a block's lower half with its partner in the upper half
+fn get_disperse_indices(invoke_id: u32, block_height: u32) -> vec2u {
+  let block_offset = ((2u * invoke_id) / block_height) * block_height;
+  let half_height = block_height / 2u;
+  return vec2u(
+    invoke_id % half_height,
+    (invoke_id % half_height) + half_height,
+  ) + block_offset;
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE, 1, 1)
+fn computeMain(
+  @builtin(global_invocation_id) global_id: vec3u,
+  @builtin(local_invocation_id) local_id: vec3u,
+  @builtin(workgroup_id) workgroup_id: vec3u,
+) {
+  let offset = LOCAL_SIZE * workgroup_id.x;
+  let is_local = uniforms.algo == ALGO_LOCAL_FLIP || uniforms.algo == ALGO_LOCAL_DISPERSE;
+
+  if (is_local) {
+    local_data[local_id.x * 2u] = data[offset + local_id.x * 2u];
+    local_data[local_id.x * 2u + 1u] = data[offset + local_id.x * 2u + 1u];
+  }
+  workgroupBarrier();
+
+  switch uniforms.algo {
+    case ALGO_LOCAL_FLIP: {
+      let idx = get_flip_indices(local_id.x, uniforms.blockHeight);
+      local_compare_and_swap(idx.x, idx.y);
+    }
+    case ALGO_LOCAL_DISPERSE: {
+      let idx = get_disperse_indices(local_id.x, uniforms.blockHeight);
+      local_compare_and_swap(idx.x, idx.y);
+    }
+    case ALGO_GLOBAL_FLIP: {
+      let idx = get_flip_indices(global_id.x, uniforms.blockHeight);
+      global_compare_and_swap(idx.x, idx.y);
+    }
+    case ALGO_GLOBAL_DISPERSE: {
+      let idx = get_disperse_indices(global_id.x, uniforms.blockHeight);
+      global_compare_and_swap(idx.x, idx.y);
+    }
+    default: {}
+  }
+  workgroupBarrier();
+
+  if (is_local) {
+    data[offset + local_id.x * 2u] = local_data[local_id.x * 2u];
+    data[offset + local_id.x * 2u + 1u] = local_data[local_id.x * 2u + 1u];
+  }
+}
@@ -9,30 +9,6 @@ async function loadShader(url) {
     return await response.text();
   }
   
-  // Add fullscreen quad vertex shader
-  const fullscreenTexturedQuadWGSL = `
-  struct VertexOutput {
-      @builtin(position) Position : vec4f,
-      @location(0) fragUV : vec2f,
-  }
-  
-  @vertex
-  fn vert_main(@builtin(vertex_index) VertexIndex : u32) -> VertexOutput {
-      const pos = array(
-          vec2( 1.0,  1.0), vec2( 1.0, -1.0), vec2(-1.0, -1.0),
-          vec2( 1.0,  1.0), vec2(-1.0, -1.0), vec2(-1.0,  1.0)
-      );
-      const uv = array(
-          vec2(1.0, 0.0), vec2(1.0, 1.0), vec2(0.0, 1.0),
-          vec2(1.0, 0.0), vec2(0.0, 1.0), vec2(0.0, 0.0)
-      );
-      var output : VertexOutput;
-      output.Position = vec4(pos[VertexIndex], 0.0, 1.0);
-      output.fragUV = uv[VertexIndex];
-      return output;
-  }
-  `;
-  
   // Core bitonic sort implementation
   class BitonicSort {
     constructor() {
@@ -74,7 +50,8 @@ async function loadShader(url) {
         format: presentationFormat,
       });
   
-      // Load fragment display shader
+      // Load the shared fullscreen quad and the fragment display shader
+      const fullscreenTexturedQuadWGSL = await loadShader('../common/fullscreen-quad.wgsl');
       const bitonicDisplayFragWGSL = await loadShader('bitonicDisplay.frag.wgsl');
       
       // Create buffers
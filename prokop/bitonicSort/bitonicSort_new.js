@@ -1,219 +1,443 @@
 // Minimal WebGPU bitonic sort implementation
 // Based on original TypeScript version but without compilation step
 
-async function loadShader(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to load shader: ${url}`);
-  }
-  return await response.text();
-}
+import {
+  createPipeline,
+  createBindGroup,
+  getPipelineReflection,
+} from '../common/webgpu-utils.js';
+import { reportError } from '../common/error-reporter.js';
+import { App } from '../common/app.js';
+import { startBenchmark, benchmarkRequested } from '../common/bench.js';
+import { getStructLayout, serialize } from '../common/struct-layout.js';
+import GUI from '../common/gui-library.js';
+import {
+  bitonicSteps,
+  ALGO_NONE,
+  ALGO_LOCAL_FLIP,
+  ALGO_LOCAL_DISPERSE,
+  ALGO_GLOBAL_FLIP,
+  ALGO_GLOBAL_DISPERSE,
+} from '../common/gpu-sort.js';
+import { bitonicNetwork, compareArrays, encodeReadback, reportVerification } from '../common/verify.js';
+import { DebugOverlay } from '../common/debug-overlay.js';
 
-// Add fullscreen quad vertex shader
-const fullscreenTexturedQuadWGSL = `
-struct VertexOutput {
-    @builtin(position) Position : vec4f,
-    @location(0) fragUV : vec2f,
-}
+// Sort step kinds, matching `algo` in ComputeUniforms
+const ALGO_NAMES = ['NONE', 'FLIP_LOCAL', 'DISPERSE_LOCAL', 'FLIP_GLOBAL', 'DISPERSE_GLOBAL'];
 
-@vertex
-fn vert_main(@builtin(vertex_index) VertexIndex : u32) -> VertexOutput {
-    const pos = array(
-        vec2( 1.0,  1.0), vec2( 1.0, -1.0), vec2(-1.0, -1.0),
-        vec2( 1.0,  1.0), vec2(-1.0, -1.0), vec2(-1.0,  1.0)
-    );
-    const uv = array(
-        vec2(1.0, 0.0), vec2(1.0, 1.0), vec2(0.0, 1.0),
-        vec2(1.0, 0.0), vec2(0.0, 1.0), vec2(0.0, 0.0)
-    );
-    var output : VertexOutput;
-    output.Position = vec4(pos[VertexIndex], 0.0, 1.0);
-    output.fragUV = uv[VertexIndex];
-    return output;
+// Display grid for a power-of-two element count: square, or twice as wide as high
+function gridDimensions(totalElements) {
+  const width = 2 ** Math.ceil(Math.log2(totalElements) / 2);
+  return { width, height: totalElements / width };
 }
-`;
 
 // Core bitonic sort implementation
 class BitonicSort {
-  constructor() {
+  constructor(totalElements = 1024) {
+    this.app = null;
     this.device = null;
-    this.computePipeline = null;
-    this.renderPipeline = null; // Add render pipeline
-    this.canvas = document.querySelector('canvas'); // Add canvas reference
-    this.context = null; // Add context reference
-    this.workgroupSize = 256;
-    this.totalElements = 1024; // Default size
-    this.elements = new Uint32Array(this.totalElements);
-    
-    // Initialize with random values
-    for (let i = 0; i < this.totalElements; i++) {
-      this.elements[i] = Math.floor(Math.random() * this.totalElements);
-    }
+    this.renderPipeline = null;
+    this.maxWorkgroupSize = 256;
+    this.sortPipelines = new Map(); // workgroup size -> sort pipeline
+    this.totalElements = totalElements;
+    this.elements = null;
+    this.steps = [];
+    this.stepIndex = 0;
+    this.totalSwaps = 0;
+    this.highlight = false;
+    this.readbackPending = false;
+    this.readbackQueued = false;
+    this.verify = false;
+    this.verifyPending = false;
+    this.verifyResult = '';
   }
 
-  async init() {
-    // Check for WebGPU support
-    if (!navigator.gpu) {
-      throw Error('WebGPU not supported');
-    }
+  // Create the pipelines and buffers on the App's device
+  async init(app) {
+    this.app = app;
+    this.device = app.device;
+    this.maxWorkgroupSize = Math.min(256, this.device.limits.maxComputeWorkgroupSizeX);
 
-    // Initialize WebGPU
-    const adapter = await navigator.gpu.requestAdapter();
-    this.device = await adapter.requestDevice();
-
-    // Set up canvas context
-    // Set canvas resolution to match display size
-    const dpr = window.devicePixelRatio || 1;
-    this.canvas.width = this.canvas.clientWidth * dpr;
-    this.canvas.height = this.canvas.clientHeight * dpr;
-    // Acquire WebGPU context
-    this.context = this.canvas.getContext('webgpu');
-    const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
-    this.context.configure({
-      device: this.device,
-      format: presentationFormat,
+    // Create render pipeline (auto layout)
+    this.renderPipeline = await createPipeline(this.device, {
+      vertex: { path: '../common/fullscreen-quad.wgsl' },
+      fragment: { path: 'bitonicDisplay.frag.wgsl' },
+      presentationFormat: app.format,
+      primitive: { topology: 'triangle-list', cullMode: 'none' },
+      label: 'bitonic-display',
     });
 
-    // Load fragment display shader
-    const bitonicDisplayFragWGSL = await loadShader('bitonicDisplay.frag.wgsl');
-    
-    // Create buffers
-    this.elementBuffer = this.device.createBuffer({
-      size: this.elements.byteLength,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+    // Zeroes the swap counter between sorts
+    this.atomicToZeroPipeline = await createPipeline(this.device, {
+      compute: { path: 'atomicToZero.wgsl', entryPoint: 'atomicToZero' },
+      label: 'bitonic-atomic-to-zero',
     });
 
-    // Create simple compute shader to fill gradient
-    const computeShaderCode = `
-@group(0) @binding(0) var<storage, read_write> data: array<u32>;
-@compute @workgroup_size(${this.workgroupSize}, 1, 1)
-fn main(@builtin(global_invocation_id) id: vec3<u32>) {
-  let idx = id.x;
-  if (idx < ${this.totalElements}) {
-    data[idx] = idx;
-  }
-}
-`;
-    this.computePipeline = this.device.createComputePipeline({
-      layout: 'auto',
-      compute: {
-        module: this.device.createShaderModule({ code: computeShaderCode }),
-        entryPoint: 'main',
-      },
+    // Uniform layouts come from the structs declared in the display shader
+    const displayReflection = getPipelineReflection(this.renderPipeline).fragment;
+    this.computeUniformsLayout = getStructLayout(displayReflection, 'ComputeUniforms', { addressSpace: 'uniform' });
+    this.fragmentUniformsLayout = getStructLayout(displayReflection, 'FragmentUniforms', { addressSpace: 'uniform' });
+
+    // Display uniforms: grid size plus the upcoming step, whose blockHeight drives the highlight
+    this.computeUniformBuffer = this.device.createBuffer({
+      size: this.computeUniformsLayout.size,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
-    // Create compute bind group
-    this.computeBindGroup = this.device.createBindGroup({
-      layout: this.computePipeline.getBindGroupLayout(0),
-      entries: [{ binding: 0, resource: { buffer: this.elementBuffer } }],
+    this.fragmentUniformBuffer = this.device.createBuffer({
+      size: this.fragmentUniformsLayout.size,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
-
-    // Create render pipeline (auto layout)
-    this.renderPipeline = this.device.createRenderPipeline({
-      label: 'bitonic-display-pipeline',
-      layout: 'auto',
-      vertex: {
-        module: this.device.createShaderModule({ code: fullscreenTexturedQuadWGSL }),
-        entryPoint: 'vert_main',
-      },
-      fragment: {
-        module: this.device.createShaderModule({ code: bitonicDisplayFragWGSL }),
-        entryPoint: 'frag_main',
-        targets: [{ format: presentationFormat }],
-      },
-      primitive: { topology: 'triangle-list', cullMode: 'none' },
+    this.fragmentBindGroup = createBindGroup(this.device, this.renderPipeline, 1, {
+      fragment_uniforms: this.fragmentUniformBuffer,
     });
 
-    // Create bind groups using pipeline reflection
-    this.displayBindGroup = this.device.createBindGroup({
-      layout: this.renderPipeline.getBindGroupLayout(0),
-      entries: [
-        { binding: 0, resource: { buffer: this.elementBuffer } },
-        { binding: 2, resource: { buffer: this.computeUniformBuffer } },
-      ],
+    // Swap counter, incremented atomically by the sort kernel and read back after each batch
+    this.counterBuffer = this.device.createBuffer({
+      label: 'bitonic-swaps',
+      size: Uint32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
     });
-    this.fragmentBindGroup = this.device.createBindGroup({
-      layout: this.renderPipeline.getBindGroupLayout(1),
-      entries: [{ binding: 0, resource: { buffer: this.fragmentUniformBuffer } }],
+    this.counterStagingBuffer = this.device.createBuffer({
+      label: 'bitonic-swaps-staging',
+      size: Uint32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    });
+    this.atomicToZeroBindGroup = createBindGroup(this.device, this.atomicToZeroPipeline, 0, {
+      counter: this.counterBuffer,
     });
 
-    // Create compute uniforms buffer (width, height, algo=0, blockHeight)
-    this.computeUniformBuffer = this.device.createBuffer({
-      size: 16,
-      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    await this.resize(this.totalElements);
+  }
+
+  get workgroupSize() {
+    return Math.min(this.maxWorkgroupSize, this.totalElements / 2);
+  }
+
+  get nextStep() {
+    return this.steps[this.stepIndex] || { algo: ALGO_NONE, blockHeight: 0 };
+  }
+
+  get done() {
+    return this.stepIndex >= this.steps.length;
+  }
+
+  // The sort kernel's workgroup array is sized per workgroup size, so pipelines are cached by it
+  async getSortPipeline(workgroupSize) {
+    if (!this.sortPipelines.has(workgroupSize)) {
+      this.sortPipelines.set(workgroupSize, await createPipeline(this.device, {
+        compute: {
+          path: 'bitonicCompute.wgsl',
+          entryPoint: 'computeMain',
+          defines: {
+            WORKGROUP_SIZE: `${workgroupSize}u`,
+            ALGO_LOCAL_FLIP: `${ALGO_LOCAL_FLIP}u`,
+            ALGO_LOCAL_DISPERSE: `${ALGO_LOCAL_DISPERSE}u`,
+            ALGO_GLOBAL_FLIP: `${ALGO_GLOBAL_FLIP}u`,
+            ALGO_GLOBAL_DISPERSE: `${ALGO_GLOBAL_DISPERSE}u`,
+          },
+        },
+        label: `bitonic-sort-${workgroupSize}`,
+      }));
+    }
+    return this.sortPipelines.get(workgroupSize);
+  }
+
+  // (Re)create the element buffer and the per-step uniforms for a new element count.
+  // Nothing changes until the pipeline is ready, so frames in between use the old state.
+  async resize(totalElements, maxWorkgroupSize = this.maxWorkgroupSize) {
+    const sortPipeline = await this.getSortPipeline(Math.min(maxWorkgroupSize, totalElements / 2));
+    this.totalElements = totalElements;
+    this.maxWorkgroupSize = maxWorkgroupSize;
+    this.sortPipeline = sortPipeline;
+    this.steps = bitonicSteps(totalElements, this.workgroupSize);
+
+    this.elementBuffer?.destroy();
+    this.stepUniformBuffer?.destroy();
+    this.elementBuffer = this.device.createBuffer({
+      label: 'bitonic-elements',
+      size: totalElements * Uint32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
     });
-    // Prepare mixed float and uint data
-    const gridSize = Math.sqrt(this.totalElements); // display as square grid
-    const uniformData = new ArrayBuffer(16);
-    const f32 = new Float32Array(uniformData, 0, 2);
-    f32[0] = gridSize;
-    f32[1] = gridSize;
-    const u32 = new Uint32Array(uniformData, 8, 2);
-    u32[0] = 0; // algo (unused in display)
-    u32[1] = gridSize; // blockHeight matches grid size
-    this.device.queue.writeBuffer(this.computeUniformBuffer, 0, uniformData);
-
-    // Create fragment uniforms buffer (highlight=0)
-    this.fragmentUniformBuffer = this.device.createBuffer({
-      size: 4,
+
+    // One uniform slot per step, so a whole sort can be encoded into a single compute pass
+    const layout = getStructLayout(getPipelineReflection(this.sortPipeline).compute, 'ComputeUniforms', { addressSpace: 'uniform' });
+    const alignment = this.device.limits.minUniformBufferOffsetAlignment;
+    const stride = Math.ceil(layout.size / alignment) * alignment;
+    this.stepUniformBuffer = this.device.createBuffer({
+      label: 'bitonic-step-uniforms',
+      size: stride * this.steps.length,
       usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
-    this.device.queue.writeBuffer(
-      this.fragmentUniformBuffer,
-      0,
-      new Uint32Array([0]),
-    );
+    const grid = gridDimensions(totalElements);
+    const uniformData = new ArrayBuffer(stride * this.steps.length);
+    this.steps.forEach((step, i) => {
+      serialize(layout, { width: grid.width, height: grid.height, ...step }, { target: uniformData, byteOffset: i * stride });
+    });
+    this.device.queue.writeBuffer(this.stepUniformBuffer, 0, uniformData);
+    this.stepBindGroups = this.steps.map((step, i) => createBindGroup(this.device, this.sortPipeline, 0, {
+      data: this.elementBuffer,
+      uniforms: { buffer: this.stepUniformBuffer, offset: i * stride, size: layout.size },
+      counter: this.counterBuffer,
+    }, { label: `bitonic-step-${i}` }));
 
-    // Upload initial data
-    this.device.queue.writeBuffer(
-      this.elementBuffer,
-      0,
-      this.elements.buffer
-    );
+    this.displayBindGroup = createBindGroup(this.device, this.renderPipeline, 0, {
+      data: this.elementBuffer,
+      uniforms: this.computeUniformBuffer,
+    });
+
+    this.randomize();
+  }
+
+  // Upload new random values and restart the sort
+  randomize() {
+    this.elements = new Uint32Array(this.totalElements);
+    for (let i = 0; i < this.totalElements; i++) {
+      this.elements[i] = Math.floor(Math.random() * this.totalElements);
+    }
+    this.restart();
   }
 
-  async sort() {
+  // Upload the last random values again and restart the sort
+  restart() {
+    this.device.queue.writeBuffer(this.elementBuffer, 0, this.elements);
+    this.stepIndex = 0;
+    this.totalSwaps = 0;
+
     const commandEncoder = this.device.createCommandEncoder();
-    
-    // Compute pass for gradient fill
     const computePass = commandEncoder.beginComputePass();
-    computePass.setPipeline(this.computePipeline);
-    computePass.setBindGroup(0, this.computeBindGroup);
-    computePass.dispatchWorkgroups(
-      Math.ceil(this.totalElements / this.workgroupSize)
-    );
+    computePass.setPipeline(this.atomicToZeroPipeline);
+    computePass.setBindGroup(0, this.atomicToZeroBindGroup);
+    computePass.dispatchWorkgroups(1);
     computePass.end();
+    this.device.queue.submit([commandEncoder.finish()]);
+  }
+
+  // Record up to `count` of the remaining steps as one compute pass. Returns a function to
+  // call once `commandEncoder` has been submitted.
+  encodeSteps(commandEncoder, count = 1) {
+    const end = Math.min(this.steps.length, this.stepIndex + count);
+    if (this.stepIndex >= end) return () => {};
+
+    const verifying = this.verify && !this.verifyPending;
+    const steps = this.steps.slice(this.stepIndex, end);
+    const readBefore = verifying && this.encodeStateReadback(commandEncoder);
+    const computePass = this.app.beginComputePass(commandEncoder, 'sort');
+    computePass.setPipeline(this.sortPipeline);
+    for (; this.stepIndex < end; this.stepIndex++) {
+      computePass.setBindGroup(0, this.stepBindGroups[this.stepIndex]);
+      computePass.dispatchWorkgroups(this.totalElements / (this.workgroupSize * 2));
+    }
+    computePass.end();
+    const readAfter = verifying && this.encodeStateReadback(commandEncoder);
+    if (verifying) this.verifyPending = true;
+    return () => {
+      if (verifying) this.verifySteps(steps, readBefore, readAfter);
+      this.readSwaps();
+    };
+  }
+
+  // Copy the elements and the swap counter out, for verify mode
+  encodeStateReadback(commandEncoder) {
+    const readElements = encodeReadback(this.device, commandEncoder, this.elementBuffer);
+    const readCounter = encodeReadback(this.device, commandEncoder, this.counterBuffer);
+    return async () => ({ elements: await readElements(), swaps: (await readCounter())[0] });
+  }
+
+  // Replay the steps on the CPU from the state before them and diff with the GPU result,
+  // including the number of swaps the kernel counted
+  async verifySteps(steps, readBefore, readAfter) {
+    this.verifyPending = true;
+    try {
+      const [before, after] = await Promise.all([readBefore(), readAfter()]);
+      const expected = before.elements;
+      const swaps = bitonicNetwork(expected, steps);
+      const result = compareArrays(after.elements, expected);
+      this.verifyResult = reportVerification('Bitonic Sort', result);
+      if (after.swaps - before.swaps !== swaps) {
+        this.verifyResult = `swap count gpu ${after.swaps - before.swaps} cpu ${swaps}; ${this.verifyResult}`;
+        console.error(`[Verify][Bitonic Sort] ${this.verifyResult}`);
+      }
+    } catch (error) {
+      console.error('[Verify][Bitonic Sort] Readback failed:', error);
+    } finally {
+      this.verifyPending = false;
+    }
+  }
+
+  // Steps left until the elements are sorted
+  get remainingSteps() {
+    return this.steps.length - this.stepIndex;
+  }
+
+  // Copy the swap counter back. While a read is in flight, one more is queued behind it
+  // so the count always catches up with the last step.
+  async readSwaps() {
+    if (this.readbackPending) {
+      this.readbackQueued = true;
+      return;
+    }
+    this.readbackPending = true;
+    const commandEncoder = this.device.createCommandEncoder();
+    commandEncoder.copyBufferToBuffer(this.counterBuffer, 0, this.counterStagingBuffer, 0, Uint32Array.BYTES_PER_ELEMENT);
+    this.device.queue.submit([commandEncoder.finish()]);
+    try {
+      await this.counterStagingBuffer.mapAsync(GPUMapMode.READ);
+      this.totalSwaps = new Uint32Array(this.counterStagingBuffer.getMappedRange())[0];
+      this.counterStagingBuffer.unmap();
+    } finally {
+      this.readbackPending = false;
+    }
+    if (this.readbackQueued) {
+      this.readbackQueued = false;
+      this.readSwaps();
+    }
+  }
+
+  render(renderPass) {
+    // The highlight shows the halves compared by the upcoming step
+    const grid = gridDimensions(this.totalElements);
+    this.device.queue.writeBuffer(this.computeUniformBuffer, 0, serialize(this.computeUniformsLayout, {
+      width: grid.width,
+      height: grid.height,
+      ...this.nextStep,
+    }));
+    this.device.queue.writeBuffer(
+      this.fragmentUniformBuffer,
+      0,
+      serialize(this.fragmentUniformsLayout, { highlight: this.highlight && !this.done ? 1 : 0 }),
+    );
 
-    // Render pass
-    const renderPass = commandEncoder.beginRenderPass({
-      colorAttachments: [{
-        view: this.context.getCurrentTexture().createView(),
-        loadOp: 'clear',
-        storeOp: 'store',
-      }],
-    });
     renderPass.setPipeline(this.renderPipeline);
     renderPass.setBindGroup(0, this.displayBindGroup);
     renderPass.setBindGroup(1, this.fragmentBindGroup);
     renderPass.draw(6); // Draw the fullscreen quad
-
-    renderPass.end();
-
-    this.device.queue.submit([commandEncoder.finish()]);
   }
 }
 
-// Initialize and run when WebGPU is available
-async function main() {
+// Set up the GUI once the App has a device; returns the per-frame callbacks
+async function setup(app) {
   const bitonicSort = new BitonicSort();
-  await bitonicSort.init();
-  
-  function frame() {
-    bitonicSort.sort().then(() => {
-      requestAnimationFrame(frame);
-    });
-  }
-  
-  frame();
+  await bitonicSort.init(app);
+  // Steps run on demand until auto sort is switched on
+  app.pause();
+
+  const settings = {
+    totalElements: bitonicSort.totalElements,
+    displayMode: 'Elements',
+    executeStep: () => {
+      app.pause();
+      app.step();
+    },
+    sort: () => {
+      app.pause();
+      app.step(bitonicSort.remainingSteps);
+    },
+    randomize: () => {
+      app.pause();
+      bitonicSort.randomize();
+    },
+    verify: false,
+    // Read-only execution state
+    currentStep: '',
+    nextStep: '',
+    totalSwaps: 0,
+    verifyResult: '',
+    overlay: false,
+  };
+
+  const gui = new GUI({ name: 'Bitonic Sort' });
+  const elementOptions = [];
+  for (let n = 16; n <= 2 ** 20; n *= 2) elementOptions.push(n);
+  gui.add(settings, 'totalElements', elementOptions).name('total elements').onChange(async (n) => {
+    app.pause();
+    await bitonicSort.resize(n);
+  });
+  gui.add(settings, 'displayMode', ['Elements', 'Swap Highlight']).name('display mode')
+    .onChange((mode) => { bitonicSort.highlight = mode === 'Swap Highlight'; });
+  const controls = gui.addFolder('Sort Controls');
+  controls.add(settings, 'executeStep').name('execute sort step (.)');
+  controls.add(app, 'running').name('auto sort').listen();
+  controls.add(app, 'stepsPerSecond', 1, 60, 1).name('steps/s');
+  controls.add(settings, 'sort').name('sort all');
+  controls.add(settings, 'randomize').name('randomize values');
+  controls.open();
+  const info = gui.addFolder('Execution Information');
+  info.add(settings, 'currentStep').name('current step').listen();
+  info.add(settings, 'nextStep').name('next step').listen();
+  info.add(settings, 'totalSwaps').name('total swaps').listen();
+  info.open();
+  const debugFolder = gui.addFolder('Debug');
+  debugFolder.add(settings, 'verify').name('check against CPU')
+    .onChange((verify) => { bitonicSort.verify = verify; });
+  debugFolder.add(settings, 'verifyResult').name('last result').listen();
+  debugFolder.add(settings, 'overlay').name('buffer overlay').onChange((visible) => { overlay.visible = visible; });
+
+  // Buffer inspector over the elements, laid out like the display grid
+  const overlay = new DebugOverlay(bitonicSort.device, { title: 'Bitonic Sort' });
+  overlay.addSource('elements', {
+    buffer: () => bitonicSort.elementBuffer,
+    type: Uint32Array,
+    columns: ['value'],
+    shape: () => gridDimensions(bitonicSort.totalElements),
+  });
+
+  // ?bench: sweep the element count and the workgroup size, one whole sort per frame
+  const benchmark = startBenchmark(app, {
+    sample: 'bitonicSort',
+    params: {
+      totalElements: {
+        values: [1024, 4096, 16384, 65536, 262144, 1048576],
+        default: bitonicSort.totalElements,
+        apply: n => bitonicSort.resize(n),
+      },
+      workgroupSize: {
+        values: [32, 64, 128, 256],
+        default: bitonicSort.maxWorkgroupSize,
+        apply: size => bitonicSort.resize(bitonicSort.totalElements,
+          Math.min(size, bitonicSort.device.limits.maxComputeWorkgroupSizeX)),
+      },
+    },
+  });
+
+  return {
+    // One sort step per update; auto sort stops once the elements are sorted
+    update(commandEncoder) {
+      if (benchmark) {
+        if (bitonicSort.done) bitonicSort.restart();
+        return bitonicSort.encodeSteps(commandEncoder, bitonicSort.remainingSteps);
+      }
+      if (bitonicSort.done) {
+        app.pause();
+        return;
+      }
+      return bitonicSort.encodeSteps(commandEncoder);
+    },
+
+    render(renderPass) {
+      bitonicSort.render(renderPass);
+    },
+
+    afterSubmit() {
+      settings.currentStep = `${bitonicSort.stepIndex} of ${bitonicSort.steps.length}`;
+      settings.nextStep = bitonicSort.done
+        ? 'NONE'
+        : `${ALGO_NAMES[bitonicSort.nextStep.algo]} (span ${bitonicSort.nextStep.blockHeight})`;
+      settings.totalSwaps = bitonicSort.totalSwaps;
+      settings.verifyResult = bitonicSort.verifyResult;
+      overlay.update();
+    },
+
+    destroy() {
+      overlay.destroy();
+    },
+  };
 }
 
-main().catch(console.error);
+const app = new App({
+  label: 'Bitonic Sort',
+  fixedTimestep: 1 / 10,
+  clearValue: [0, 0, 0, 0],
+  profile: benchmarkRequested(),
+  init: setup,
+});
+app.start().catch(error => reportError(error, { fatal: true }));
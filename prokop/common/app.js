@@ -0,0 +1,417 @@
+// Application harness for the standalone samples: gets the adapter and device, sizes and
+// configures the canvas, runs the frame loop and shuts everything down again.
+//
+// Usage:
+//   const app = new App({
+//     label: 'Sample',
+//     fixedTimestep: 1 / 30,
+//     async init(app) { pipeline = await createPipeline(app.device, { ... }); },
+//     update(encoder, dt) { const pass = encoder.beginComputePass(); ... },
+//     render(pass) { pass.setPipeline(renderPipeline); pass.draw(3); }
+//   });
+//   await app.start();
+//
+// Each frame records the simulation updates and the render pass into one command encoder.
+// Stepping is variable (one update per frame, with the frame's dt) or fixed-timestep (one
+// update of `fixedTimestep` seconds per elapsed timestep, at most maxStepsPerFrame). Paused
+// apps only step on step(). Space toggles pause and '.' steps once. Hidden pages are not
+// stepped and do not catch up when shown again.
+//
+// The canvas follows its displayed size through a CanvasManager (canvas-manager.js), available
+// as app.canvasManager, e.g. for depth or MSAA targets kept at the canvas size. With a
+// `depthFormat` the render pass also gets a depth buffer, cleared to 1 every frame.
+//
+// With `profile`, passes begun through app.beginComputePass() / app.beginRenderPass() and the
+// render pass are timed by a GPUProfiler (gpu-profiler.js) and graphed on the page.
+//
+// Passing a ResourceRegistry as `resources` makes the device recoverable (device-recovery.js);
+// otherwise a lost device is fatal, as with quitIfWebGPUNotAvailable.
+
+import { quitIfAdapterNotAvailable, quitIfWebGPUNotAvailable, withOptionalFeatures } from './webgpu-utils.js';
+import { reportError, onCleanup } from './error-reporter.js';
+import { RecoverableDevice } from './device-recovery.js';
+import { CanvasManager } from './canvas-manager.js';
+import { GPUProfiler, ProfilerGraph, TIMESTAMP_FEATURE } from './gpu-profiler.js';
+
+const CALLBACKS = ['update', 'render', 'resize', 'afterSubmit', 'destroy', 'onRestored'];
+
+class App {
+  /**
+   * @param {object} options
+   * @param {HTMLCanvasElement} [options.canvas]   defaults to the page's first canvas
+   * @param {string} [options.label='App']
+   * @param {GPURequestAdapterOptions} [options.adapterOptions]
+   * @param {GPUDeviceDescriptor} [options.deviceDescriptor]
+   * @param {ResourceRegistry} [options.resources]  rebuild these after a device loss
+   * @param {object} [options.recovery]            further RecoverableDevice options
+   *                                               (snapshotInterval, saveState, ...)
+   * @param {number} [options.fixedTimestep=0]     seconds per update; 0 for variable stepping
+   * @param {number} [options.maxStepsPerFrame=32] fixed-timestep updates per frame at most,
+   *                                               so a stall does not cause a burst
+   * @param {number} [options.maxFrameTime=0.25]   longest dt in seconds a frame may report
+   * @param {GPUColor} [options.clearValue=[0, 0, 0, 1]]
+   * @param {GPUTextureFormat} [options.depthFormat] depth attachment of the render pass, if
+   *                                               any; can be changed later, render pipelines
+   *                                               must match it
+   * @param {boolean} [options.keyboard=true]      space pauses, '.' steps
+   * @param {boolean} [options.profile=false]      time the passes (app.profiler) and show the
+   *                                               graph (app.profilerGraph); requests
+   *                                               timestamp-query where available
+   * @param {function} [options.init]        async (app) => void or callbacks; runs once the
+   *                                         device and context exist. Returned callbacks
+   *                                         ({ update, render, ... }) replace the given ones,
+   *                                         so they can close over what init created.
+   * @param {function} [options.update]      (encoder, dt, app) => void | function; a returned
+   *                                         function is called after the frame is submitted
+   * @param {function} [options.render]      (pass, app) => void, inside the canvas render pass
+   * @param {function} [options.resize]      ({ width, height, devicePixelRatio }, app) => void,
+   *                                         when the canvas drawing buffer changes size
+   * @param {function} [options.afterSubmit] (app) => void, after each frame's submit
+   * @param {function} [options.destroy]     (app) => void, on stop() before the device goes
+   * @param {function} [options.onRestored]  async (app, state) => void, after a device loss
+   *                                         was recovered (see device-recovery.js)
+   */
+  constructor({
+    canvas = document.querySelector('canvas'),
+    label = 'App',
+    adapterOptions,
+    deviceDescriptor,
+    resources = null,
+    recovery = {},
+    fixedTimestep = 0,
+    maxStepsPerFrame = 32,
+    maxFrameTime = 0.25,
+    clearValue = [0, 0, 0, 1],
+    depthFormat = null,
+    keyboard = true,
+    profile = false,
+    init,
+    ...callbacks
+  } = {}) {
+    this.canvas = canvas;
+    this.label = label;
+    this.adapterOptions = adapterOptions;
+    this.deviceDescriptor = deviceDescriptor;
+    this.resources = resources;
+    this.recovery = recovery;
+    this.fixedTimestep = fixedTimestep;
+    this.maxStepsPerFrame = maxStepsPerFrame;
+    this.maxFrameTime = maxFrameTime;
+    this.clearValue = clearValue;
+    this.depthFormat = depthFormat;
+    this.keyboard = keyboard;
+    this.profile = profile;
+    this.init = init;
+    this.callbacks = {};
+    this.__setCallbacks(callbacks);
+
+    this.adapter = null;
+    this.device = null;
+    this.context = null;
+    this.canvasManager = null;
+    this.format = null;
+    this.recoverable = null;
+    this.profiler = null;
+    this.profilerGraph = null;
+    this.__depth = null; // sized depth texture for depthFormat
+    this.__depthTextureFormat = null;
+
+    // Frame loop state
+    this.frame = 0;
+    this.stepCount = 0;
+    this.simulationTime = 0;
+    this.fps = 0;
+    this.stopped = false;
+    this.suspended = false;
+    this.__running = true;
+    this.__pendingSteps = 0;
+    this.__accumulator = 0;
+    this.__lastTime = null;
+    this.__frameId = null;
+    this.__fpsFrames = 0;
+    this.__fpsTime = null;
+    this.__listeners = [];
+    this.__frameListeners = new Set();
+    this.__unregisterCleanup = null;
+  }
+
+  __setCallbacks(callbacks) {
+    CALLBACKS.forEach((name) => {
+      if (callbacks?.[name] !== undefined) this.callbacks[name] = callbacks[name];
+    });
+  }
+
+  /** Get the device, configure the canvas, run init and start the frame loop */
+  async start() {
+    if (this.resources) {
+      // The registry's factories may need the canvas format, so settle it before the build
+      if (!navigator.gpu) quitIfAdapterNotAvailable(null);
+      this.format = navigator.gpu.getPreferredCanvasFormat();
+      this.recoverable = new RecoverableDevice({
+        resources: this.resources,
+        adapterOptions: this.adapterOptions,
+        deviceDescriptor: this.deviceDescriptor,
+        optionalFeatures: this.__optionalFeatures(),
+        ...this.recovery,
+        onRestored: async (device, state) => {
+          this.device = device;
+          this.adapter = this.recoverable.adapter;
+          this.canvasManager.setDevice(device);
+          this.profiler?.setDevice(device);
+          this.__configureContext();
+          this.__lastTime = null;
+          await this.callbacks.onRestored?.(this, state);
+        }
+      });
+      this.device = await this.recoverable.start();
+      this.adapter = this.recoverable.adapter;
+    } else {
+      this.adapter = await navigator.gpu?.requestAdapter(this.adapterOptions);
+      quitIfAdapterNotAvailable(this.adapter);
+      this.device = await this.adapter.requestDevice(
+        withOptionalFeatures(this.adapter, this.deviceDescriptor, this.__optionalFeatures()));
+      quitIfWebGPUNotAvailable(this.adapter, this.device);
+      this.format = navigator.gpu.getPreferredCanvasFormat();
+    }
+    this.__unregisterCleanup = onCleanup(() => this.stop());
+
+    // Keep the drawing buffer at the displayed size in device pixels
+    this.canvasManager = new CanvasManager(this.canvas, {
+      device: this.device,
+      onResize: size => this.callbacks.resize?.(size, this)
+    });
+    this.context = this.canvas.getContext('webgpu');
+    this.__configureContext();
+    if (this.profile) {
+      this.profiler = new GPUProfiler(this.device);
+      this.profilerGraph = new ProfilerGraph(this.profiler, { title: this.label });
+    }
+
+    const callbacks = await this.init?.(this);
+    if (callbacks && typeof callbacks === 'object') this.__setCallbacks(callbacks);
+    if (this.stopped) return this;
+
+    this.__listen(document, 'visibilitychange', () => {
+      if (document.hidden) this.__suspend();
+      else this.__resume();
+    });
+    this.__listen(window, 'pagehide', () => this.stop());
+    if (this.keyboard) {
+      this.__listen(window, 'keydown', (event) => {
+        if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+        if (event.key === ' ') {
+          this.running = !this.running;
+          event.preventDefault();
+        } else if (event.key === '.') {
+          this.step();
+        }
+      });
+    }
+    console.log(`[App][${this.label}] Started (${this.fixedTimestep > 0 ? `fixed ${this.stepsPerSecond} steps/s` : 'variable timestep'})`);
+    if (!document.hidden) this.__resume();
+    else this.suspended = true;
+    return this;
+  }
+
+  __optionalFeatures() {
+    return this.profile ? [TIMESTAMP_FEATURE] : [];
+  }
+
+  __configureContext() {
+    this.context.configure({ device: this.device, format: this.format });
+  }
+
+  __listen(target, type, listener) {
+    target.addEventListener(type, listener);
+    this.__listeners.push([target, type, listener]);
+  }
+
+  /** Begin a compute pass, timed under `name` when profiling */
+  beginComputePass(encoder, name, descriptor = {}) {
+    return this.profiler ? this.profiler.beginComputePass(encoder, name, descriptor) : encoder.beginComputePass(descriptor);
+  }
+
+  /** Begin a render pass, timed under `name` when profiling */
+  beginRenderPass(encoder, name, descriptor) {
+    return this.profiler ? this.profiler.beginRenderPass(encoder, name, descriptor) : encoder.beginRenderPass(descriptor);
+  }
+
+  /**
+   * Call `listener({ time, interval, cpuTime, steps })` after every frame: `interval` is the
+   * time since the previous frame and `cpuTime` the time spent recording and submitting this
+   * one, both in milliseconds. Returns a function that removes it.
+   */
+  onFrame(listener) {
+    this.__frameListeners.add(listener);
+    return () => this.__frameListeners.delete(listener);
+  }
+
+  get running() {
+    return this.__running;
+  }
+
+  set running(running) {
+    this.__running = Boolean(running);
+    // Do not make up for the time spent paused
+    this.__accumulator = 0;
+  }
+
+  pause() {
+    this.running = false;
+  }
+
+  resume() {
+    this.running = true;
+  }
+
+  /** Run `count` more updates on the next frame, paused or not */
+  step(count = 1) {
+    this.__pendingSteps += count;
+  }
+
+  get stepsPerSecond() {
+    return this.fixedTimestep > 0 ? 1 / this.fixedTimestep : 0;
+  }
+
+  set stepsPerSecond(stepsPerSecond) {
+    this.fixedTimestep = stepsPerSecond > 0 ? 1 / stepsPerSecond : 0;
+  }
+
+  __suspend() {
+    this.suspended = true;
+    if (this.recoverable) this.recoverable.stopLoop();
+    else if (this.__frameId !== null) cancelAnimationFrame(this.__frameId);
+    this.__frameId = null;
+  }
+
+  __resume() {
+    if (this.stopped) return;
+    this.suspended = false;
+    this.__lastTime = null;
+    this.__accumulator = 0;
+    if (this.recoverable) {
+      this.recoverable.startLoop(now => this.__frame(now));
+    } else if (this.__frameId === null) {
+      this.__frameId = requestAnimationFrame(now => this.__tick(now));
+    }
+  }
+
+  // Own loop for devices without recovery; RecoverableDevice runs __frame itself
+  __tick(now) {
+    this.__frameId = null;
+    if (this.stopped || this.suspended) return;
+    try {
+      this.__frame(now);
+    } catch (error) {
+      reportError(error, { fatal: true });
+    }
+    if (!this.stopped && !this.suspended) {
+      this.__frameId = requestAnimationFrame(time => this.__tick(time));
+    }
+  }
+
+  // Number of updates this frame and the dt each of them gets
+  __schedule(dt) {
+    let steps = this.__pendingSteps;
+    this.__pendingSteps = 0;
+    if (this.fixedTimestep > 0) {
+      if (this.running) {
+        this.__accumulator = Math.min(this.__accumulator + dt / this.fixedTimestep, this.maxStepsPerFrame);
+        const due = Math.floor(this.__accumulator);
+        this.__accumulator -= due;
+        steps += due;
+      }
+      return { steps, stepDt: this.fixedTimestep };
+    }
+    if (this.running) steps++;
+    return { steps, stepDt: dt || 1 / 60 };
+  }
+
+  __frame(now) {
+    const frameStart = performance.now();
+    const interval = this.__lastTime === null ? 0 : now - this.__lastTime;
+    const dt = this.__lastTime === null ? 0 : Math.min(this.maxFrameTime, Math.max(0, (now - this.__lastTime) / 1000));
+    this.__lastTime = now;
+    const { steps, stepDt } = this.__schedule(dt);
+    const { update, render, afterSubmit } = this.callbacks;
+
+    const device = this.device;
+    const commandEncoder = device.createCommandEncoder({ label: `${this.label} frame` });
+    const afterFrame = [];
+    for (let i = 0; i < steps && update; i++) {
+      const after = update(commandEncoder, stepDt, this);
+      if (typeof after === 'function') afterFrame.push(after);
+      this.stepCount++;
+      this.simulationTime += stepDt;
+    }
+    if (render) {
+      const renderPass = this.beginRenderPass(commandEncoder, 'render', {
+        colorAttachments: [{
+          view: this.context.getCurrentTexture().createView(),
+          clearValue: this.clearValue,
+          loadOp: 'clear',
+          storeOp: 'store'
+        }],
+        depthStencilAttachment: this.__depthAttachment()
+      });
+      render(renderPass, this);
+      renderPass.end();
+    }
+    this.profiler?.endFrame(commandEncoder);
+    device.queue.submit([commandEncoder.finish()]);
+    this.profiler?.afterSubmit();
+    afterFrame.forEach(after => after());
+    afterSubmit?.(this);
+
+    this.frame++;
+    this.__fpsFrames++;
+    this.__fpsTime ??= now;
+    if (now - this.__fpsTime >= 1000) {
+      this.fps = (this.__fpsFrames * 1000) / (now - this.__fpsTime);
+      this.__fpsFrames = 0;
+      this.__fpsTime = now;
+    }
+    if (this.__frameListeners.size) {
+      const info = { time: now, interval, cpuTime: performance.now() - frameStart, steps };
+      this.__frameListeners.forEach(listener => listener(info));
+    }
+  }
+
+  // Depth attachment for depthFormat, (re)creating the texture when the format changed
+  __depthAttachment() {
+    if (this.__depthTextureFormat !== this.depthFormat) {
+      this.__depth?.destroy();
+      this.__depth = this.depthFormat
+        ? this.canvasManager.createSizedTexture({ format: this.depthFormat, usage: GPUTextureUsage.RENDER_ATTACHMENT })
+        : null;
+      this.__depthTextureFormat = this.depthFormat;
+    }
+    if (!this.__depth) return undefined;
+    return { view: this.__depth.view, depthClearValue: 1, depthLoadOp: 'clear', depthStoreOp: 'discard' };
+  }
+
+  /** Stop the loop, remove the listeners and release the context and the device */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    this.__suspend();
+    this.__listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener));
+    this.__listeners = [];
+    this.__frameListeners.clear();
+    this.__unregisterCleanup?.();
+    try {
+      this.callbacks.destroy?.(this);
+    } catch (error) {
+      console.warn(`[App][${this.label}] destroy callback failed:`, error);
+    }
+    this.canvasManager?.destroy();
+    this.profilerGraph?.destroy();
+    this.profiler?.destroy();
+    this.context?.unconfigure();
+    if (this.recoverable) this.recoverable.destroy();
+    else this.device?.destroy();
+    console.log(`[App][${this.label}] Stopped after ${this.frame} frames`);
+  }
+}
+
+export { App };
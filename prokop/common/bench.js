@@ -0,0 +1,276 @@
+// Benchmark mode: with `?bench` in the URL a sample runs a parameter sweep instead of being
+// used interactively, and produces a JSON report to compare across machines and commits
+// (compare-bench.js).
+//
+// URL parameters:
+//   bench                      every sweep the sample declares, with its default values
+//   bench=NAME[:v1,v2,...]     sweep one parameter; several are separated by ';'
+//   warmup=N                   frames run before measuring each value (default 30)
+//   frames=M                   frames measured per value (default 120)
+//   label=TEXT                 stored in the report, e.g. a commit hash
+//   post[=URL]                 POST the report, to /bench-results (run_server.py) by default
+//
+// Each value is applied, run for N frames, then measured for M frames: CPU frame time (App
+// onFrame) and per-pass times from the App's profiler, summarized as mean/median/p95/min/max.
+//
+// Usage, in a sample's init:
+//   const benchmark = startBenchmark(app, {
+//     sample: 'boids',
+//     params: {
+//       numParticles: { values: [1024, 4096], default: 1500, apply: count => allocateParticles(count) }
+//     }
+//   });
+//   if (benchmark) ... // bench mode: e.g. step every frame
+//
+// When done the report is offered as a download, stored in window.benchReport and
+// announced with a 'benchmark-done' event on window, for headless runs.
+
+import { reportError } from './error-reporter.js';
+
+const DEFAULT_WARMUP_FRAMES = 30;
+const DEFAULT_MEASURED_FRAMES = 120;
+const DEFAULT_POST_URL = '/bench-results';
+
+const CSS = `
+.bench-panel { position: fixed; left: 8px; top: 8px; z-index: 1001; padding: 6px;
+  background: rgba(0, 0, 0, 0.8); color: #eee; font: 11px monospace; }
+.bench-panel a { color: #2fa1d6; margin-right: 8px; }
+`;
+
+let cssInjected = false;
+
+/** True when the page was opened in benchmark mode */
+function benchmarkRequested(search = location.search) {
+  return new URLSearchParams(search).has('bench');
+}
+
+/**
+ * Parse the benchmark URL parameters into { sweeps: [{ name, values }], warmupFrames,
+ * measuredFrames, label, postUrl }; sweeps without values use the sample's defaults
+ */
+function parseBenchOptions(search = location.search) {
+  const query = new URLSearchParams(search);
+  const spec = query.get('bench') || '';
+  const sweeps = spec === '' || spec === '1' ? [] : spec.split(';').filter(Boolean).map((sweep) => {
+    const [name, list] = sweep.split(':');
+    const values = list ? list.split(',').map(v => (Number.isNaN(Number(v)) ? v : Number(v))) : null;
+    return { name: name.trim(), values };
+  });
+  const count = (key, fallback) => {
+    const value = Number.parseInt(query.get(key), 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+  };
+  return {
+    sweeps,
+    warmupFrames: count('warmup', DEFAULT_WARMUP_FRAMES),
+    measuredFrames: count('frames', DEFAULT_MEASURED_FRAMES),
+    label: query.get('label') || '',
+    postUrl: query.has('post') ? query.get('post') || DEFAULT_POST_URL : null
+  };
+}
+
+// Helper to summarize a list of milliseconds; null when empty
+function summarize(samples) {
+  if (!samples.length) return null;
+  const sorted = [...samples].sort((a, b) => a - b);
+  const at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  const round = ms => Math.round(ms * 1e4) / 1e4;
+  return {
+    mean: round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+    median: round(at(0.5)),
+    p95: round(at(0.95)),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+class Benchmark {
+  /**
+   * @param {App} app                 a started App, with profiling for the pass times
+   * @param {object} options            also warmupFrames, measuredFrames, label and postUrl,
+   *                                    as returned by parseBenchOptions()
+   * @param {string} options.sample     name stored in the report
+   * @param {object} options.params     { name: { values, default, apply: async (value) => void } }
+   * @param {object[]} [options.sweeps] [{ name, values }]; every param in `params` by default
+   */
+  constructor(app, { sample, params, sweeps = [], warmupFrames = DEFAULT_WARMUP_FRAMES, measuredFrames = DEFAULT_MEASURED_FRAMES, label = '', postUrl = null }) {
+    this.app = app;
+    this.sample = sample;
+    this.params = params;
+    this.sweeps = (sweeps.length ? sweeps : Object.keys(params).map(name => ({ name, values: null })))
+      .map(({ name, values }) => {
+        if (!params[name]) {
+          throw new Error(`Benchmark: unknown parameter '${name}' (${Object.keys(params).join(', ')})`);
+        }
+        return { name, values: values || params[name].values };
+      });
+    this.warmupFrames = warmupFrames;
+    this.measuredFrames = measuredFrames;
+    this.label = label;
+    this.postUrl = postUrl;
+    this.report = null;
+
+    if (!cssInjected) {
+      const style = document.createElement('style');
+      style.textContent = CSS;
+      document.head.appendChild(style);
+      cssInjected = true;
+    }
+    this.domElement = document.createElement('div');
+    this.domElement.className = 'bench-panel';
+    this.__status = document.createElement('div');
+    this.domElement.append(this.__status);
+    document.body.appendChild(this.domElement);
+  }
+
+  __setStatus(text) {
+    this.__status.textContent = text;
+  }
+
+  // Resolve after `count` more frames
+  __frames(count, onFrame) {
+    return new Promise((resolve) => {
+      let seen = 0;
+      const remove = this.app.onFrame((info) => {
+        onFrame?.(info);
+        if (++seen >= count) {
+          remove();
+          resolve();
+        }
+      });
+    });
+  }
+
+  /** Run every sweep and resolve to the report */
+  async run() {
+    const { app } = this;
+    const startTime = new Date();
+    // Exactly one update per frame
+    app.fixedTimestep = 0;
+    app.resume();
+
+    const results = [];
+    for (const { name, values } of this.sweeps) {
+      const param = this.params[name];
+      for (const value of values) {
+        const result = { param: name, value };
+        results.push(result);
+        try {
+          this.__setStatus(`${name} = ${value}: applying`);
+          await param.apply(value);
+          this.__setStatus(`${name} = ${value}: warming up for ${this.warmupFrames} frames`);
+          await this.__frames(this.warmupFrames);
+          Object.assign(result, await this.__measure(`${name} = ${value}`));
+        } catch (error) {
+          console.error(`[Bench] ${name} = ${value} failed:`, error);
+          result.error = error.message;
+        }
+        console.log(`[Bench] ${name} = ${value}:`, result.error || `cpu median ${result.cpuMs?.median} ms`);
+      }
+      if (param.default !== undefined) await param.apply(param.default);
+    }
+
+    const info = app.adapter?.info || {};
+    this.report = {
+      sample: this.sample,
+      label: this.label,
+      date: startTime.toISOString(),
+      url: location.href,
+      userAgent: navigator.userAgent || '',
+      adapter: {
+        vendor: info.vendor || '',
+        architecture: info.architecture || '',
+        device: info.device || '',
+        description: info.description || ''
+      },
+      timing: app.profiler?.gpuTiming ? 'timestamp-query' : 'cpu',
+      warmupFrames: this.warmupFrames,
+      measuredFrames: this.measuredFrames,
+      results
+    };
+    this.__finish();
+    return this.report;
+  }
+
+  // Measure the frames of one value. Pass times are read back a few frames late, so they
+  // belong to the frames just before the ones timed on the CPU, which are warm as well.
+  async __measure(what) {
+    const cpu = [];
+    const intervals = [];
+    const passes = new Map();
+    const removeResults = this.app.profiler?.onResults((totals) => {
+      totals.forEach(({ ms }, pass) => {
+        if (!passes.has(pass)) passes.set(pass, []);
+        passes.get(pass).push(ms);
+      });
+    });
+    let frame = 0;
+    await this.__frames(this.measuredFrames, (info) => {
+      cpu.push(info.cpuTime);
+      intervals.push(info.interval);
+      if (++frame % 30 === 0) this.__setStatus(`${what}: measuring ${frame}/${this.measuredFrames}`);
+    });
+    removeResults?.();
+    return {
+      frames: cpu.length,
+      cpuMs: summarize(cpu),
+      frameMs: summarize(intervals),
+      passMs: Object.fromEntries([...passes].map(([pass, samples]) => [pass, summarize(samples)]))
+    };
+  }
+
+  __finish() {
+    const json = JSON.stringify(this.report, null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `bench-${this.sample}-${this.report.date.replace(/[:.]/g, '-')}.json`;
+    link.textContent = 'download report';
+    this.__setStatus(`done: ${this.report.results.length} runs`);
+    this.domElement.append(link);
+    console.log('[Bench] Report:', this.report);
+
+    if (this.postUrl) {
+      const posted = document.createElement('span');
+      posted.textContent = `posting to ${this.postUrl}...`;
+      this.domElement.append(posted);
+      fetch(this.postUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: json })
+        .then(async (response) => {
+          if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+          posted.textContent = `posted: ${await response.text()}`;
+        })
+        .catch((error) => {
+          posted.textContent = `post failed: ${error.message}`;
+          console.error('[Bench] Posting the report failed:', error);
+        });
+    }
+
+    window.benchReport = this.report;
+    window.dispatchEvent(new CustomEvent('benchmark-done', { detail: this.report }));
+  }
+
+  destroy() {
+    this.domElement.remove();
+  }
+}
+
+/**
+ * Start the benchmark described by the page URL, if any. Returns the running Benchmark (its
+ * `done` promise resolves to the report) or null when the page is not in benchmark mode.
+ */
+function startBenchmark(app, { sample, params }, search = location.search) {
+  if (!benchmarkRequested(search)) return null;
+  const benchmark = new Benchmark(app, { sample, params, ...parseBenchOptions(search) });
+  benchmark.done = benchmark.run().catch((error) => {
+    reportError(error);
+    return null;
+  });
+  return benchmark;
+}
+
+export {
+  Benchmark,
+  startBenchmark,
+  benchmarkRequested,
+  parseBenchOptions,
+  summarize
+};
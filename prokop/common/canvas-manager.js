@@ -0,0 +1,181 @@
+// Keeps a canvas' drawing buffer at its displayed size in device pixels.
+//
+// A ResizeObserver watches the canvas' device-pixel-content-box, which is exact and also
+// changes when the window moves to a monitor with another devicePixelRatio. Browsers without
+// it get content-box size * devicePixelRatio, plus a media query for ratio changes. Sizes are
+// clamped to the device's maxTextureDimension2D.
+//
+// Usage:
+//   const canvasManager = new CanvasManager(canvas, { device });
+//   canvasManager.onResize(({ width, height }) => writeAspectUniform(width / height));
+//   const depth = canvasManager.createSizedTexture({ format: 'depth24plus', usage: GPUTextureUsage.RENDER_ATTACHMENT });
+//   ... depthStencilAttachment: { view: depth.view, ... }
+
+// Helper to read the device-pixel size from a ResizeObserver entry
+function entrySize(entry) {
+  const devicePixels = entry.devicePixelContentBoxSize?.[0];
+  if (devicePixels) {
+    return { width: devicePixels.inlineSize, height: devicePixels.blockSize };
+  }
+  const dpr = window.devicePixelRatio || 1;
+  const box = entry.contentBoxSize?.[0];
+  return box
+    ? { width: Math.round(box.inlineSize * dpr), height: Math.round(box.blockSize * dpr) }
+    : { width: Math.round(entry.contentRect.width * dpr), height: Math.round(entry.contentRect.height * dpr) };
+}
+
+class CanvasManager {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} [options]
+   * @param {GPUDevice} [options.device]        its maxTextureDimension2D caps the size
+   * @param {number} [options.maxDimension]     a tighter cap, in device pixels
+   * @param {function} [options.onResize]       first resize listener, see onResize()
+   */
+  constructor(canvas, { device = null, maxDimension = Infinity, onResize } = {}) {
+    this.canvas = canvas;
+    this.device = device;
+    this.maxDimension = maxDimension;
+    this.devicePixelRatio = window.devicePixelRatio || 1;
+    this.__listeners = new Set();
+    this.__textures = new Set();
+    this.__mediaQuery = null;
+
+    // Size from layout right away, so the first frame is not drawn at the default 300x150;
+    // the observer refines it to exact device pixels
+    this.__observed = {
+      width: Math.round(canvas.clientWidth * this.devicePixelRatio) || canvas.width,
+      height: Math.round(canvas.clientHeight * this.devicePixelRatio) || canvas.height
+    };
+    this.__apply();
+    if (onResize) this.onResize(onResize);
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.__observer = new ResizeObserver((entries) => {
+        const entry = entries.find(e => e.target === this.canvas);
+        if (!entry) return;
+        this.devicePixelRatio = window.devicePixelRatio || 1;
+        this.__observed = entrySize(entry);
+        this.__apply();
+      });
+      try {
+        this.__observer.observe(canvas, { box: 'device-pixel-content-box' });
+      } catch {
+        // Not supported (Safari): observe CSS pixels and watch the ratio separately
+        this.__observer.observe(canvas, { box: 'content-box' });
+        this.__watchDevicePixelRatio();
+      }
+    }
+  }
+
+  // Re-arm a resolution media query for the current ratio; it fires once the ratio changes
+  __watchDevicePixelRatio() {
+    if (typeof matchMedia === 'undefined') return;
+    this.__mediaQuery?.removeEventListener('change', this.__onRatioChange);
+    this.__onRatioChange = () => {
+      const ratio = window.devicePixelRatio || 1;
+      this.__observed = {
+        width: Math.round(this.__observed.width * ratio / this.devicePixelRatio),
+        height: Math.round(this.__observed.height * ratio / this.devicePixelRatio)
+      };
+      this.devicePixelRatio = ratio;
+      this.__apply();
+      this.__watchDevicePixelRatio();
+    };
+    this.__mediaQuery = matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    this.__mediaQuery.addEventListener('change', this.__onRatioChange);
+  }
+
+  /** Largest width or height the drawing buffer may have */
+  get maxSize() {
+    return Math.min(this.maxDimension, this.device?.limits.maxTextureDimension2D ?? Infinity);
+  }
+
+  get width() {
+    return this.canvas.width;
+  }
+
+  get height() {
+    return this.canvas.height;
+  }
+
+  get aspect() {
+    return this.canvas.width / this.canvas.height;
+  }
+
+  /**
+   * Call `listener({ width, height, devicePixelRatio })` whenever the drawing buffer changes
+   * size (not for the initial size). Returns a function that removes it.
+   */
+  onResize(listener) {
+    this.__listeners.add(listener);
+    return () => this.__listeners.delete(listener);
+  }
+
+  /** Use another device, e.g. after device-recovery.js rebuilt it; sized textures follow */
+  setDevice(device) {
+    this.device = device;
+    this.__apply(true);
+  }
+
+  // Clamp the observed size and resize the canvas and the sized textures if it changed
+  __apply(force = false) {
+    const max = this.maxSize;
+    const width = Math.max(1, Math.min(max, this.__observed.width));
+    const height = Math.max(1, Math.min(max, this.__observed.height));
+    const changed = width !== this.canvas.width || height !== this.canvas.height;
+    if (!changed && !force) return;
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.__textures.forEach(target => target.__recreate());
+    if (!changed) return;
+    const size = { width, height, devicePixelRatio: this.devicePixelRatio };
+    this.__listeners.forEach((listener) => {
+      try {
+        listener(size);
+      } catch (error) {
+        console.error('[Canvas Manager] Resize listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * A texture kept at the canvas size, e.g. a depth buffer or an MSAA color target.
+   * `descriptor` is a GPUTextureDescriptor without `size`. The returned handle's `texture`
+   * and `view` are replaced on every resize, so read them each frame rather than keeping them.
+   */
+  createSizedTexture(descriptor) {
+    const manager = this;
+    const target = {
+      texture: null,
+      view: null,
+      __recreate() {
+        if (!manager.device) return;
+        this.texture?.destroy();
+        this.texture = manager.device.createTexture({
+          ...descriptor,
+          size: [manager.canvas.width, manager.canvas.height]
+        });
+        this.view = this.texture.createView();
+      },
+      destroy() {
+        manager.__textures.delete(target);
+        this.texture?.destroy();
+        this.texture = this.view = null;
+      }
+    };
+    this.__textures.add(target);
+    target.__recreate();
+    return target;
+  }
+
+  /** Stop observing and destroy the sized textures */
+  destroy() {
+    this.__observer?.disconnect();
+    this.__mediaQuery?.removeEventListener('change', this.__onRatioChange);
+    [...this.__textures].forEach(target => target.destroy());
+    this.__listeners.clear();
+  }
+}
+
+export { CanvasManager };
@@ -0,0 +1,249 @@
+// On-page inspector for GPU buffers: reads a chosen buffer back with readBuffer once per
+// frame and shows it as a table or a heatmap.
+//
+// Usage:
+//   const overlay = new DebugOverlay(device);
+//   overlay.addSource('particles', {
+//     buffer: () => particleBuffers[t % 2],
+//     type: Float32Array,
+//     columns: ['pos.x', 'pos.y', 'vel.x', 'vel.y']
+//   });
+//   overlay.addSource('cells', { buffer: () => cells, type: Uint32Array, shape: () => ({ width, height }) });
+//   ... after each queue.submit():
+//   overlay.update();
+
+import { readBuffer } from './webgpu-utils.js';
+
+const CSS = `
+.debug-overlay { position: fixed; left: 8px; bottom: 8px; z-index: 1000; max-height: 60vh; overflow: auto;
+  padding: 6px; background: rgba(0, 0, 0, 0.8); color: #eee; font: 11px monospace; }
+.debug-overlay.hidden { display: none; }
+.debug-overlay .header { display: flex; gap: 4px; align-items: center; margin-bottom: 4px; }
+.debug-overlay select, .debug-overlay input { background: #303030; color: #2fa1d6; border: 0; font: inherit; }
+.debug-overlay input { width: 6em; }
+.debug-overlay table { border-collapse: collapse; }
+.debug-overlay td, .debug-overlay th { padding: 0 6px; text-align: right; }
+.debug-overlay th { color: #888; font-weight: normal; }
+.debug-overlay canvas { display: block; image-rendering: pixelated; }
+`;
+
+const HEATMAP_SIZE = 256;
+
+let cssInjected = false;
+
+// Helper to create an element with a class name and optional text
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// Helper to format a cell value compactly
+function formatValue(value) {
+  if (Number.isInteger(value)) return String(value);
+  return Number.isFinite(value) ? value.toPrecision(5) : String(value);
+}
+
+// Blue (low) to red (high) through green, for t in [0, 1]
+function heatColor(t) {
+  const x = Math.min(1, Math.max(0, t));
+  return [
+    Math.round(255 * Math.min(1, Math.max(0, 2 * x - 0.5))),
+    Math.round(255 * (1 - Math.abs(2 * x - 1))),
+    Math.round(255 * Math.min(1, Math.max(0, 1.5 - 2 * x)))
+  ];
+}
+
+class DebugOverlay {
+  /**
+   * @param {GPUDevice} device
+   * @param {object} [options]
+   * @param {string} [options.title='Buffers']
+   * @param {number} [options.rows=32]      rows shown in table mode
+   * @param {boolean} [options.visible=false]
+   */
+  constructor(device, { title = 'Buffers', rows = 32, visible = false, parent = document.body } = {}) {
+    if (!cssInjected) {
+      const style = document.createElement('style');
+      style.textContent = CSS;
+      document.head.appendChild(style);
+      cssInjected = true;
+    }
+
+    this.device = device;
+    this.rows = rows;
+    this.sources = new Map();
+    this.selected = null;
+    this.mode = 'table';
+    this.firstRow = 0;
+    this.reading = false;
+    this.frame = 0;
+
+    this.domElement = element('div', 'debug-overlay');
+    const header = element('div', 'header');
+    header.append(element('span', '', title));
+    this.__sourceSelect = element('select');
+    this.__sourceSelect.addEventListener('change', () => this.select(this.__sourceSelect.value));
+    this.__modeSelect = element('select');
+    ['table', 'heatmap'].forEach(mode => this.__modeSelect.append(new Option(mode, mode)));
+    this.__modeSelect.addEventListener('change', () => { this.mode = this.__modeSelect.value; this.__render(); });
+    this.__rowInput = element('input');
+    this.__rowInput.type = 'number';
+    this.__rowInput.min = 0;
+    this.__rowInput.value = 0;
+    this.__rowInput.title = 'first row';
+    this.__rowInput.addEventListener('change', () => { this.firstRow = Math.max(0, Number(this.__rowInput.value) || 0); });
+    header.append(this.__sourceSelect, this.__modeSelect, this.__rowInput);
+    this.__stats = element('div');
+    this.__table = element('table');
+    this.__canvas = element('canvas');
+    this.domElement.append(header, this.__stats, this.__table, this.__canvas);
+    parent.appendChild(this.domElement);
+
+    this.data = null;
+    this.visible = visible;
+  }
+
+  get visible() {
+    return !this.domElement.classList.contains('hidden');
+  }
+
+  set visible(visible) {
+    this.domElement.classList.toggle('hidden', !visible);
+  }
+
+  /**
+   * Register a buffer to inspect.
+   * `buffer` is a GPUBuffer or a function returning the current one (e.g. the front buffer of
+   * a ping-pong pair). `columns` is a count or a list of column names: each row shows that many
+   * consecutive elements. `shape` returns the heatmap { width, height } in rows (default: a
+   * near-square), `flipY` puts row 0 at the bottom, and `value(row)` reduces a row to the
+   * heatmap value (default: its first element).
+   */
+  addSource(name, { buffer, type = Float32Array, columns = 1, shape, flipY = false, value } = {}) {
+    const columnNames = Array.isArray(columns) ? columns : Array.from({ length: columns }, (_, i) => String(i));
+    this.sources.set(name, {
+      name,
+      buffer: typeof buffer === 'function' ? buffer : () => buffer,
+      type,
+      columns: columnNames,
+      shape,
+      flipY,
+      value: value || (row => row[0])
+    });
+    this.__sourceSelect.append(new Option(name, name));
+    if (!this.selected) this.select(name);
+    return this;
+  }
+
+  select(name) {
+    if (!this.sources.has(name)) {
+      throw new Error(`DebugOverlay: unknown source '${name}'`);
+    }
+    this.selected = this.sources.get(name);
+    this.__sourceSelect.value = name;
+    this.data = null;
+    this.__render();
+  }
+
+  /**
+   * Read the selected buffer as of the work submitted so far and redraw. Call after each
+   * frame's submit; frames are skipped while the previous read is still in flight.
+   */
+  async update() {
+    this.frame++;
+    if (!this.visible || !this.selected || this.reading) return;
+    const source = this.selected;
+    const buffer = source.buffer();
+    if (!buffer) return;
+
+    const rowBytes = source.columns.length * source.type.BYTES_PER_ELEMENT;
+    const totalRows = Math.floor(buffer.size / rowBytes);
+    // Table mode only needs the visible rows
+    const firstRow = this.mode === 'table' ? Math.min(this.firstRow, Math.max(0, totalRows - 1)) : 0;
+    const rowCount = this.mode === 'table' ? Math.min(this.rows, totalRows - firstRow) : totalRows;
+
+    this.reading = true;
+    try {
+      const values = await readBuffer(this.device, buffer, {
+        offset: firstRow * rowBytes,
+        size: rowCount * rowBytes,
+        type: source.type
+      });
+      if (this.selected === source) {
+        this.data = { values, firstRow, rowCount, totalRows, frame: this.frame };
+        this.__render();
+      }
+    } catch (error) {
+      this.__stats.textContent = `read failed: ${error.message}`;
+    } finally {
+      this.reading = false;
+    }
+  }
+
+  __render() {
+    const source = this.selected;
+    const data = this.data;
+    const heatmap = this.mode === 'heatmap' && data?.rowCount === data?.totalRows;
+    this.__table.style.display = this.mode === 'table' ? '' : 'none';
+    this.__canvas.style.display = this.mode === 'heatmap' ? '' : 'none';
+    this.__rowInput.style.display = this.mode === 'table' ? '' : 'none';
+    if (!source || !data) {
+      this.__stats.textContent = 'waiting for data...';
+      return;
+    }
+
+    const width = source.columns.length;
+    const rowValues = i => data.values.subarray(i * width, (i + 1) * width);
+    let min = Infinity, max = -Infinity, sum = 0;
+    const reduced = new Float64Array(data.rowCount);
+    for (let i = 0; i < data.rowCount; i++) {
+      const v = source.value(rowValues(i));
+      reduced[i] = v;
+      if (v < min) min = v;
+      if (v > max) max = v;
+      sum += v;
+    }
+    this.__stats.textContent = `${source.name}: rows ${data.firstRow}..${data.firstRow + data.rowCount - 1} of ${data.totalRows}` +
+      `, frame ${data.frame}, min ${formatValue(min)} max ${formatValue(max)} mean ${formatValue(sum / data.rowCount)}`;
+
+    if (this.mode === 'table') {
+      this.__table.replaceChildren();
+      const head = element('tr');
+      head.append(element('th', '', '#'), ...source.columns.map(name => element('th', '', name)));
+      this.__table.append(head);
+      for (let i = 0; i < Math.min(data.rowCount, this.rows); i++) {
+        const tr = element('tr');
+        tr.append(element('th', '', String(data.firstRow + i)), ...Array.from(rowValues(i), v => element('td', '', formatValue(v))));
+        this.__table.append(tr);
+      }
+    } else if (heatmap) {
+      const { width: w, height: h } = source.shape?.() || {
+        width: Math.ceil(Math.sqrt(data.rowCount)),
+        height: Math.ceil(data.rowCount / Math.ceil(Math.sqrt(data.rowCount)))
+      };
+      this.__canvas.width = w;
+      this.__canvas.height = h;
+      const scale = Math.max(1, Math.floor(HEATMAP_SIZE / Math.max(w, h)));
+      this.__canvas.style.width = `${w * scale}px`;
+      this.__canvas.style.height = `${h * scale}px`;
+      const ctx = this.__canvas.getContext('2d');
+      const image = ctx.createImageData(w, h);
+      const range = max - min || 1;
+      for (let i = 0; i < Math.min(data.rowCount, w * h); i++) {
+        const x = i % w;
+        const y = source.flipY ? h - 1 - Math.floor(i / w) : Math.floor(i / w);
+        image.data.set([...heatColor((reduced[i] - min) / range), 255], 4 * (y * w + x));
+      }
+      ctx.putImageData(image, 0, 0);
+    }
+  }
+
+  destroy() {
+    this.domElement.remove();
+    this.sources.clear();
+  }
+}
+
+export { DebugOverlay };
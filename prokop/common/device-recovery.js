@@ -0,0 +1,344 @@
+// Opt-in recovery from GPU device loss (driver reset, GPU process crash, TDR).
+//
+// quitIfWebGPUNotAvailable treats a lost device as fatal. A sample that wants to survive the
+// loss describes its GPU resources in a ResourceRegistry instead of creating them inline, and
+// lets a RecoverableDevice own the device and the frame loop. After a loss (other than an
+// explicit destroy()) it requests a new adapter and device, rebuilds every registered
+// resource, optionally restores simulation state from the last CPU snapshot and resumes the
+// loop.
+//
+// Usage:
+//   const resources = new ResourceRegistry();
+//   resources.pipeline('compute', (device) => createPipeline(device, { compute: 'update.wgsl' }));
+//   resources.buffer('state', { usage, contents: () => initialState, snapshot: true });
+//   resources.bindGroup('state', (device, r) => createBindGroup(device, r.get('compute'), 0, {
+//     state: r.get('state')
+//   }));
+//
+//   const gpu = new RecoverableDevice({ resources, snapshotInterval: 60 });
+//   await gpu.start();
+//   gpu.startLoop((time) => { ... resources.get('compute') ... });
+
+import { quitIfAdapterNotAvailable, readBuffer, withOptionalFeatures } from './webgpu-utils.js';
+import { ErrorCategory, reportError, onCleanup, setAdapterInfo, watchDevice } from './error-reporter.js';
+
+// Helper to view buffer contents (TypedArray, DataView or ArrayBuffer) as bytes
+function asBytes(contents) {
+  if (contents instanceof ArrayBuffer) return new Uint8Array(contents);
+  return new Uint8Array(contents.buffer, contents.byteOffset, contents.byteLength);
+}
+
+// Helper to evaluate an option that may be given as a value or as a function of the registry
+function resolve(option, registry) {
+  return typeof option === 'function' ? option(registry) : option;
+}
+
+class ResourceRegistry {
+  constructor() {
+    this.__entries = new Map(); // name -> { kind, create, destroy, descriptor }
+    this.__values = new Map();
+    this.device = null;
+    this.lastSnapshot = null;
+  }
+
+  /**
+   * Register a buffer. `contents` (a TypedArray/ArrayBuffer or a function returning one) is
+   * written at creation through mappedAtCreation, so no COPY_DST usage is needed; `size`
+   * defaults to its byte length. `size` and `contents` may be functions of the registry,
+   * evaluated on every (re)build. Buffers marked `snapshot` (which need COPY_SRC) are saved
+   * by snapshot() and restored from it after a device loss.
+   */
+  buffer(name, { size, usage, label = name, contents, snapshot = false }) {
+    if (snapshot && !(usage & GPUBufferUsage.COPY_SRC)) {
+      throw new Error(`ResourceRegistry: buffer '${name}' needs COPY_SRC usage to be snapshotted`);
+    }
+    return this.__register(name, {
+      kind: 'buffer',
+      snapshot,
+      create: (device, registry, restored) => {
+        const initial = contents !== undefined ? asBytes(resolve(contents, registry)) : null;
+        const byteSize = resolve(size, registry) ?? initial?.byteLength;
+        // A snapshot taken before the buffer was resized no longer applies
+        const data = restored?.byteLength === byteSize ? restored : initial;
+        if (byteSize === undefined) {
+          throw new Error(`ResourceRegistry: buffer '${name}' has neither a size nor contents`);
+        }
+        const buffer = device.createBuffer({
+          label,
+          size: byteSize,
+          usage,
+          // mappedAtCreation needs a size that is a multiple of 4
+          mappedAtCreation: Boolean(data) && byteSize % 4 === 0
+        });
+        if (data && buffer.mapState === 'mapped') {
+          new Uint8Array(buffer.getMappedRange()).set(data.subarray(0, byteSize));
+          buffer.unmap();
+        } else if (data) {
+          device.queue.writeBuffer(buffer, 0, data, 0, Math.floor(Math.min(byteSize, data.byteLength) / 4) * 4);
+        }
+        return buffer;
+      },
+      destroy: buffer => buffer.destroy()
+    });
+  }
+
+  /** Register a pipeline: `create(device, registry)` may be async, e.g. createPipeline */
+  pipeline(name, create) {
+    return this.__register(name, { kind: 'pipeline', create });
+  }
+
+  /** Register a bind group (or a list of them): `create(device, registry)` */
+  bindGroup(name, create) {
+    return this.__register(name, { kind: 'bindGroup', create });
+  }
+
+  /**
+   * Register anything else that lives on the device (textures, samplers, a configured canvas
+   * context). `destroy(value)` releases it; by default its destroy() method is called if it
+   * has one.
+   */
+  resource(name, create, { destroy = value => value?.destroy?.() } = {}) {
+    return this.__register(name, { kind: 'resource', create, destroy });
+  }
+
+  __register(name, entry) {
+    if (this.__entries.has(name)) {
+      throw new Error(`ResourceRegistry: '${name}' is already registered`);
+    }
+    this.__entries.set(name, entry);
+    return this;
+  }
+
+  /** The value built for `name` on the current device */
+  get(name) {
+    if (!this.__values.has(name)) {
+      throw new Error(this.__entries.has(name)
+        ? `ResourceRegistry: '${name}' has not been built`
+        : `ResourceRegistry: unknown resource '${name}'`);
+    }
+    return this.__values.get(name);
+  }
+
+  /**
+   * Create every resource on `device`, in registration order, so factories can get() the
+   * ones registered before them. With `snapshot`, snapshotted buffers of matching size take
+   * their contents from it instead of `contents`.
+   */
+  async build(device, snapshot = null) {
+    this.device = device;
+    this.__values.clear();
+    for (const [name, entry] of this.__entries) {
+      const saved = entry.snapshot ? snapshot?.buffers.get(name) : undefined;
+      this.__values.set(name, await entry.create(device, this, saved));
+    }
+    console.log(`[Device Recovery] Built ${this.__entries.size} resources`);
+  }
+
+  /**
+   * Re-create the named resources on the current device, in registration order, e.g. after
+   * a buffer changed size and the bind groups that use it. Old values are destroyed once the
+   * GPU has finished the work already submitted. Snapshots of these buffers are dropped.
+   */
+  async recreate(...names) {
+    const old = [];
+    for (const [name, entry] of this.__entries) {
+      if (!names.includes(name)) continue;
+      if (this.__values.has(name)) old.push([entry, this.__values.get(name)]);
+      this.lastSnapshot?.buffers.delete(name);
+      this.__values.set(name, await entry.create(this.device, this));
+    }
+    this.device.queue.onSubmittedWorkDone().then(() => old.forEach(([entry, value]) => entry.destroy?.(value)));
+  }
+
+  /**
+   * Copy the snapshotted buffers back to the CPU, along with `state` (plain JS state the
+   * sample needs to resume, e.g. which ping-pong buffer is current). The copies are queued
+   * before this returns, so `state` and the buffers describe the same frame.
+   * Resolves to the snapshot, also kept as `lastSnapshot`.
+   */
+  async snapshot(state) {
+    const device = this.device;
+    const reads = [...this.__entries]
+      .filter(([name, entry]) => entry.snapshot && this.__values.has(name))
+      .map(([name]) => readBuffer(device, this.__values.get(name)).then(bytes => [name, bytes]));
+    const snapshot = { state, buffers: new Map(await Promise.all(reads)), time: performance.now() };
+    if (this.device === device) this.lastSnapshot = snapshot;
+    return snapshot;
+  }
+
+  /** Destroy every built resource */
+  destroy() {
+    for (const [name, value] of this.__values) {
+      try {
+        this.__entries.get(name).destroy?.(value);
+      } catch (error) {
+        console.warn(`[Device Recovery] Destroying '${name}' failed:`, error);
+      }
+    }
+    this.__values.clear();
+  }
+}
+
+class RecoverableDevice {
+  /**
+   * @param {object} options
+   * @param {ResourceRegistry} options.resources
+   * @param {GPURequestAdapterOptions} [options.adapterOptions]
+   * @param {GPUDeviceDescriptor} [options.deviceDescriptor]
+   * @param {string[]} [options.optionalFeatures]  required where the adapter offers them
+   * @param {number} [options.snapshotInterval=0]  frames between automatic snapshots (0: never)
+   * @param {function} [options.saveState]         () => state stored with each snapshot
+   * @param {boolean} [options.restoreSnapshot=true]  restore the last snapshot after a loss
+   * @param {number} [options.maxAttempts=3]       device requests before giving up
+   * @param {function} [options.onLost]            (info) => void, when the device is lost
+   * @param {function} [options.onRestored]        async (device, state) => void, after the
+   *                                               rebuild; `state` is the restored snapshot's
+   */
+  constructor({
+    resources,
+    adapterOptions,
+    deviceDescriptor,
+    optionalFeatures = [],
+    snapshotInterval = 0,
+    saveState,
+    restoreSnapshot = true,
+    maxAttempts = 3,
+    onLost,
+    onRestored
+  }) {
+    this.resources = resources;
+    this.adapterOptions = adapterOptions;
+    this.deviceDescriptor = deviceDescriptor;
+    this.optionalFeatures = optionalFeatures;
+    this.snapshotInterval = snapshotInterval;
+    this.saveState = saveState;
+    this.restoreSnapshot = restoreSnapshot;
+    this.maxAttempts = maxAttempts;
+    this.onLost = onLost;
+    this.onRestored = onRestored;
+
+    this.adapter = null;
+    this.device = null;
+    this.recovering = false;
+    this.recoveries = 0;
+    this.stopped = false;
+    this.__frame = null;
+    this.__frameId = null;
+    this.__frameCount = 0;
+    this.__snapshotting = false;
+  }
+
+  /** Get the first device and build the resources; a missing adapter or device is fatal */
+  async start() {
+    const adapter = await navigator.gpu?.requestAdapter(this.adapterOptions);
+    quitIfAdapterNotAvailable(adapter);
+    await this.__acquire(adapter);
+    await this.resources.build(this.device);
+    onCleanup(() => this.destroy());
+    return this.device;
+  }
+
+  async __acquire(adapter) {
+    const device = await adapter.requestDevice(withOptionalFeatures(adapter, this.deviceDescriptor, this.optionalFeatures));
+    setAdapterInfo(adapter);
+    watchDevice(device, { reportLoss: false });
+    device.lost.then(info => this.__handleLoss(device, info));
+    this.adapter = adapter;
+    this.device = device;
+  }
+
+  /**
+   * Run `frame(time)` every animation frame. Frames pause while the device is being
+   * recovered; every `snapshotInterval` frames a snapshot is taken after the frame.
+   */
+  startLoop(frame) {
+    this.__frame = frame;
+    this.__schedule();
+  }
+
+  stopLoop() {
+    this.__frame = null;
+    if (this.__frameId !== null) cancelAnimationFrame(this.__frameId);
+    this.__frameId = null;
+  }
+
+  __schedule() {
+    if (this.__frameId !== null || !this.__frame || this.recovering || this.stopped) return;
+    this.__frameId = requestAnimationFrame((time) => {
+      this.__frameId = null;
+      if (!this.__frame || this.recovering || this.stopped) return;
+      try {
+        this.__frame(time);
+      } catch (error) {
+        reportError(error, { fatal: true });
+      }
+      this.__frameCount++;
+      if (this.snapshotInterval > 0 && this.__frameCount % this.snapshotInterval === 0) {
+        this.snapshot();
+      }
+      this.__schedule();
+    });
+  }
+
+  /** Snapshot the registry's buffers with saveState(); skipped while one is in flight */
+  async snapshot() {
+    if (this.__snapshotting || this.recovering) return null;
+    this.__snapshotting = true;
+    try {
+      return await this.resources.snapshot(this.saveState?.());
+    } catch (error) {
+      // Expected when the device is lost mid-read; the previous snapshot is kept
+      console.warn('[Device Recovery] Snapshot failed:', error.message);
+      return null;
+    } finally {
+      this.__snapshotting = false;
+    }
+  }
+
+  async __handleLoss(device, info) {
+    if (device !== this.device || this.stopped) return;
+    if (info.reason === 'destroyed') return;
+    this.recovering = true;
+    console.warn(`[Device Recovery] Device lost ("${info.reason}"): ${info.message}`);
+    reportError(new Error(`Device lost ("${info.reason}"), recovering:\n${info.message}`),
+      { category: ErrorCategory.DEVICE_LOST, fatal: false });
+    this.onLost?.(info);
+    this.resources.destroy();
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= this.maxAttempts && !this.stopped; attempt++) {
+      try {
+        // A lost device's adapter cannot hand out another device, so start from a new adapter
+        const adapter = await navigator.gpu.requestAdapter(this.adapterOptions);
+        if (!adapter) throw new Error('requestAdapter returned null');
+        await this.__acquire(adapter);
+        const snapshot = this.restoreSnapshot ? this.resources.lastSnapshot : null;
+        await this.resources.build(this.device, snapshot);
+        await this.onRestored?.(this.device, snapshot?.state);
+        this.recoveries++;
+        this.recovering = false;
+        console.log(`[Device Recovery] Recovered on attempt ${attempt}` +
+          (snapshot ? `, restored the snapshot from ${Math.round(performance.now() - snapshot.time)} ms ago` : ''));
+        this.__schedule();
+        return;
+      } catch (error) {
+        lastError = error;
+        console.warn(`[Device Recovery] Attempt ${attempt} failed:`, error);
+      }
+    }
+    if (!this.stopped) {
+      reportError(new Error(`Could not recover from device loss: ${lastError?.message}`),
+        { category: ErrorCategory.DEVICE_LOST, fatal: true });
+    }
+  }
+
+  /** Stop the loop, release the resources and the device; no recovery happens afterwards */
+  destroy() {
+    this.stopped = true;
+    this.stopLoop();
+    this.resources.destroy();
+    this.device?.destroy();
+  }
+}
+
+export { ResourceRegistry, RecoverableDevice };
@@ -0,0 +1,218 @@
+// Error reporting shared by the samples: one in-page dialog listing what went wrong, with
+// the message, stack and adapter info. Errors are categorized, repeated errors are folded
+// into one entry with a count, and fatal errors run the cleanup hooks samples register.
+//
+// Usage:
+//   onCleanup(() => { cancelAnimationFrame(frameId); buffers.forEach(b => b.destroy()); });
+//   try { ... } catch (error) { reportError(error); }
+//
+// Uncaught exceptions and unhandled promise rejections are reported automatically, without
+// stopping the sample; code that cannot go on after an error reports it with { fatal: true }.
+
+const ErrorCategory = Object.freeze({
+  ADAPTER_UNAVAILABLE: 'adapter-unavailable',
+  DEVICE_LOST: 'device-lost',
+  VALIDATION: 'validation',
+  OUT_OF_MEMORY: 'out-of-memory',
+  SHADER_COMPILE: 'shader-compile',
+  UNCAUGHT: 'uncaught'
+});
+
+// Categories that stop the sample unless reportError is told otherwise
+const FATAL_CATEGORIES = new Set([
+  ErrorCategory.ADAPTER_UNAVAILABLE,
+  ErrorCategory.DEVICE_LOST,
+  ErrorCategory.OUT_OF_MEMORY,
+  ErrorCategory.SHADER_COMPILE
+]);
+
+const CATEGORY_TITLES = {
+  [ErrorCategory.ADAPTER_UNAVAILABLE]: 'WebGPU unavailable',
+  [ErrorCategory.DEVICE_LOST]: 'GPU device lost',
+  [ErrorCategory.VALIDATION]: 'WebGPU validation error',
+  [ErrorCategory.OUT_OF_MEMORY]: 'GPU out of memory',
+  [ErrorCategory.SHADER_COMPILE]: 'Shader compilation failed',
+  [ErrorCategory.UNCAUGHT]: 'Error'
+};
+
+const CSS = `
+.error-report { position: fixed; top: 16px; left: 50%; transform: translateX(-50%); z-index: 2000;
+  width: min(720px, calc(100vw - 32px)); max-height: calc(100vh - 32px); overflow: auto;
+  background: #1a1a1a; color: #eee; border: 1px solid #c33; font: 12px sans-serif; box-shadow: 0 4px 24px #000; }
+.error-report .bar { display: flex; justify-content: space-between; align-items: center; padding: 6px 10px; background: #400; }
+.error-report button { background: #303030; color: #eee; border: 0; padding: 2px 8px; cursor: pointer; }
+.error-report .entry { padding: 8px 10px; border-top: 1px solid #2c2c2c; }
+.error-report .title { font-weight: bold; color: #f66; }
+.error-report .count { color: #888; margin-left: 6px; }
+.error-report pre { white-space: pre-wrap; margin: 4px 0 0; font: 11px monospace; color: #ccc; }
+.error-report summary { cursor: pointer; color: #888; margin-top: 4px; }
+`;
+
+const entries = new Map(); // dedupe key -> entry
+const reported = new WeakSet(); // error objects already reported, e.g. rethrown by fail()
+const cleanupHooks = new Set();
+let adapterInfo = null;
+let cleanedUp = false;
+let dialog = null;
+
+/** Category of an error: an explicit `category` property, the GPUError class, or uncaught */
+function categorizeError(error) {
+  if (error?.category) return error.category;
+  if (typeof GPUValidationError !== 'undefined' && error instanceof GPUValidationError) return ErrorCategory.VALIDATION;
+  if (typeof GPUOutOfMemoryError !== 'undefined' && error instanceof GPUOutOfMemoryError) return ErrorCategory.OUT_OF_MEMORY;
+  if (error?.name === 'ShaderCompileError' || error?.name === 'WGSLPreprocessError') return ErrorCategory.SHADER_COMPILE;
+  return ErrorCategory.UNCAUGHT;
+}
+
+/** Record the adapter so reports include its vendor and architecture */
+function setAdapterInfo(adapter) {
+  const info = adapter?.info;
+  adapterInfo = info
+    ? [info.vendor, info.architecture, info.device, info.description].filter(Boolean).join(' / ') || 'unknown adapter'
+    : null;
+}
+
+/**
+ * Register a function to run once when a fatal error is reported (stop animation loops,
+ * destroy buffers, unconfigure contexts). Returns a function that unregisters it.
+ */
+function onCleanup(hook) {
+  cleanupHooks.add(hook);
+  return () => cleanupHooks.delete(hook);
+}
+
+// Helper to run every cleanup hook once; a failing hook does not stop the others
+function runCleanup() {
+  if (cleanedUp) return;
+  cleanedUp = true;
+  cleanupHooks.forEach(hook => {
+    try {
+      hook();
+    } catch (error) {
+      console.error('[Error Reporter] Cleanup hook failed:', error);
+    }
+  });
+  cleanupHooks.clear();
+}
+
+// Helper to build (once) the dialog element
+function getDialog() {
+  if (dialog || typeof document === 'undefined') return dialog;
+  const style = document.createElement('style');
+  style.textContent = CSS;
+  document.head.appendChild(style);
+
+  dialog = document.createElement('div');
+  dialog.className = 'error-report';
+  dialog.setAttribute('role', 'alertdialog');
+  const bar = document.createElement('div');
+  bar.className = 'bar';
+  const heading = document.createElement('span');
+  heading.textContent = 'Something went wrong';
+  const close = document.createElement('button');
+  close.textContent = 'Dismiss';
+  close.addEventListener('click', () => { dialog.style.display = 'none'; });
+  bar.append(heading, close);
+  dialog.append(bar);
+  document.body.appendChild(dialog);
+  return dialog;
+}
+
+// Helper to render one dialog entry
+function renderEntry(entry) {
+  if (!entry.element) {
+    entry.element = document.createElement('div');
+    entry.element.className = 'entry';
+    getDialog().append(entry.element);
+  }
+  const title = document.createElement('span');
+  title.className = 'title';
+  title.textContent = `${CATEGORY_TITLES[entry.category] || entry.category}${entry.fatal ? ' (stopped)' : ''}`;
+  const count = document.createElement('span');
+  count.className = 'count';
+  count.textContent = entry.count > 1 ? `x${entry.count}` : '';
+  const message = document.createElement('pre');
+  message.textContent = entry.message;
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = 'details';
+  const info = document.createElement('pre');
+  info.textContent = [
+    `adapter: ${entry.adapter || 'not available'}`,
+    `first seen: ${entry.time.toISOString()}`,
+    entry.stack
+  ].filter(Boolean).join('\n');
+  details.append(summary, info);
+  entry.element.replaceChildren(title, count, message, details);
+  dialog.style.display = '';
+}
+
+/**
+ * Report an error: log it, show it in the dialog (folding repeats of the same category and
+ * message) and, if fatal, run the cleanup hooks. `error` may be an Error, a GPUError or a
+ * string. Validation and uncaught errors are not fatal unless `fatal` says so; the other
+ * categories are. Returns the category it was filed under.
+ */
+function reportError(error, { category = categorizeError(error), fatal = FATAL_CATEGORIES.has(category) } = {}) {
+  if (error && typeof error === 'object') {
+    if (reported.has(error)) return category;
+    reported.add(error);
+  }
+  const message = error?.message || String(error);
+  const key = `${category}\n${message}`;
+
+  let entry = entries.get(key);
+  if (entry) {
+    entry.count++;
+  } else {
+    entry = {
+      category,
+      message,
+      stack: error?.stack && !error.stack.includes(message) ? `${message}\n${error.stack}` : error?.stack || '',
+      adapter: adapterInfo,
+      time: new Date(),
+      count: 1,
+      fatal,
+      element: null
+    };
+    entries.set(key, entry);
+    console.error(`[WebGPU ${category}]`, message, error);
+  }
+  entry.fatal ||= fatal;
+  if (getDialog()) renderEntry(entry);
+  if (fatal) runCleanup();
+  return category;
+}
+
+/**
+ * Report a device's uncaptured errors and its loss (explicit destroy() is not reported).
+ * Pass { reportLoss: false } when something else handles the loss, e.g. device-recovery.js.
+ */
+function watchDevice(device, { reportLoss = true } = {}) {
+  device.addEventListener('uncapturederror', (event) => {
+    reportError(event.error);
+  });
+  if (!reportLoss) return;
+  device.lost.then((info) => {
+    if (info.reason === 'destroyed') return;
+    reportError(new Error(`Device lost ("${info.reason}"):\n${info.message}`), { category: ErrorCategory.DEVICE_LOST });
+  });
+}
+
+// Show uncaught exceptions and unhandled promise rejections
+globalThis.addEventListener('unhandledrejection', (event) => {
+  reportError(event.reason);
+});
+
+globalThis.addEventListener('error', (event) => {
+  reportError(event.error ?? event.message);
+});
+
+export {
+  ErrorCategory,
+  categorizeError,
+  reportError,
+  onCleanup,
+  setAdapterInfo,
+  watchDevice
+};
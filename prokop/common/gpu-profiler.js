@@ -0,0 +1,385 @@
+// Per-pass timing. When the device has the 'timestamp-query' feature, passes get
+// timestampWrites into a query set that is resolved at the end of each frame and read back
+// through a small ring of buffers, a few frames late. Otherwise passes are timed with
+// performance.now() around their encoding, which only shows the CPU cost of recording them.
+//
+// Usage:
+//   const profiler = new GPUProfiler(device);
+//   const pass = profiler.beginComputePass(encoder, 'update');
+//   ... pass.end();
+//   profiler.endFrame(encoder);          // before encoder.finish()
+//   device.queue.submit([encoder.finish()]);
+//   profiler.afterSubmit();
+//   profiler.stats('update');            // { last, min, avg, max, passes } in milliseconds
+//   new ProfilerGraph(profiler, { title: 'Boids' });
+//
+// Passes with the same name in one frame are added up, e.g. several simulation steps.
+
+const TIMESTAMP_FEATURE = 'timestamp-query';
+
+// Bytes per resolved timestamp (u64 nanoseconds)
+const TIMESTAMP_SIZE = 8;
+
+class GPUProfiler {
+  /**
+   * @param {GPUDevice} device
+   * @param {object} [options]
+   * @param {number} [options.maxPasses=64]    timed passes per frame; later ones go untimed
+   * @param {number} [options.ringSize=3]      readback buffers; frames finding none in use
+   *                                           are dropped rather than stalling
+   * @param {number} [options.historySize=120] frames kept for the statistics and the graph
+   */
+  constructor(device, { maxPasses = 64, ringSize = 3, historySize = 120 } = {}) {
+    this.maxPasses = maxPasses;
+    this.ringSize = ringSize;
+    this.historySize = historySize;
+    this.frame = 0;
+    this.droppedFrames = 0;
+    this.history = new Map();
+    this.__passes = [];
+    this.__cpuTimes = [];
+    this.__submitted = null;
+    this.__warnedCapacity = false;
+    this.__listeners = new Set();
+    this.setDevice(device);
+  }
+
+  /** Use another device, e.g. after device-recovery.js rebuilt it; the history is kept */
+  setDevice(device) {
+    this.__destroyQueries();
+    this.device = device;
+    this.gpuTiming = device.features.has(TIMESTAMP_FEATURE);
+    this.__passes = [];
+    this.__cpuTimes = [];
+    this.__submitted = null;
+    if (!this.gpuTiming) return;
+
+    const count = this.maxPasses * 2;
+    this.__querySet = device.createQuerySet({ label: 'profiler timestamps', type: 'timestamp', count });
+    this.__resolveBuffer = device.createBuffer({
+      label: 'profiler resolve',
+      size: count * TIMESTAMP_SIZE,
+      usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC
+    });
+    this.__readbacks = Array.from({ length: this.ringSize }, (_, i) => ({
+      buffer: device.createBuffer({
+        label: `profiler readback ${i}`,
+        size: count * TIMESTAMP_SIZE,
+        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+      }),
+      passes: null,
+      busy: false
+    }));
+  }
+
+  __destroyQueries() {
+    this.__querySet?.destroy();
+    this.__resolveBuffer?.destroy();
+    this.__readbacks?.forEach(readback => readback.buffer.destroy());
+    this.__querySet = this.__resolveBuffer = this.__readbacks = null;
+  }
+
+  /**
+   * timestampWrites for the next pass named `name`, or undefined when timestamps are not
+   * available or this frame already used maxPasses
+   */
+  timestampWrites(name) {
+    if (!this.gpuTiming) return undefined;
+    if (this.__passes.length >= this.maxPasses) {
+      if (!this.__warnedCapacity) {
+        console.warn(`[GPU Profiler] More than ${this.maxPasses} passes in a frame; the rest are not timed`);
+        this.__warnedCapacity = true;
+      }
+      return undefined;
+    }
+    const index = this.__passes.push(name) - 1;
+    return {
+      querySet: this.__querySet,
+      beginningOfPassWriteIndex: 2 * index,
+      endOfPassWriteIndex: 2 * index + 1
+    };
+  }
+
+  beginComputePass(encoder, name, descriptor = {}) {
+    return this.__beginPass(encoder, 'beginComputePass', name, descriptor);
+  }
+
+  beginRenderPass(encoder, name, descriptor) {
+    return this.__beginPass(encoder, 'beginRenderPass', name, descriptor);
+  }
+
+  __beginPass(encoder, method, name, descriptor) {
+    const timestampWrites = this.timestampWrites(name);
+    const passDescriptor = { label: name, ...descriptor };
+    if (timestampWrites) return encoder[method]({ ...passDescriptor, timestampWrites });
+    const pass = encoder[method](passDescriptor);
+    if (this.gpuTiming) return pass;
+
+    // CPU fallback: time from begin to end() of the encoding
+    const start = performance.now();
+    const end = pass.end.bind(pass);
+    pass.end = () => {
+      end();
+      this.__cpuTimes.push([name, performance.now() - start]);
+    };
+    return pass;
+  }
+
+  /** Resolve this frame's timestamps into a free readback buffer; call before finish() */
+  endFrame(encoder) {
+    if (!this.gpuTiming) {
+      if (this.__cpuTimes.length) this.__record(this.__cpuTimes);
+      this.__cpuTimes = [];
+      return;
+    }
+    const passes = this.__passes;
+    this.__passes = [];
+    if (!passes.length) return;
+    const readback = this.__readbacks.find(r => !r.busy);
+    if (!readback) {
+      this.droppedFrames++;
+      return;
+    }
+    const count = passes.length * 2;
+    encoder.resolveQuerySet(this.__querySet, 0, count, this.__resolveBuffer, 0);
+    encoder.copyBufferToBuffer(this.__resolveBuffer, 0, readback.buffer, 0, count * TIMESTAMP_SIZE);
+    readback.passes = passes;
+    readback.busy = true;
+    this.__submitted = readback;
+  }
+
+  /** Start reading back the frame resolved by endFrame(); call after the submit */
+  afterSubmit() {
+    const readback = this.__submitted;
+    this.__submitted = null;
+    if (!readback) return;
+    const device = this.device;
+    const size = readback.passes.length * 2 * TIMESTAMP_SIZE;
+    readback.buffer.mapAsync(GPUMapMode.READ, 0, size).then(() => {
+      const timestamps = new BigUint64Array(readback.buffer.getMappedRange(0, size));
+      // Timestamps may go backwards on some hardware; such passes count as 0
+      const times = readback.passes.map((name, i) => {
+        const ns = Number(timestamps[2 * i + 1] - timestamps[2 * i]);
+        return [name, Math.max(0, ns) / 1e6];
+      });
+      readback.buffer.unmap();
+      readback.busy = false;
+      if (device === this.device) this.__record(times);
+    }, (error) => {
+      // Expected when the device is lost or replaced meanwhile
+      readback.busy = false;
+      if (device === this.device) console.warn('[GPU Profiler] Readback failed:', error.message);
+    });
+  }
+
+  // Add one frame's [name, ms] pairs to the history
+  __record(times) {
+    const frame = this.frame++;
+    const totals = new Map();
+    times.forEach(([name, ms]) => {
+      const total = totals.get(name) || { ms: 0, passes: 0 };
+      total.ms += ms;
+      total.passes++;
+      totals.set(name, total);
+    });
+    totals.forEach(({ ms, passes }, name) => {
+      if (!this.history.has(name)) this.history.set(name, []);
+      const samples = this.history.get(name);
+      samples.push({ frame, ms, passes });
+      if (samples.length > this.historySize) samples.shift();
+    });
+    // Forget samples that fell out of the window for passes no longer running
+    this.history.forEach((samples, name) => {
+      while (samples.length && samples[0].frame <= frame - this.historySize) samples.shift();
+      if (!samples.length) this.history.delete(name);
+    });
+    this.__listeners.forEach(listener => listener(totals, frame));
+  }
+
+  /** Names of the passes with samples in the history */
+  get names() {
+    return [...this.history.keys()];
+  }
+
+  /** Rolling statistics for a pass over the history, in milliseconds; null without samples */
+  stats(name) {
+    const samples = this.history.get(name);
+    if (!samples?.length) return null;
+    let min = Infinity, max = -Infinity, sum = 0;
+    samples.forEach(({ ms }) => {
+      if (ms < min) min = ms;
+      if (ms > max) max = ms;
+      sum += ms;
+    });
+    const last = samples[samples.length - 1];
+    return { last: last.ms, min, avg: sum / samples.length, max, passes: last.passes };
+  }
+
+  /** Call `listener(totals, frame)` for every frame read back. Returns a function that removes it. */
+  onResults(listener) {
+    this.__listeners.add(listener);
+    return () => this.__listeners.delete(listener);
+  }
+
+  reset() {
+    this.history.clear();
+  }
+
+  destroy() {
+    this.__listeners.clear();
+    this.__destroyQueries();
+  }
+}
+
+const CSS = `
+.profiler-graph { position: fixed; right: 8px; bottom: 8px; z-index: 1000; padding: 6px;
+  background: rgba(0, 0, 0, 0.8); color: #eee; font: 11px monospace; }
+.profiler-graph.hidden { display: none; }
+.profiler-graph .mode { color: #888; }
+.profiler-graph canvas { display: block; margin: 4px 0; }
+.profiler-graph table { border-collapse: collapse; }
+.profiler-graph td, .profiler-graph th { padding: 0 6px; text-align: right; }
+.profiler-graph th { color: #888; font-weight: normal; }
+.profiler-graph td:first-child { text-align: left; }
+`;
+
+const COLORS = ['#2fa1d6', '#f5a623', '#7ed321', '#d0021b', '#bd10e0', '#f8e71c', '#50e3c2', '#9b9b9b'];
+
+let cssInjected = false;
+
+// Helper to create an element with a class name and optional text
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// Helper to format milliseconds with a useful number of digits
+function formatMs(ms) {
+  return ms < 1 ? ms.toFixed(3) : ms.toFixed(2);
+}
+
+/** On-page graph of a GPUProfiler's per-pass times with rolling min/avg/max */
+class ProfilerGraph {
+  /**
+   * @param {GPUProfiler} profiler
+   * @param {object} [options]
+   * @param {string} [options.title='GPU timings']
+   * @param {number} [options.width=240]     graph size in CSS pixels
+   * @param {number} [options.height=80]
+   * @param {number} [options.interval=250]  milliseconds between redraws
+   * @param {boolean} [options.visible=true]
+   */
+  constructor(profiler, {
+    title = 'GPU timings',
+    width = 240,
+    height = 80,
+    interval = 250,
+    visible = true,
+    parent = document.body
+  } = {}) {
+    if (!cssInjected) {
+      const style = document.createElement('style');
+      style.textContent = CSS;
+      document.head.appendChild(style);
+      cssInjected = true;
+    }
+
+    this.profiler = profiler;
+    this.interval = interval;
+    this.__colors = new Map();
+    this.__lastDraw = -Infinity;
+
+    this.domElement = element('div', 'profiler-graph');
+    const header = element('div');
+    this.__mode = element('span', 'mode');
+    header.append(element('span', '', `${title} `), this.__mode);
+    this.__canvas = element('canvas');
+    const dpr = window.devicePixelRatio || 1;
+    this.__canvas.width = Math.round(width * dpr);
+    this.__canvas.height = Math.round(height * dpr);
+    this.__canvas.style.width = `${width}px`;
+    this.__canvas.style.height = `${height}px`;
+    this.__table = element('table');
+    this.domElement.append(header, this.__canvas, this.__table);
+    parent.appendChild(this.domElement);
+
+    this.visible = visible;
+    this.__unsubscribe = profiler.onResults(() => {
+      const now = performance.now();
+      if (!this.visible || now - this.__lastDraw < this.interval) return;
+      this.__lastDraw = now;
+      this.draw();
+    });
+    this.draw();
+  }
+
+  get visible() {
+    return !this.domElement.classList.contains('hidden');
+  }
+
+  set visible(visible) {
+    this.domElement.classList.toggle('hidden', !visible);
+  }
+
+  __color(name) {
+    if (!this.__colors.has(name)) this.__colors.set(name, COLORS[this.__colors.size % COLORS.length]);
+    return this.__colors.get(name);
+  }
+
+  /** Redraw the graph and the table from the profiler's history */
+  draw() {
+    const profiler = this.profiler;
+    this.__mode.textContent = profiler.gpuTiming
+      ? `(timestamp-query${profiler.droppedFrames ? `, ${profiler.droppedFrames} frames dropped` : ''})`
+      : '(CPU encoding time, no timestamp-query)';
+
+    const names = profiler.names;
+    const stats = names.map(name => profiler.stats(name));
+    const canvas = this.__canvas;
+    const ctx = canvas.getContext('2d');
+    if (ctx) {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      // Scale to the largest sample, with a little headroom
+      const top = Math.max(...stats.map(s => s.max), 1e-3) * 1.1;
+      const firstFrame = profiler.frame - profiler.historySize;
+      const x = frame => ((frame - firstFrame) / (profiler.historySize - 1)) * canvas.width;
+      const y = ms => canvas.height - (ms / top) * canvas.height;
+      ctx.lineWidth = window.devicePixelRatio || 1;
+      names.forEach((name) => {
+        ctx.strokeStyle = this.__color(name);
+        ctx.beginPath();
+        profiler.history.get(name).forEach(({ frame, ms }, i) => {
+          if (i === 0) ctx.moveTo(x(frame), y(ms));
+          else ctx.lineTo(x(frame), y(ms));
+        });
+        ctx.stroke();
+      });
+      ctx.fillStyle = '#888';
+      ctx.font = `${10 * (window.devicePixelRatio || 1)}px monospace`;
+      ctx.textBaseline = 'top';
+      ctx.fillText(`${formatMs(top)} ms`, 2, 2);
+    }
+
+    this.__table.replaceChildren();
+    const head = element('tr');
+    head.append(...['pass', 'last', 'min', 'avg', 'max'].map(label => element('th', '', label)));
+    this.__table.append(head);
+    names.forEach((name, i) => {
+      const { last, min, avg, max, passes } = stats[i];
+      const label = element('td', '', passes > 1 ? `${name} ×${passes}` : name);
+      label.style.color = this.__color(name);
+      const tr = element('tr');
+      tr.append(label, ...[last, min, avg, max].map(ms => element('td', '', formatMs(ms))));
+      this.__table.append(tr);
+    });
+  }
+
+  destroy() {
+    this.__unsubscribe();
+    this.domElement.remove();
+  }
+}
+
+export { GPUProfiler, ProfilerGraph, TIMESTAMP_FEATURE };
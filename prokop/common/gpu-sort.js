@@ -0,0 +1,628 @@
+// GPU sorting of 32-bit keys, optionally carrying a 32-bit value per key, in place in
+// caller-supplied buffers. Two backends:
+//   bitonic  compare-and-swap network, local (workgroup memory) and global steps
+//   radix    LSD radix sort, 4 bits per pass: histogram, scan of block offsets, stable scatter
+//
+// i32 and f32 keys are mapped to u32 keys with the same order before sorting and mapped back
+// afterwards; descending order inverts the mapped keys. Lengths are padded (to a power of two
+// for bitonic, to whole tiles for radix) with 0xffffffff sentinels, dropped when the result is
+// copied back. Real keys can map to 0xffffffff too, so the padding must not depend on the key
+// order to stay behind them: the bitonic network skips every compare whose upper slot is
+// padding (each compare moves the smaller key down, so padding treated as +infinity would never
+// move), and the stable radix sort keeps the padding behind equal real keys.
+
+import { createPipeline, createBindGroup, getPipelineReflection } from './webgpu-utils.js';
+import { getStructLayout, serialize } from './struct-layout.js';
+
+// Bitonic step kinds
+const ALGO_NONE = 0;
+const ALGO_LOCAL_FLIP = 1;
+const ALGO_LOCAL_DISPERSE = 2;
+const ALGO_GLOBAL_FLIP = 3;
+const ALGO_GLOBAL_DISPERSE = 4;
+
+const KEY_TYPES = { u32: 0, i32: 1, f32: 2 };
+const RADIX_TILE = 256;
+const RADIX_BITS = 4;
+const TRANSFORM_WORKGROUP_SIZE = 256;
+
+// Arrays at least this long use the radix backend when backend is 'auto'
+const RADIX_THRESHOLD = 1 << 16;
+
+/**
+ * Steps of a bitonic sort over `totalElements` (a power of two): for each block size a flip
+ * followed by disperses of halving span, n(n + 1) / 2 steps for n = log2(totalElements).
+ * Spans that fit in one workgroup's 2 * workgroupSize elements run as local steps.
+ */
+function bitonicSteps(totalElements, workgroupSize) {
+  const localSpan = workgroupSize * 2;
+  const steps = [];
+  for (let block = 2; block <= totalElements; block *= 2) {
+    steps.push({ algo: block > localSpan ? ALGO_GLOBAL_FLIP : ALGO_LOCAL_FLIP, blockHeight: block });
+    for (let span = block / 2; span >= 2; span /= 2) {
+      steps.push({ algo: span > localSpan ? ALGO_GLOBAL_DISPERSE : ALGO_LOCAL_DISPERSE, blockHeight: span });
+    }
+  }
+  return steps;
+}
+
+// Key mapping to order-preserving u32 and back, run before and after either backend
+const transformWGSL = (withValues) => `
+struct TransformParams {
+  count: u32,
+  padded_count: u32,
+}
+
+override key_type: u32 = 0u; // 0 = u32, 1 = i32, 2 = f32
+override descending: bool = false;
+
+@group(0) @binding(0) var<storage, read_write> keys: array<u32>;
+${withValues ? '@group(0) @binding(1) var<storage, read_write> values: array<u32>;' : ''}
+@group(0) @binding(2) var<uniform> params: TransformParams;
+
+fn encode(key: u32) -> u32 {
+  var k = key;
+  if (key_type == 1u) {
+    k = key ^ 0x80000000u;
+  } else if (key_type == 2u) {
+    // Negative floats order reversed, positive floats after them
+    k = select(key | 0x80000000u, ~key, (key & 0x80000000u) != 0u);
+  }
+  return select(k, ~k, descending);
+}
+
+fn decode(encoded: u32) -> u32 {
+  let k = select(encoded, ~encoded, descending);
+  if (key_type == 1u) {
+    return k ^ 0x80000000u;
+  }
+  if (key_type == 2u) {
+    return select(~k, k & 0x7fffffffu, (k & 0x80000000u) != 0u);
+  }
+  return k;
+}
+
+@compute @workgroup_size(${TRANSFORM_WORKGROUP_SIZE})
+fn prepare(@builtin(global_invocation_id) id: vec3u) {
+  let i = id.x;
+  if (i >= params.padded_count) {
+    return;
+  }
+  if (i < params.count) {
+    keys[i] = encode(keys[i]);
+  } else {
+    keys[i] = 0xffffffffu;
+    ${withValues ? 'values[i] = 0u;' : ''}
+  }
+}
+
+@compute @workgroup_size(${TRANSFORM_WORKGROUP_SIZE})
+fn finish(@builtin(global_invocation_id) id: vec3u) {
+  let i = id.x;
+  if (i < params.count) {
+    keys[i] = decode(keys[i]);
+  }
+}
+`;
+
+// In-place bitonic network over a power-of-two array, one invocation per compared pair
+const bitonicWGSL = (workgroupSize, withValues) => `
+struct BitonicParams {
+  algo: u32,
+  block_height: u32,
+}
+
+// TransformParams of the transform passes; slots at or past count are padding
+struct SortRange {
+  count: u32,
+  padded_count: u32,
+}
+
+var<workgroup> local_keys: array<u32, ${workgroupSize * 2}>;
+${withValues ? `var<workgroup> local_values: array<u32, ${workgroupSize * 2}>;` : ''}
+
+@group(0) @binding(0) var<storage, read_write> keys: array<u32>;
+${withValues ? '@group(0) @binding(1) var<storage, read_write> values: array<u32>;' : ''}
+@group(0) @binding(2) var<uniform> params: BitonicParams;
+@group(0) @binding(3) var<uniform> sort_range: SortRange;
+
+fn local_compare_and_swap(a: u32, b: u32) {
+  let key_a = local_keys[a];
+  let key_b = local_keys[b];
+  if (key_b < key_a) {
+    local_keys[a] = key_b;
+    local_keys[b] = key_a;
+    ${withValues ? `let value_a = local_values[a];
+    local_values[a] = local_values[b];
+    local_values[b] = value_a;` : ''}
+  }
+}
+
+fn global_compare_and_swap(a: u32, b: u32) {
+  let key_a = keys[a];
+  let key_b = keys[b];
+  if (key_b < key_a) {
+    keys[a] = key_b;
+    keys[b] = key_a;
+    ${withValues ? `let value_a = values[a];
+    values[a] = values[b];
+    values[b] = value_a;` : ''}
+  }
+}
+
+fn pair_indices(invoke_id: u32, block_height: u32, flip: bool) -> vec2u {
+  let block_offset = ((2u * invoke_id) / block_height) * block_height;
+  let half_height = block_height / 2u;
+  let i = invoke_id % half_height;
+  return vec2u(i, select(i + half_height, block_height - i - 1u, flip)) + block_offset;
+}
+
+@compute @workgroup_size(${workgroupSize})
+fn main(
+  @builtin(global_invocation_id) global_id: vec3u,
+  @builtin(local_invocation_id) local_id: vec3u,
+  @builtin(workgroup_id) workgroup_id: vec3u,
+) {
+  let offset = ${workgroupSize * 2}u * workgroup_id.x;
+  let is_local = params.algo == ${ALGO_LOCAL_FLIP}u || params.algo == ${ALGO_LOCAL_DISPERSE}u;
+  let flip = params.algo == ${ALGO_LOCAL_FLIP}u || params.algo == ${ALGO_GLOBAL_FLIP}u;
+
+  if (is_local) {
+    for (var k = 0u; k < 2u; k++) {
+      let j = local_id.x * 2u + k;
+      local_keys[j] = keys[offset + j];
+      ${withValues ? 'local_values[j] = values[offset + j];' : ''}
+    }
+  }
+  workgroupBarrier();
+
+  if (is_local) {
+    let idx = pair_indices(local_id.x, params.block_height, flip);
+    if (offset + idx.y < sort_range.count) {
+      local_compare_and_swap(idx.x, idx.y);
+    }
+  } else {
+    let idx = pair_indices(global_id.x, params.block_height, flip);
+    if (idx.y < sort_range.count) {
+      global_compare_and_swap(idx.x, idx.y);
+    }
+  }
+  workgroupBarrier();
+
+  if (is_local) {
+    for (var k = 0u; k < 2u; k++) {
+      let j = local_id.x * 2u + k;
+      keys[offset + j] = local_keys[j];
+      ${withValues ? 'values[offset + j] = local_values[j];' : ''}
+    }
+  }
+}
+`;
+
+// One LSD radix pass over whole tiles of RADIX_TILE keys. block_sums holds per-tile digit
+// counts digit-major (digit * num_blocks + block), so its exclusive scan gives every tile's
+// output offset per digit.
+const radixWGSL = (withValues) => `
+const BINS = ${1 << RADIX_BITS}u;
+const TILE = ${RADIX_TILE}u;
+
+struct RadixParams {
+  shift: u32,
+  num_blocks: u32,
+}
+
+@group(0) @binding(0) var<storage, read> keys_in: array<u32>;
+@group(0) @binding(1) var<storage, read_write> keys_out: array<u32>;
+${withValues ? `@group(0) @binding(2) var<storage, read> values_in: array<u32>;
+@group(0) @binding(3) var<storage, read_write> values_out: array<u32>;` : ''}
+@group(0) @binding(4) var<storage, read_write> block_sums: array<u32>;
+@group(0) @binding(5) var<uniform> params: RadixParams;
+
+var<workgroup> bin_counts: array<atomic<u32>, BINS>;
+var<workgroup> bin_offsets: array<u32, BINS>;
+var<workgroup> scan: array<u32, TILE>;
+
+// Inclusive Hillis-Steele scan of scan[] across the workgroup
+fn scan_tile(lid: u32) {
+  for (var offset = 1u; offset < TILE; offset *= 2u) {
+    let add = select(0u, scan[max(lid, offset) - offset], lid >= offset);
+    workgroupBarrier();
+    scan[lid] += add;
+    workgroupBarrier();
+  }
+}
+
+@compute @workgroup_size(${RADIX_TILE})
+fn histogram(
+  @builtin(local_invocation_id) local_id: vec3u,
+  @builtin(workgroup_id) workgroup_id: vec3u,
+) {
+  if (local_id.x < BINS) {
+    atomicStore(&bin_counts[local_id.x], 0u);
+  }
+  workgroupBarrier();
+  let digit = (keys_in[workgroup_id.x * TILE + local_id.x] >> params.shift) & (BINS - 1u);
+  atomicAdd(&bin_counts[digit], 1u);
+  workgroupBarrier();
+  if (local_id.x < BINS) {
+    block_sums[local_id.x * params.num_blocks + workgroup_id.x] = atomicLoad(&bin_counts[local_id.x]);
+  }
+}
+
+// Exclusive scan of block_sums in place, by a single workgroup walking it one tile at a time
+@compute @workgroup_size(${RADIX_TILE})
+fn scan_blocks(@builtin(local_invocation_id) local_id: vec3u) {
+  let total = BINS * params.num_blocks;
+  var carry = 0u;
+  for (var base = 0u; base < total; base += TILE) {
+    let i = base + local_id.x;
+    let value = select(0u, block_sums[min(i, total - 1u)], i < total);
+    scan[local_id.x] = value;
+    workgroupBarrier();
+    scan_tile(local_id.x);
+    if (i < total) {
+      block_sums[i] = carry + scan[local_id.x] - value;
+    }
+    carry += scan[TILE - 1u];
+    workgroupBarrier();
+  }
+}
+
+// Stable scatter: rank among equal digits in the tile comes from one scan per digit
+@compute @workgroup_size(${RADIX_TILE})
+fn scatter(
+  @builtin(local_invocation_id) local_id: vec3u,
+  @builtin(workgroup_id) workgroup_id: vec3u,
+) {
+  let i = workgroup_id.x * TILE + local_id.x;
+  let key = keys_in[i];
+  let digit = (key >> params.shift) & (BINS - 1u);
+  if (local_id.x < BINS) {
+    bin_offsets[local_id.x] = block_sums[local_id.x * params.num_blocks + workgroup_id.x];
+  }
+
+  var rank = 0u;
+  for (var d = 0u; d < BINS; d++) {
+    scan[local_id.x] = select(0u, 1u, digit == d);
+    workgroupBarrier();
+    scan_tile(local_id.x);
+    if (digit == d) {
+      rank = scan[local_id.x] - 1u;
+    }
+    workgroupBarrier();
+  }
+
+  let dest = bin_offsets[digit] + rank;
+  keys_out[dest] = key;
+  ${withValues ? 'values_out[dest] = values_in[i];' : ''}
+}
+`;
+
+// Helper to round up to the next power of two (at least 2)
+function nextPowerOfTwo(n) {
+  return Math.max(2, 2 ** Math.ceil(Math.log2(n)));
+}
+
+// Helper to check a caller buffer can be copied in and out and holds `count` 32-bit elements
+function checkSortBuffer(buffer, count, what) {
+  if (typeof buffer?.usage !== 'number') {
+    throw new Error(`GpuSorter: ${what} must be a GPUBuffer`);
+  }
+  const needed = GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST;
+  if ((buffer.usage & needed) !== needed) {
+    throw new Error(`GpuSorter: ${what} buffer '${buffer.label || '(unlabeled)'}' needs COPY_SRC | COPY_DST usage`);
+  }
+  if (buffer.size < count * 4) {
+    throw new Error(`GpuSorter: ${what} buffer holds ${buffer.size / 4} elements, ${count} requested`);
+  }
+}
+
+// Helper to write one uniform struct per slot, each at a multiple of the offset alignment
+function writeUniformSlots(device, layout, values, label) {
+  const alignment = device.limits.minUniformBufferOffsetAlignment;
+  const stride = Math.ceil(layout.size / alignment) * alignment;
+  const buffer = device.createBuffer({
+    label,
+    size: stride * values.length,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+  });
+  const data = new ArrayBuffer(buffer.size);
+  values.forEach((value, i) => serialize(layout, value, { target: data, byteOffset: i * stride }));
+  device.queue.writeBuffer(buffer, 0, data);
+  return values.map((_, i) => ({ buffer, offset: i * stride, size: layout.size }));
+}
+
+/**
+ * Sorts keys (and optional values) in place in caller buffers.
+ *
+ *   const sorter = new GpuSorter(device, { keyType: 'f32', values: true });
+ *   await sorter.sort(keyBuffer, { count, values: valueBuffer, order: 'descending' });
+ *
+ * Options: keyType 'u32' | 'i32' | 'f32', values (sort key-value pairs), backend
+ * 'auto' | 'bitonic' | 'radix'. Caller buffers need COPY_SRC | COPY_DST usage; values are
+ * moved as opaque 32-bit words. sort() resolves once the work is submitted. The radix
+ * backend is stable, bitonic is not.
+ *
+ * To sort as part of a frame, prepare() once per count and encode() into the frame's encoder:
+ *
+ *   await sorter.prepare(count);
+ *   sorter.encode(commandEncoder, keyBuffer, { count, values: valueBuffer });
+ */
+class GpuSorter {
+  constructor(device, { keyType = 'u32', values = false, backend = 'auto' } = {}) {
+    if (!(keyType in KEY_TYPES)) {
+      throw new Error(`GpuSorter: unsupported key type '${keyType}' (expected ${Object.keys(KEY_TYPES).join(', ')})`);
+    }
+    if (!['auto', 'bitonic', 'radix'].includes(backend)) {
+      throw new Error(`GpuSorter: unknown backend '${backend}'`);
+    }
+    this.device = device;
+    this.keyType = keyType;
+    this.withValues = Boolean(values);
+    this.backend = backend;
+    this.maxWorkgroupSize = Math.min(256, device.limits.maxComputeWorkgroupSizeX);
+    this.pipelines = new Map();
+    this.resources = null; // scratch buffers and bind groups for the last padded size
+    this.prepared = null; // { count, order, res } of the last prepare()
+  }
+
+  // Pipelines are created on first use and cached by kind
+  async getPipeline(key, compute) {
+    if (!this.pipelines.has(key)) {
+      this.pipelines.set(key, createPipeline(this.device, { compute, label: `gpu-sort ${key}` }));
+    }
+    return this.pipelines.get(key);
+  }
+
+  async transformPipelines(descending) {
+    const code = transformWGSL(this.withValues);
+    const constants = { key_type: KEY_TYPES[this.keyType], descending: descending ? 1 : 0 };
+    const suffix = `${this.keyType}${descending ? ' desc' : ''}`;
+    return {
+      prepare: await this.getPipeline(`prepare ${suffix}`, { code, entryPoint: 'prepare', constants }),
+      finish: await this.getPipeline(`finish ${suffix}`, { code, entryPoint: 'finish', constants })
+    };
+  }
+
+  backendFor(count) {
+    if (this.backend !== 'auto') return this.backend;
+    return count >= RADIX_THRESHOLD ? 'radix' : 'bitonic';
+  }
+
+  // (Re)create scratch buffers and bind groups when the backend or padded size changes
+  async prepareResources(backend, paddedCount, transform) {
+    const current = this.resources;
+    if (current && current.backend === backend && current.paddedCount === paddedCount && current.transform === transform) {
+      return current;
+    }
+    this.destroyResources();
+
+    const device = this.device;
+    const scratch = (label) => device.createBuffer({
+      label: `gpu-sort ${label}`,
+      size: paddedCount * 4,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+    });
+    const buffersCount = backend === 'radix' ? 2 : 1;
+    const keys = Array.from({ length: buffersCount }, (_, i) => scratch(`keys ${i}`));
+    const values = this.withValues ? Array.from({ length: buffersCount }, (_, i) => scratch(`values ${i}`)) : [];
+    const owned = [...keys, ...values];
+
+    const transformLayout = getStructLayout(getPipelineReflection(transform.prepare).compute, 'TransformParams', { addressSpace: 'uniform' });
+    const transformParams = device.createBuffer({
+      label: 'gpu-sort transform params',
+      size: transformLayout.size,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    owned.push(transformParams);
+    const withValues = (resources, i = 0) => (this.withValues ? { ...resources, values: values[i] } : resources);
+    const resources = {
+      backend,
+      paddedCount,
+      transform,
+      keys,
+      values,
+      owned,
+      transformLayout,
+      transformParams,
+      prepareBindGroup: createBindGroup(device, transform.prepare, 0, withValues({ keys: keys[0], params: transformParams })),
+      finishBindGroup: createBindGroup(device, transform.finish, 0, { keys: keys[0], params: transformParams })
+    };
+
+    if (backend === 'bitonic') {
+      const workgroupSize = Math.min(this.maxWorkgroupSize, paddedCount / 2);
+      const pipeline = await this.getPipeline(`bitonic ${workgroupSize}${this.withValues ? ' kv' : ''}`, {
+        code: bitonicWGSL(workgroupSize, this.withValues)
+      });
+      const layout = getStructLayout(getPipelineReflection(pipeline).compute, 'BitonicParams', { addressSpace: 'uniform' });
+      const steps = bitonicSteps(paddedCount, workgroupSize);
+      const slots = writeUniformSlots(device, layout, steps.map(s => ({ algo: s.algo, block_height: s.blockHeight })), 'gpu-sort bitonic params');
+      owned.push(slots[0].buffer);
+      Object.assign(resources, {
+        pipeline,
+        workgroups: paddedCount / (workgroupSize * 2),
+        stepBindGroups: slots.map(params => createBindGroup(device, pipeline, 0, withValues({ keys: keys[0], params, sort_range: transformParams })))
+      });
+    } else {
+      const code = radixWGSL(this.withValues);
+      const kv = this.withValues ? ' kv' : '';
+      const histogram = await this.getPipeline(`radix histogram${kv}`, { code, entryPoint: 'histogram' });
+      const scanBlocks = await this.getPipeline(`radix scan${kv}`, { code, entryPoint: 'scan_blocks' });
+      const scatter = await this.getPipeline(`radix scatter${kv}`, { code, entryPoint: 'scatter' });
+      const numBlocks = paddedCount / RADIX_TILE;
+      const blockSums = device.createBuffer({
+        label: 'gpu-sort block sums',
+        size: numBlocks * (1 << RADIX_BITS) * 4,
+        usage: GPUBufferUsage.STORAGE
+      });
+      owned.push(blockSums);
+      const layout = getStructLayout(getPipelineReflection(histogram).compute, 'RadixParams', { addressSpace: 'uniform' });
+      const passCount = 32 / RADIX_BITS;
+      const slots = writeUniformSlots(device, layout,
+        Array.from({ length: passCount }, (_, pass) => ({ shift: pass * RADIX_BITS, num_blocks: numBlocks })),
+        'gpu-sort radix params');
+      owned.push(slots[0].buffer);
+      // Pass p reads buffer p % 2 and writes the other one; an even pass count ends in buffer 0
+      Object.assign(resources, {
+        histogram,
+        scanBlocks,
+        scatter,
+        numBlocks,
+        passes: slots.map((params, pass) => {
+          const from = pass % 2;
+          const to = 1 - from;
+          return {
+            histogram: createBindGroup(device, histogram, 0, { keys_in: keys[from], block_sums: blockSums, params }),
+            scan: createBindGroup(device, scanBlocks, 0, { block_sums: blockSums, params }),
+            scatter: createBindGroup(device, scatter, 0, {
+              keys_in: keys[from],
+              keys_out: keys[to],
+              ...(this.withValues ? { values_in: values[from], values_out: values[to] } : {}),
+              block_sums: blockSums,
+              params
+            })
+          };
+        })
+      });
+    }
+
+    this.resources = resources;
+    return resources;
+  }
+
+  /**
+   * Create the pipelines and scratch buffers for sorting `count` keys, so that encode() can
+   * record the sort into a caller's command encoder. Only the last preparation is kept.
+   */
+  async prepare(count, { order = 'ascending' } = {}) {
+    if (order !== 'ascending' && order !== 'descending') {
+      throw new Error(`GpuSorter: order must be 'ascending' or 'descending', got '${order}'`);
+    }
+    const backend = this.backendFor(count);
+    const paddedCount = backend === 'radix'
+      ? Math.ceil(count / RADIX_TILE) * RADIX_TILE
+      : nextPowerOfTwo(count);
+    const maxWorkgroups = this.device.limits.maxComputeWorkgroupsPerDimension;
+    if (Math.ceil(paddedCount / TRANSFORM_WORKGROUP_SIZE) > maxWorkgroups) {
+      throw new Error(`GpuSorter: ${count} elements exceed the ${maxWorkgroups} workgroups of one dispatch`);
+    }
+
+    const transform = await this.transformPipelines(order === 'descending');
+    const res = await this.prepareResources(backend, paddedCount, transform);
+    this.device.queue.writeBuffer(res.transformParams, 0,
+      serialize(res.transformLayout, { count, padded_count: paddedCount }));
+    this.prepared = { count, order, res };
+  }
+
+  /**
+   * Record the sort of the first `count` keys of `keys` (and `values`) into `encoder`: copies
+   * to the scratch buffers, one compute pass, copies back. prepare() must have been called
+   * with the same count and order. `beginComputePass(descriptor)` can replace
+   * encoder.beginComputePass, e.g. to time the pass.
+   */
+  encode(encoder, keys, {
+    count = keys?.size / 4,
+    values = null,
+    order = 'ascending',
+    beginComputePass = descriptor => encoder.beginComputePass(descriptor)
+  } = {}) {
+    checkSortBuffer(keys, count, 'keys');
+    if (this.withValues) {
+      checkSortBuffer(values, count, 'values');
+    } else if (values) {
+      throw new Error('GpuSorter: values given to a sorter created without { values: true }');
+    }
+    if (count < 2) return;
+    if (this.prepared?.count !== count || this.prepared.order !== order) {
+      throw new Error(`GpuSorter: encode() of ${count} keys (${order}) needs prepare(${count}) first`);
+    }
+
+    const { res } = this.prepared;
+    const { backend, paddedCount, transform } = res;
+    encoder.copyBufferToBuffer(keys, 0, res.keys[0], 0, count * 4);
+    if (this.withValues) {
+      encoder.copyBufferToBuffer(values, 0, res.values[0], 0, count * 4);
+    }
+
+    const pass = beginComputePass({ label: `gpu-sort ${backend}` });
+    const transformWorkgroups = Math.ceil(paddedCount / TRANSFORM_WORKGROUP_SIZE);
+    pass.setPipeline(transform.prepare);
+    pass.setBindGroup(0, res.prepareBindGroup);
+    pass.dispatchWorkgroups(transformWorkgroups);
+
+    if (backend === 'bitonic') {
+      pass.setPipeline(res.pipeline);
+      res.stepBindGroups.forEach(bindGroup => {
+        pass.setBindGroup(0, bindGroup);
+        pass.dispatchWorkgroups(res.workgroups);
+      });
+    } else {
+      res.passes.forEach(bindGroups => {
+        pass.setPipeline(res.histogram);
+        pass.setBindGroup(0, bindGroups.histogram);
+        pass.dispatchWorkgroups(res.numBlocks);
+        pass.setPipeline(res.scanBlocks);
+        pass.setBindGroup(0, bindGroups.scan);
+        pass.dispatchWorkgroups(1);
+        pass.setPipeline(res.scatter);
+        pass.setBindGroup(0, bindGroups.scatter);
+        pass.dispatchWorkgroups(res.numBlocks);
+      });
+    }
+
+    pass.setPipeline(transform.finish);
+    pass.setBindGroup(0, res.finishBindGroup);
+    pass.dispatchWorkgroups(transformWorkgroups);
+    pass.end();
+
+    encoder.copyBufferToBuffer(res.keys[0], 0, keys, 0, count * 4);
+    if (this.withValues) {
+      encoder.copyBufferToBuffer(res.values[0], 0, values, 0, count * 4);
+    }
+  }
+
+  /**
+   * Sort the first `count` keys of `keys` (default: the whole buffer) in place. With
+   * key-value sorting, `values` is permuted alongside.
+   */
+  async sort(keys, { count = keys?.size / 4, values = null, order = 'ascending' } = {}) {
+    if (order !== 'ascending' && order !== 'descending') {
+      throw new Error(`GpuSorter: order must be 'ascending' or 'descending', got '${order}'`);
+    }
+    checkSortBuffer(keys, count, 'keys');
+    if (this.withValues) {
+      checkSortBuffer(values, count, 'values');
+    } else if (values) {
+      throw new Error('GpuSorter: values given to a sorter created without { values: true }');
+    }
+    if (count < 2) return;
+
+    await this.prepare(count, { order });
+    const encoder = this.device.createCommandEncoder({ label: 'gpu-sort' });
+    this.encode(encoder, keys, { count, values, order });
+    this.device.queue.submit([encoder.finish()]);
+  }
+
+  destroyResources() {
+    this.resources?.owned.forEach(buffer => buffer.destroy());
+    this.resources = null;
+    this.prepared = null;
+  }
+
+  destroy() {
+    this.destroyResources();
+    this.pipelines.clear();
+  }
+}
+
+export {
+  GpuSorter,
+  bitonicSteps,
+  RADIX_TILE,
+  RADIX_BITS,
+  ALGO_NONE,
+  ALGO_LOCAL_FLIP,
+  ALGO_LOCAL_DISPERSE,
+  ALGO_GLOBAL_FLIP,
+  ALGO_GLOBAL_DISPERSE
+};
@@ -1,13 +1,13 @@
-// dat-gui JavaScript Controller Library
-// https://github.com/dataarts/dat.gui
+// Dependency-free controller library with the dat.gui API surface
+// (https://github.com/dataarts/dat.gui): number sliders, checkboxes, dropdowns,
+// text fields, color pickers, buttons, folders, listen() and preset save/load.
 //
-// Copyright 2011 Data Arts Team, Google Creative Lab
-//
-// Licensed under the Apache License, Version 2.0 (the "License");
-// you may not use this file except in compliance with the License.
-// You may obtain a copy of the License at
-//
-// http://www.apache.org/licenses/LICENSE-2.0
+// Usage:
+//   const gui = new GUI({ name: 'Params' });
+//   gui.add(params, 'deltaT', 0, 0.1, 0.001).onChange(writeUniforms);
+//   gui.add(params, 'mode', ['wrap', 'bounce']);
+//   gui.addColor(params, 'color');
+//   gui.remember(params);
 
 function ___$insertStyle(css) {
   if (typeof window === 'undefined') {
@@ -23,34 +23,768 @@ function ___$insertStyle(css) {
   return css;
 }
 
-// GUI Class Implementation
+const CSS = `
+.dg.main { position: fixed; top: 0; right: 14px; z-index: 1000; font: 11px 'Lucida Grande', sans-serif; color: #eee; }
+.dg ul { list-style: none; margin: 0; padding: 0; background: #1a1a1a; }
+.dg li { display: flex; align-items: center; min-height: 27px; padding: 0 4px 0 5px; border-bottom: 1px solid #2c2c2c; }
+.dg li.folder { display: block; padding: 0; border-left: 5px solid rgba(0, 0, 0, 0); }
+.dg li.title { cursor: pointer; background: #000; padding-left: 16px; }
+.dg.closed > ul > li:not(.title) { display: none; }
+.dg .property-name { width: 40%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.dg .c { width: 60%; display: flex; gap: 4px; align-items: center; }
+.dg .c input[type=text], .dg .c input[type=number], .dg .c select { flex: 1; min-width: 0; background: #303030; color: #2fa1d6; border: 0; }
+.dg .c input[type=range] { flex: 2; min-width: 0; }
+.dg li.function { cursor: pointer; }
+.dg li.boolean { cursor: pointer; }
+.dg .close-button { cursor: pointer; text-align: center; background: #000; padding: 3px 0; }
+.dg .save-row { display: flex; gap: 4px; padding: 4px; background: #111; }
+.dg.hidden { display: none; }
+`;
+
+let cssInjected = false;
+
+// --------------------------------------------------------------------------
+// Controllers
+// --------------------------------------------------------------------------
+
+class Controller {
+  constructor(object, property) {
+    this.object = object;
+    this.property = property;
+    this.initialValue = this.getValue();
+    this.__onChange = null;
+    this.__onFinishChange = null;
+    this.__listening = false;
+    this.__gui = null;
+    this.__li = null;
+
+    this.domElement = document.createElement('div');
+    this.domElement.className = 'c';
+  }
+
+  // Row wrapper: label + control
+  __createRow(className) {
+    const li = document.createElement('li');
+    li.className = `cr ${className}`;
+    this.__name = document.createElement('span');
+    this.__name.className = 'property-name';
+    this.__name.textContent = this.property;
+    li.appendChild(this.__name);
+    li.appendChild(this.domElement);
+    this.__li = li;
+    return li;
+  }
+
+  name(label) {
+    this.__name.textContent = label;
+    return this;
+  }
+
+  onChange(fn) {
+    this.__onChange = fn;
+    return this;
+  }
+
+  onFinishChange(fn) {
+    this.__onFinishChange = fn;
+    return this;
+  }
+
+  getValue() {
+    return this.object[this.property];
+  }
+
+  setValue(value) {
+    this.object[this.property] = value;
+    if (this.__onChange) this.__onChange.call(this, value);
+    this.updateDisplay();
+    return this;
+  }
+
+  // Called when the user commits an edit (blur, enter, mouse release)
+  __finishChange() {
+    if (this.__onFinishChange) this.__onFinishChange.call(this, this.getValue());
+  }
+
+  updateDisplay() {
+    return this;
+  }
+
+  isModified() {
+    return this.initialValue !== this.getValue();
+  }
+
+  listen() {
+    this.__listening = true;
+    this.__gui?.__startListening();
+    return this;
+  }
+
+  remove() {
+    this.__gui?.remove(this);
+    return this;
+  }
+}
+
+class NumberController extends Controller {
+  constructor(object, property, min, max, step) {
+    super(object, property);
+    this.__min = min;
+    this.__max = max;
+    this.__step = step;
+    this.__impliedStep = step === undefined;
+
+    this.__slider = document.createElement('input');
+    this.__slider.type = 'range';
+    this.__input = document.createElement('input');
+    this.__input.type = 'number';
+
+    this.__slider.addEventListener('input', () => this.setValue(Number(this.__slider.value)));
+    this.__slider.addEventListener('change', () => this.__finishChange());
+    this.__input.addEventListener('change', () => {
+      const value = Number(this.__input.value);
+      if (!Number.isNaN(value)) this.setValue(value);
+      this.__finishChange();
+    });
+
+    this.domElement.appendChild(this.__slider);
+    this.domElement.appendChild(this.__input);
+    this.__syncAttributes();
+    this.updateDisplay();
+  }
+
+  __hasRange() {
+    return this.__min !== undefined && this.__max !== undefined;
+  }
+
+  __syncAttributes() {
+    const step = this.__step ?? this.__defaultStep();
+    this.__slider.style.display = this.__hasRange() ? '' : 'none';
+    [this.__slider, this.__input].forEach(el => {
+      if (this.__min !== undefined) el.min = String(this.__min); else el.removeAttribute('min');
+      if (this.__max !== undefined) el.max = String(this.__max); else el.removeAttribute('max');
+      el.step = String(step);
+    });
+  }
+
+  // dat.gui guesses a step of one tenth of the initial value's magnitude
+  __defaultStep() {
+    if (this.__hasRange()) return (this.__max - this.__min) / 100;
+    const value = Math.abs(this.initialValue) || 1;
+    return 10 ** Math.floor(Math.log10(value)) / 10;
+  }
+
+  min(value) {
+    this.__min = value;
+    this.__syncAttributes();
+    return this;
+  }
+
+  max(value) {
+    this.__max = value;
+    this.__syncAttributes();
+    return this;
+  }
+
+  step(value) {
+    this.__step = value;
+    this.__impliedStep = false;
+    this.__syncAttributes();
+    return this;
+  }
+
+  setValue(value) {
+    let v = value;
+    if (this.__min !== undefined && v < this.__min) v = this.__min;
+    if (this.__max !== undefined && v > this.__max) v = this.__max;
+    if (this.__step !== undefined && !this.__impliedStep) {
+      const base = this.__min ?? 0;
+      v = Math.round((v - base) / this.__step) * this.__step + base;
+      // Rounding up can overshoot a max that is not on the step grid
+      if (this.__max !== undefined && v > this.__max) v -= this.__step;
+      // Trim floating point noise introduced by the rounding
+      const decimals = (String(this.__step).split('.')[1] || '').length;
+      v = Number(v.toFixed(decimals));
+    }
+    return super.setValue(v);
+  }
+
+  updateDisplay() {
+    const value = this.getValue();
+    this.__slider.value = String(value);
+    if (typeof document === 'undefined' || document.activeElement !== this.__input) {
+      this.__input.value = String(value);
+    }
+    return this;
+  }
+}
+
+class BooleanController extends Controller {
+  constructor(object, property) {
+    super(object, property);
+    this.__checkbox = document.createElement('input');
+    this.__checkbox.type = 'checkbox';
+    this.__checkbox.addEventListener('change', () => {
+      this.setValue(this.__checkbox.checked);
+      this.__finishChange();
+    });
+    this.domElement.appendChild(this.__checkbox);
+    this.updateDisplay();
+  }
+
+  updateDisplay() {
+    this.__checkbox.checked = Boolean(this.getValue());
+    return this;
+  }
+}
+
+class OptionController extends Controller {
+  constructor(object, property, options) {
+    super(object, property);
+    this.__select = document.createElement('select');
+    this.__select.addEventListener('change', () => {
+      this.setValue(this.__values[this.__select.selectedIndex]);
+      this.__finishChange();
+    });
+    this.domElement.appendChild(this.__select);
+    this.options(options);
+  }
+
+  // Accepts an array of values or a { label: value } map
+  options(options) {
+    const entries = Array.isArray(options)
+      ? options.map(value => [String(value), value])
+      : Object.entries(options);
+    this.__values = entries.map(([, value]) => value);
+    this.__select.innerHTML = '';
+    entries.forEach(([label]) => {
+      const option = document.createElement('option');
+      option.textContent = label;
+      option.value = label;
+      this.__select.appendChild(option);
+    });
+    this.updateDisplay();
+    return this;
+  }
+
+  updateDisplay() {
+    const index = this.__values.indexOf(this.getValue());
+    this.__select.selectedIndex = index;
+    return this;
+  }
+}
+
+class StringController extends Controller {
+  constructor(object, property) {
+    super(object, property);
+    this.__input = document.createElement('input');
+    this.__input.type = 'text';
+    this.__input.addEventListener('input', () => this.setValue(this.__input.value));
+    this.__input.addEventListener('change', () => this.__finishChange());
+    this.domElement.appendChild(this.__input);
+    this.updateDisplay();
+  }
+
+  updateDisplay() {
+    if (typeof document === 'undefined' || document.activeElement !== this.__input) {
+      this.__input.value = String(this.getValue());
+    }
+    return this;
+  }
+}
+
+class FunctionController extends Controller {
+  constructor(object, property) {
+    super(object, property);
+    this.__button = document.createElement('button');
+    this.__button.textContent = property;
+    this.__button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.fire();
+    });
+    this.domElement.appendChild(this.__button);
+  }
+
+  name(label) {
+    super.name(label);
+    this.__button.textContent = label;
+    return this;
+  }
+
+  fire() {
+    if (this.__onChange) this.__onChange.call(this);
+    this.getValue().call(this.object);
+    this.__finishChange();
+  }
+}
+
+// Color values keep the representation they came in: '#rrggbb' string, 0xrrggbb number,
+// [r, g, b(, a)] array (0-255) or { r, g, b } object (0-255)
+function colorToHex(value) {
+  let r, g, b;
+  if (typeof value === 'string') {
+    const hex = value.replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+    return `#${full.slice(0, 6).toLowerCase()}`;
+  }
+  if (typeof value === 'number') {
+    return `#${value.toString(16).padStart(6, '0')}`;
+  }
+  if (Array.isArray(value)) {
+    [r, g, b] = value;
+  } else {
+    ({ r, g, b } = value);
+  }
+  return `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function hexToColor(hex, like) {
+  const n = parseInt(hex.slice(1), 16);
+  const rgb = [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  if (typeof like === 'string') return hex;
+  if (typeof like === 'number') return n;
+  if (Array.isArray(like)) return like.length > 3 ? [...rgb, like[3]] : rgb;
+  return { ...like, r: rgb[0], g: rgb[1], b: rgb[2] };
+}
+
+class ColorController extends Controller {
+  constructor(object, property) {
+    super(object, property);
+    this.__input = document.createElement('input');
+    this.__input.type = 'color';
+    this.__input.addEventListener('input', () => this.setValue(hexToColor(this.__input.value, this.getValue())));
+    this.__input.addEventListener('change', () => this.__finishChange());
+    this.domElement.appendChild(this.__input);
+    this.updateDisplay();
+  }
+
+  isModified() {
+    return colorToHex(this.initialValue) !== colorToHex(this.getValue());
+  }
+
+  updateDisplay() {
+    this.__input.value = colorToHex(this.getValue());
+    return this;
+  }
+}
+
+function createController(object, property, args) {
+  const value = object[property];
+  const [first] = args;
+
+  if (Array.isArray(first) || (first && typeof first === 'object')) {
+    return new OptionController(object, property, first);
+  }
+  switch (typeof value) {
+    case 'number':
+      return new NumberController(object, property, ...args);
+    case 'boolean':
+      return new BooleanController(object, property);
+    case 'string':
+      return new StringController(object, property);
+    case 'function':
+      return new FunctionController(object, property);
+    default:
+      return null;
+  }
+}
+
+// --------------------------------------------------------------------------
+// GUI
+// --------------------------------------------------------------------------
+
+const DEFAULT_PRESET_NAME = 'Default';
+
 class GUI {
-  constructor(params) {
-    // Basic initialization
+  /**
+   * @param {object} [params]
+   * @param {string} [params.name]        folder/panel title
+   * @param {number} [params.width]       panel width in pixels
+   * @param {boolean} [params.autoPlace]  append to document.body (default true for root GUIs)
+   * @param {boolean} [params.closed]     start collapsed
+   * @param {object} [params.load]        save object from getSaveObject() to restore presets from
+   * @param {string} [params.preset]      preset to apply after load
+   * @param {boolean} [params.useLocalStorage] persist presets in localStorage
+   */
+  constructor(params = {}) {
+    if (!cssInjected) {
+      ___$insertStyle(CSS);
+      cssInjected = true;
+    }
+
+    this.parent = params.parent || null;
+    this.name = params.name;
+    this.width = params.width || GUI.DEFAULT_WIDTH;
+    this.__controllers = [];
+    this.__folders = {};
+    this.__rememberedObjects = [];
+    this.__listening = false;
+    this.__listenFrame = null;
+    this.__closed = false;
+    this.__useLocalStorage = Boolean(params.useLocalStorage) && typeof localStorage !== 'undefined';
+    this.__load = params.load || this.__readLocalStorage() || null;
+    this.__preset = params.preset || this.__load?.preset || DEFAULT_PRESET_NAME;
+
     this.domElement = document.createElement('div');
+    this.domElement.className = 'dg';
     this.__ul = document.createElement('ul');
     this.domElement.appendChild(this.__ul);
-    
-    // Add all necessary methods and properties
-    this.add = function() { /* ... */ };
-    this.addColor = function() { /* ... */ };
-    this.remove = function() { /* ... */ };
-    // Include all necessary methods and properties from the original implementation
-    
-    // Static properties
-    GUI.CLASS_MAIN = 'main';
-    GUI.DEFAULT_WIDTH = 245;
-    // Add all other static properties
-  }
-  
-  // Prototype methods
-  destroy() { /* ... */ }
-  addFolder() { /* ... */ }
-  // Include all other prototype methods
+
+    if (this.parent) {
+      const title = document.createElement('li');
+      title.className = 'title';
+      title.textContent = this.name || '';
+      title.addEventListener('click', () => (this.closed = !this.closed));
+      this.__ul.appendChild(title);
+      this.__titleRow = title;
+    } else {
+      this.domElement.classList.add(GUI.CLASS_MAIN);
+      this.domElement.style.width = `${this.width}px`;
+      this.__closeButton = document.createElement('div');
+      this.__closeButton.className = 'close-button';
+      this.__closeButton.addEventListener('click', () => (this.closed = !this.closed));
+      this.domElement.appendChild(this.__closeButton);
+      GUI.__instances.push(this);
+      if (params.autoPlace !== false && typeof document !== 'undefined' && document.body) {
+        document.body.appendChild(this.domElement);
+      }
+    }
+
+    this.closed = Boolean(params.closed);
+  }
+
+  get closed() {
+    return this.__closed;
+  }
+
+  set closed(value) {
+    this.__closed = value;
+    this.domElement.classList.toggle(GUI.CLASS_CLOSED, value);
+    if (this.__closeButton) {
+      this.__closeButton.textContent = value ? GUI.TEXT_OPEN : GUI.TEXT_CLOSED;
+    }
+  }
+
+  get preset() {
+    return this.__preset;
+  }
+
+  set preset(name) {
+    this.__preset = name;
+    this.revert();
+    if (this.__presetSelect) this.__updatePresetSelect();
+  }
+
+  getRoot() {
+    let gui = this;
+    while (gui.parent) gui = gui.parent;
+    return gui;
+  }
+
+  /**
+   * Add a controller for object[property]. Extra arguments depend on the value type:
+   *   number:  (min, max, step)
+   *   any:     (optionsArray | { label: value }) for a dropdown
+   */
+  add(object, property, ...args) {
+    if (object[property] === undefined) {
+      throw new Error(`Object "${object}" has no property "${property}"`);
+    }
+    const controller = createController(object, property, args);
+    if (!controller) {
+      throw new Error(`Unsupported value type for "${property}": ${typeof object[property]}`);
+    }
+    return this.__addController(controller);
+  }
+
+  addColor(object, property) {
+    return this.__addController(new ColorController(object, property));
+  }
+
+  __addController(controller) {
+    const kind = controller.constructor.name.replace('Controller', '').toLowerCase();
+    const li = controller.__createRow(kind);
+    if (controller instanceof BooleanController) {
+      li.addEventListener('click', (e) => {
+        if (e.target === controller.__checkbox) return;
+        controller.setValue(!controller.getValue());
+        controller.__finishChange();
+      });
+    }
+    if (controller instanceof FunctionController) {
+      li.addEventListener('click', () => controller.fire());
+    }
+    controller.__gui = this;
+    this.__ul.appendChild(li);
+    this.__controllers.push(controller);
+
+    // Apply a loaded preset value if this object is remembered
+    this.getRoot().__applyPresetTo(controller);
+    return controller;
+  }
+
+  remove(controller) {
+    const index = this.__controllers.indexOf(controller);
+    if (index < 0) return;
+    this.__controllers.splice(index, 1);
+    controller.__li?.remove();
+    controller.__gui = null;
+  }
+
+  addFolder(name) {
+    if (this.__folders[name]) {
+      throw new Error(`You already have a folder in this GUI by the name "${name}"`);
+    }
+    const folder = new GUI({ name, parent: this, autoPlace: false });
+    const li = document.createElement('li');
+    li.className = 'folder';
+    li.appendChild(folder.domElement);
+    this.__ul.appendChild(li);
+    folder.__li = li;
+    this.__folders[name] = folder;
+    return folder;
+  }
+
+  removeFolder(folder) {
+    if (this.__folders[folder.name] !== folder) return;
+    delete this.__folders[folder.name];
+    folder.destroy();
+    folder.__li?.remove();
+  }
+
+  open() {
+    this.closed = false;
+    return this;
+  }
+
+  close() {
+    this.closed = true;
+    return this;
+  }
+
+  hide() {
+    this.domElement.classList.add('hidden');
+  }
+
+  show() {
+    this.domElement.classList.remove('hidden');
+  }
+
+  destroy() {
+    Object.values(this.__folders).forEach(folder => folder.destroy());
+    this.__folders = {};
+    [...this.__controllers].forEach(controller => this.remove(controller));
+    this.__stopListening();
+    if (!this.parent) {
+      GUI.__instances = GUI.__instances.filter(gui => gui !== this);
+      this.domElement.remove();
+    }
+  }
+
+  // All controllers of this GUI and its folders
+  __allControllers() {
+    return [
+      ...this.__controllers,
+      ...Object.values(this.__folders).flatMap(folder => folder.__allControllers())
+    ];
+  }
+
+  updateDisplay() {
+    this.__allControllers().forEach(controller => controller.updateDisplay());
+  }
+
+  listen(controller) {
+    controller.listen();
+    return this;
+  }
+
+  __startListening() {
+    const root = this.getRoot();
+    if (root.__listening || typeof requestAnimationFrame === 'undefined') return;
+    root.__listening = true;
+    const tick = () => {
+      root.__allControllers().filter(c => c.__listening).forEach(c => c.updateDisplay());
+      root.__listenFrame = requestAnimationFrame(tick);
+    };
+    root.__listenFrame = requestAnimationFrame(tick);
+  }
+
+  __stopListening() {
+    if (this.__listenFrame !== null && typeof cancelAnimationFrame !== 'undefined') {
+      cancelAnimationFrame(this.__listenFrame);
+    }
+    this.__listenFrame = null;
+    this.__listening = false;
+  }
+
+  // ------------------------------------------------------------------------
+  // Presets
+  // ------------------------------------------------------------------------
+
+  /** Mark objects whose controller values are stored in presets */
+  remember(...objects) {
+    const root = this.getRoot();
+    objects.forEach(object => {
+      if (!root.__rememberedObjects.includes(object)) root.__rememberedObjects.push(object);
+    });
+    root.__createSaveRow();
+    root.__applyPreset();
+  }
+
+  __controllersFor(object) {
+    return this.__allControllers().filter(c => c.object === object && !(c instanceof FunctionController));
+  }
+
+  // Current values of remembered objects, keyed by object index then property
+  __snapshot() {
+    const snapshot = {};
+    this.__rememberedObjects.forEach((object, i) => {
+      snapshot[i] = {};
+      this.__controllersFor(object).forEach(c => {
+        const value = c.getValue();
+        snapshot[i][c.property] = value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+      });
+    });
+    return snapshot;
+  }
+
+  getSaveObject() {
+    const root = this.getRoot();
+    const remembered = { ...(root.__load?.remembered || {}) };
+    if (!remembered[root.__preset]) {
+      remembered[root.__preset] = root.__snapshot();
+    }
+    return {
+      preset: root.__preset,
+      closed: root.closed,
+      remembered,
+      folders: {}
+    };
+  }
+
+  /** Store current values under the active preset */
+  save() {
+    const root = this.getRoot();
+    root.__load = root.getSaveObject();
+    root.__load.remembered[root.__preset] = root.__snapshot();
+    root.__writeLocalStorage();
+    root.__updatePresetSelect();
+  }
+
+  /** Store current values under a new preset name and switch to it */
+  saveAs(name) {
+    const root = this.getRoot();
+    root.__load = root.getSaveObject();
+    root.__load.remembered[name] = root.__snapshot();
+    root.__preset = name;
+    root.__load.preset = name;
+    root.__writeLocalStorage();
+    root.__updatePresetSelect();
+  }
+
+  /** Reset remembered controllers to the values stored in the active preset */
+  revert() {
+    const root = this.getRoot();
+    if (root.__presetValues()) {
+      root.__applyPreset();
+      return;
+    }
+    // Nothing saved yet: go back to the values the controllers were created with
+    root.__rememberedObjects.forEach(object => {
+      root.__controllersFor(object).filter(c => c.isModified()).forEach(c => c.setValue(c.initialValue));
+    });
+  }
+
+  __presetValues() {
+    return this.__load?.remembered?.[this.__preset] || null;
+  }
+
+  __applyPreset() {
+    if (!this.__presetValues()) return;
+    this.__allControllers().forEach(c => this.__applyPresetTo(c));
+  }
+
+  __applyPresetTo(controller) {
+    const values = this.__presetValues();
+    const index = this.__rememberedObjects.indexOf(controller.object);
+    if (!values || index < 0 || !values[index] || !(controller.property in values[index])) return;
+    const value = values[index][controller.property];
+    if (JSON.stringify(value) !== JSON.stringify(controller.getValue())) {
+      controller.setValue(value);
+    }
+  }
+
+  __createSaveRow() {
+    if (this.__saveRow || typeof document === 'undefined') return;
+    const row = document.createElement('div');
+    row.className = 'save-row';
+    this.__presetSelect = document.createElement('select');
+    this.__presetSelect.addEventListener('change', () => (this.preset = this.__presetSelect.value));
+    const button = (label, action) => {
+      const el = document.createElement('button');
+      el.textContent = label;
+      el.addEventListener('click', action);
+      row.appendChild(el);
+      return el;
+    };
+    row.appendChild(this.__presetSelect);
+    button('Save', () => this.save());
+    button('New', () => {
+      const name = typeof prompt === 'function' ? prompt('Enter a new preset name.') : null;
+      if (name) this.saveAs(name);
+    });
+    button('Revert', () => this.revert());
+    this.domElement.insertBefore(row, this.__ul);
+    this.__saveRow = row;
+    this.__updatePresetSelect();
+  }
+
+  __updatePresetSelect() {
+    if (!this.__presetSelect) return;
+    const names = Object.keys(this.__load?.remembered || {});
+    if (!names.includes(this.__preset)) names.push(this.__preset);
+    this.__presetSelect.innerHTML = '';
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.textContent = name;
+      option.value = name;
+      this.__presetSelect.appendChild(option);
+    });
+    this.__presetSelect.value = this.__preset;
+  }
+
+  __localStorageKey() {
+    return `${typeof location !== 'undefined' ? location.pathname : ''}.gui`;
+  }
+
+  __readLocalStorage() {
+    if (!this.__useLocalStorage) return null;
+    try {
+      return JSON.parse(localStorage.getItem(this.__localStorageKey())) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  __writeLocalStorage() {
+    if (!this.__useLocalStorage) return;
+    localStorage.setItem(this.__localStorageKey(), JSON.stringify(this.__load));
+  }
 }
 
+// Static properties
+GUI.CLASS_MAIN = 'main';
+GUI.CLASS_CLOSED = 'closed';
+GUI.TEXT_CLOSED = 'Close Controls';
+GUI.TEXT_OPEN = 'Open Controls';
+GUI.DEFAULT_WIDTH = 245;
+GUI.__instances = [];
+
 // Static methods
-GUI.toggleHide = function() { /* ... */ };
+GUI.toggleHide = function() {
+  GUI.__hidden = !GUI.__hidden;
+  GUI.__instances.forEach(gui => (GUI.__hidden ? gui.hide() : gui.show()));
+};
 
 // Export as default
-export { GUI as default };
+export { GUI as default, Controller, NumberController, BooleanController, OptionController, StringController, FunctionController, ColorController };
@@ -0,0 +1,1483 @@
+// Recording stand-in for the WebGPU API, for running the prokop utilities and sample setup
+// code headless (Node, CI machines without a GPU).
+//
+// Objects follow the WebGPU object model closely enough for the samples: buffers hold real
+// bytes (writeBuffer, mapping and buffer copies are applied), descriptors are validated like
+// the spec does, and validation failures surface as GPUValidationErrors through error scopes
+// or 'uncapturederror' events, with encoder errors reported at finish(). Pipelines are
+// reflected with wgsl-reflect.js to validate entry points and derive 'auto' bind group
+// layouts. Shaders are not executed, except that with { runCompute: true } submitted compute
+// passes run on the CPU through wgsl-interpreter.js (slow; for testing kernels on small inputs).
+//
+// Every API call is appended to a shared call log:
+//
+//   const { gpu, log, uninstall } = installMockWebGPU();
+//   ... run code that uses navigator.gpu ...
+//   log.of('beginComputePass').length
+//   device.submits[0].commandBuffers[0].commands  // [{ type: 'computePass', commands }, ...]
+
+import { reflectWGSL, findEntryPoint } from './wgsl-reflect.js';
+import { compileCompute } from './wgsl-interpreter.js';
+
+const GPUBufferUsage = Object.freeze({
+  MAP_READ: 0x0001,
+  MAP_WRITE: 0x0002,
+  COPY_SRC: 0x0004,
+  COPY_DST: 0x0008,
+  INDEX: 0x0010,
+  VERTEX: 0x0020,
+  UNIFORM: 0x0040,
+  STORAGE: 0x0080,
+  INDIRECT: 0x0100,
+  QUERY_RESOLVE: 0x0200
+});
+
+const GPUTextureUsage = Object.freeze({
+  COPY_SRC: 0x01,
+  COPY_DST: 0x02,
+  TEXTURE_BINDING: 0x04,
+  STORAGE_BINDING: 0x08,
+  RENDER_ATTACHMENT: 0x10
+});
+
+const GPUShaderStage = Object.freeze({ VERTEX: 0x1, FRAGMENT: 0x2, COMPUTE: 0x4 });
+const GPUMapMode = Object.freeze({ READ: 0x1, WRITE: 0x2 });
+const GPUColorWrite = Object.freeze({ RED: 0x1, GREEN: 0x2, BLUE: 0x4, ALPHA: 0x8, ALL: 0xf });
+
+const DEFAULT_LIMITS = Object.freeze({
+  maxTextureDimension1D: 8192,
+  maxTextureDimension2D: 8192,
+  maxTextureDimension3D: 2048,
+  maxTextureArrayLayers: 256,
+  maxBindGroups: 4,
+  maxBindingsPerBindGroup: 1000,
+  maxDynamicUniformBuffersPerPipelineLayout: 8,
+  maxDynamicStorageBuffersPerPipelineLayout: 4,
+  maxSampledTexturesPerShaderStage: 16,
+  maxSamplersPerShaderStage: 16,
+  maxStorageBuffersPerShaderStage: 8,
+  maxStorageTexturesPerShaderStage: 4,
+  maxUniformBuffersPerShaderStage: 12,
+  maxUniformBufferBindingSize: 65536,
+  maxStorageBufferBindingSize: 134217728,
+  minUniformBufferOffsetAlignment: 256,
+  minStorageBufferOffsetAlignment: 256,
+  maxVertexBuffers: 8,
+  maxBufferSize: 268435456,
+  maxVertexAttributes: 16,
+  maxVertexBufferArrayStride: 2048,
+  maxInterStageShaderVariables: 16,
+  maxColorAttachments: 8,
+  maxColorAttachmentBytesPerSample: 32,
+  maxComputeWorkgroupStorageSize: 16384,
+  maxComputeInvocationsPerWorkgroup: 256,
+  maxComputeWorkgroupSizeX: 256,
+  maxComputeWorkgroupSizeY: 256,
+  maxComputeWorkgroupSizeZ: 64,
+  maxComputeWorkgroupsPerDimension: 65535
+});
+
+// Limits where a smaller value is the better one
+const ALIGNMENT_LIMITS = new Set(['minUniformBufferOffsetAlignment', 'minStorageBufferOffsetAlignment']);
+
+class GPUError {
+  constructor(message) {
+    this.message = message;
+  }
+}
+class GPUValidationError extends GPUError {}
+class GPUOutOfMemoryError extends GPUError {}
+class GPUInternalError extends GPUError {}
+
+function operationError(message) {
+  return typeof DOMException !== 'undefined' ? new DOMException(message, 'OperationError') : new Error(message);
+}
+
+// Helper to print an object for error messages
+function describe(object) {
+  if (!object) return String(object);
+  return `${object.constructor?.name || typeof object} '${object.label || ''}'`;
+}
+
+// Helper to byte-view ArrayBuffer / typed array / DataView data
+function bytesOf(data) {
+  if (data instanceof ArrayBuffer || (typeof SharedArrayBuffer !== 'undefined' && data instanceof SharedArrayBuffer)) {
+    return { bytes: new Uint8Array(data), elementSize: 1 };
+  }
+  if (ArrayBuffer.isView(data)) {
+    return {
+      bytes: new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+      elementSize: data.BYTES_PER_ELEMENT || 1
+    };
+  }
+  throw new TypeError('Expected an ArrayBuffer, TypedArray or DataView');
+}
+
+// Byte size of a vertex format ('float32x3' -> 12, 'unorm10-10-10-2' -> 4)
+function vertexFormatSize(format) {
+  if (format === 'unorm10-10-10-2' || format === 'unorm8x4-bgra') return 4;
+  const match = /^[a-z]+(8|16|32)(?:x([234]))?$/.exec(format);
+  if (!match) throw new TypeError(`Unknown vertex format '${format}'`);
+  return (Number(match[1]) / 8) * Number(match[2] || 1);
+}
+
+/** Shared, append-only log of API calls */
+class MockCallLog {
+  constructor() {
+    this.calls = [];
+  }
+
+  record(object, method, args) {
+    this.calls.push({ type: object.constructor.name, label: object.label || '', method, args, object });
+  }
+
+  /** Calls of one method, optionally on one object type */
+  of(method, type) {
+    return this.calls.filter(c => c.method === method && (!type || c.type === type));
+  }
+
+  clear() {
+    this.calls.length = 0;
+  }
+}
+
+class MockGPUObject {
+  constructor(device, descriptor = {}) {
+    this.device = device;
+    this.label = descriptor.label || '';
+  }
+
+  get __log() {
+    return this.device.__log;
+  }
+}
+
+class MockGPUBuffer extends MockGPUObject {
+  constructor(device, descriptor) {
+    super(device, descriptor);
+    this.size = descriptor.size;
+    this.usage = descriptor.usage;
+    this.mapState = descriptor.mappedAtCreation ? 'mapped' : 'unmapped';
+    this.__data = new Uint8Array(Math.max(0, descriptor.size || 0));
+    this.__mapMode = descriptor.mappedAtCreation ? GPUMapMode.WRITE : 0;
+    this.__mapRange = descriptor.mappedAtCreation ? [0, this.size] : null;
+    this.__mappedRanges = [];
+    this.__destroyed = false;
+    this.__valid = true;
+  }
+
+  mapAsync(mode, offset = 0, size = this.size - offset) {
+    this.__log.record(this, 'mapAsync', [mode, offset, size]);
+    if (this.device.__lost) {
+      return Promise.reject(operationError(`${describe(this)} cannot be mapped, its device is lost`));
+    }
+    let error = null;
+    if (!this.__valid || this.__destroyed) error = `${describe(this)} is invalid or destroyed`;
+    else if (this.mapState !== 'unmapped') error = `${describe(this)} is already ${this.mapState}`;
+    else if (mode !== GPUMapMode.READ && mode !== GPUMapMode.WRITE) error = `Invalid map mode ${mode}`;
+    else if (mode === GPUMapMode.READ && !(this.usage & GPUBufferUsage.MAP_READ)) error = `${describe(this)} lacks MAP_READ usage`;
+    else if (mode === GPUMapMode.WRITE && !(this.usage & GPUBufferUsage.MAP_WRITE)) error = `${describe(this)} lacks MAP_WRITE usage`;
+    else if (offset % 8 !== 0 || size % 4 !== 0) error = `Map offset must be a multiple of 8 and size of 4 (got ${offset}, ${size})`;
+    else if (offset + size > this.size) error = `Map range ${offset}+${size} exceeds buffer size ${this.size}`;
+    if (error) {
+      this.device.__error(error);
+      return Promise.reject(operationError(error));
+    }
+    this.mapState = 'pending';
+    return Promise.resolve().then(() => {
+      if (this.mapState !== 'pending') {
+        throw typeof DOMException !== 'undefined'
+          ? new DOMException('Mapping aborted', 'AbortError')
+          : new Error('Mapping aborted');
+      }
+      this.mapState = 'mapped';
+      this.__mapMode = mode;
+      this.__mapRange = [offset, offset + size];
+    });
+  }
+
+  getMappedRange(offset = 0, size) {
+    this.__log.record(this, 'getMappedRange', [offset, size]);
+    if (this.mapState !== 'mapped') {
+      throw operationError(`${describe(this)} is not mapped`);
+    }
+    const end = offset + (size ?? this.__mapRange[1] - offset);
+    if (offset % 8 !== 0 || (end - offset) % 4 !== 0) {
+      throw operationError(`Mapped range offset must be a multiple of 8 and size of 4 (got ${offset}, ${end - offset})`);
+    }
+    if (offset < this.__mapRange[0] || end > this.__mapRange[1]) {
+      throw operationError(`Range ${offset}..${end} is outside the mapped range ${this.__mapRange.join('..')}`);
+    }
+    if (this.__mappedRanges.some(r => offset < r.end && r.offset < end)) {
+      throw operationError(`Range ${offset}..${end} overlaps a range already returned by getMappedRange`);
+    }
+    const arrayBuffer = this.__data.slice(offset, end).buffer;
+    this.__mappedRanges.push({ offset, end, arrayBuffer });
+    return arrayBuffer;
+  }
+
+  unmap() {
+    this.__log.record(this, 'unmap', []);
+    if (this.mapState === 'pending') {
+      this.mapState = 'unmapped';
+      return;
+    }
+    if (this.mapState !== 'mapped') return;
+    this.__mappedRanges.forEach(({ offset, arrayBuffer }) => {
+      if (arrayBuffer.byteLength === 0) return;
+      if (this.__mapMode === GPUMapMode.WRITE) {
+        this.__data.set(new Uint8Array(arrayBuffer), offset);
+      }
+      // Detach, like a real unmap
+      structuredClone(arrayBuffer, { transfer: [arrayBuffer] });
+    });
+    this.__mappedRanges = [];
+    this.__mapRange = null;
+    this.__mapMode = 0;
+    this.mapState = 'unmapped';
+  }
+
+  destroy() {
+    this.__log.record(this, 'destroy', []);
+    if (this.mapState !== 'unmapped') this.unmap();
+    this.__destroyed = true;
+  }
+}
+
+class MockGPUTexture extends MockGPUObject {
+  constructor(device, descriptor) {
+    super(device, descriptor);
+    const size = Array.isArray(descriptor.size)
+      ? { width: descriptor.size[0], height: descriptor.size[1] ?? 1, depthOrArrayLayers: descriptor.size[2] ?? 1 }
+      : { height: 1, depthOrArrayLayers: 1, ...descriptor.size };
+    this.width = size.width;
+    this.height = size.height;
+    this.depthOrArrayLayers = size.depthOrArrayLayers;
+    this.format = descriptor.format;
+    this.usage = descriptor.usage;
+    this.dimension = descriptor.dimension || '2d';
+    this.mipLevelCount = descriptor.mipLevelCount || 1;
+    this.sampleCount = descriptor.sampleCount || 1;
+    this.__destroyed = false;
+  }
+
+  createView(descriptor = {}) {
+    this.__log.record(this, 'createView', [descriptor]);
+    return new MockGPUTextureView(this, descriptor);
+  }
+
+  destroy() {
+    this.__log.record(this, 'destroy', []);
+    this.__destroyed = true;
+  }
+}
+
+class MockGPUTextureView extends MockGPUObject {
+  constructor(texture, descriptor) {
+    super(texture.device, descriptor);
+    this.texture = texture;
+    this.format = descriptor.format || texture.format;
+    this.dimension = descriptor.dimension || texture.dimension;
+  }
+}
+
+class MockGPUSampler extends MockGPUObject {
+  constructor(device, descriptor) {
+    super(device, descriptor);
+    this.compare = descriptor.compare;
+  }
+}
+
+class MockGPUQuerySet extends MockGPUObject {
+  constructor(device, descriptor) {
+    super(device, descriptor);
+    this.type = descriptor.type;
+    this.count = descriptor.count;
+  }
+
+  destroy() {
+    this.__log.record(this, 'destroy', []);
+  }
+}
+
+class MockGPUBindGroupLayout extends MockGPUObject {
+  constructor(device, descriptor, { auto = false } = {}) {
+    super(device, descriptor);
+    this.entries = [...descriptor.entries].sort((a, b) => a.binding - b.binding);
+    this.__auto = auto;
+  }
+
+  // Explicit layouts with the same entries are interchangeable; 'auto' layouts only match themselves
+  isCompatible(other) {
+    if (this === other) return true;
+    if (this.__auto || other.__auto) return false;
+    return JSON.stringify(this.entries) === JSON.stringify(other.entries);
+  }
+}
+
+class MockGPUPipelineLayout extends MockGPUObject {
+  constructor(device, descriptor) {
+    super(device, descriptor);
+    this.bindGroupLayouts = descriptor.bindGroupLayouts;
+  }
+}
+
+class MockGPUBindGroup extends MockGPUObject {
+  constructor(device, descriptor) {
+    super(device, descriptor);
+    this.layout = descriptor.layout;
+    this.entries = descriptor.entries;
+  }
+
+  // Buffers referenced by the group, with whether the binding writes them
+  get __bufferUses() {
+    return this.entries
+      .filter(e => e.resource instanceof MockGPUBuffer || e.resource?.buffer)
+      .map(e => {
+        const layoutEntry = this.layout.entries.find(l => l.binding === e.binding);
+        return {
+          buffer: e.resource.buffer || e.resource,
+          writable: layoutEntry?.buffer?.type === 'storage'
+        };
+      });
+  }
+}
+
+class MockGPUShaderModule extends MockGPUObject {
+  constructor(device, descriptor) {
+    super(device, descriptor);
+    this.code = descriptor.code;
+    this.__reflection = null;
+    this.__reflectionError = null;
+    try {
+      this.__reflection = reflectWGSL(descriptor.code);
+    } catch (error) {
+      this.__reflectionError = error;
+    }
+  }
+
+  getCompilationInfo() {
+    this.__log.record(this, 'getCompilationInfo', []);
+    const messages = this.device.__options.compilationMessages?.(this.code) ?? (this.__reflectionError
+      ? [{ type: 'error', message: this.__reflectionError.message, lineNum: 0, linePos: 0, offset: 0, length: 0 }]
+      : []);
+    return Promise.resolve({ messages });
+  }
+}
+
+class MockGPUPipeline extends MockGPUObject {
+  constructor(device, descriptor, stages) {
+    super(device, descriptor);
+    this.layout = descriptor.layout;
+    this.__stages = stages; // [{ stage, module, entry }]
+    this.__autoLayouts = new Map();
+  }
+
+  // Number of bind groups the pipeline expects to be set
+  get __groupCount() {
+    if (this.layout !== 'auto') return this.layout.bindGroupLayouts.length;
+    const groups = this.__stages.flatMap(s => s.entry.resources.map(r => r.group));
+    return groups.length ? Math.max(...groups) + 1 : 0;
+  }
+
+  getBindGroupLayout(index) {
+    this.__log.record(this, 'getBindGroupLayout', [index]);
+    if (this.layout !== 'auto') {
+      const layout = this.layout.bindGroupLayouts[index];
+      if (!layout) throw new RangeError(`Pipeline layout has no bind group ${index}`);
+      return layout;
+    }
+    if (index >= this.device.limits.maxBindGroups) {
+      throw new RangeError(`Bind group index ${index} exceeds maxBindGroups`);
+    }
+    if (!this.__autoLayouts.has(index)) {
+      const entries = new Map();
+      this.__stages.forEach(({ stage, module, entry }) => {
+        entry.resources.filter(r => r.group === index).forEach(r => {
+          const declared = module.__reflection.bindings.find(b => b.group === r.group && b.binding === r.binding);
+          const visibility = { vertex: GPUShaderStage.VERTEX, fragment: GPUShaderStage.FRAGMENT, compute: GPUShaderStage.COMPUTE }[stage];
+          const existing = entries.get(r.binding);
+          if (existing) {
+            existing.visibility |= visibility;
+          } else {
+            entries.set(r.binding, { binding: r.binding, visibility, ...declared.layout });
+          }
+        });
+      });
+      this.__autoLayouts.set(index, new MockGPUBindGroupLayout(this.device, {
+        label: `${this.label} auto layout ${index}`,
+        entries: [...entries.values()]
+      }, { auto: true }));
+    }
+    return this.__autoLayouts.get(index);
+  }
+}
+
+class MockGPUComputePipeline extends MockGPUPipeline {
+  constructor(device, descriptor, stages) {
+    super(device, descriptor, stages);
+    this.__constants = descriptor.compute.constants || {};
+    this.__compiled = null;
+  }
+
+  // The compute stage compiled for the CPU, on first dispatch
+  get __kernel() {
+    const [{ module, entry }] = this.__stages;
+    this.__compiled ??= compileCompute(module.code, entry.name, this.__constants);
+    return this.__compiled;
+  }
+}
+
+class MockGPURenderPipeline extends MockGPUPipeline {
+  constructor(device, descriptor, stages) {
+    super(device, descriptor, stages);
+    this.__vertexBuffers = descriptor.vertex.buffers || [];
+  }
+}
+
+class MockGPUCommandBuffer extends MockGPUObject {
+  constructor(device, descriptor, commands, buffers, errors) {
+    super(device, descriptor);
+    this.commands = commands;
+    this.__buffers = buffers;
+    this.__valid = errors.length === 0;
+    this.__submitted = false;
+  }
+}
+
+// State shared by compute and render pass encoders
+class MockGPUPassEncoder extends MockGPUObject {
+  constructor(encoder, descriptor, type) {
+    super(encoder.device, descriptor);
+    this.__encoder = encoder;
+    this.__pass = { type, label: this.label, descriptor, commands: [] };
+    this.__pipeline = null;
+    this.__bindGroups = [];
+    this.__ended = false;
+  }
+
+  __command(method, args) {
+    this.__log.record(this, method, args);
+    if (this.__ended) {
+      this.__encoder.__fail(`${method} called on an ended ${this.__pass.type}`);
+      return false;
+    }
+    this.__pass.commands.push({ method, args });
+    return true;
+  }
+
+  __fail(message) {
+    this.__encoder.__fail(message);
+  }
+
+  setPipeline(pipeline) {
+    if (!this.__command('setPipeline', [pipeline])) return;
+    const expected = this.__pass.type === 'computePass' ? MockGPUComputePipeline : MockGPURenderPipeline;
+    if (!(pipeline instanceof expected)) {
+      this.__fail(`setPipeline expects a ${expected.name.replace('Mock', '')}, got ${describe(pipeline)}`);
+      return;
+    }
+    this.__pipeline = pipeline;
+  }
+
+  setBindGroup(index, bindGroup, dynamicOffsets = []) {
+    if (!this.__command('setBindGroup', [index, bindGroup, dynamicOffsets])) return;
+    if (index >= this.device.limits.maxBindGroups) {
+      this.__fail(`Bind group index ${index} exceeds maxBindGroups (${this.device.limits.maxBindGroups})`);
+      return;
+    }
+    if (bindGroup !== null && !(bindGroup instanceof MockGPUBindGroup)) {
+      this.__fail(`setBindGroup(${index}) expects a GPUBindGroup, got ${describe(bindGroup)}`);
+      return;
+    }
+    this.__bindGroups[index] = bindGroup;
+    bindGroup?.__bufferUses.forEach(({ buffer }) => this.__encoder.__buffers.add(buffer));
+  }
+
+  // Validate the bind groups against the current pipeline before a dispatch or draw
+  __validateState(call) {
+    const pipeline = this.__pipeline;
+    if (!pipeline) {
+      this.__fail(`${call} without a pipeline`);
+      return false;
+    }
+    const uses = [];
+    for (let i = 0; i < pipeline.__groupCount; i++) {
+      const bindGroup = this.__bindGroups[i];
+      const expected = pipeline.getBindGroupLayout(i);
+      if (!bindGroup) {
+        if (expected.entries.length === 0) continue;
+        this.__fail(`${call}: bind group ${i} is not set`);
+        return false;
+      }
+      if (!bindGroup.layout.isCompatible(expected)) {
+        this.__fail(`${call}: bind group ${i} ${describe(bindGroup)} is incompatible with ${describe(pipeline)} layout`);
+        return false;
+      }
+      uses.push(...bindGroup.__bufferUses);
+    }
+    // A buffer bound writably cannot be bound a second time in the same usage scope
+    for (const use of uses.filter(u => u.writable)) {
+      if (uses.filter(u => u.buffer === use.buffer).length > 1) {
+        this.__fail(`${call}: ${describe(use.buffer)} is bound as writable storage and also elsewhere`);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  pushDebugGroup(label) { this.__command('pushDebugGroup', [label]); }
+  popDebugGroup() { this.__command('popDebugGroup', []); }
+  insertDebugMarker(label) { this.__command('insertDebugMarker', [label]); }
+
+  end() {
+    this.__log.record(this, 'end', []);
+    if (this.__ended) {
+      this.__fail(`${this.__pass.type} ended twice`);
+      return;
+    }
+    this.__ended = true;
+    this.__encoder.__endPass(this);
+  }
+}
+
+class MockGPUComputePassEncoder extends MockGPUPassEncoder {
+  constructor(encoder, descriptor) {
+    super(encoder, descriptor, 'computePass');
+  }
+
+  dispatchWorkgroups(x, y = 1, z = 1) {
+    if (!this.__command('dispatchWorkgroups', [x, y, z])) return;
+    const max = this.device.limits.maxComputeWorkgroupsPerDimension;
+    if (x > max || y > max || z > max) {
+      this.__fail(`dispatchWorkgroups(${x}, ${y}, ${z}) exceeds maxComputeWorkgroupsPerDimension (${max})`);
+      return;
+    }
+    this.__validateState('dispatchWorkgroups');
+  }
+
+  dispatchWorkgroupsIndirect(indirectBuffer, indirectOffset) {
+    if (!this.__command('dispatchWorkgroupsIndirect', [indirectBuffer, indirectOffset])) return;
+    if (!(indirectBuffer.usage & GPUBufferUsage.INDIRECT)) {
+      this.__fail(`${describe(indirectBuffer)} lacks INDIRECT usage`);
+      return;
+    }
+    this.__encoder.__buffers.add(indirectBuffer);
+    this.__validateState('dispatchWorkgroupsIndirect');
+  }
+}
+
+class MockGPURenderPassEncoder extends MockGPUPassEncoder {
+  constructor(encoder, descriptor) {
+    super(encoder, descriptor, 'renderPass');
+    this.__vertexBuffers = [];
+    this.__indexBuffer = null;
+  }
+
+  setVertexBuffer(slot, buffer, offset = 0, size) {
+    if (!this.__command('setVertexBuffer', [slot, buffer, offset, size])) return;
+    if (slot >= this.device.limits.maxVertexBuffers) {
+      this.__fail(`Vertex buffer slot ${slot} exceeds maxVertexBuffers`);
+      return;
+    }
+    if (buffer && !(buffer.usage & GPUBufferUsage.VERTEX)) {
+      this.__fail(`${describe(buffer)} set as vertex buffer lacks VERTEX usage`);
+      return;
+    }
+    if (buffer && offset % 4 !== 0) {
+      this.__fail(`Vertex buffer offset ${offset} must be a multiple of 4`);
+      return;
+    }
+    if (buffer) this.__encoder.__buffers.add(buffer);
+    this.__vertexBuffers[slot] = buffer ? { buffer, offset, size: size ?? buffer.size - offset } : null;
+  }
+
+  setIndexBuffer(buffer, format, offset = 0, size) {
+    if (!this.__command('setIndexBuffer', [buffer, format, offset, size])) return;
+    if (!(buffer.usage & GPUBufferUsage.INDEX)) {
+      this.__fail(`${describe(buffer)} set as index buffer lacks INDEX usage`);
+      return;
+    }
+    this.__encoder.__buffers.add(buffer);
+    this.__indexBuffer = { buffer, format, offset, size: size ?? buffer.size - offset };
+  }
+
+  // Every vertex buffer slot of the pipeline must be bound and large enough for the draw
+  __validateVertexBuffers(call, vertexCount, instanceCount, firstVertex, firstInstance) {
+    const layouts = this.__pipeline.__vertexBuffers;
+    for (let slot = 0; slot < layouts.length; slot++) {
+      const layout = layouts[slot];
+      if (!layout) continue;
+      const bound = this.__vertexBuffers[slot];
+      if (!bound) {
+        this.__fail(`${call}: vertex buffer slot ${slot} is not set`);
+        return false;
+      }
+      const count = layout.stepMode === 'instance' ? firstInstance + instanceCount : firstVertex + vertexCount;
+      if (count === 0 || vertexCount === undefined) continue;
+      const lastAttributeEnd = Math.max(0, ...layout.attributes.map(a => a.offset + vertexFormatSize(a.format)));
+      const needed = (count - 1) * layout.arrayStride + lastAttributeEnd;
+      if (needed > bound.size) {
+        this.__fail(`${call}: vertex buffer slot ${slot} needs ${needed} bytes, ${bound.size} bound`);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  draw(vertexCount, instanceCount = 1, firstVertex = 0, firstInstance = 0) {
+    if (!this.__command('draw', [vertexCount, instanceCount, firstVertex, firstInstance])) return;
+    if (this.__validateState('draw')) {
+      this.__validateVertexBuffers('draw', vertexCount, instanceCount, firstVertex, firstInstance);
+    }
+  }
+
+  drawIndexed(indexCount, instanceCount = 1, firstIndex = 0, baseVertex = 0, firstInstance = 0) {
+    if (!this.__command('drawIndexed', [indexCount, instanceCount, firstIndex, baseVertex, firstInstance])) return;
+    if (!this.__indexBuffer) {
+      this.__fail('drawIndexed without an index buffer');
+      return;
+    }
+    if (this.__validateState('drawIndexed')) {
+      // Vertex ranges depend on index values; only instance-rate buffers are checked
+      this.__validateVertexBuffers('drawIndexed', undefined, instanceCount, 0, firstInstance);
+    }
+  }
+
+  setViewport(...args) { this.__command('setViewport', args); }
+  setScissorRect(...args) { this.__command('setScissorRect', args); }
+  setBlendConstant(color) { this.__command('setBlendConstant', [color]); }
+  setStencilReference(reference) { this.__command('setStencilReference', [reference]); }
+}
+
+class MockGPUCommandEncoder extends MockGPUObject {
+  constructor(device, descriptor) {
+    super(device, descriptor);
+    this.__commands = [];
+    this.__buffers = new Set();
+    this.__errors = [];
+    this.__openPass = null;
+    this.__finished = false;
+  }
+
+  __fail(message) {
+    this.__errors.push(message);
+  }
+
+  // Encoder-level commands are invalid while a pass is open or after finish()
+  __command(method, args) {
+    this.__log.record(this, method, args);
+    if (this.__finished) {
+      this.device.__error(`${method} called on a finished ${describe(this)}`);
+      return false;
+    }
+    if (this.__openPass) {
+      this.__fail(`${method} called while a ${this.__openPass.__pass.type} is open`);
+      return false;
+    }
+    return true;
+  }
+
+  __endPass(pass) {
+    if (this.__openPass === pass) {
+      this.__openPass = null;
+      this.__commands.push(pass.__pass);
+    }
+  }
+
+  beginComputePass(descriptor = {}) {
+    const pass = new MockGPUComputePassEncoder(this, descriptor);
+    if (this.__command('beginComputePass', [descriptor])) {
+      this.__openPass = pass;
+    } else {
+      pass.__ended = true;
+    }
+    return pass;
+  }
+
+  beginRenderPass(descriptor) {
+    const pass = new MockGPURenderPassEncoder(this, descriptor);
+    if (!this.__command('beginRenderPass', [descriptor])) {
+      pass.__ended = true;
+      return pass;
+    }
+    const attachments = (descriptor.colorAttachments || []).filter(Boolean);
+    if (attachments.length === 0 && !descriptor.depthStencilAttachment) {
+      this.__fail('beginRenderPass needs at least one color or depth-stencil attachment');
+    }
+    if (attachments.length > this.device.limits.maxColorAttachments) {
+      this.__fail(`${attachments.length} color attachments exceed maxColorAttachments`);
+    }
+    attachments.forEach((attachment, i) => {
+      const view = attachment.view;
+      if (!(view instanceof MockGPUTextureView)) {
+        this.__fail(`colorAttachments[${i}].view must be a GPUTextureView, got ${describe(view)}`);
+      } else if (!(view.texture.usage & GPUTextureUsage.RENDER_ATTACHMENT)) {
+        this.__fail(`colorAttachments[${i}].view's texture lacks RENDER_ATTACHMENT usage`);
+      } else if (view.texture.__destroyed) {
+        this.__fail(`colorAttachments[${i}].view's texture is destroyed`);
+      }
+      if (!['load', 'clear'].includes(attachment.loadOp) || !['store', 'discard'].includes(attachment.storeOp)) {
+        this.__fail(`colorAttachments[${i}] needs loadOp 'load' | 'clear' and storeOp 'store' | 'discard'`);
+      }
+    });
+    this.__openPass = pass;
+    return pass;
+  }
+
+  copyBufferToBuffer(source, sourceOffset, destination, destinationOffset, size) {
+    if (!this.__command('copyBufferToBuffer', [source, sourceOffset, destination, destinationOffset, size])) return;
+    if (!(source.usage & GPUBufferUsage.COPY_SRC)) {
+      this.__fail(`copyBufferToBuffer source ${describe(source)} lacks COPY_SRC usage`);
+    } else if (!(destination.usage & GPUBufferUsage.COPY_DST)) {
+      this.__fail(`copyBufferToBuffer destination ${describe(destination)} lacks COPY_DST usage`);
+    } else if (size % 4 !== 0 || sourceOffset % 4 !== 0 || destinationOffset % 4 !== 0) {
+      this.__fail(`copyBufferToBuffer offsets and size must be multiples of 4 (${sourceOffset}, ${destinationOffset}, ${size})`);
+    } else if (sourceOffset + size > source.size || destinationOffset + size > destination.size) {
+      this.__fail(`copyBufferToBuffer range out of bounds (${size} bytes from ${sourceOffset} of ${source.size}, to ${destinationOffset} of ${destination.size})`);
+    } else if (source === destination) {
+      this.__fail('copyBufferToBuffer source and destination must differ');
+    }
+    this.__buffers.add(source).add(destination);
+    this.__commands.push({ type: 'copyBufferToBuffer', source, sourceOffset, destination, destinationOffset, size });
+  }
+
+  clearBuffer(buffer, offset = 0, size = buffer.size - offset) {
+    if (!this.__command('clearBuffer', [buffer, offset, size])) return;
+    if (!(buffer.usage & GPUBufferUsage.COPY_DST)) {
+      this.__fail(`clearBuffer target ${describe(buffer)} lacks COPY_DST usage`);
+    } else if (offset % 4 !== 0 || size % 4 !== 0 || offset + size > buffer.size) {
+      this.__fail(`clearBuffer range ${offset}+${size} is misaligned or out of bounds`);
+    }
+    this.__buffers.add(buffer);
+    this.__commands.push({ type: 'clearBuffer', buffer, offset, size });
+  }
+
+  copyBufferToTexture(source, destination, copySize) {
+    if (!this.__command('copyBufferToTexture', [source, destination, copySize])) return;
+    this.__buffers.add(source.buffer);
+    this.__commands.push({ type: 'copyBufferToTexture', source, destination, copySize });
+  }
+
+  copyTextureToBuffer(source, destination, copySize) {
+    if (!this.__command('copyTextureToBuffer', [source, destination, copySize])) return;
+    this.__buffers.add(destination.buffer);
+    this.__commands.push({ type: 'copyTextureToBuffer', source, destination, copySize });
+  }
+
+  copyTextureToTexture(source, destination, copySize) {
+    if (!this.__command('copyTextureToTexture', [source, destination, copySize])) return;
+    this.__commands.push({ type: 'copyTextureToTexture', source, destination, copySize });
+  }
+
+  resolveQuerySet(querySet, firstQuery, queryCount, destination, destinationOffset) {
+    if (!this.__command('resolveQuerySet', [querySet, firstQuery, queryCount, destination, destinationOffset])) return;
+    if (!(destination.usage & GPUBufferUsage.QUERY_RESOLVE)) {
+      this.__fail(`resolveQuerySet destination ${describe(destination)} lacks QUERY_RESOLVE usage`);
+    } else if (destinationOffset % 256 !== 0) {
+      this.__fail('resolveQuerySet destinationOffset must be a multiple of 256');
+    } else if (firstQuery + queryCount > querySet.count) {
+      this.__fail(`resolveQuerySet range exceeds the ${querySet.count} queries of ${describe(querySet)}`);
+    }
+    this.__buffers.add(destination);
+    this.__commands.push({ type: 'resolveQuerySet', querySet, firstQuery, queryCount, destination, destinationOffset });
+  }
+
+  pushDebugGroup(label) { this.__command('pushDebugGroup', [label]); }
+  popDebugGroup() { this.__command('popDebugGroup', []); }
+  insertDebugMarker(label) { this.__command('insertDebugMarker', [label]); }
+
+  finish(descriptor = {}) {
+    this.__log.record(this, 'finish', [descriptor]);
+    if (this.__openPass) this.__fail(`finish() called while a ${this.__openPass.__pass.type} is open`);
+    if (this.__finished) this.__fail('finish() called twice');
+    this.__finished = true;
+    this.__errors.forEach(message => this.device.__error(message));
+    return new MockGPUCommandBuffer(this.device, descriptor, this.__commands, this.__buffers, this.__errors);
+  }
+}
+
+class MockGPUQueue extends MockGPUObject {
+  constructor(device) {
+    super(device, { label: 'default queue' });
+  }
+
+  writeBuffer(buffer, bufferOffset, data, dataOffset = 0, size) {
+    this.__log.record(this, 'writeBuffer', [buffer, bufferOffset, data, dataOffset, size]);
+    const { bytes, elementSize } = bytesOf(data);
+    const start = dataOffset * elementSize;
+    const length = size === undefined ? bytes.byteLength - start : size * elementSize;
+    if (!(buffer instanceof MockGPUBuffer)) {
+      this.device.__error(`writeBuffer expects a GPUBuffer, got ${describe(buffer)}`);
+    } else if (buffer.__destroyed || buffer.mapState !== 'unmapped') {
+      this.device.__error(`writeBuffer to ${describe(buffer)} which is destroyed or mapped`);
+    } else if (!(buffer.usage & GPUBufferUsage.COPY_DST)) {
+      this.device.__error(`writeBuffer target ${describe(buffer)} lacks COPY_DST usage`);
+    } else if (bufferOffset % 4 !== 0 || length % 4 !== 0) {
+      this.device.__error(`writeBuffer offset and size must be multiples of 4 (${bufferOffset}, ${length})`);
+    } else if (start < 0 || start + length > bytes.byteLength) {
+      throw operationError(`writeBuffer data range ${start}+${length} exceeds the ${bytes.byteLength} bytes given`);
+    } else if (bufferOffset + length > buffer.size) {
+      this.device.__error(`writeBuffer of ${length} bytes at ${bufferOffset} overruns ${describe(buffer)} (${buffer.size} bytes)`);
+    } else {
+      buffer.__data.set(bytes.subarray(start, start + length), bufferOffset);
+    }
+  }
+
+  writeTexture(destination, data, dataLayout, size) {
+    this.__log.record(this, 'writeTexture', [destination, data, dataLayout, size]);
+    if (!(destination.texture.usage & GPUTextureUsage.COPY_DST)) {
+      this.device.__error(`writeTexture target ${describe(destination.texture)} lacks COPY_DST usage`);
+    }
+  }
+
+  copyExternalImageToTexture(source, destination, copySize) {
+    this.__log.record(this, 'copyExternalImageToTexture', [source, destination, copySize]);
+  }
+
+  submit(commandBuffers) {
+    this.__log.record(this, 'submit', [commandBuffers]);
+    for (const commandBuffer of commandBuffers) {
+      if (!(commandBuffer instanceof MockGPUCommandBuffer) || !commandBuffer.__valid) {
+        this.device.__error(`submit of invalid command buffer ${describe(commandBuffer)}`);
+        return;
+      }
+      if (commandBuffer.__submitted) {
+        this.device.__error(`${describe(commandBuffer)} was already submitted`);
+        return;
+      }
+      const unusable = [...commandBuffer.__buffers].find(b => b.__destroyed || b.mapState !== 'unmapped');
+      if (unusable) {
+        this.device.__error(`submit uses ${describe(unusable)} which is destroyed or mapped`);
+        return;
+      }
+    }
+    commandBuffers.forEach(commandBuffer => {
+      commandBuffer.__submitted = true;
+      commandBuffer.commands.forEach(command => {
+        if (command.type === 'copyBufferToBuffer') {
+          const { source, sourceOffset, destination, destinationOffset, size } = command;
+          destination.__data.set(source.__data.subarray(sourceOffset, sourceOffset + size), destinationOffset);
+        } else if (command.type === 'clearBuffer') {
+          command.buffer.__data.fill(0, command.offset, command.offset + command.size);
+        } else if (command.type === 'computePass' && this.device.__options.runCompute) {
+          runComputePass(command);
+        }
+      });
+    });
+    this.device.submits.push({ commandBuffers });
+  }
+
+  onSubmittedWorkDone() {
+    this.__log.record(this, 'onSubmittedWorkDone', []);
+    return Promise.resolve();
+  }
+}
+
+// Byte view of the buffer bound at `binding` of a bind group
+function boundBufferView(bindGroup, binding) {
+  const entry = bindGroup?.entries.find(e => e.binding === binding);
+  if (!entry) throw new Error(`No buffer bound at binding ${binding}`);
+  const buffer = entry.resource.buffer || entry.resource;
+  const offset = entry.resource.offset || 0;
+  const size = entry.resource.size ?? buffer.size - offset;
+  return new DataView(buffer.__data.buffer, buffer.__data.byteOffset + offset, size);
+}
+
+// Run the dispatches of a submitted compute pass, in order, through the WGSL interpreter
+function runComputePass(pass) {
+  let pipeline = null;
+  const bindGroups = [];
+  const resource = (group, binding) => boundBufferView(bindGroups[group], binding);
+  pass.commands.forEach(({ method, args }) => {
+    if (method === 'setPipeline') {
+      [pipeline] = args;
+    } else if (method === 'setBindGroup') {
+      if (args[2]?.length) throw new Error('runCompute does not support dynamic offsets');
+      bindGroups[args[0]] = args[1];
+    } else if (method === 'dispatchWorkgroups') {
+      pipeline.__kernel.dispatch(resource, args);
+    } else if (method === 'dispatchWorkgroupsIndirect') {
+      const [buffer, offset] = args;
+      pipeline.__kernel.dispatch(resource, [...new Uint32Array(buffer.__data.buffer, buffer.__data.byteOffset + offset, 3)]);
+    }
+  });
+}
+
+class MockGPUDevice extends EventTarget {
+  constructor(adapter, descriptor = {}, options = {}) {
+    super();
+    this.adapter = adapter;
+    this.label = descriptor.label || '';
+    this.features = new Set(descriptor.requiredFeatures || []);
+    this.limits = Object.freeze({ ...DEFAULT_LIMITS, ...descriptor.requiredLimits });
+    this.__options = options;
+    this.__log = adapter.__log;
+    this.queue = new MockGPUQueue(this);
+    this.submits = [];
+    this.errors = [];
+    this.__errorScopes = [];
+    this.onuncapturederror = null;
+    this.__destroyed = false;
+    this.__lost = false;
+    this.lost = new Promise(resolve => { this.__resolveLost = resolve; });
+  }
+
+  // Route an error to the innermost matching error scope, else as an 'uncapturederror' event
+  __error(message, ErrorType = GPUValidationError) {
+    // A lost device reports nothing, as in the spec
+    if (this.__lost) return;
+    const error = new ErrorType(message);
+    this.errors.push(error);
+    const filter = ErrorType === GPUOutOfMemoryError ? 'out-of-memory' : ErrorType === GPUInternalError ? 'internal' : 'validation';
+    for (let i = this.__errorScopes.length - 1; i >= 0; i--) {
+      if (this.__errorScopes[i].filter === filter) {
+        this.__errorScopes[i].error ??= error;
+        return;
+      }
+    }
+    const event = new Event('uncapturederror');
+    event.error = error;
+    this.onuncapturederror?.(event);
+    this.dispatchEvent(event);
+  }
+
+  __record(method, args) {
+    this.__log.calls.push({ type: 'MockGPUDevice', label: this.label, method, args, object: this });
+  }
+
+  pushErrorScope(filter) {
+    this.__record('pushErrorScope', [filter]);
+    this.__errorScopes.push({ filter, error: null });
+  }
+
+  popErrorScope() {
+    this.__record('popErrorScope', []);
+    if (this.__errorScopes.length === 0) {
+      return Promise.reject(operationError('popErrorScope called with an empty error scope stack'));
+    }
+    return Promise.resolve(this.__errorScopes.pop().error);
+  }
+
+  createBuffer(descriptor) {
+    this.__record('createBuffer', [descriptor]);
+    const buffer = new MockGPUBuffer(this, descriptor);
+    const { size, usage, mappedAtCreation } = descriptor;
+    let error = null;
+    if (!usage) error = 'Buffer usage must not be 0';
+    else if (usage & ~0x3ff) error = `Unknown buffer usage bits 0x${usage.toString(16)}`;
+    else if ((usage & GPUBufferUsage.MAP_READ) && (usage & ~(GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST))) {
+      error = 'MAP_READ can only be combined with COPY_DST';
+    } else if ((usage & GPUBufferUsage.MAP_WRITE) && (usage & ~(GPUBufferUsage.MAP_WRITE | GPUBufferUsage.COPY_SRC))) {
+      error = 'MAP_WRITE can only be combined with COPY_SRC';
+    } else if (mappedAtCreation && size % 4 !== 0) error = `mappedAtCreation requires size to be a multiple of 4 (got ${size})`;
+    else if (size > this.limits.maxBufferSize) {
+      if (mappedAtCreation) throw new RangeError(`Buffer size ${size} exceeds maxBufferSize`);
+      error = `Buffer size ${size} exceeds maxBufferSize (${this.limits.maxBufferSize})`;
+    }
+    if (error) {
+      buffer.__valid = false;
+      this.__error(`createBuffer ${describe(buffer)}: ${error}`);
+    }
+    return buffer;
+  }
+
+  createTexture(descriptor) {
+    this.__record('createTexture', [descriptor]);
+    const texture = new MockGPUTexture(this, descriptor);
+    if (!descriptor.usage) this.__error(`createTexture ${describe(texture)}: usage must not be 0`);
+    if (!descriptor.format) this.__error(`createTexture ${describe(texture)}: format is required`);
+    if (texture.width > this.limits.maxTextureDimension2D || texture.height > this.limits.maxTextureDimension2D) {
+      this.__error(`createTexture ${describe(texture)}: ${texture.width}x${texture.height} exceeds maxTextureDimension2D`);
+    }
+    return texture;
+  }
+
+  createSampler(descriptor = {}) {
+    this.__record('createSampler', [descriptor]);
+    return new MockGPUSampler(this, descriptor);
+  }
+
+  createQuerySet(descriptor) {
+    this.__record('createQuerySet', [descriptor]);
+    if (descriptor.type === 'timestamp' && !this.features.has('timestamp-query')) {
+      this.__error("createQuerySet of type 'timestamp' requires the 'timestamp-query' feature");
+    }
+    return new MockGPUQuerySet(this, descriptor);
+  }
+
+  createBindGroupLayout(descriptor) {
+    this.__record('createBindGroupLayout', [descriptor]);
+    const layout = new MockGPUBindGroupLayout(this, descriptor);
+    const seen = new Set();
+    descriptor.entries.forEach(entry => {
+      const kinds = ['buffer', 'sampler', 'texture', 'storageTexture', 'externalTexture'].filter(k => entry[k]);
+      if (seen.has(entry.binding)) this.__error(`createBindGroupLayout: binding ${entry.binding} appears twice`);
+      if (kinds.length !== 1) this.__error(`createBindGroupLayout: binding ${entry.binding} must declare exactly one resource type`);
+      if (!entry.visibility || entry.visibility & ~0x7) this.__error(`createBindGroupLayout: binding ${entry.binding} has invalid visibility ${entry.visibility}`);
+      if (entry.buffer?.type === 'storage' && entry.visibility & GPUShaderStage.VERTEX) {
+        this.__error(`createBindGroupLayout: writable storage binding ${entry.binding} cannot be visible to the vertex stage`);
+      }
+      seen.add(entry.binding);
+    });
+    return layout;
+  }
+
+  createPipelineLayout(descriptor) {
+    this.__record('createPipelineLayout', [descriptor]);
+    if (descriptor.bindGroupLayouts.length > this.limits.maxBindGroups) {
+      this.__error(`createPipelineLayout: ${descriptor.bindGroupLayouts.length} bind group layouts exceed maxBindGroups`);
+    }
+    return new MockGPUPipelineLayout(this, descriptor);
+  }
+
+  createBindGroup(descriptor) {
+    this.__record('createBindGroup', [descriptor]);
+    const bindGroup = new MockGPUBindGroup(this, descriptor);
+    const where = `createBindGroup ${describe(bindGroup)}`;
+    const { layout, entries } = descriptor;
+    if (!(layout instanceof MockGPUBindGroupLayout)) {
+      this.__error(`${where}: layout must be a GPUBindGroupLayout`);
+      return bindGroup;
+    }
+    if (entries.length !== layout.entries.length) {
+      this.__error(`${where}: ${entries.length} entries given, layout has ${layout.entries.length}`);
+    }
+    entries.forEach(entry => {
+      const layoutEntry = layout.entries.find(l => l.binding === entry.binding);
+      if (!layoutEntry) {
+        this.__error(`${where}: layout has no binding ${entry.binding}`);
+        return;
+      }
+      const resource = entry.resource;
+      if (layoutEntry.buffer) {
+        const { buffer, offset = 0, size } = resource instanceof MockGPUBuffer ? { buffer: resource } : resource;
+        if (!(buffer instanceof MockGPUBuffer)) {
+          this.__error(`${where}: binding ${entry.binding} expects a buffer, got ${describe(resource)}`);
+          return;
+        }
+        const type = layoutEntry.buffer.type || 'uniform';
+        const isUniform = type === 'uniform';
+        const bindingSize = size ?? buffer.size - offset;
+        const alignment = isUniform ? this.limits.minUniformBufferOffsetAlignment : this.limits.minStorageBufferOffsetAlignment;
+        if (!(buffer.usage & (isUniform ? GPUBufferUsage.UNIFORM : GPUBufferUsage.STORAGE))) {
+          this.__error(`${where}: binding ${entry.binding} ${describe(buffer)} lacks ${isUniform ? 'UNIFORM' : 'STORAGE'} usage`);
+        } else if (offset % alignment !== 0) {
+          this.__error(`${where}: binding ${entry.binding} offset ${offset} is not a multiple of ${alignment}`);
+        } else if (bindingSize <= 0 || offset + bindingSize > buffer.size) {
+          this.__error(`${where}: binding ${entry.binding} range ${offset}+${bindingSize} is outside ${describe(buffer)} (${buffer.size} bytes)`);
+        } else if (!isUniform && bindingSize % 4 !== 0) {
+          this.__error(`${where}: storage binding ${entry.binding} size ${bindingSize} is not a multiple of 4`);
+        } else if (bindingSize > (isUniform ? this.limits.maxUniformBufferBindingSize : this.limits.maxStorageBufferBindingSize)) {
+          this.__error(`${where}: binding ${entry.binding} size ${bindingSize} exceeds the ${type} binding size limit`);
+        } else if (layoutEntry.buffer.minBindingSize && bindingSize < layoutEntry.buffer.minBindingSize) {
+          this.__error(`${where}: binding ${entry.binding} size ${bindingSize} is below minBindingSize ${layoutEntry.buffer.minBindingSize}`);
+        }
+      } else if (layoutEntry.sampler) {
+        if (!(resource instanceof MockGPUSampler)) {
+          this.__error(`${where}: binding ${entry.binding} expects a GPUSampler, got ${describe(resource)}`);
+        }
+      } else if (layoutEntry.texture || layoutEntry.storageTexture) {
+        if (!(resource instanceof MockGPUTextureView)) {
+          this.__error(`${where}: binding ${entry.binding} expects a GPUTextureView, got ${describe(resource)}`);
+        } else {
+          const usage = layoutEntry.texture ? GPUTextureUsage.TEXTURE_BINDING : GPUTextureUsage.STORAGE_BINDING;
+          if (!(resource.texture.usage & usage)) {
+            this.__error(`${where}: binding ${entry.binding} texture lacks ${layoutEntry.texture ? 'TEXTURE_BINDING' : 'STORAGE_BINDING'} usage`);
+          }
+        }
+      }
+    });
+    layout.entries.forEach(l => {
+      if (!entries.some(e => e.binding === l.binding)) {
+        this.__error(`${where}: no entry for layout binding ${l.binding}`);
+      }
+    });
+    return bindGroup;
+  }
+
+  createShaderModule(descriptor) {
+    this.__record('createShaderModule', [descriptor]);
+    return new MockGPUShaderModule(this, descriptor);
+  }
+
+  // Resolve and validate one programmable stage against the module's reflection
+  __stage(stage, descriptor, where) {
+    const { module, entryPoint, constants } = descriptor || {};
+    if (!(module instanceof MockGPUShaderModule)) {
+      throw new TypeError(`${where}: ${stage}.module must be a GPUShaderModule`);
+    }
+    if (!module.__reflection) {
+      this.__error(`${where}: ${stage} module failed to compile: ${module.__reflectionError.message}`);
+      return null;
+    }
+    const candidates = module.__reflection.entryPoints.filter(e => e.stage === stage);
+    const entry = entryPoint ? findEntryPoint(module.__reflection, stage, entryPoint) : candidates.length === 1 ? candidates[0] : null;
+    if (!entry) {
+      this.__error(entryPoint
+        ? `${where}: no @${stage} entry point '${entryPoint}'`
+        : `${where}: ${candidates.length} @${stage} entry points, entryPoint must be given`);
+      return null;
+    }
+    Object.keys(constants || {}).forEach(key => {
+      if (!module.__reflection.overrides.some(o => o.name === key || String(o.id) === key)) {
+        this.__error(`${where}: unknown override constant '${key}'`);
+      }
+    });
+    return { stage, module, entry };
+  }
+
+  // Explicit layouts must cover every binding the shaders use, with a matching type and visibility
+  __validateLayout(pipeline, where) {
+    if (pipeline.layout === 'auto') return;
+    if (!(pipeline.layout instanceof MockGPUPipelineLayout)) {
+      this.__error(`${where}: layout must be 'auto' or a GPUPipelineLayout`);
+      return;
+    }
+    const visibility = { vertex: GPUShaderStage.VERTEX, fragment: GPUShaderStage.FRAGMENT, compute: GPUShaderStage.COMPUTE };
+    pipeline.__stages.forEach(({ stage, module, entry }) => {
+      entry.resources.forEach(r => {
+        const declared = module.__reflection.bindings.find(b => b.group === r.group && b.binding === r.binding);
+        const layoutEntry = pipeline.layout.bindGroupLayouts[r.group]?.entries.find(l => l.binding === r.binding);
+        if (!layoutEntry) {
+          this.__error(`${where}: '${r.name}' (@group(${r.group}) @binding(${r.binding})) is missing from the pipeline layout`);
+        } else if (!(layoutEntry.visibility & visibility[stage])) {
+          this.__error(`${where}: '${r.name}' is not visible to the ${stage} stage in the pipeline layout`);
+        } else if (declared.resourceType === 'buffer' && layoutEntry.buffer) {
+          const expected = declared.layout.buffer.type;
+          const actual = layoutEntry.buffer.type || 'uniform';
+          // A read-only shader binding may use a writable layout entry, not the reverse
+          const compatible = expected === actual || (expected === 'read-only-storage' && actual === 'storage');
+          if (!compatible) {
+            this.__error(`${where}: '${r.name}' is '${expected}' in the shader but '${actual}' in the pipeline layout`);
+          }
+        } else if (declared.resourceType !== 'buffer' && !layoutEntry[declared.resourceType]) {
+          this.__error(`${where}: '${r.name}' is a ${declared.resourceType} in the shader but not in the pipeline layout`);
+        }
+      });
+    });
+  }
+
+  createComputePipeline(descriptor) {
+    this.__record('createComputePipeline', [descriptor]);
+    const where = `createComputePipeline '${descriptor.label || ''}'`;
+    const stage = this.__stage('compute', descriptor.compute, where);
+    const pipeline = new MockGPUComputePipeline(this, descriptor, stage ? [stage] : []);
+    if (stage) {
+      // Sizes naming an override take the pipeline constant, or the override's default
+      const constants = descriptor.compute.constants || {};
+      const [x, y, z] = stage.entry.workgroupSize.map(v => Number(typeof v === 'string' ? constants[v] : v));
+      const { limits } = this;
+      if (x > limits.maxComputeWorkgroupSizeX || y > limits.maxComputeWorkgroupSizeY || z > limits.maxComputeWorkgroupSizeZ ||
+          x * y * z > limits.maxComputeInvocationsPerWorkgroup) {
+        this.__error(`${where}: workgroup size ${x}x${y}x${z} exceeds the device limits`);
+      }
+      this.__validateLayout(pipeline, where);
+    }
+    return pipeline;
+  }
+
+  createRenderPipeline(descriptor) {
+    this.__record('createRenderPipeline', [descriptor]);
+    const where = `createRenderPipeline '${descriptor.label || ''}'`;
+    const stages = [this.__stage('vertex', descriptor.vertex, where)];
+    if (descriptor.fragment) stages.push(this.__stage('fragment', descriptor.fragment, where));
+    const pipeline = new MockGPURenderPipeline(this, descriptor, stages.filter(Boolean));
+    if (stages.every(Boolean)) {
+      this.__validateLayout(pipeline, where);
+      // Vertex inputs need an attribute with the same location
+      const attributes = (descriptor.vertex.buffers || []).filter(Boolean).flatMap(b => b.attributes);
+      stages[0].entry.inputs.filter(input => input.location !== undefined).forEach(input => {
+        if (!attributes.some(a => a.shaderLocation === input.location)) {
+          this.__error(`${where}: vertex input '${input.name}' @location(${input.location}) has no vertex attribute`);
+        }
+      });
+      const locations = attributes.map(a => a.shaderLocation);
+      if (new Set(locations).size !== locations.length) {
+        this.__error(`${where}: duplicate vertex attribute shaderLocation`);
+      }
+      (descriptor.vertex.buffers || []).filter(Boolean).forEach((b, slot) => {
+        if (b.arrayStride % 4 !== 0 || b.arrayStride > this.limits.maxVertexBufferArrayStride) {
+          this.__error(`${where}: vertex buffer ${slot} arrayStride ${b.arrayStride} must be a multiple of 4 and at most ${this.limits.maxVertexBufferArrayStride}`);
+        }
+      });
+      if (descriptor.fragment && (descriptor.fragment.targets || []).some(t => t && !t.format)) {
+        this.__error(`${where}: every fragment target needs a format`);
+      }
+    }
+    return pipeline;
+  }
+
+  createComputePipelineAsync(descriptor) {
+    const errors = this.errors.length;
+    const pipeline = this.createComputePipeline(descriptor);
+    return this.errors.length > errors
+      ? Promise.reject(new GPUPipelineError(this.errors[this.errors.length - 1].message))
+      : Promise.resolve(pipeline);
+  }
+
+  createRenderPipelineAsync(descriptor) {
+    const errors = this.errors.length;
+    const pipeline = this.createRenderPipeline(descriptor);
+    return this.errors.length > errors
+      ? Promise.reject(new GPUPipelineError(this.errors[this.errors.length - 1].message))
+      : Promise.resolve(pipeline);
+  }
+
+  createCommandEncoder(descriptor = {}) {
+    this.__record('createCommandEncoder', [descriptor]);
+    return new MockGPUCommandEncoder(this, descriptor);
+  }
+
+  /**
+   * Simulate device loss, as destroy() or a driver reset would. Afterwards the device stops
+   * reporting errors and mapAsync rejects.
+   */
+  loseDevice(reason = 'unknown', message = 'Device lost (mock)') {
+    this.__record('loseDevice', [reason, message]);
+    this.__lost = true;
+    this.__resolveLost({ reason, message });
+  }
+
+  destroy() {
+    this.__record('destroy', []);
+    this.__destroyed = true;
+    this.__lost = true;
+    this.__resolveLost({ reason: 'destroyed', message: 'Device destroyed' });
+  }
+}
+
+// Async pipeline creation rejects with a GPUPipelineError instead of a validation error
+class GPUPipelineError extends Error {
+  constructor(message, reason = 'validation') {
+    super(message);
+    this.name = 'GPUPipelineError';
+    this.reason = reason;
+  }
+}
+
+class MockGPUAdapter {
+  constructor(gpu, options) {
+    this.__gpu = gpu;
+    this.__log = gpu.__log;
+    this.__options = options;
+    this.features = new Set(options.features || []);
+    this.limits = Object.freeze({ ...DEFAULT_LIMITS, ...options.limits });
+    this.info = { vendor: 'mock', architecture: '', device: '', description: 'Mock WebGPU adapter' };
+    this.isFallbackAdapter = false;
+    this.label = '';
+  }
+
+  requestDevice(descriptor = {}) {
+    this.__log.record(this, 'requestDevice', [descriptor]);
+    if (this.__options.deviceAvailable === false) {
+      return Promise.reject(operationError('requestDevice failed (mock)'));
+    }
+    const missing = (descriptor.requiredFeatures || []).find(f => !this.features.has(f));
+    if (missing) {
+      return Promise.reject(new TypeError(`Feature '${missing}' is not supported by the adapter`));
+    }
+    for (const [name, value] of Object.entries(descriptor.requiredLimits || {})) {
+      if (!(name in this.limits)) {
+        return Promise.reject(operationError(`Unknown limit '${name}'`));
+      }
+      const better = ALIGNMENT_LIMITS.has(name) ? value < this.limits[name] : value > this.limits[name];
+      if (better) {
+        return Promise.reject(operationError(`Limit ${name} = ${value} is beyond the adapter's ${this.limits[name]}`));
+      }
+    }
+    const device = new MockGPUDevice(this, descriptor, this.__options);
+    this.__gpu.devices.push(device);
+    return Promise.resolve(device);
+  }
+}
+
+/** Stand-in for navigator.gpu */
+class MockGPU {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.adapterAvailable=true]  requestAdapter resolves null when false
+   * @param {boolean} [options.deviceAvailable=true]   requestDevice rejects when false
+   * @param {string[]} [options.features]              adapter features, e.g. ['timestamp-query']
+   * @param {object} [options.limits]                  adapter limit overrides
+   * @param {string} [options.preferredFormat='bgra8unorm']
+   * @param {function} [options.compilationMessages]   (code) => GPUCompilationMessage-like list
+   * @param {boolean} [options.runCompute=false]       run submitted compute passes on the CPU
+   */
+  constructor(options = {}) {
+    this.__options = options;
+    this.__log = new MockCallLog();
+    this.devices = [];
+    this.wgslLanguageFeatures = new Set();
+    this.label = '';
+  }
+
+  get log() {
+    return this.__log;
+  }
+
+  requestAdapter(options = {}) {
+    this.__log.record(this, 'requestAdapter', [options]);
+    return Promise.resolve(this.__options.adapterAvailable === false ? null : new MockGPUAdapter(this, this.__options));
+  }
+
+  getPreferredCanvasFormat() {
+    return this.__options.preferredFormat || 'bgra8unorm';
+  }
+}
+
+class MockGPUCanvasContext {
+  constructor(canvas, log) {
+    this.canvas = canvas;
+    this.label = '';
+    this.__log = log;
+    this.__configuration = null;
+    this.__texture = null;
+  }
+
+  configure(configuration) {
+    this.__log.record(this, 'configure', [configuration]);
+    if (!(configuration.device instanceof MockGPUDevice)) {
+      throw new TypeError('configure() needs a GPUDevice');
+    }
+    this.__configuration = { usage: GPUTextureUsage.RENDER_ATTACHMENT, alphaMode: 'opaque', ...configuration };
+    this.__texture = null;
+  }
+
+  unconfigure() {
+    this.__log.record(this, 'unconfigure', []);
+    this.__configuration = null;
+    this.__texture = null;
+  }
+
+  getConfiguration() {
+    return this.__configuration;
+  }
+
+  // One texture per frame; a new one is handed out once the previous has been submitted
+  getCurrentTexture() {
+    this.__log.record(this, 'getCurrentTexture', []);
+    if (!this.__configuration) {
+      throw typeof DOMException !== 'undefined'
+        ? new DOMException('Context is not configured', 'InvalidStateError')
+        : new Error('Context is not configured');
+    }
+    const { device, format, usage } = this.__configuration;
+    const stale = !this.__texture || this.__texture.width !== this.canvas.width || this.__texture.height !== this.canvas.height ||
+      this.__textureSubmits !== device.submits.length;
+    if (stale) {
+      this.__texture = new MockGPUTexture(device, {
+        label: 'canvas texture',
+        size: [this.canvas.width, this.canvas.height],
+        format,
+        usage
+      });
+      this.__textureSubmits = device.submits.length;
+    }
+    return this.__texture;
+  }
+}
+
+/** Minimal canvas whose getContext('webgpu') returns a MockGPUCanvasContext */
+function createMockCanvas(gpu, { width = 300, height = 150 } = {}) {
+  const target = new EventTarget();
+  const canvas = {
+    width,
+    height,
+    clientWidth: width,
+    clientHeight: height,
+    style: {},
+    __context: null,
+    getContext(type) {
+      if (type !== 'webgpu') return null;
+      canvas.__context ??= new MockGPUCanvasContext(canvas, gpu.log);
+      return canvas.__context;
+    },
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: canvas.clientWidth, height: canvas.clientHeight, right: canvas.clientWidth, bottom: canvas.clientHeight }),
+    addEventListener: target.addEventListener.bind(target),
+    removeEventListener: target.removeEventListener.bind(target),
+    dispatchEvent: target.dispatchEvent.bind(target),
+    setPointerCapture() {},
+    releasePointerCapture() {}
+  };
+  return canvas;
+}
+
+const GLOBALS = {
+  GPUBufferUsage,
+  GPUTextureUsage,
+  GPUShaderStage,
+  GPUMapMode,
+  GPUColorWrite,
+  GPUError,
+  GPUValidationError,
+  GPUOutOfMemoryError,
+  GPUInternalError,
+  GPUPipelineError,
+  GPUBuffer: MockGPUBuffer,
+  GPUTexture: MockGPUTexture,
+  GPUTextureView: MockGPUTextureView,
+  GPUSampler: MockGPUSampler,
+  GPUDevice: MockGPUDevice,
+  GPUAdapter: MockGPUAdapter
+};
+
+/**
+ * Install a MockGPU as navigator.gpu together with the WebGPU constants and classes on
+ * `target` (globalThis by default). Globals without addEventListener (Node) get one so
+ * modules registering window error handlers can load. Returns { gpu, log, uninstall }.
+ */
+function installMockWebGPU(options = {}, target = globalThis) {
+  const gpu = new MockGPU(options);
+  const saved = new Map();
+  const define = (object, key, value) => {
+    if (!saved.has(object)) saved.set(object, new Map());
+    saved.get(object).set(key, Object.getOwnPropertyDescriptor(object, key));
+    Object.defineProperty(object, key, { value, configurable: true, writable: true });
+  };
+
+  Object.entries(GLOBALS).forEach(([key, value]) => define(target, key, value));
+  if (!target.navigator) define(target, 'navigator', {});
+  define(target.navigator, 'gpu', gpu);
+  if (typeof target.addEventListener !== 'function') {
+    const events = new EventTarget();
+    define(target, 'addEventListener', events.addEventListener.bind(events));
+    define(target, 'removeEventListener', events.removeEventListener.bind(events));
+    define(target, 'dispatchEvent', events.dispatchEvent.bind(events));
+  }
+
+  const uninstall = () => {
+    // Restore in reverse order so navigator.gpu goes before navigator itself
+    [...saved.entries()].reverse().forEach(([object, keys]) => {
+      keys.forEach((descriptor, key) => {
+        if (descriptor) Object.defineProperty(object, key, descriptor);
+        else delete object[key];
+      });
+    });
+  };
+  return { gpu, log: gpu.log, uninstall };
+}
+
+export {
+  installMockWebGPU,
+  createMockCanvas,
+  MockGPU,
+  MockCallLog,
+  MockGPUAdapter,
+  MockGPUDevice,
+  MockGPUBuffer,
+  MockGPUTexture,
+  MockGPUTextureView,
+  MockGPUSampler,
+  MockGPUCanvasContext,
+  GPUBufferUsage,
+  GPUTextureUsage,
+  GPUShaderStage,
+  GPUMapMode,
+  GPUColorWrite,
+  GPUValidationError,
+  GPUOutOfMemoryError,
+  GPUInternalError,
+  GPUPipelineError,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,226 @@
+// Orbit / fly camera for the 3D samples, driven by mouse and keyboard.
+//
+//   drag               orbit around the target
+//   shift+drag, right-drag
+//                      pan the target in the view plane
+//   wheel              zoom (distance to the target)
+//   W A S D            fly forward, left, back, right; Q / E down, up (shift: faster)
+//   R                  back to the initial view
+//
+// Usage:
+//   const camera = new OrbitCamera(canvas, { distance: 3 });
+//   // each frame:
+//   camera.update();
+//   device.queue.writeBuffer(cameraBuffer, 0, camera.viewProjection(canvas.width / canvas.height));
+//
+// Matrices are column-major Float32Arrays, as WGSL mat4x4f expects, with WebGPU's [0, 1]
+// clip space depth.
+
+const FLY_KEYS = {
+  w: [0, 0, 1], s: [0, 0, -1], a: [-1, 0, 0], d: [1, 0, 0], q: [0, -1, 0], e: [0, 1, 0]
+};
+
+// Helpers for 3-vectors as arrays
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+/** Perspective projection to WebGPU clip space (depth 0 at `near`, 1 at `far`) */
+function perspective(fovY, aspect, near, far) {
+  const f = 1 / Math.tan(fovY / 2);
+  const rangeInv = 1 / (near - far);
+  return new Float32Array([
+    f / aspect, 0, 0, 0,
+    0, f, 0, 0,
+    0, 0, far * rangeInv, -1,
+    0, 0, near * far * rangeInv, 0
+  ]);
+}
+
+/** View matrix of an eye at `eye` looking at `target` */
+function lookAt(eye, target, up = [0, 1, 0]) {
+  const z = normalize(sub(eye, target));
+  const x = normalize(cross(up, z));
+  const y = cross(z, x);
+  return new Float32Array([
+    x[0], y[0], z[0], 0,
+    x[1], y[1], z[1], 0,
+    x[2], y[2], z[2], 0,
+    -dot(x, eye), -dot(y, eye), -dot(z, eye), 1
+  ]);
+}
+
+/** a * b for column-major 4x4 matrices */
+function multiply(a, b) {
+  const out = new Float32Array(16);
+  for (let column = 0; column < 4; column++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[column * 4 + k];
+      out[column * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+class OrbitCamera {
+  /**
+   * @param {HTMLElement} element            receives the mouse input; keys are read on window
+   * @param {object} [options]
+   * @param {number[]} [options.target=[0, 0, 0]]
+   * @param {number} [options.distance=3]
+   * @param {number} [options.yaw=0.6]       radians around +y
+   * @param {number} [options.pitch=0.4]     radians above the horizon
+   * @param {number} [options.fovY=Math.PI / 4]
+   * @param {number} [options.near=0.01]
+   * @param {number} [options.far=100]
+   * @param {number} [options.flySpeed=1]    units per second
+   */
+  constructor(element, {
+    target = [0, 0, 0],
+    distance = 3,
+    yaw = 0.6,
+    pitch = 0.4,
+    fovY = Math.PI / 4,
+    near = 0.01,
+    far = 100,
+    flySpeed = 1
+  } = {}) {
+    this.element = element;
+    this.target = [...target];
+    this.distance = distance;
+    this.yaw = yaw;
+    this.pitch = pitch;
+    this.fovY = fovY;
+    this.near = near;
+    this.far = far;
+    this.flySpeed = flySpeed;
+    this.enabled = true;
+    this.__initial = { target: [...target], distance, yaw, pitch };
+    this.__keys = new Set();
+    this.__fast = false;
+    this.__drag = null;
+    this.__lastUpdate = null;
+    this.__listeners = [];
+
+    this.__listen(element, 'pointerdown', (event) => {
+      if (!this.enabled) return;
+      this.__drag = { x: event.clientX, y: event.clientY, pan: event.shiftKey || event.button === 2 };
+      element.setPointerCapture?.(event.pointerId);
+    });
+    this.__listen(element, 'pointermove', (event) => {
+      if (!this.__drag) return;
+      const dx = event.clientX - this.__drag.x;
+      const dy = event.clientY - this.__drag.y;
+      this.__drag.x = event.clientX;
+      this.__drag.y = event.clientY;
+      if (this.__drag.pan) {
+        // One drag across the element moves the target about one view height
+        const scale = (2 * this.distance * Math.tan(this.fovY / 2)) / (element.clientHeight || 1);
+        this.__move([-dx * scale, dy * scale, 0]);
+      } else {
+        this.yaw -= dx * 0.005;
+        this.pitch = Math.max(-1.55, Math.min(1.55, this.pitch + dy * 0.005));
+      }
+    });
+    const endDrag = () => { this.__drag = null; };
+    this.__listen(element, 'pointerup', endDrag);
+    this.__listen(element, 'pointercancel', endDrag);
+    this.__listen(element, 'contextmenu', event => event.preventDefault());
+    this.__listen(element, 'wheel', (event) => {
+      if (!this.enabled) return;
+      event.preventDefault();
+      this.distance = Math.max(this.near * 2, this.distance * Math.exp(event.deltaY * 0.001));
+    }, { passive: false });
+    this.__listen(window, 'keydown', (event) => {
+      if (!this.enabled || event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+      const key = event.key.toLowerCase();
+      if (key in FLY_KEYS) this.__keys.add(key);
+      if (key === 'r') this.reset();
+      this.__fast = event.shiftKey;
+    });
+    this.__listen(window, 'keyup', (event) => {
+      this.__keys.delete(event.key.toLowerCase());
+      this.__fast = event.shiftKey;
+    });
+    // Keys released while the page had no focus never send keyup
+    this.__listen(window, 'blur', () => this.__keys.clear());
+  }
+
+  __listen(target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    this.__listeners.push([target, type, listener, options]);
+  }
+
+  /** Unit vectors of the view: right, up and forward (towards the target) */
+  get axes() {
+    const forward = normalize(sub(this.target, this.eye));
+    const right = normalize(cross(forward, [0, 1, 0]));
+    return { right, up: cross(right, forward), forward };
+  }
+
+  get eye() {
+    const cosPitch = Math.cos(this.pitch);
+    return [
+      this.target[0] + this.distance * cosPitch * Math.sin(this.yaw),
+      this.target[1] + this.distance * Math.sin(this.pitch),
+      this.target[2] + this.distance * cosPitch * Math.cos(this.yaw)
+    ];
+  }
+
+  // Move the target by [right, up, forward] in view space
+  __move([x, y, z]) {
+    const { right, up, forward } = this.axes;
+    for (let i = 0; i < 3; i++) this.target[i] += right[i] * x + up[i] * y + forward[i] * z;
+  }
+
+  /** Apply the held fly keys for the time since the last update */
+  update(now = performance.now()) {
+    const dt = this.__lastUpdate === null ? 0 : Math.min(0.1, (now - this.__lastUpdate) / 1000);
+    this.__lastUpdate = now;
+    if (!this.enabled || !this.__keys.size) return;
+    const step = this.flySpeed * (this.__fast ? 4 : 1) * dt;
+    const move = [0, 0, 0];
+    this.__keys.forEach(key => FLY_KEYS[key].forEach((v, i) => { move[i] += v * step; }));
+    this.__move(move);
+  }
+
+  reset() {
+    Object.assign(this, { ...this.__initial, target: [...this.__initial.target] });
+  }
+
+  view() {
+    return lookAt(this.eye, this.target);
+  }
+
+  projection(aspect) {
+    return perspective(this.fovY, aspect, this.near, this.far);
+  }
+
+  /**
+   * The point under normalized device coordinates (x, y) on the plane through the target
+   * that faces the camera, e.g. to place things with the mouse
+   */
+  targetPlanePoint(x, y, aspect) {
+    const { right, up } = this.axes;
+    const scale = Math.tan(this.fovY / 2) * this.distance;
+    return this.target.map((t, i) => t + (right[i] * x * aspect + up[i] * y) * scale);
+  }
+
+  /** projection * view, for a mat4x4f uniform */
+  viewProjection(aspect) {
+    return multiply(this.projection(aspect), this.view());
+  }
+
+  destroy() {
+    this.__listeners.forEach(([target, type, listener, options]) => target.removeEventListener(type, listener, options));
+    this.__listeners = [];
+    this.__keys.clear();
+  }
+}
+
+export { OrbitCamera, perspective, lookAt, multiply };
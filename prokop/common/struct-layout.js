@@ -0,0 +1,406 @@
+// Host-shareable memory layout of WGSL types, following the WGSL alignment and size rules
+// (https://www.w3.org/TR/WGSL/#alignment-and-size), plus serialization of plain JS values.
+//
+// A layout is a tree of { kind, size, align, ... } nodes:
+//   scalar  { type: 'f32' | 'i32' | 'u32' | 'f16' }
+//   vector  { scalar, count }
+//   matrix  { scalar, columns, rows, columnStride }
+//   array   { element, count (null = runtime-sized), stride }
+//   struct  { name, members: [{ name, offset, size, layout }] }
+// Atomics are laid out as their underlying scalar.
+
+import { reflectWGSL, normalizeType } from './wgsl-reflect.js';
+
+const SCALARS = {
+  f32: { size: 4, align: 4 },
+  i32: { size: 4, align: 4 },
+  u32: { size: 4, align: 4 },
+  f16: { size: 2, align: 2 }
+};
+
+const SHORT_SCALAR = { f: 'f32', i: 'i32', u: 'u32', h: 'f16' };
+
+function roundUp(align, value) {
+  return Math.ceil(value / align) * align;
+}
+
+// Split 'array<vec2f, 4>' into { name: 'array', args: ['vec2f', '4'] }
+function splitType(type) {
+  const open = type.indexOf('<');
+  if (open < 0) return { name: type.trim(), args: [] };
+  const inner = type.slice(open + 1, type.lastIndexOf('>'));
+  const args = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < inner.length; i++) {
+    if (inner[i] === '<') depth++;
+    if (inner[i] === '>') depth--;
+    if (inner[i] === ',' && depth === 0) {
+      args.push(inner.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  args.push(inner.slice(start).trim());
+  return { name: type.slice(0, open).trim(), args };
+}
+
+/**
+ * Compute the layout of a WGSL type.
+ * `reflection` supplies structs, aliases and constants (array counts may name a const).
+ */
+function typeLayout(type, reflection = {}) {
+  const { structs = {}, aliases = {}, constants = {} } = reflection;
+  const resolved = normalizeType(aliases[type] || type);
+  const { name, args } = splitType(resolved);
+
+  if (SCALARS[name]) {
+    return { kind: 'scalar', type: name, ...SCALARS[name] };
+  }
+  if (name === 'atomic') {
+    return typeLayout(args[0], reflection);
+  }
+  if (name === 'bool') {
+    throw new Error('bool is not host-shareable and cannot appear in uniform or storage buffers');
+  }
+
+  const vector = /^vec([234])([fiuh])?$/.exec(name);
+  if (vector) {
+    const count = Number(vector[1]);
+    const scalar = vector[2] ? SHORT_SCALAR[vector[2]] : args[0];
+    if (!SCALARS[scalar]) {
+      throw new Error(`Unsupported vector component type in '${resolved}'`);
+    }
+    const s = SCALARS[scalar].size;
+    return { kind: 'vector', scalar, count, size: count * s, align: (count === 2 ? 2 : 4) * s };
+  }
+
+  const matrix = /^mat([234])x([234])([fh])?$/.exec(name);
+  if (matrix) {
+    const columns = Number(matrix[1]);
+    const rows = Number(matrix[2]);
+    const scalar = matrix[3] ? SHORT_SCALAR[matrix[3]] : args[0];
+    const column = typeLayout(`vec${rows}<${scalar}>`);
+    const columnStride = roundUp(column.align, column.size);
+    return { kind: 'matrix', scalar, columns, rows, columnStride, size: columns * columnStride, align: column.align };
+  }
+
+  if (name === 'array') {
+    const element = typeLayout(args[0], reflection);
+    const stride = roundUp(element.align, element.size);
+    let count = null;
+    if (args[1] !== undefined) {
+      const value = constants[args[1]]?.value ?? Number(args[1].replace(/[iu]$/, ''));
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Array count '${args[1]}' in '${resolved}' is not a positive integer constant`);
+      }
+      count = value;
+    }
+    return { kind: 'array', element, count, stride, size: count === null ? null : count * stride, align: element.align };
+  }
+
+  if (structs[name]) {
+    return structLayout(structs[name], reflection);
+  }
+
+  throw new Error(`Unknown or non-host-shareable WGSL type '${resolved}'`);
+}
+
+function structLayout(struct, reflection) {
+  let offset = 0;
+  let align = 1;
+  const members = struct.members.map((member, i) => {
+    const layout = typeLayout(member.type, reflection);
+    const memberAlign = member.align ?? layout.align;
+    if (layout.size === null && i !== struct.members.length - 1) {
+      throw new Error(`Runtime-sized array '${member.name}' must be the last member of '${struct.name}'`);
+    }
+    const memberSize = member.size ?? layout.size;
+    const memberOffset = roundUp(memberAlign, offset);
+    offset = memberOffset + (memberSize ?? 0);
+    align = Math.max(align, memberAlign);
+    return { name: member.name, offset: memberOffset, size: memberSize, layout };
+  });
+  const runtimeSized = members.length > 0 && members[members.length - 1].size === null;
+  return {
+    kind: 'struct',
+    name: struct.name,
+    members,
+    align,
+    // Size of a struct ending in a runtime array depends on the element count
+    size: runtimeSized ? null : roundUp(align, offset),
+    fixedSize: offset
+  };
+}
+
+/**
+ * Check the extra uniform address space constraints: array strides and the offsets
+ * of nested structs/arrays must be multiples of 16, and the member following a nested
+ * struct must start at least roundUp(16, size) bytes after it.
+ */
+function validateUniformLayout(layout, path = layout.name || 'value') {
+  if (layout.kind === 'array') {
+    if (layout.count === null) {
+      throw new Error(`${path}: runtime-sized arrays are not allowed in the uniform address space`);
+    }
+    if (layout.stride % 16 !== 0) {
+      throw new Error(`${path}: uniform array stride ${layout.stride} must be a multiple of 16 (use vec4 elements or @align(16) struct members)`);
+    }
+    validateUniformLayout(layout.element, `${path}[]`);
+  }
+  if (layout.kind === 'struct') {
+    layout.members.forEach((member, i) => {
+      const memberPath = `${path}.${member.name}`;
+      const nested = member.layout.kind === 'struct' || member.layout.kind === 'array';
+      if (nested && member.offset % 16 !== 0) {
+        throw new Error(`${memberPath}: offset ${member.offset} of a struct/array member must be a multiple of 16 in uniform buffers`);
+      }
+      const prev = layout.members[i - 1];
+      if (prev && prev.layout.kind === 'struct' && member.offset - prev.offset < roundUp(16, prev.size)) {
+        throw new Error(`${memberPath}: needs at least ${roundUp(16, prev.size)} bytes after the start of struct member '${prev.name}' in uniform buffers`);
+      }
+      validateUniformLayout(member.layout, memberPath);
+    });
+  }
+  return layout;
+}
+
+/**
+ * Layout of every struct declared in a shader.
+ * `source` is WGSL code or a reflection object from reflectWGSL.
+ */
+function parseStructLayouts(source) {
+  const reflection = typeof source === 'string' ? reflectWGSL(source) : source;
+  return Object.fromEntries(Object.keys(reflection.structs).map(name => [name, typeLayout(name, reflection)]));
+}
+
+/**
+ * Layout of one named struct (or any type) in a shader.
+ * Pass { addressSpace: 'uniform' } to also enforce the uniform buffer restrictions.
+ */
+function getStructLayout(source, name, { addressSpace } = {}) {
+  const reflection = typeof source === 'string' ? reflectWGSL(source) : source;
+  if (!reflection.structs[name] && !reflection.aliases?.[name]) {
+    throw new Error(`Struct '${name}' is not declared in the shader`);
+  }
+  const layout = typeLayout(name, reflection);
+  return addressSpace === 'uniform' ? validateUniformLayout(layout) : layout;
+}
+
+/** Byte size of a value with this layout (resolves runtime-sized arrays from the value) */
+function sizeOf(layout, value) {
+  if (layout.size !== null) return layout.size;
+  if (layout.kind === 'array') {
+    return (value?.length ?? 0) * layout.stride;
+  }
+  // Struct ending in a runtime-sized array
+  const last = layout.members[layout.members.length - 1];
+  const tail = sizeOf(last.layout, value?.[last.name]);
+  return roundUp(layout.align, last.offset + tail);
+}
+
+// ---------------------------------------------------------------------------
+// Serialization
+// ---------------------------------------------------------------------------
+
+// IEEE 754 half-precision conversion (DataView.setFloat16 is not available everywhere yet)
+const f32Scratch = new Float32Array(1);
+const u32Scratch = new Uint32Array(f32Scratch.buffer);
+
+function toFloat16Bits(value) {
+  f32Scratch[0] = value;
+  const x = u32Scratch[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exponent = (x >>> 23) & 0xff;
+  let mantissa = x & 0x7fffff;
+
+  if (exponent === 0xff) {
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+  const e = exponent - 127 + 15;
+  if (e >= 0x1f) return sign | 0x7c00;
+  if (e <= 0) {
+    if (e < -10) return sign;
+    mantissa |= 0x800000;
+    const shift = 14 - e;
+    let half = mantissa >> shift;
+    if ((mantissa >> (shift - 1)) & 1) half++;
+    return sign | half;
+  }
+  let half = sign | (e << 10) | (mantissa >> 13);
+  if (mantissa & 0x1000) half++;
+  return half;
+}
+
+function fromFloat16Bits(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+function writeScalar(view, offset, type, value, path) {
+  if (typeof value === 'boolean') value = Number(value);
+  if (typeof value !== 'number') {
+    throw new Error(`${path}: expected a number for ${type}, got ${typeof value}`);
+  }
+  switch (type) {
+    case 'f32': view.setFloat32(offset, value, true); break;
+    case 'i32': view.setInt32(offset, value, true); break;
+    case 'u32': view.setUint32(offset, value, true); break;
+    case 'f16': view.setUint16(offset, toFloat16Bits(value), true); break;
+  }
+}
+
+function readScalar(view, offset, type) {
+  switch (type) {
+    case 'f32': return view.getFloat32(offset, true);
+    case 'i32': return view.getInt32(offset, true);
+    case 'u32': return view.getUint32(offset, true);
+    case 'f16': return fromFloat16Bits(view.getUint16(offset, true));
+  }
+}
+
+function writeValue(view, offset, layout, value, path) {
+  switch (layout.kind) {
+    case 'scalar':
+      writeScalar(view, offset, layout.type, value, path);
+      break;
+
+    case 'vector': {
+      if (value?.length !== layout.count) {
+        throw new Error(`${path}: expected ${layout.count} components, got ${value?.length ?? typeof value}`);
+      }
+      const step = SCALARS[layout.scalar].size;
+      for (let i = 0; i < layout.count; i++) {
+        writeScalar(view, offset + i * step, layout.scalar, value[i], `${path}[${i}]`);
+      }
+      break;
+    }
+
+    case 'matrix': {
+      // Column-major: either a flat list of columns*rows numbers or an array of columns
+      const flat = value?.length === layout.columns && typeof value[0] !== 'number' ? Array.from(value).flatMap(c => Array.from(c)) : value;
+      if (flat?.length !== layout.columns * layout.rows) {
+        throw new Error(`${path}: expected ${layout.columns * layout.rows} matrix elements (column-major)`);
+      }
+      const step = SCALARS[layout.scalar].size;
+      for (let c = 0; c < layout.columns; c++) {
+        for (let r = 0; r < layout.rows; r++) {
+          writeScalar(view, offset + c * layout.columnStride + r * step, layout.scalar, flat[c * layout.rows + r], `${path}[${c}][${r}]`);
+        }
+      }
+      break;
+    }
+
+    case 'array': {
+      if (!value || typeof value.length !== 'number') {
+        throw new Error(`${path}: expected an array`);
+      }
+      if (layout.count !== null && value.length !== layout.count) {
+        throw new Error(`${path}: expected ${layout.count} elements, got ${value.length}`);
+      }
+      for (let i = 0; i < value.length; i++) {
+        writeValue(view, offset + i * layout.stride, layout.element, value[i], `${path}[${i}]`);
+      }
+      break;
+    }
+
+    case 'struct': {
+      if (!value || typeof value !== 'object') {
+        throw new Error(`${path}: expected an object for struct ${layout.name}`);
+      }
+      const names = new Set(layout.members.map(m => m.name));
+      Object.keys(value).forEach(key => {
+        if (!names.has(key)) {
+          throw new Error(`${path}: '${key}' is not a member of struct ${layout.name}`);
+        }
+      });
+      layout.members.forEach(member => {
+        if (!(member.name in value)) {
+          throw new Error(`${path}: missing member '${member.name}' of struct ${layout.name}`);
+        }
+        writeValue(view, offset + member.offset, member.layout, value[member.name], `${path}.${member.name}`);
+      });
+      break;
+    }
+  }
+}
+
+function readValue(view, offset, layout, available) {
+  switch (layout.kind) {
+    case 'scalar':
+      return readScalar(view, offset, layout.type);
+
+    case 'vector': {
+      const step = SCALARS[layout.scalar].size;
+      return Array.from({ length: layout.count }, (_, i) => readScalar(view, offset + i * step, layout.scalar));
+    }
+
+    case 'matrix': {
+      const step = SCALARS[layout.scalar].size;
+      const out = [];
+      for (let c = 0; c < layout.columns; c++) {
+        for (let r = 0; r < layout.rows; r++) {
+          out.push(readScalar(view, offset + c * layout.columnStride + r * step, layout.scalar));
+        }
+      }
+      return out;
+    }
+
+    case 'array': {
+      // Runtime-sized arrays take as many whole elements as fit in the remaining bytes
+      const count = layout.count ?? Math.floor(available / layout.stride);
+      return Array.from({ length: count }, (_, i) => readValue(view, offset + i * layout.stride, layout.element, 0));
+    }
+
+    case 'struct': {
+      const out = {};
+      layout.members.forEach(member => {
+        out[member.name] = readValue(view, offset + member.offset, member.layout, available - member.offset);
+      });
+      return out;
+    }
+  }
+}
+
+/**
+ * Serialize a plain JS value into an ArrayBuffer according to a layout.
+ * Struct members are matched by name (unknown or missing members throw), vectors and
+ * matrices take arrays (matrices column-major). Pass { target, byteOffset } to write into
+ * an existing ArrayBuffer instead of allocating one.
+ */
+function serialize(layout, value, { target, byteOffset = 0 } = {}) {
+  const size = sizeOf(layout, value);
+  const buffer = target || new ArrayBuffer(size);
+  if (byteOffset + size > buffer.byteLength) {
+    throw new Error(`Serialized value needs ${size} bytes at offset ${byteOffset}, buffer has ${buffer.byteLength}`);
+  }
+  writeValue(new DataView(buffer, byteOffset), 0, layout, value, layout.name || 'value');
+  return buffer;
+}
+
+/**
+ * Deserialize a value from an ArrayBuffer (or typed array / DataView) according to a layout.
+ * Runtime-sized arrays consume the rest of the buffer.
+ */
+function deserialize(layout, source, byteOffset = 0) {
+  const view = ArrayBuffer.isView(source)
+    ? new DataView(source.buffer, source.byteOffset + byteOffset, source.byteLength - byteOffset)
+    : new DataView(source, byteOffset);
+  if (layout.size !== null && view.byteLength < layout.size) {
+    throw new Error(`Need ${layout.size} bytes to deserialize ${layout.name || layout.kind}, got ${view.byteLength}`);
+  }
+  return readValue(view, 0, layout, view.byteLength);
+}
+
+export {
+  typeLayout,
+  getStructLayout,
+  parseStructLayouts,
+  validateUniformLayout,
+  sizeOf,
+  serialize,
+  deserialize
+};
@@ -0,0 +1,270 @@
+// CPU reference implementations of the sample kernels, and helpers to diff GPU results
+// against them. Each reference mirrors its shader line by line (including wrap-around and
+// edge cases) so a mismatch points at the GPU side, not at a different algorithm.
+
+import { ALGO_LOCAL_FLIP, ALGO_GLOBAL_FLIP } from './gpu-sort.js';
+import { acquireStagingBuffer, releaseStagingBuffer } from './webgpu-utils.js';
+
+// SimParams.boundary of boids_common.wgsl
+const BOUNDARY_BOUNCE = 1;
+const BOUNDARY_SOFT_WALL = 2;
+
+const saturate = x => Math.min(Math.max(x, 0), 1);
+// falloff() of boids_common.wgsl
+const falloff = (d, range) => (range <= 0 ? 0 : saturate(1 - d / range));
+
+// Helper for closestOnObstacle(): the point of segment a-b closest to `p`
+function closestOnSegment(a, b, p, dimensions) {
+  let lengthSquared = 0, projection = 0;
+  for (let k = 0; k < dimensions; k++) {
+    lengthSquared += (b[k] - a[k]) ** 2;
+    projection += (p[k] - a[k]) * (b[k] - a[k]);
+  }
+  const t = lengthSquared > 0 ? saturate(projection / lengthSquared) : 0;
+  return Array.from({ length: dimensions }, (_, k) => a[k] + (b[k] - a[k]) * t);
+}
+
+// Helper mirroring environmentSteering()
+function environmentSteering(params, vPos, dimensions, { obstacles, predators, attractors }) {
+  const steering = new Float64Array(dimensions);
+  // Add `weigh(distance)` along the direction from `from` to `to`, unless they coincide
+  const push = (from, to, weigh) => {
+    let squared = 0;
+    for (let k = 0; k < dimensions; k++) squared += (to[k] - from[k]) ** 2;
+    const d = Math.sqrt(squared);
+    if (d > 0) {
+      const scale = weigh(d);
+      for (let k = 0; k < dimensions; k++) steering[k] += ((to[k] - from[k]) / d) * scale;
+    }
+  };
+  if (params.boundary === BOUNDARY_SOFT_WALL && params.wallDistance > 0) {
+    for (let k = 0; k < dimensions; k++) {
+      const low = saturate(1 - (vPos[k] + 1) / params.wallDistance);
+      const high = saturate(1 - (1 - vPos[k]) / params.wallDistance);
+      steering[k] += (low - high) * params.wallScale;
+    }
+  }
+  obstacles.forEach(({ a, b, radius }) => push(closestOnSegment(a, b, vPos, dimensions), vPos,
+    d => params.avoidScale * falloff(Math.max(d - radius, 0), params.avoidDistance)));
+  predators.forEach(({ pos }) => push(pos, vPos, d => params.fleeScale * falloff(d, params.fleeDistance)));
+  attractors.forEach(({ pos, strength }) => push(vPos, pos,
+    d => strength * params.attractScale * falloff(d, params.attractDistance)));
+  return steering;
+}
+
+// Helper mirroring leaveObstacles(), in place
+function leaveObstacles(pos, dimensions, obstacles) {
+  obstacles.forEach(({ a, b, radius }) => {
+    const closest = closestOnSegment(a, b, pos, dimensions);
+    const away = closest.map((c, k) => pos[k] - c);
+    const d = Math.hypot(...away);
+    if (d > 0 && d < radius) {
+      for (let k = 0; k < dimensions; k++) pos[k] = closest[k] + (away[k] / d) * radius;
+    }
+  });
+}
+
+/**
+ * One step of boids_update.wgsl (boids_grid.wgsl finds the same neighbors, in another order).
+ * `particles` holds { pos, vel } per particle: 4 floats in 2D, 8 with `dimensions: 3`, where
+ * each vec3f member is padded to 16 bytes. `params` holds the SimParams members by name, and
+ * `obstacles`, `predators` and `attractors` the items of the environment lists ({ a, radius,
+ * b }, { pos } and { pos, strength }, with [x, y, z] positions).
+ * Returns the next particle state as a new Float32Array, with zero padding.
+ */
+function boidsStep(particles, params, { dimensions = 2, obstacles = [], predators = [], attractors = [] } = {}) {
+  const stride = dimensions === 3 ? 8 : 4;
+  const velOffset = stride / 2;
+  const count = particles.length / stride;
+  const next = new Float32Array(particles.length);
+  const vPos = new Float64Array(dimensions), vVel = new Float64Array(dimensions);
+  const cMass = new Float64Array(dimensions), cVel = new Float64Array(dimensions), colVel = new Float64Array(dimensions);
+  for (let index = 0; index < count; index++) {
+    const base = stride * index;
+    for (let a = 0; a < dimensions; a++) {
+      vPos[a] = particles[base + a];
+      vVel[a] = particles[base + velOffset + a];
+    }
+    cMass.fill(0);
+    cVel.fill(0);
+    colVel.fill(0);
+    let cMassCount = 0, cVelCount = 0;
+
+    for (let i = 0; i < count; i++) {
+      if (i === index) continue;
+      const other = stride * i;
+      let squared = 0;
+      for (let a = 0; a < dimensions; a++) squared += (particles[other + a] - vPos[a]) ** 2;
+      const distance = Math.sqrt(squared);
+      if (distance < params.rule1Distance) {
+        for (let a = 0; a < dimensions; a++) cMass[a] += particles[other + a];
+        cMassCount++;
+      }
+      if (distance < params.rule2Distance) {
+        for (let a = 0; a < dimensions; a++) colVel[a] -= particles[other + a] - vPos[a];
+      }
+      if (distance < params.rule3Distance) {
+        for (let a = 0; a < dimensions; a++) cVel[a] += particles[other + velOffset + a];
+        cVelCount++;
+      }
+    }
+    const steering = environmentSteering(params, vPos, dimensions, { obstacles, predators, attractors });
+    let squaredSpeed = 0;
+    for (let a = 0; a < dimensions; a++) {
+      if (cMassCount > 0) cMass[a] = cMass[a] / cMassCount - vPos[a];
+      if (cVelCount > 0) cVel[a] /= cVelCount;
+      vVel[a] += cMass[a] * params.rule1Scale + colVel[a] * params.rule2Scale + cVel[a] * params.rule3Scale;
+      vVel[a] += steering[a];
+      squaredSpeed += vVel[a] ** 2;
+    }
+
+    // normalize(v) * clamp(length(v), 0, 0.1); a zero velocity yields NaN as normalize does
+    const length = Math.sqrt(squaredSpeed);
+    const speed = Math.min(Math.max(length, 0), 0.1);
+    for (let a = 0; a < dimensions; a++) {
+      vVel[a] = (vVel[a] / length) * speed;
+      vPos[a] += vVel[a] * params.deltaT;
+    }
+    leaveObstacles(vPos, dimensions, obstacles);
+    for (let a = 0; a < dimensions; a++) {
+      if (!params.boundary) {
+        // Wrap checks run in the same order as the shader
+        if (vPos[a] < -1) vPos[a] = 1;
+        else if (vPos[a] > 1) vPos[a] = -1;
+      } else if (Math.abs(vPos[a]) > 1) {
+        if (params.boundary === BOUNDARY_BOUNCE) vVel[a] = -Math.sign(vPos[a]) * Math.abs(vVel[a]);
+        vPos[a] = Math.sign(vPos[a]);
+      }
+      next[base + a] = vPos[a];
+      next[base + velOffset + a] = vVel[a];
+    }
+  }
+  return next;
+}
+
+/**
+ * One generation of gameOfLife/compute.wgsl on a torus, as getIndex wraps coordinates.
+ * `rule` is { birth, survive } bitmasks (see gameOfLife/rules.js). Returns a new Uint32Array.
+ */
+function lifeStep(cells, width, height, rule) {
+  const next = new Uint32Array(width * height);
+  const getCell = (x, y) => cells[(y % height) * width + (x % width)];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const xl = x + width - 1, xr = x + 1;
+      const yd = y + height - 1, yu = y + 1;
+      const n = getCell(xl, yd) + getCell(x, yd) + getCell(xr, yd) +
+                getCell(xl, y) + getCell(xr, y) +
+                getCell(xl, yu) + getCell(x, yu) + getCell(xr, yu);
+      const mask = getCell(x, y) === 1 ? rule.survive : rule.birth;
+      next[y * width + x] = (mask >>> n) & 1;
+    }
+  }
+  return next;
+}
+
+/**
+ * Apply bitonic network steps (from gpu-sort.js bitonicSteps) to `data` in place.
+ * Local and global steps compare the same pairs, so only the flip/disperse kind matters.
+ * Returns the number of swaps, as counted by the sort kernel's atomic counter.
+ */
+function bitonicNetwork(data, steps) {
+  let swaps = 0;
+  steps.forEach(({ algo, blockHeight }) => {
+    const flip = algo === ALGO_LOCAL_FLIP || algo === ALGO_GLOBAL_FLIP;
+    const half = blockHeight / 2;
+    for (let id = 0; id < data.length / 2; id++) {
+      const offset = Math.floor((2 * id) / blockHeight) * blockHeight;
+      const before = offset + (id % half);
+      const after = offset + (flip ? blockHeight - (id % half) - 1 : (id % half) + half);
+      if (data[after] < data[before]) {
+        [data[before], data[after]] = [data[after], data[before]];
+        swaps++;
+      }
+    }
+  });
+  return swaps;
+}
+
+/**
+ * Compare GPU output with a CPU reference element by element.
+ * Values match when |actual - expected| <= tolerance (NaN matches NaN).
+ * Returns { ok, count, mismatchCount, maxError, mismatches }, with at most `maxReported`
+ * mismatches as { index, actual, expected } in index order.
+ */
+function compareArrays(actual, expected, { tolerance = 0, maxReported = 8 } = {}) {
+  const mismatches = [];
+  let mismatchCount = 0;
+  let maxError = 0;
+  const count = Math.max(actual.length, expected.length);
+  for (let i = 0; i < count; i++) {
+    const a = actual[i];
+    const e = expected[i];
+    if (Number.isNaN(a) && Number.isNaN(e)) continue;
+    const error = Math.abs(a - e);
+    if (!(error <= tolerance)) {
+      mismatchCount++;
+      if (mismatches.length < maxReported) mismatches.push({ index: i, actual: a, expected: e });
+    }
+    if (error > maxError) maxError = error;
+  }
+  return { ok: mismatchCount === 0, count, mismatchCount, maxError, mismatches };
+}
+
+/**
+ * One-line summary of a compareArrays result. `describeIndex` turns an element index into
+ * something readable, e.g. i => `particle ${i >> 2}`; `reference` names the expected side.
+ */
+function formatMismatches(result, describeIndex = (i) => `[${i}]`, { reference = 'cpu' } = {}) {
+  if (result.ok) {
+    return `OK (${result.count} values, max error ${result.maxError.toPrecision(3)})`;
+  }
+  const first = result.mismatches
+    .map(({ index, actual, expected }) => `${describeIndex(index)} gpu ${actual} ${reference} ${expected}`)
+    .join('; ');
+  return `${result.mismatchCount} of ${result.count} values differ - ${first}`;
+}
+
+/**
+ * Copy `buffer` (which needs COPY_SRC usage) into a staging buffer from readBuffer's pool as
+ * part of `commandEncoder`. Returns a function to call once the encoder has been submitted;
+ * it resolves to the copied contents as an `ArrayType` and returns the staging buffer.
+ */
+function encodeReadback(device, commandEncoder, buffer, ArrayType = Uint32Array) {
+  const staging = acquireStagingBuffer(device, buffer.size);
+  commandEncoder.copyBufferToBuffer(buffer, 0, staging, 0, buffer.size);
+  return async () => {
+    let bytes;
+    try {
+      await staging.mapAsync(GPUMapMode.READ, 0, buffer.size);
+      bytes = staging.getMappedRange(0, buffer.size).slice(0);
+      staging.unmap();
+    } catch (error) {
+      staging.destroy();
+      throw error;
+    }
+    releaseStagingBuffer(device, staging);
+    return new ArrayType(bytes);
+  };
+}
+
+/** Log a verification result under the sample's name and return its summary line */
+function reportVerification(name, result, describeIndex, options) {
+  const summary = formatMismatches(result, describeIndex, options);
+  if (result.ok) {
+    console.log(`[Verify][${name}] ${summary}`);
+  } else {
+    console.error(`[Verify][${name}] ${summary}`, result.mismatches);
+  }
+  return summary;
+}
+
+export {
+  boidsStep,
+  lifeStep,
+  bitonicNetwork,
+  compareArrays,
+  formatMismatches,
+  encodeReadback,
+  reportVerification
+};
@@ -1,64 +1,199 @@
-// Show an error dialog if there's any uncaught exception or promise rejection.
-globalThis.addEventListener('unhandledrejection', (ev) => {
-    fail(`unhandled promise rejection, please report a bug!
-  https://github.com/webgpu/webgpu-samples/issues/new\n${ev.reason}`);
-});
-
-globalThis.addEventListener('error', (ev) => {
-    fail(`uncaught exception, please report a bug!
-  https://github.com/webgpu/webgpu-samples/issues/new\n${ev.error}`);
-});
-
-function fail(error) {
-  const errorInfo = {
-    message: error?.message || String(error),
-    stack: error?.stack || new Error().stack,
-    type: error?.constructor?.name || typeof error
-  };
-  console.error('[WebGPU Fatal]', errorInfo);
-  throw typeof error === 'object' ? error : new Error(error);
+import { reflectWGSL, findEntryPoint, getVertexAttributes, getGroupBindings } from './wgsl-reflect.js';
+import { deserialize } from './struct-layout.js';
+import { ErrorCategory, reportError, setAdapterInfo, watchDevice } from './error-reporter.js';
+import { preprocessWGSL } from './wgsl-preprocessor.js';
+
+/**
+ * Report a fatal error through error-reporter.js and throw it, so the caller stops.
+ * The rethrown error is not reported a second time when it reaches the global handlers.
+ */
+function fail(error, category) {
+  const thrown = typeof error === 'object' ? error : new Error(error);
+  reportError(thrown, { category, fatal: true });
+  throw thrown;
 }
 
 /** Shows an error dialog if getting an adapter wasn't successful. */
 function quitIfAdapterNotAvailable(adapter) {
     if (!('gpu' in navigator)) {
-        fail('navigator.gpu is not defined - WebGPU not available in this browser');
+        fail('navigator.gpu is not defined - WebGPU not available in this browser', ErrorCategory.ADAPTER_UNAVAILABLE);
     }
     if (!adapter) {
-        fail("requestAdapter returned null - this sample can't run on this system");
+        fail("requestAdapter returned null - this sample can't run on this system", ErrorCategory.ADAPTER_UNAVAILABLE);
     }
+    setAdapterInfo(adapter);
 }
 
 /**
  * Shows an error dialog if getting a adapter or device wasn't successful,
  * or if/when the device is lost or has an uncaptured error.
+ * Device loss is fatal here; see RecoverableDevice in device-recovery.js to survive it.
  */
 function quitIfWebGPUNotAvailable(adapter, device) {
     if (!device) {
         quitIfAdapterNotAvailable(adapter);
-        fail('Unable to get a device for an unknown reason');
+        fail('Unable to get a device for an unknown reason', ErrorCategory.ADAPTER_UNAVAILABLE);
         return;
     }
-    device.lost.then((reason) => {
-        fail(`Device lost ("${reason.reason}"):\n${reason.message}`);
-    });
-    device.addEventListener('uncapturederror', (ev) => {
-        fail(`Uncaptured error:\n${ev.error.message}`);
-    });
+    setAdapterInfo(adapter);
+    watchDevice(device);
 }
 
-/** Load shader from external WGSL file */
-async function loadShaderFromFile(path) {
-    try {
-        const response = await fetch(path);
-        if (!response.ok) {
-            throw new Error(`Failed to load shader: ${path}`);
-        }
-        return await response.text();
-    } catch (error) {
-        fail(`Error loading shader from ${path}: ${error.message}`);
-        throw error;
+/**
+ * Device descriptor requiring `optionalFeatures` as far as the adapter offers them, on top of
+ * the descriptor's own requiredFeatures. Check device.features for what was granted.
+ */
+function withOptionalFeatures(adapter, descriptor = {}, optionalFeatures = []) {
+    const available = optionalFeatures.filter(feature => adapter.features.has(feature));
+    if (!available.length) return descriptor;
+    const requiredFeatures = [...new Set([...(descriptor.requiredFeatures || []), ...available])];
+    return { ...descriptor, requiredFeatures };
+}
+
+// Load a WGSL file and run it through the preprocessor; returns { code, lineMap, sources }.
+// Failures reach the caller as thrown: a WGSLPreprocessError keeps its file and line.
+async function loadShaderSource(path, defines) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`Failed to load shader: ${path} (${response.status})`);
     }
+    return preprocessWGSL(await response.text(), { path, defines });
+}
+
+/**
+ * Load shader from external WGSL file, resolving #include / #define / #if directives
+ * (see wgsl-preprocessor.js). `defines` supplies macros from JS.
+ */
+async function loadShaderFromFile(path, { defines } = {}) {
+    return (await loadShaderSource(path, defines)).code;
+}
+
+/**
+ * A shader module that failed to compile. `diagnostics` lists every compilation message as
+ * { type, message, file, line, column, length, excerpt }, with positions in the original file.
+ */
+class ShaderCompileError extends Error {
+  constructor(label, diagnostics) {
+    const errors = diagnostics.filter(d => d.type === 'error');
+    super(`${label}: ${errors.length} compile error${errors.length === 1 ? '' : 's'}\n` +
+      errors.map(formatDiagnostic).join('\n\n'));
+    this.name = 'ShaderCompileError';
+    this.category = ErrorCategory.SHADER_COMPILE;
+    this.label = label;
+    this.diagnostics = diagnostics;
+  }
+}
+
+// Helper to print a diagnostic rustc-style: message, location, source line and a caret
+function formatDiagnostic({ type, message, file, line, column, length, excerpt }) {
+  const out = [`${type}: ${message}`];
+  if (line) {
+    out.push(`  --> ${file}:${line}:${column}`);
+    if (excerpt !== undefined) {
+      const gutter = ' '.repeat(String(line).length);
+      out.push(`${gutter} |`);
+      out.push(`${line} | ${excerpt}`);
+      out.push(`${gutter} | ${' '.repeat(Math.max(0, column - 1))}${'^'.repeat(Math.max(1, length))}`);
+    }
+  }
+  return out.join('\n');
+}
+
+// Helper to map a compilation message from generated code back to its source file
+function mapCompilationMessage(msg, { path, lineMap, sources, code }) {
+  const diagnostic = { type: msg.type, message: msg.message, file: path, line: 0, column: 0, length: 0 };
+  if (!msg.lineNum) return diagnostic;
+  const origin = lineMap?.[msg.lineNum - 1] || { file: path, line: msg.lineNum };
+  const text = origin.file === path && !lineMap ? code : sources?.[origin.file];
+  // A message may extend past its line; the caret only underlines the part on it
+  const lineText = text?.split(/\r?\n/)[origin.line - 1];
+  return {
+    ...diagnostic,
+    file: origin.file,
+    line: origin.line,
+    column: msg.linePos,
+    length: lineText === undefined ? msg.length : Math.min(msg.length, lineText.length - msg.linePos + 1),
+    excerpt: lineText
+  };
+}
+
+/**
+ * Create a shader module and wait for its compilation messages.
+ * Errors reject with a ShaderCompileError, warnings are logged. Positions are reported in the
+ * original file: pass `lineMap` (entry i = { file, line } of generated line i + 1, as produced
+ * by a preprocessor) with the original `sources` ({ file: text }) when `code` was generated.
+ */
+async function createShaderModuleChecked(device, { code, label, path = label || 'inline shader', lineMap, sources } = {}) {
+  device.pushErrorScope('validation');
+  const module = device.createShaderModule({ code, label });
+  const [info, scopeError] = await Promise.all([
+    typeof module.getCompilationInfo === 'function' ? module.getCompilationInfo() : { messages: [] },
+    device.popErrorScope()
+  ]);
+
+  const diagnostics = info.messages.map(msg => mapCompilationMessage(msg, { path, lineMap, sources, code }));
+  diagnostics.filter(d => d.type !== 'error').forEach(d => console.warn(`[Pipeline Utils] ${formatDiagnostic(d)}`));
+  if (diagnostics.some(d => d.type === 'error')) {
+    throw new ShaderCompileError(label || path, diagnostics);
+  }
+  if (scopeError) {
+    // Invalid module without located messages (e.g. a browser without getCompilationInfo)
+    throw new ShaderCompileError(label || path, [
+      { type: 'error', message: scopeError.message, file: path, line: 0, column: 0, length: 0 }
+    ]);
+  }
+  return module;
+}
+
+// Vertex formats: byte size, component count and the WGSL scalar family they feed
+const VERTEX_FORMATS = {
+  'uint8':     { size: 1,  components: 1, base: 'uint' },
+  'uint8x2':   { size: 2,  components: 2, base: 'uint' },
+  'uint8x4':   { size: 4,  components: 4, base: 'uint' },
+  'sint8':     { size: 1,  components: 1, base: 'sint' },
+  'sint8x2':   { size: 2,  components: 2, base: 'sint' },
+  'sint8x4':   { size: 4,  components: 4, base: 'sint' },
+  'unorm8':    { size: 1,  components: 1, base: 'float' },
+  'unorm8x2':  { size: 2,  components: 2, base: 'float' },
+  'unorm8x4':  { size: 4,  components: 4, base: 'float' },
+  'snorm8':    { size: 1,  components: 1, base: 'float' },
+  'snorm8x2':  { size: 2,  components: 2, base: 'float' },
+  'snorm8x4':  { size: 4,  components: 4, base: 'float' },
+  'uint16':    { size: 2,  components: 1, base: 'uint' },
+  'uint16x2':  { size: 4,  components: 2, base: 'uint' },
+  'uint16x4':  { size: 8,  components: 4, base: 'uint' },
+  'sint16':    { size: 2,  components: 1, base: 'sint' },
+  'sint16x2':  { size: 4,  components: 2, base: 'sint' },
+  'sint16x4':  { size: 8,  components: 4, base: 'sint' },
+  'unorm16':   { size: 2,  components: 1, base: 'float' },
+  'unorm16x2': { size: 4,  components: 2, base: 'float' },
+  'unorm16x4': { size: 8,  components: 4, base: 'float' },
+  'snorm16':   { size: 2,  components: 1, base: 'float' },
+  'snorm16x2': { size: 4,  components: 2, base: 'float' },
+  'snorm16x4': { size: 8,  components: 4, base: 'float' },
+  'float16':   { size: 2,  components: 1, base: 'float' },
+  'float16x2': { size: 4,  components: 2, base: 'float' },
+  'float16x4': { size: 8,  components: 4, base: 'float' },
+  'float32':   { size: 4,  components: 1, base: 'float' },
+  'float32x2': { size: 8,  components: 2, base: 'float' },
+  'float32x3': { size: 12, components: 3, base: 'float' },
+  'float32x4': { size: 16, components: 4, base: 'float' },
+  'uint32':    { size: 4,  components: 1, base: 'uint' },
+  'uint32x2':  { size: 8,  components: 2, base: 'uint' },
+  'uint32x3':  { size: 12, components: 3, base: 'uint' },
+  'uint32x4':  { size: 16, components: 4, base: 'uint' },
+  'sint32':    { size: 4,  components: 1, base: 'sint' },
+  'sint32x2':  { size: 8,  components: 2, base: 'sint' },
+  'sint32x3':  { size: 12, components: 3, base: 'sint' },
+  'sint32x4':  { size: 16, components: 4, base: 'sint' },
+  'unorm10-10-10-2': { size: 4, components: 4, base: 'float' },
+  'unorm8x4-bgra':   { size: 4, components: 4, base: 'float' }
+};
+
+// Scalar family of a WGSL vertex input type (f32/f16 vectors read 'float' formats)
+function typeBase(type) {
+  const scalar = /^vec[234]([fhiu])$/.exec(type)?.[1] || { f32: 'f', f16: 'h', i32: 'i', u32: 'u' }[type];
+  return { f: 'float', h: 'float', i: 'sint', u: 'uint' }[scalar] || null;
 }
 
 // Helper to map WGSL types to WebGPU formats
@@ -68,6 +203,9 @@ function typeToFormat(type) {
     'vec2f': 'float32x2',
     'vec3f': 'float32x3',
     'vec4f': 'float32x4',
+    'f16': 'float16',
+    'vec2h': 'float16x2',
+    'vec4h': 'float16x4',
     'i32': 'sint32',
     'vec2i': 'sint32x2',
     'vec3i': 'sint32x3',
@@ -77,110 +215,98 @@ function typeToFormat(type) {
     'vec3u': 'uint32x3',
     'vec4u': 'uint32x4'
   };
-  return typeMap[type] || 'float32';
+  const format = typeMap[type];
+  if (!format) {
+    throw new Error(`No default vertex format for WGSL type '${type}' - specify one explicitly`);
+  }
+  return format;
 }
 
 // Helper to calculate format size in bytes
 function formatSize(format) {
-  const match = format.match(/(\d+)x(\d+)/);
-  if (match) {
-    return parseInt(match[1]) * parseInt(match[2]) * 4;
+  const info = VERTEX_FORMATS[format];
+  if (!info) {
+    throw new Error(`Unknown vertex format '${format}'`);
   }
-  return 4; // Default to 4 bytes for single values
+  return info.size;
 }
 
-// Helper function to get type sizes
-function typeToSize(type) {
-  const sizes = {
-    'f32': 4,
-    'vec2f': 8,
-    'vec3f': 12,
-    'vec4f': 16
-  };
-  return sizes[type] || 0;
-}
-
-// Parse shader code to extract vertex input attributes only
-function parseShaderLocations(shaderCode) {
-  console.log('[Pipeline Utils] Parsing @vertex function parameters');
-  
-  // Improved regex to capture full parameter list
-  const vertexFnMatch = /@vertex[\s\S]*?fn\s+\w+\s*\(([\s\S]*?)\)\s*(?:->|\{)/m.exec(shaderCode);
-  
-  if (!vertexFnMatch) {
-    console.warn('[Pipeline Utils] ⚠️ No @vertex function found');
-    return [];
-  }
-  
-  const rawParams = vertexFnMatch[1].replace(/\/\*.*?\*\//gs, ''); // Remove comments
-  console.log('[Pipeline Utils] Raw parameters:\n' + rawParams);
-
-  // Enhanced parameter parsing
-  const paramRegex = /@location\((\d+)\)\s+([a-zA-Z_][\w]*)\s*:\s*([a-zA-Z0-9_]+)/g;
-  const locations = [];
-  
-  let match;
-  while ((match = paramRegex.exec(rawParams)) !== null) {
-    const loc = parseInt(match[1]);
-    locations.push({
-      location: loc,
-      name: match[2],
-      type: match[3],
-      bytesPerElement: typeToSize(match[3])
-    });
-    console.log(`📍 Found attribute: loc=${loc}, name=${match[2]}, type=${match[3]}`);
-  }
-  
-  console.log('[Pipeline Utils][Debug] Complete extracted attributes:', JSON.stringify(locations, null, 2));
-  
+// Extract vertex input attributes (including @location members of struct inputs)
+function parseShaderLocations(reflection, entryPoint) {
+  const locations = getVertexAttributes(reflection, entryPoint).map(attr => ({
+    location: attr.location,
+    name: attr.name,
+    type: attr.type
+  }));
+
   if (locations.length === 0) {
-    console.warn('[Pipeline Utils] ❌ No @location attributes found');
+    console.warn('[Pipeline Utils] No @location attributes found');
   }
-  
-  return locations.sort((a, b) => a.location - b.location);
+
+  return locations;
 }
 
-// Generate buffer layouts based solely on parsed vertex attributes
-function generateBufferLayouts(locations) {
-  console.log('[Pipeline Utils] Generating buffer layouts from:', 
-    locations.map(l => `${l.name}@${l.location}`));
+/**
+ * Generate GPUVertexBufferLayouts from reflected attributes.
+ *
+ * `bufferDescs` lists the vertex buffers in slot order. Each entry is
+ *   { stepMode = 'vertex', arrayStride?, attributes: [name | location | { name|location, format?, offset? }] }
+ * Attributes inside one buffer are interleaved in the listed order, each aligned to
+ * min(4, formatSize). Listing every attribute in its own buffer gives a non-interleaved layout.
+ * Attributes not mentioned in any description get their own per-vertex buffer, appended in location order.
+ */
+function generateBufferLayouts(locations, bufferDescs = []) {
+  const byKey = (key) => locations.find(l => l.name === key || l.location === key);
+  const used = new Set();
 
-  // Validate we have exactly 3 locations (0,1,2)
-  const expectedLocations = [0, 1, 2];
-  const actualLocations = locations.map(l => l.location);
-  if (!expectedLocations.every(l => actualLocations.includes(l))) {
-    throw new Error(`Missing required vertex attributes. Expected locations ${expectedLocations}, found ${actualLocations}`);
-  }
+  const layoutBuffer = (desc, index) => {
+    let offset = 0;
+    const attributes = desc.attributes.map(spec => {
+      const ref = typeof spec === 'object' ? (spec.name ?? spec.location) : spec;
+      const attr = byKey(ref);
+      if (!attr) {
+        throw new Error(`Vertex buffer ${index} references unknown attribute '${ref}'`);
+      }
+      if (used.has(attr.location)) {
+        throw new Error(`Vertex attribute '${attr.name}' (location ${attr.location}) is assigned to more than one buffer`);
+      }
+      used.add(attr.location);
 
-  // Instance buffer (locations 0-1)
-  const instanceAttrs = locations.filter(l => l.location < 2);
-  const instanceBuffer = {
-    arrayStride: 16, // 2 x vec2f
-    stepMode: 'instance',
-    attributes: instanceAttrs.map(attr => ({
-      shaderLocation: attr.location,
-      offset: attr.location * 8, // 8 bytes per vec2f
-      format: 'float32x2'
-    }))
-  };
+      const format = spec.format || typeToFormat(attr.type);
+      const info = VERTEX_FORMATS[format];
+      if (!info) {
+        throw new Error(`Unknown vertex format '${format}' for attribute '${attr.name}'`);
+      }
+      if (info.base !== typeBase(attr.type)) {
+        throw new Error(`Vertex format '${format}' is not compatible with '${attr.name}: ${attr.type}'`);
+      }
+
+      const alignment = Math.min(4, info.size);
+      const attrOffset = spec.offset ?? Math.ceil(offset / alignment) * alignment;
+      if (attrOffset % alignment !== 0) {
+        throw new Error(`Offset ${attrOffset} of '${attr.name}' must be a multiple of ${alignment}`);
+      }
+      offset = Math.max(offset, attrOffset + info.size);
 
-  // Vertex buffer (location 2)
-  const vertexBuffer = {
-    arrayStride: 8, // 1 x vec2f
-    stepMode: 'vertex',
-    attributes: [{
-      shaderLocation: 2,
-      offset: 0,
-      format: 'float32x2'
-    }]
+      return { shaderLocation: attr.location, offset: attrOffset, format };
+    });
+
+    const arrayStride = desc.arrayStride ?? Math.ceil(offset / 4) * 4;
+    if (arrayStride % 4 !== 0 || arrayStride < offset) {
+      throw new Error(`Vertex buffer ${index} arrayStride ${arrayStride} must be a multiple of 4 and at least ${offset}`);
+    }
+
+    return { arrayStride, stepMode: desc.stepMode || 'vertex', attributes };
   };
 
-  console.log('[Pipeline Utils] Generated buffers:', {
-    instance: instanceBuffer,
-    vertex: vertexBuffer
-  });
-  
-  return [instanceBuffer, vertexBuffer];
+  const buffers = bufferDescs.map(layoutBuffer);
+
+  // Remaining attributes each get a dedicated per-vertex buffer
+  locations
+    .filter(l => !used.has(l.location))
+    .forEach(l => buffers.push(layoutBuffer({ attributes: [l.location] }, buffers.length)));
+
+  return buffers;
 }
 
 // Store metadata for pipelines without modifying them
@@ -196,107 +322,255 @@ function getPipelineBuffers(pipeline) {
   return pipelineMetadata.get(pipeline)?.buffers || [];
 }
 
-// Parse shader code to find entry point names for each stage
-function parseEntryPoints(shaderCode, type) {
-  const vertexMatch = type === 'render' ? /@vertex\s+fn\s+([^\s(]+)/.exec(shaderCode) : null;
-  const fragmentMatch = type === 'render' ? /@fragment\s+fn\s+([^\s(]+)/.exec(shaderCode) : null;
-  const computeMatch = type === 'compute' ? /@compute[^]*?fn\s+([^\s(]+)/.exec(shaderCode) : null;
+// Helper to get the per-stage WGSL reflection a pipeline was built from
+function getPipelineReflection(pipeline) {
+  return pipelineMetadata.get(pipeline)?.reflection || null;
+}
+
+// Helper to get the resources used by a pipeline's entry points (merged across stages)
+function getPipelineBindings(pipeline) {
+  return pipelineMetadata.get(pipeline)?.bindings || [];
+}
+
+const STAGE_VISIBILITY = { vertex: 0x1, fragment: 0x2, compute: 0x4 };
 
-  if (type === 'compute' && !computeMatch) {
-    console.error('[Pipeline Utils] Compute shader code:', shaderCode);
-    throw new Error('Compute shader must contain @compute entry point');
+// Resolve the entry point of a stage, requiring an explicit name when the module is ambiguous
+function resolveEntryPoint(reflection, stage, name, source) {
+  if (name) {
+    const entry = findEntryPoint(reflection, stage, name);
+    if (!entry) {
+      throw new Error(`No @${stage} entry point named '${name}' in ${source}`);
+    }
+    return entry;
+  }
+  const candidates = reflection.entryPoints.filter(e => e.stage === stage);
+  if (candidates.length === 0) {
+    throw new Error(`${source} must contain a @${stage} entry point`);
   }
-  if (type === 'render' && (!vertexMatch || !fragmentMatch)) {
-    throw new Error('Render shader must contain both @vertex and @fragment entry points');
+  if (candidates.length > 1) {
+    throw new Error(`${source} has several @${stage} entry points (${candidates.map(e => e.name).join(', ')}) - pass entryPoint explicitly`);
   }
+  return candidates[0];
+}
 
-  return {
-    vertex: vertexMatch?.[1] || null,
-    fragment: fragmentMatch?.[1] || null,
-    compute: computeMatch?.[1] || null
-  };
+// Check pipeline-overridable constants against the overrides declared in the module
+function validateConstants(reflection, entry, constants, source) {
+  Object.keys(constants || {}).forEach(key => {
+    const known = reflection.overrides.some(o => o.name === key || String(o.id) === key);
+    if (!known) {
+      throw new Error(`Unknown override constant '${key}' for ${entry.name} in ${source}`);
+    }
+  });
 }
 
-async function createPipeline(device, { type, shaderPath, presentationFormat }) {
+// Merge the bindings statically used by the selected entry points, OR-ing stage visibility
+function collectBindings(stages) {
+  const merged = new Map();
+  stages.forEach(({ stage, reflection, entry }) => {
+    entry.resources.forEach(({ group, binding }) => {
+      const declared = reflection.bindings.find(b => b.group === group && b.binding === binding);
+      const key = `${group}:${binding}`;
+      const existing = merged.get(key);
+      if (existing) {
+        if (existing.resourceType !== declared.resourceType || JSON.stringify(existing.layout) !== JSON.stringify(declared.layout)) {
+          throw new Error(`@group(${group}) @binding(${binding}) is declared differently in the ${stage} stage ('${declared.name}') than elsewhere ('${existing.name}')`);
+        }
+        existing.visibility |= STAGE_VISIBILITY[stage];
+      } else {
+        merged.set(key, { ...declared, visibility: STAGE_VISIBILITY[stage] });
+      }
+    });
+  });
+  return [...merged.values()].sort((a, b) => a.group - b.group || a.binding - b.binding);
+}
+
+// Load (or take inline) WGSL for each stage, sharing one module between stages with the same source
+async function loadStageModules(device, stageSources, label, globalDefines) {
+  const cache = new Map();
+  const result = {};
+  for (const [stage, source] of Object.entries(stageSources)) {
+    if (!source) continue;
+    const defines = { ...globalDefines, ...source.defines };
+    const key = JSON.stringify([source.code !== undefined ? source.code : source.path, defines]);
+    if (!cache.has(key)) {
+      const path = source.path || `inline ${stage} shader`;
+      const { code, lineMap, sources } = source.code !== undefined
+        ? await preprocessWGSL(source.code, { path, defines })
+        : await loadShaderSource(source.path, defines);
+      if (source.path) {
+        console.log(`[Pipeline Utils] Loaded shader from ${source.path}`);
+      }
+      // Compile first: the browser's diagnostics are more precise than the reflection parser's
+      const module = await createShaderModuleChecked(device, {
+        code,
+        label: `${label} ${source.path || stage} module`,
+        path,
+        lineMap,
+        sources
+      });
+      cache.set(key, { code, reflection: reflectWGSL(code), module });
+    }
+    result[stage] = { ...cache.get(key), source: source.path || `inline ${stage} shader` };
+  }
+  return result;
+}
+
+// Normalize a stage option: path string, { path | code, entryPoint, constants, ... } or fallback to shaderPath
+function stageSource(option, shaderPath) {
+  if (typeof option === 'string') return { path: option };
+  if (option && (option.path || option.code !== undefined)) return option;
+  if (shaderPath) return { ...option, path: shaderPath };
+  return null;
+}
+
+/**
+ * Create a render or compute pipeline from WGSL files, using shader reflection to pick
+ * entry points and lay out vertex buffers.
+ *
+ * Options:
+ *   type            'render' | 'compute' (inferred from the stages given if omitted)
+ *   shaderPath      single WGSL file holding every stage
+ *   vertex / fragment / compute
+ *                   path string or { path | code, entryPoint, constants, defines } per stage; a
+ *                   stage without path/code falls back to shaderPath. vertex may also carry
+ *                   `buffers` (see generateBufferLayouts)
+ *   defines         preprocessor macros for every stage, merged under each stage's own `defines`
+ *   vertexBuffers   vertex buffer description, same as vertex.buffers
+ *   presentationFormat, targets, blend
+ *                   color targets default to [{ format: presentationFormat }]; `blend` applies to
+ *                   every target without its own blend state
+ *   primitive, depthStencil, multisample
+ *                   passed through (primitive defaults to triangle-list)
+ *   bindGroupLayouts
+ *                   explicit GPUBindGroupLayouts; otherwise layout is 'auto'
+ *   label
+ *
+ * Reflection, entry points, merged bindings and vertex buffer layouts are recorded in
+ * pipelineMetadata and available through the getPipeline* helpers.
+ */
+async function createPipeline(device, options) {
+  const {
+    shaderPath,
+    presentationFormat,
+    vertexBuffers,
+    targets,
+    blend,
+    primitive,
+    depthStencil,
+    multisample,
+    bindGroupLayouts
+  } = options;
+  const type = options.type || (options.compute ? 'compute' : 'render');
+  const label = options.label || shaderPath || `${type} pipeline`;
+
   try {
-    const code = await loadShaderFromFile(shaderPath);
-    console.log(`[Pipeline Utils] Loaded shader from ${shaderPath}`);
-
-    const entries = parseEntryPoints(code, type);
-    
-    const shaderModule = device.createShaderModule({ 
-      code,
-      label: `${type} shader module`
+    const stageSources = type === 'compute'
+      ? { compute: stageSource(options.compute, shaderPath) }
+      : {
+          vertex: stageSource(options.vertex, shaderPath),
+          fragment: stageSource(options.fragment, shaderPath)
+        };
+    if (type === 'compute' && !stageSources.compute) {
+      throw new Error('Compute pipeline needs shaderPath or compute.path/code');
+    }
+    if (type === 'render' && !stageSources.vertex) {
+      throw new Error('Render pipeline needs shaderPath or vertex.path/code');
+    }
+
+    const modules = await loadStageModules(device, stageSources, label, options.defines);
+
+    const stages = Object.entries(modules).map(([stage, mod]) => {
+      const entry = resolveEntryPoint(mod.reflection, stage, stageSources[stage].entryPoint, mod.source);
+      validateConstants(mod.reflection, entry, stageSources[stage].constants, mod.source);
+      return { stage, entry, ...mod };
+    });
+    const byStage = Object.fromEntries(stages.map(s => [s.stage, s]));
+    const entries = Object.fromEntries(stages.map(s => [s.stage, s.entry.name]));
+    const reflection = Object.fromEntries(stages.map(s => [s.stage, s.reflection]));
+    const bindings = collectBindings(stages);
+
+    const layout = bindGroupLayouts
+      ? device.createPipelineLayout({ label: `${label} layout`, bindGroupLayouts })
+      : 'auto';
+
+    const programmable = (stage) => ({
+      module: byStage[stage].module,
+      entryPoint: byStage[stage].entry.name,
+      ...(stageSources[stage].constants ? { constants: stageSources[stage].constants } : {})
     });
 
     if (type === 'compute') {
       // Create compute pipeline (return original WebGPU object)
       const pipeline = await device.createComputePipelineAsync({
-        layout: 'auto',
-        label: `${shaderPath} compute pipeline`,
-        compute: {
-          module: shaderModule,
-          entryPoint: entries.compute
-        }
+        layout,
+        label: `${label} compute pipeline`,
+        compute: programmable('compute')
       });
-      
+
       console.log('[Pipeline Utils][Compute] Pipeline created successfully');
-      
+
       // Store metadata separately
-      pipelineMetadata.set(pipeline, { type: 'compute' });
-      
+      pipelineMetadata.set(pipeline, {
+        type: 'compute',
+        reflection,
+        entryPoints: entries,
+        bindings,
+        bindGroupLayouts: bindGroupLayouts || null
+      });
+
       // Return original pipeline object
       return pipeline;
     }
-    
+
     // Render pipeline specific setup
-    console.log('[Pipeline Utils][Render] Creating pipeline with entries:', 
-      `${entries.vertex} (vertex), ${entries.fragment} (fragment)`);
-    
-    const locations = parseShaderLocations(code);
-    if (!locations.length) {
-      throw new Error('No vertex attributes found in shader');
-    }
-    
-    const buffers = generateBufferLayouts(locations);
-    if (!buffers || !buffers.length) {
-      throw new Error('Failed to generate buffer layouts');
+    console.log('[Pipeline Utils][Render] Creating pipeline with entries:',
+      `${entries.vertex} (vertex), ${entries.fragment || 'none'} (fragment)`);
+
+    const locations = parseShaderLocations(reflection.vertex, entries.vertex);
+    const buffers = generateBufferLayouts(locations, stageSources.vertex.buffers || vertexBuffers);
+
+    let fragment;
+    if (byStage.fragment) {
+      const colorTargets = (targets || [{ format: presentationFormat }]).map(target =>
+        target && blend && !target.blend ? { ...target, blend } : target);
+      if (colorTargets.some(target => target && !target.format)) {
+        throw new Error('Every color target needs a format (pass presentationFormat or targets)');
+      }
+      fragment = { ...programmable('fragment'), targets: colorTargets };
     }
 
     // Create render pipeline (return original WebGPU object)
-    const pipeline = device.createRenderPipeline({
-      layout: 'auto',
-      vertex: {
-        module: shaderModule,
-        entryPoint: entries.vertex,
-        buffers
-      },
-      fragment: {
-        module: shaderModule,
-        entryPoint: entries.fragment,
-        targets: [{ format: presentationFormat }]
-      },
-      primitive: { topology: 'triangle-list' }
+    const pipeline = await device.createRenderPipelineAsync({
+      layout,
+      label: `${label} render pipeline`,
+      vertex: { ...programmable('vertex'), buffers },
+      fragment,
+      primitive: { topology: 'triangle-list', ...primitive },
+      depthStencil,
+      multisample
     });
-    
+
     // Store metadata separately
-    pipelineMetadata.set(pipeline, { 
+    pipelineMetadata.set(pipeline, {
       type: 'render',
-      buffers: buffers 
+      buffers: buffers,
+      reflection,
+      entryPoints: entries,
+      bindings,
+      bindGroupLayouts: bindGroupLayouts || null
     });
-    
+
     // Return original pipeline object
     return pipeline;
   } catch (error) {
     console.error('[Pipeline Utils] PIPELINE CREATION FAILED:', {
       timestamp: new Date().toISOString(),
-      shader: shaderPath,
+      pipeline: label,
       type,
       error: {
         name: error.name,
         message: error.message,
-        stack: error.stack,
-        deviceLost: error instanceof GPUDeviceLostError
+        stack: error.stack
       },
       deviceState: device?.lost?.then ? 'pending loss' : 'valid'
     });
@@ -304,12 +578,241 @@ async function createPipeline(device, { type, shaderPath, presentationFormat })
   }
 }
 
+// Helper to get the bind group layout of a group, honouring explicit layouts
+function getGroupLayout(pipeline, group) {
+  const explicit = pipelineMetadata.get(pipeline)?.bindGroupLayouts;
+  if (explicit) {
+    if (!explicit[group]) {
+      throw new Error(`Pipeline has no bind group layout for group ${group}`);
+    }
+    return explicit[group];
+  }
+  return pipeline.getBindGroupLayout(group);
+}
+
+// Declared bindings of a group in any stage module, used or not
+function declaredGroupBindings(reflection, group) {
+  const declared = new Map();
+  Object.values(reflection || {}).forEach(r => {
+    getGroupBindings(r, group).forEach(b => declared.set(b.name, b));
+  });
+  return declared;
+}
+
+// Check one resource against the reflected binding and turn it into a GPUBindingResource
+function bindingResource(device, binding, resource) {
+  const where = `'${binding.name}' (@group(${binding.group}) @binding(${binding.binding}))`;
+  if (!resource) {
+    throw new Error(`Missing resource for ${where}`);
+  }
+
+  if (binding.resourceType === 'buffer') {
+    const entry = resource.buffer ? resource : { buffer: resource };
+    const { buffer } = entry;
+    if (typeof buffer?.usage !== 'number') {
+      throw new Error(`${where} is a ${binding.addressSpace} buffer binding but got ${resource.constructor?.name || typeof resource}`);
+    }
+    const isUniform = binding.addressSpace === 'uniform';
+    const requiredUsage = isUniform ? GPUBufferUsage.UNIFORM : GPUBufferUsage.STORAGE;
+    if (!(buffer.usage & requiredUsage)) {
+      throw new Error(`Buffer '${buffer.label || '(unlabeled)'}' bound to ${where} needs ${isUniform ? 'UNIFORM' : 'STORAGE'} usage`);
+    }
+    const alignment = isUniform
+      ? device.limits?.minUniformBufferOffsetAlignment ?? 256
+      : device.limits?.minStorageBufferOffsetAlignment ?? 256;
+    if ((entry.offset || 0) % alignment !== 0) {
+      throw new Error(`Offset ${entry.offset} of ${where} must be a multiple of ${alignment}`);
+    }
+    return entry;
+  }
+
+  if (binding.resourceType === 'sampler') {
+    if (typeof GPUSampler !== 'undefined' && !(resource instanceof GPUSampler)) {
+      throw new Error(`${where} expects a GPUSampler`);
+    }
+    return resource;
+  }
+
+  if (binding.resourceType === 'texture' || binding.resourceType === 'storageTexture') {
+    if (typeof resource.createView === 'function') {
+      throw new Error(`${where} expects a GPUTextureView - pass texture.createView()`);
+    }
+    if (typeof GPUTextureView !== 'undefined' && !(resource instanceof GPUTextureView)) {
+      throw new Error(`${where} expects a GPUTextureView`);
+    }
+    return resource;
+  }
+
+  return resource;
+}
+
+// Writable storage bindings must not alias any other binding of the same buffer range
+function checkWritableAliasing(entries) {
+  const ranges = entries
+    .filter(e => e.binding.resourceType === 'buffer')
+    .map(e => ({
+      name: e.binding.name,
+      writable: e.binding.access === 'read_write' || e.binding.access === 'write',
+      buffer: e.resource.buffer,
+      start: e.resource.offset || 0,
+      end: e.resource.size !== undefined ? (e.resource.offset || 0) + e.resource.size : e.resource.buffer.size
+    }));
+  ranges.forEach((a, i) => ranges.slice(i + 1).forEach(b => {
+    if (a.buffer === b.buffer && (a.writable || b.writable) && a.start < b.end && b.start < a.end) {
+      throw new Error(`'${a.name}' and '${b.name}' bind overlapping ranges of the same buffer and one of them is writable`);
+    }
+  }));
+}
+
+/**
+ * Create a bind group for `group` of a pipeline made by createPipeline.
+ * `resources` maps WGSL variable names to GPUBuffers ({ buffer, offset, size } also accepted),
+ * texture views, samplers or external textures. Names, buffer usages, offsets and
+ * writable aliasing are checked against the shader reflection before calling the API.
+ */
+function createBindGroup(device, pipeline, group, resources, { label } = {}) {
+  const metadata = pipelineMetadata.get(pipeline);
+  if (!metadata) {
+    throw new Error('createBindGroup needs a pipeline created through createPipeline');
+  }
+
+  const used = metadata.bindings.filter(b => b.group === group);
+  const declared = declaredGroupBindings(metadata.reflection, group);
+  const explicitLayout = Boolean(metadata.bindGroupLayouts);
+
+  // With 'auto' layouts only bindings the entry points use are part of the group
+  Object.keys(resources).forEach(name => {
+    if (used.some(b => b.name === name)) return;
+    if (!declared.has(name)) {
+      throw new Error(`'${name}' is not a binding of @group(${group}); expected ${used.map(b => b.name).join(', ') || 'nothing'}`);
+    }
+    if (!explicitLayout) {
+      throw new Error(`'${name}' is declared in @group(${group}) but not used by the pipeline's entry points, so it is not part of the 'auto' layout`);
+    }
+  });
+
+  const bindings = explicitLayout
+    ? [...declared.values()].filter(b => used.some(u => u.name === b.name) || b.name in resources)
+    : used;
+  const entries = bindings.map(binding => ({ binding, resource: bindingResource(device, binding, resources[binding.name]) }));
+  checkWritableAliasing(entries);
+
+  return device.createBindGroup({
+    label: label || `${metadata.entryPoints.compute || metadata.entryPoints.vertex} group ${group}`,
+    layout: getGroupLayout(pipeline, group),
+    entries: entries.map(({ binding, resource }) => ({ binding: binding.binding, resource }))
+  });
+}
+
+/**
+ * Create the two bind groups of a double-buffered simulation.
+ * `pairs` lists [nameA, nameB] bindings whose resources are swapped in the second group, e.g.
+ *   createPingPongBindGroups(device, pipeline, 0, { params, particlesA: buf[0], particlesB: buf[1] }, [['particlesA', 'particlesB']])
+ * returns [A->B, B->A].
+ */
+function createPingPongBindGroups(device, pipeline, group, resources, pairs, { label } = {}) {
+  const swapped = { ...resources };
+  pairs.forEach(([a, b]) => {
+    if (!(a in resources) || !(b in resources)) {
+      throw new Error(`Ping-pong pair '${a}'/'${b}' needs both resources`);
+    }
+    swapped[a] = resources[b];
+    swapped[b] = resources[a];
+  });
+  return [resources, swapped].map((res, i) =>
+    createBindGroup(device, pipeline, group, res, { label: label && `${label} [${i}]` }));
+}
+
+// Idle MAP_READ staging buffers per device, reused by readBuffer and verify.js encodeReadback
+const stagingPools = new WeakMap();
+const STAGING_GRANULARITY = 256;
+
+// Helper to take a staging buffer of at least `size` bytes from the device's pool
+function acquireStagingBuffer(device, size) {
+  if (!stagingPools.has(device)) stagingPools.set(device, []);
+  const pool = stagingPools.get(device);
+  const index = pool.findIndex(buffer => buffer.size >= size);
+  if (index >= 0) return pool.splice(index, 1)[0];
+  return device.createBuffer({
+    label: 'readBuffer staging',
+    size: Math.ceil(size / STAGING_GRANULARITY) * STAGING_GRANULARITY,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+  });
+}
+
+// Helper to return a staging buffer; the largest few are kept for the next reads
+function releaseStagingBuffer(device, buffer) {
+  const pool = stagingPools.get(device);
+  pool.push(buffer);
+  pool.sort((a, b) => a.size - b.size);
+  while (pool.length > 4) pool.shift().destroy();
+}
+
+/**
+ * Read the contents of a GPU buffer (which needs COPY_SRC usage) back to the CPU.
+ * `type` is a TypedArray constructor (default Uint8Array) or a layout from struct-layout.js,
+ * e.g. typeLayout('array<Particle>', reflection), which returns the decoded value.
+ * Staging buffers are pooled per device, so repeated reads do not allocate.
+ * Copies are issued on the queue, i.e. after all work submitted so far.
+ */
+async function readBuffer(device, buffer, { offset = 0, size, type = Uint8Array } = {}) {
+  if (!(buffer.usage & GPUBufferUsage.COPY_SRC)) {
+    throw new Error(`readBuffer: '${buffer.label || 'buffer'}' needs COPY_SRC usage to be read back`);
+  }
+  const byteSize = size ?? buffer.size - offset;
+  if (offset < 0 || byteSize < 0 || offset + byteSize > buffer.size) {
+    throw new Error(`readBuffer: range ${offset}+${byteSize} is outside '${buffer.label || 'buffer'}' (${buffer.size} bytes)`);
+  }
+
+  // Copies work on 4-byte granularity; read the enclosing aligned range and trim it
+  const start = Math.floor(offset / 4) * 4;
+  const end = Math.ceil((offset + byteSize) / 4) * 4;
+  if (end > buffer.size) {
+    throw new Error(`readBuffer: the last bytes of '${buffer.label || 'buffer'}' cannot be copied, its size ${buffer.size} is not a multiple of 4`);
+  }
+  const staging = acquireStagingBuffer(device, end - start);
+  let bytes;
+  try {
+    const commandEncoder = device.createCommandEncoder({ label: 'readBuffer' });
+    commandEncoder.copyBufferToBuffer(buffer, start, staging, 0, end - start);
+    device.queue.submit([commandEncoder.finish()]);
+    await staging.mapAsync(GPUMapMode.READ, 0, end - start);
+    bytes = staging.getMappedRange(0, end - start).slice(offset - start, offset - start + byteSize);
+    staging.unmap();
+  } catch (error) {
+    staging.destroy();
+    throw error;
+  }
+  releaseStagingBuffer(device, staging);
+
+  if (typeof type === 'function') {
+    if (byteSize % (type.BYTES_PER_ELEMENT || 1) !== 0) {
+      throw new Error(`readBuffer: ${byteSize} bytes is not a whole number of ${type.name} elements`);
+    }
+    return new type(bytes);
+  }
+  return deserialize(type, bytes);
+}
+
 export { 
   quitIfAdapterNotAvailable, 
   quitIfWebGPUNotAvailable, 
+  withOptionalFeatures,
   loadShaderFromFile,
   createPipeline,
   getPipelineType,
   getPipelineBuffers,
+  getPipelineReflection,
+  getPipelineBindings,
+  createBindGroup,
+  createPingPongBindGroups,
+  readBuffer,
+  acquireStagingBuffer,
+  releaseStagingBuffer,
+  createShaderModuleChecked,
+  ShaderCompileError,
+  generateBufferLayouts,
+  typeToFormat,
+  formatSize,
   fail 
 };
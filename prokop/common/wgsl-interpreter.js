@@ -0,0 +1,1440 @@
+// CPU interpreter for WGSL compute shaders, so that kernels can be tested headless: the mock
+// WebGPU device runs compute passes through it when created with { runCompute: true }.
+//
+// A compute entry point is translated to a JS function over DataViews of the bound buffers,
+// laid out as in struct-layout.js, and run once per invocation. Functions that reach a
+// workgroupBarrier() become generators: the invocations of a workgroup take turns, each running
+// up to its next barrier. Integer arithmetic wraps and f32 results are rounded as on the GPU.
+//
+// The supported subset covers compute kernels: scalars, vectors, arrays and structs; storage,
+// uniform and workgroup variables; consts and overrides; control flow, functions, atomics and
+// the common numeric builtins. Anything else (textures, matrices, f16, pointer values other
+// than builtin arguments) throws a WGSLInterpreterError when the kernel is compiled.
+// Out-of-bounds indexing throws when it happens instead of being clamped, so tests see it.
+//
+//   const kernel = compileCompute(code, 'main', { block_size: 64 });
+//   kernel.dispatch((group, binding) => dataView, [workgroupsX, 1, 1]);
+
+import { tokenizeWGSL, reflectWGSL, parseNumber, literalType } from './wgsl-reflect.js';
+import { typeLayout, serialize, deserialize } from './struct-layout.js';
+
+class WGSLInterpreterError extends Error {
+  constructor(message, token) {
+    super(token ? `${message} at line ${token.line}, column ${token.column}` : message);
+    this.name = 'WGSLInterpreterError';
+  }
+}
+
+// Types
+//   scalar  { scalar: 'bool' | 'i32' | 'u32' | 'f32' | 'abstract-int' | 'abstract-float' }
+//   vector  { scalar, count }
+//   array   { element, count (null = runtime-sized) }
+//   struct  { name, members: [{ name, type }] }
+//   atomic  { scalar }
+// `text` is the WGSL spelling, which struct-layout.js lays out.
+
+const ABSTRACT_INT = 'abstract-int';
+const ABSTRACT_FLOAT = 'abstract-float';
+
+const scalarType = scalar => ({ kind: 'scalar', scalar, text: scalar });
+const vectorType = (count, scalar) => ({ kind: 'vector', count, scalar, text: `vec${count}<${scalar}>` });
+const arrayType = (element, count) => ({
+  kind: 'array', element, count, text: count === null ? `array<${element.text}>` : `array<${element.text}, ${count}>`
+});
+
+const BOOL = scalarType('bool');
+const U32 = scalarType('u32');
+const VOID = { kind: 'void', text: 'void' };
+
+const ATOMIC_COMPARE_EXCHANGE_RESULT = scalar => ({
+  kind: 'struct',
+  name: `__atomic_compare_exchange_result_${scalar}`,
+  members: [{ name: 'old_value', type: scalarType(scalar) }, { name: 'exchanged', type: BOOL }]
+});
+
+const isAbstractScalar = scalar => scalar === ABSTRACT_INT || scalar === ABSTRACT_FLOAT;
+const isFloatScalar = scalar => scalar === 'f32' || scalar === ABSTRACT_FLOAT;
+const scalarOf = type => type.scalar;
+
+function isAbstract(type) {
+  if (type.kind === 'array') return isAbstract(type.element);
+  return isAbstractScalar(type.scalar);
+}
+
+// The concrete type an abstract value takes when bound to a name
+function concretize(type) {
+  if (type.kind === 'scalar' && isAbstractScalar(type.scalar)) return scalarType(type.scalar === ABSTRACT_INT ? 'i32' : 'f32');
+  if (type.kind === 'vector' && isAbstractScalar(type.scalar)) return vectorType(type.count, type.scalar === ABSTRACT_INT ? 'i32' : 'f32');
+  if (type.kind === 'array' && isAbstract(type.element)) return arrayType(concretize(type.element), type.count);
+  return type;
+}
+
+const GETTERS = { u32: 'getUint32', i32: 'getInt32', f32: 'getFloat32' };
+const SETTERS = { u32: 'setUint32', i32: 'setInt32', f32: 'setFloat32' };
+const COMPARISONS = new Set(['==', '!=', '<', '>', '<=', '>=']);
+const BINARY_LEVELS = [['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!=', '<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']];
+const COMPOUND_ASSIGNMENTS = new Set(['+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+const TEMPLATED_TYPE = /^(vec[234]|mat[234]x[234]|array|atomic|ptr)$/;
+const SWIZZLE = /^([xyzw]{1,4}|[rgba]{1,4})$/;
+const BUILTIN_INPUTS = ['global_invocation_id', 'local_invocation_id', 'local_invocation_index', 'workgroup_id', 'num_workgroups'];
+const BARRIERS = new Set(['workgroupBarrier', 'storageBarrier', 'workgroupUniformLoad']);
+const ATOMIC_OPERATIONS = {
+  atomicAdd: 'add', atomicSub: 'sub', atomicMax: 'max', atomicMin: 'min',
+  atomicAnd: 'and', atomicOr: 'or', atomicXor: 'xor', atomicExchange: 'exchange'
+};
+// Componentwise float builtins, computed by RUNTIME.__fn
+const FLOAT_BUILTINS = new Set([
+  'sqrt', 'inverseSqrt', 'floor', 'ceil', 'trunc', 'round', 'fract', 'sign', 'sin', 'cos', 'tan',
+  'exp', 'exp2', 'log', 'log2', 'pow', 'atan2', 'step', 'mix', 'smoothstep'
+]);
+
+// Parser: WGSL tokens to a syntax tree of { kind, token, ... } nodes
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.templateDepth = 0; // inside template lists, '>' closes the list
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  is(value, offset = 0) {
+    return this.peek(offset)?.value === value;
+  }
+
+  next() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw new WGSLInterpreterError('Unexpected end of shader', this.tokens.at(-1));
+    return token;
+  }
+
+  accept(value) {
+    if (!this.is(value)) return false;
+    this.pos++;
+    return true;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.value !== value) throw new WGSLInterpreterError(`Expected '${value}' but found '${token.value}'`, token);
+    return token;
+  }
+
+  expectIdent() {
+    const token = this.next();
+    if (token.type !== 'ident') throw new WGSLInterpreterError(`Expected a name but found '${token.value}'`, token);
+    return token.value;
+  }
+
+  skipPast(value) {
+    while (!this.accept(value)) this.next();
+  }
+
+  skipBalanced(open, close) {
+    this.expect(open);
+    for (let depth = 1; depth > 0;) {
+      const { value } = this.next();
+      if (value === open) depth++;
+      if (value === close) depth--;
+    }
+  }
+
+  // '<' '<' and '>' '>' side by side are shifts; the tokenizer splits them for template lists
+  isShift(value) {
+    const [a, b] = [this.peek(), this.peek(1)];
+    return a?.value === value && b?.value === value && a.line === b.line && b.column === a.column + 1;
+  }
+
+  parseAttributes() {
+    const attributes = {};
+    while (this.accept('@')) {
+      const name = this.expectIdent();
+      const args = [];
+      if (this.accept('(')) {
+        while (!this.accept(')')) {
+          args.push(this.parseExpression());
+          this.accept(',');
+        }
+      }
+      attributes[name] = args;
+    }
+    return attributes;
+  }
+
+  parseType() {
+    const token = this.next();
+    if (token.type !== 'ident') throw new WGSLInterpreterError(`Expected a type but found '${token.value}'`, token);
+    const type = { kind: 'type', name: token.value, args: [], token };
+    if (this.accept('<')) {
+      this.templateDepth++;
+      do {
+        // Template arguments are types, except the element count of arrays
+        type.args.push(type.name === 'array' && type.args.length === 1 ? this.parseExpression() : this.parseType());
+      } while (this.accept(','));
+      this.templateDepth--;
+      this.expect('>');
+    }
+    return type;
+  }
+
+  parseModule() {
+    const module = { declarations: new Map(), functions: new Map() };
+    const declare = (declaration) => {
+      if (module.declarations.has(declaration.name)) {
+        throw new WGSLInterpreterError(`'${declaration.name}' is declared twice`, declaration.token);
+      }
+      module.declarations.set(declaration.name, declaration);
+    };
+    while (this.pos < this.tokens.length) {
+      const attributes = this.parseAttributes();
+      const token = this.next();
+      switch (token.value) {
+        case 'enable': case 'requires': case 'diagnostic': case 'alias': case 'const_assert':
+          this.skipPast(';');
+          break;
+        case 'struct':
+          this.expectIdent();
+          this.skipBalanced('{', '}');
+          this.accept(';');
+          break;
+        case 'const': case 'override': {
+          const name = this.expectIdent();
+          const type = this.accept(':') ? this.parseType() : null;
+          const init = this.accept('=') ? this.parseExpression() : null;
+          this.expect(';');
+          declare({ kind: token.value, name, type, init, attributes, token });
+          break;
+        }
+        case 'var': {
+          let space = 'private';
+          let access = null;
+          if (this.accept('<')) {
+            space = this.expectIdent();
+            if (this.accept(',')) access = this.expectIdent();
+            this.expect('>');
+          }
+          const name = this.expectIdent();
+          const type = this.accept(':') ? this.parseType() : null;
+          const init = this.accept('=') ? this.parseExpression() : null;
+          this.expect(';');
+          declare({ kind: 'var', name, space, access, type, init, attributes, token });
+          break;
+        }
+        case 'fn': {
+          const fn = this.parseFunction(attributes, token);
+          module.functions.set(fn.name, fn);
+          break;
+        }
+        case ';':
+          break;
+        default:
+          throw new WGSLInterpreterError(`Unexpected '${token.value}' at module scope`, token);
+      }
+    }
+    return module;
+  }
+
+  parseFunction(attributes, token) {
+    const name = this.expectIdent();
+    const params = [];
+    this.expect('(');
+    while (!this.accept(')')) {
+      const paramAttributes = this.parseAttributes();
+      const paramToken = this.peek();
+      const paramName = this.expectIdent();
+      this.expect(':');
+      params.push({ name: paramName, type: this.parseType(), attributes: paramAttributes, token: paramToken });
+      this.accept(',');
+    }
+    let returnType = null;
+    if (this.accept('->')) {
+      this.parseAttributes();
+      returnType = this.parseType();
+    }
+    return { name, params, returnType, attributes, body: this.parseBlock(), token };
+  }
+
+  parseBlock() {
+    const token = this.expect('{');
+    const body = [];
+    while (!this.accept('}')) body.push(this.parseStatement());
+    return { kind: 'block', body, token };
+  }
+
+  parseStatement() {
+    this.parseAttributes();
+    const token = this.peek();
+    switch (token.value) {
+      case '{':
+        return this.parseBlock();
+      case ';':
+        this.next();
+        return { kind: 'block', body: [], token };
+      case 'if':
+        return this.parseIf();
+      case 'for': {
+        this.next();
+        this.expect('(');
+        const init = this.is(';') ? null : this.parseSimpleStatement();
+        this.expect(';');
+        const condition = this.is(';') ? null : this.parseExpression();
+        this.expect(';');
+        const update = this.is(')') ? null : this.parseSimpleStatement();
+        this.expect(')');
+        return { kind: 'for', init, condition, update, body: this.parseBlock(), token };
+      }
+      case 'while': {
+        this.next();
+        const condition = this.parseExpression();
+        return { kind: 'while', condition, body: this.parseBlock(), token };
+      }
+      case 'loop':
+        return this.parseLoop();
+      case 'switch':
+        return this.parseSwitch();
+      case 'break': case 'continue': {
+        this.next();
+        if (token.value === 'break' && this.is('if')) {
+          throw new WGSLInterpreterError("'break if' is only allowed at the end of a continuing block", token);
+        }
+        this.expect(';');
+        return { kind: token.value, token };
+      }
+      case 'return': {
+        this.next();
+        const value = this.is(';') ? null : this.parseExpression();
+        this.expect(';');
+        return { kind: 'return', value, token };
+      }
+      case 'const_assert':
+        this.skipPast(';');
+        return { kind: 'block', body: [], token };
+      default: {
+        const statement = this.parseSimpleStatement();
+        this.expect(';');
+        return statement;
+      }
+    }
+  }
+
+  parseIf() {
+    const token = this.expect('if');
+    const condition = this.parseExpression();
+    const then = this.parseBlock();
+    let otherwise = null;
+    if (this.accept('else')) otherwise = this.is('if') ? this.parseIf() : this.parseBlock();
+    return { kind: 'if', condition, then, else: otherwise, token };
+  }
+
+  parseLoop() {
+    const token = this.expect('loop');
+    this.expect('{');
+    const body = [];
+    let continuing = null;
+    let breakIf = null;
+    while (!this.accept('}')) {
+      if (this.accept('continuing')) {
+        continuing = [];
+        this.expect('{');
+        while (!this.accept('}')) {
+          if (this.is('break') && this.is('if', 1)) {
+            this.pos += 2;
+            breakIf = this.parseExpression();
+            this.expect(';');
+          } else {
+            continuing.push(this.parseStatement());
+          }
+        }
+      } else {
+        body.push(this.parseStatement());
+      }
+    }
+    return { kind: 'loop', body, continuing: continuing || [], breakIf, token };
+  }
+
+  parseSwitch() {
+    const token = this.expect('switch');
+    const selector = this.parseExpression();
+    const clauses = [];
+    this.expect('{');
+    while (!this.accept('}')) {
+      const selectors = [];
+      if (this.accept('default')) {
+        selectors.push(null);
+      } else {
+        this.expect('case');
+        do {
+          if (this.is('{') || this.is(':')) break;
+          selectors.push(this.accept('default') ? null : this.parseExpression());
+        } while (this.accept(','));
+      }
+      this.accept(':');
+      clauses.push({ selectors, body: this.parseBlock() });
+    }
+    return { kind: 'switch', selector, clauses, token };
+  }
+
+  // Declarations, assignments, increments and calls: the statements allowed in for (...)
+  parseSimpleStatement() {
+    const token = this.peek();
+    if (['let', 'const', 'var'].includes(token.value)) {
+      this.next();
+      if (token.value === 'var' && this.accept('<')) {
+        if (this.expectIdent() !== 'function') throw new WGSLInterpreterError('Function variables must be var<function>', token);
+        this.expect('>');
+      }
+      const name = this.expectIdent();
+      const type = this.accept(':') ? this.parseType() : null;
+      const init = this.accept('=') ? this.parseExpression() : null;
+      if (!init && token.value !== 'var') throw new WGSLInterpreterError(`'${token.value} ${name}' needs an initializer`, token);
+      return { kind: token.value, name, type, init, token };
+    }
+    if (token.value === '_') {
+      this.next();
+      this.expect('=');
+      return { kind: 'assign', op: '=', target: null, value: this.parseExpression(), token };
+    }
+    const target = this.parseUnary();
+    const op = this.peek()?.value;
+    if (op === '=' || COMPOUND_ASSIGNMENTS.has(op)) {
+      this.next();
+      return { kind: 'assign', op, target, value: this.parseExpression(), token };
+    }
+    if (op === '++' || op === '--') {
+      this.next();
+      return { kind: 'assign', op: `${op[0]}=`, target, value: { kind: 'literal', text: '1', token }, token };
+    }
+    if (target.kind !== 'call') throw new WGSLInterpreterError('Expected an assignment or a function call', token);
+    return { kind: 'call-statement', call: target, token };
+  }
+
+  parseExpression(level = 0) {
+    if (level === BINARY_LEVELS.length) return this.parseUnary();
+    let left = this.parseExpression(level + 1);
+    for (let op = this.binaryOperator(level); op; op = this.binaryOperator(level)) {
+      const { token } = op;
+      left = { kind: 'binary', op: op.value, left, right: this.parseExpression(level + 1), token };
+    }
+    return left;
+  }
+
+  binaryOperator(level) {
+    const token = this.peek();
+    if (!token || token.type !== 'punct') return null;
+    const shift = (token.value === '<' || token.value === '>') && this.isShift(token.value);
+    const value = shift ? token.value + token.value : token.value;
+    if (!BINARY_LEVELS[level].includes(value)) return null;
+    if (this.templateDepth > 0 && (value === '>' || value === '>>')) return null;
+    this.pos += shift ? 2 : 1;
+    return { value, token };
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (['-', '!', '~', '&', '*'].includes(token?.value)) {
+      this.next();
+      return { kind: 'unary', op: token.value, arg: this.parseUnary(), token };
+    }
+    let expression = this.parsePrimary();
+    for (;;) {
+      const postfix = this.peek();
+      if (this.accept('[')) {
+        const index = this.parseExpression();
+        this.expect(']');
+        expression = { kind: 'index', base: expression, index, token: postfix };
+      } else if (this.accept('.')) {
+        expression = { kind: 'member', base: expression, name: this.expectIdent(), token: postfix };
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const args = [];
+    while (!this.accept(')')) {
+      args.push(this.parseExpression());
+      this.accept(',');
+    }
+    return args;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (token.type === 'number') return { kind: 'literal', text: token.value, token };
+    if (token.value === 'true' || token.value === 'false') return { kind: 'literal', text: token.value, token };
+    if (token.value === '(') {
+      const templateDepth = this.templateDepth;
+      this.templateDepth = 0;
+      const expression = this.parseExpression();
+      this.templateDepth = templateDepth;
+      this.expect(')');
+      return expression;
+    }
+    if (token.type !== 'ident') throw new WGSLInterpreterError(`Unexpected '${token.value}'`, token);
+    if (token.value === 'bitcast') {
+      this.expect('<');
+      this.templateDepth++;
+      const type = this.parseType();
+      this.templateDepth--;
+      this.expect('>');
+      return { kind: 'bitcast', type, args: this.parseArguments(), token };
+    }
+    if (TEMPLATED_TYPE.test(token.value) && this.is('<')) {
+      this.pos--;
+      const type = this.parseType();
+      return { kind: 'construct', type, args: this.parseArguments(), token };
+    }
+    if (this.is('(')) return { kind: 'call', name: token.value, args: this.parseArguments(), token };
+    return { kind: 'ident', name: token.value, token };
+  }
+}
+
+// Names of the functions called in a syntax tree
+function calledNames(node, names = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach(child => calledNames(child, names));
+  } else if (node && typeof node === 'object') {
+    if (node.kind === 'call') names.add(node.name);
+    Object.entries(node).forEach(([key, child]) => {
+      if (key !== 'token') calledNames(child, names);
+    });
+  }
+  return names;
+}
+
+// Runtime support of the generated code
+
+const scratch = new DataView(new ArrayBuffer(4));
+
+const RUNTIME = {
+  __bound(index, count, name) {
+    if (index >= 0 && index < count) return index;
+    throw new WGSLInterpreterError(`Index ${index} is out of bounds of '${name}' (${count} elements)`);
+  },
+  __udiv: (a, b) => (b === 0 ? a : Math.floor(a / b) >>> 0),
+  __urem: (a, b) => (b === 0 ? 0 : a % b),
+  __idiv: (a, b) => (b === 0 || (a === -0x80000000 && b === -1) ? a : Math.trunc(a / b) | 0),
+  __irem: (a, b) => (b === 0 || (a === -0x80000000 && b === -1) ? 0 : a % b | 0),
+  __f2u: x => (Number.isNaN(x) ? 0 : Math.min(Math.max(Math.trunc(x), 0), 0xffffffff)),
+  __f2i: x => (Number.isNaN(x) ? 0 : Math.min(Math.max(Math.trunc(x), -0x80000000), 0x7fffffff)),
+  __select: (f, t, condition) => (condition ? t : f),
+  __splat: (value, count) => new Array(count).fill(value),
+  __swizzle: (vector, indices) => indices.map(i => vector[i]),
+  // Componentwise application of `fn` over vector arguments, with scalars broadcast
+  __map(fn, ...args) {
+    const count = args.find(Array.isArray).length;
+    return Array.from({ length: count }, (_, i) => fn(...args.map(arg => (Array.isArray(arg) ? arg[i] : arg))));
+  },
+  __copy(value) {
+    if (Array.isArray(value)) return value.map(RUNTIME.__copy);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, RUNTIME.__copy(v)]));
+    return value;
+  },
+  __read: (view, offset, layout) => deserialize(layout, view, offset),
+  __write(view, offset, layout, value) {
+    serialize(layout, value, { target: view.buffer, byteOffset: view.byteOffset + offset });
+  },
+  __atomic(operation, view, offset, signed, value) {
+    const old = signed ? view.getInt32(offset, true) : view.getUint32(offset, true);
+    const updated = {
+      add: old + value, sub: old - value, max: Math.max(old, value), min: Math.min(old, value),
+      and: old & value, or: old | value, xor: old ^ value, exchange: value
+    }[operation];
+    if (signed) view.setInt32(offset, updated, true);
+    else view.setUint32(offset, updated >>> 0, true);
+    return old;
+  },
+  __atomicCompareExchange(view, offset, signed, compare, value) {
+    const old = signed ? view.getInt32(offset, true) : view.getUint32(offset, true);
+    const exchanged = old === compare;
+    if (exchanged) view[signed ? 'setInt32' : 'setUint32'](offset, value, true);
+    return { old_value: old, exchanged };
+  },
+  __bitcast(value, from, to) {
+    scratch[SETTERS[from]](0, value, true);
+    return scratch[GETTERS[to]](0, true);
+  },
+  __countOneBits(value) {
+    let bits = value >>> 0;
+    let count = 0;
+    for (; bits; bits &= bits - 1) count++;
+    return count;
+  },
+  __fn: {
+    min: Math.min,
+    max: Math.max,
+    clamp: (e, low, high) => Math.min(Math.max(e, low), high),
+    abs: Math.abs,
+    sqrt: Math.sqrt,
+    inverseSqrt: x => 1 / Math.sqrt(x),
+    floor: Math.floor,
+    ceil: Math.ceil,
+    trunc: Math.trunc,
+    // Halfway cases round to even
+    round: x => (Math.abs(x % 1) === 0.5 ? 2 * Math.round(x / 2) : Math.round(x)),
+    fract: x => x - Math.floor(x),
+    sign: Math.sign,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    exp: Math.exp,
+    exp2: x => 2 ** x,
+    log: Math.log,
+    log2: Math.log2,
+    pow: (x, y) => x ** y,
+    atan2: Math.atan2,
+    step: (edge, x) => (x >= edge ? 1 : 0),
+    mix: (a, b, t) => a * (1 - t) + b * t,
+    smoothstep(low, high, x) {
+      const t = Math.min(Math.max((x - low) / (high - low), 0), 1);
+      return t * t * (3 - 2 * t);
+    },
+    dot: (a, b) => a.reduce((sum, x, i) => sum + x * b[i], 0),
+    length: a => Math.hypot(...a),
+    distance: (a, b) => Math.hypot(...a.map((x, i) => x - b[i])),
+    normalize: a => a.map(x => Math.fround(x / Math.hypot(...a))),
+    cross: (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]].map(Math.fround)
+  }
+};
+
+// JS for `a op b` on scalars of type `scalar` (both operands already of that type)
+function scalarBinary(op, scalar, a, b) {
+  if (COMPARISONS.has(op)) {
+    const js = { '==': '===', '!=': '!==' }[op] || op;
+    return `(${a} ${js} ${b})`;
+  }
+  switch (scalar) {
+    case 'bool':
+      return `Boolean(${a} ${op} ${b})`;
+    case 'u32':
+      if (op === '*') return `(Math.imul(${a}, ${b}) >>> 0)`;
+      if (op === '/') return `__udiv(${a}, ${b})`;
+      if (op === '%') return `__urem(${a}, ${b})`;
+      if (op === '>>') return `(${a} >>> ${b})`;
+      return `((${a} ${op} ${b}) >>> 0)`;
+    case 'i32':
+      if (op === '*') return `Math.imul(${a}, ${b})`;
+      if (op === '/') return `__idiv(${a}, ${b})`;
+      if (op === '%') return `__irem(${a}, ${b})`;
+      return `((${a} ${op} ${b}) | 0)`;
+    case 'f32':
+      return `Math.fround(${a} ${op} ${b})`;
+    case ABSTRACT_INT:
+      return op === '/' ? `Math.trunc(${a} / ${b})` : `(${a} ${op} ${b})`;
+    default:
+      return `(${a} ${op} ${b})`;
+  }
+}
+
+// JS converting `code` from scalar type `from` to `to`, as the WGSL conversion u32(x) etc.
+function scalarConversion(code, from, to) {
+  if (from === to || isAbstractScalar(to)) return code;
+  if (from === 'bool') return `(${code} ? 1 : 0)`;
+  switch (to) {
+    case 'u32': return isFloatScalar(from) ? `__f2u(${code})` : `(${code} >>> 0)`;
+    case 'i32': return isFloatScalar(from) ? `__f2i(${code})` : `(${code} | 0)`;
+    case 'f32': return `Math.fround(${code})`;
+    default: return `(${code} !== 0)`;
+  }
+}
+
+// A pipeline constant as the value of an override of type `scalar`
+function overrideValue(value, scalar) {
+  switch (scalar) {
+    case 'bool': return value !== 0;
+    case 'u32': return value >>> 0;
+    case 'i32': return value | 0;
+    default: return Math.fround(value);
+  }
+}
+
+/**
+ * A compiled compute entry point. dispatch() runs it over a grid of workgroups, with
+ * `resource(group, binding)` returning the DataView bound to each buffer binding.
+ */
+class ComputeKernel {
+  constructor(instance, params) {
+    this.__instance = instance;
+    this.__params = params; // per entry point parameter: a builtin name or { member: builtin }
+    this.workgroupSize = instance.workgroupSize.map(Number);
+  }
+
+  dispatch(resource, [x, y = 1, z = 1]) {
+    const [sizeX, sizeY, sizeZ] = this.workgroupSize;
+    const { entry, barriers } = this.__instance;
+    this.__instance.bind(resource);
+    for (let wz = 0; wz < z; wz++) {
+      for (let wy = 0; wy < y; wy++) {
+        for (let wx = 0; wx < x; wx++) {
+          this.__instance.workgroup();
+          const invocations = [];
+          for (let lz = 0; lz < sizeZ; lz++) {
+            for (let ly = 0; ly < sizeY; ly++) {
+              for (let lx = 0; lx < sizeX; lx++) {
+                const builtins = {
+                  global_invocation_id: [wx * sizeX + lx, wy * sizeY + ly, wz * sizeZ + lz],
+                  local_invocation_id: [lx, ly, lz],
+                  local_invocation_index: lx + sizeX * (ly + sizeY * lz),
+                  workgroup_id: [wx, wy, wz],
+                  num_workgroups: [x, y, z]
+                };
+                invocations.push(this.__params.map(param => (typeof param === 'string'
+                  ? builtins[param]
+                  : Object.fromEntries(Object.entries(param).map(([member, builtin]) => [member, builtins[builtin]])))));
+              }
+            }
+          }
+          if (barriers) {
+            // Each invocation runs to its next barrier in turn
+            let running = invocations.map(args => entry(...args));
+            while (running.length) running = running.filter(invocation => !invocation.next().done);
+          } else {
+            invocations.forEach(args => entry(...args));
+          }
+        }
+      }
+    }
+  }
+}
+
+// Translation of one entry point to JS
+class KernelCompiler {
+  constructor(code, constants) {
+    this.module = new Parser(tokenizeWGSL(code)).parseModule();
+    this.reflection = reflectWGSL(code);
+    this.constants = constants;
+    this.counter = 0;
+    this.scopes = [];
+    this.current = null; // the function being compiled
+    this.moduleSymbols = new Map();
+    this.moduleLines = [];
+    this.layouts = [];
+    this.layoutIndices = new Map();
+    this.bindings = []; // JS run by bind() and workgroup() of the instance
+    this.workgroupSetup = [];
+    this.structs = new Map();
+  }
+
+  error(message, token) {
+    return new WGSLInterpreterError(message, token);
+  }
+
+  // Types
+
+  resolveType(node) {
+    const { name, args, token } = node;
+    if (this.reflection.aliases[name]) return this.resolveTypeText(this.reflection.aliases[name], token);
+    if (['bool', 'i32', 'u32', 'f32'].includes(name)) return scalarType(name);
+    const short = /^vec([234])([fiu])$/.exec(name);
+    if (short) return vectorType(Number(short[1]), { f: 'f32', i: 'i32', u: 'u32' }[short[2]]);
+    const vector = /^vec([234])$/.exec(name);
+    if (vector && args.length === 1) {
+      const element = this.resolveType(args[0]);
+      if (element.kind !== 'scalar') throw this.error(`Vectors of ${element.text} are not supported`, token);
+      return vectorType(Number(vector[1]), element.scalar);
+    }
+    if (name === 'atomic' && args.length === 1) return { kind: 'atomic', scalar: args[0].name, text: `atomic<${args[0].name}>` };
+    if (name === 'array' && args.length) {
+      return arrayType(this.resolveType(args[0]), args[1] ? this.constantCount(args[1]) : null);
+    }
+    if (this.reflection.structs[name]) return this.structType(name, token);
+    throw this.error(`Type '${name}' is not supported by the interpreter`, token);
+  }
+
+  resolveTypeText(text, token) {
+    try {
+      return this.resolveType(new Parser(tokenizeWGSL(text)).parseType());
+    } catch (error) {
+      throw error instanceof WGSLInterpreterError && token ? this.error(error.message, token) : error;
+    }
+  }
+
+  structType(name, token) {
+    if (!this.structs.has(name)) {
+      const type = { kind: 'struct', name, members: null, text: name };
+      this.structs.set(name, type);
+      type.members = this.reflection.structs[name].members.map(m => ({ name: m.name, type: this.resolveTypeText(m.type, token) }));
+    }
+    return this.structs.get(name);
+  }
+
+  // Array element counts: literals and module consts or overrides
+  constantCount(node) {
+    if (node.kind === 'literal') return parseNumber(node.text);
+    if (node.kind === 'ident') {
+      const symbol = this.moduleSymbol(node.name, node.token);
+      if (symbol?.constantValue !== undefined) return symbol.constantValue;
+    }
+    throw this.error('Array counts must be literals or named constants', node.token);
+  }
+
+  layoutOf(type) {
+    if (!this.layoutIndices.has(type.text)) {
+      this.layoutIndices.set(type.text, this.layouts.length);
+      this.layouts.push(typeLayout(type.text, this.reflection));
+    }
+    return this.layouts[this.layoutIndices.get(type.text)];
+  }
+
+  layoutRef(type) {
+    this.layoutOf(type);
+    return `__layouts[${this.layoutIndices.get(type.text)}]`;
+  }
+
+  // The type both operands of a binary operator convert to; scalars broadcast over vectors
+  unify(a, b, token) {
+    const scalar = this.unifyScalars(scalarOf(a), scalarOf(b), token);
+    if (a.kind === 'scalar' && b.kind === 'scalar') return scalarType(scalar);
+    if (![a, b].every(t => t.kind === 'scalar' || t.kind === 'vector') ||
+        (a.kind === 'vector' && b.kind === 'vector' && a.count !== b.count)) {
+      throw this.error(`Operands ${a.text} and ${b.text} do not match`, token);
+    }
+    return vectorType(a.kind === 'vector' ? a.count : b.count, scalar);
+  }
+
+  unifyScalars(a, b, token) {
+    if (a === b) return a;
+    if (isAbstractScalar(a) && isAbstractScalar(b)) return ABSTRACT_FLOAT;
+    if (a === ABSTRACT_INT && b !== 'bool') return b;
+    if (b === ABSTRACT_INT && a !== 'bool') return a;
+    if (a === ABSTRACT_FLOAT && b === 'f32') return b;
+    if (b === ABSTRACT_FLOAT && a === 'f32') return a;
+    throw this.error(`Operands ${a} and ${b} do not match`, token);
+  }
+
+  // JS converting a value implicitly (abstract to concrete) to `type`
+  convert({ code, type: from }, to, token) {
+    if (from.text === to.text) return code;
+    if (from.kind === to.kind && from.count === to.count && isAbstract(from)) {
+      if (from.kind === 'scalar') return scalarConversion(code, from.scalar, to.scalar);
+      if (from.kind === 'vector') return to.scalar === 'f32' ? `__map(Math.fround, ${code})` : code;
+      if (from.kind === 'array') return `${code}.map(x => ${this.convert({ code: 'x', type: from.element }, to.element, token)})`;
+    }
+    throw this.error(`Cannot convert ${from.text} to ${to.text}`, token);
+  }
+
+  zeroValue(type, token) {
+    switch (type.kind) {
+      case 'scalar': return type.scalar === 'bool' ? 'false' : '0';
+      case 'vector': return `[${new Array(type.count).fill(type.scalar === 'bool' ? 'false' : '0').join(', ')}]`;
+      case 'array':
+        if (type.count === null) throw this.error('Runtime-sized arrays cannot be function values', token);
+        return `Array.from({ length: ${type.count} }, () => ${this.zeroValue(type.element, token)})`;
+      case 'struct': return `{ ${type.members.map(m => `${m.name}: ${this.zeroValue(m.type, token)}`).join(', ')} }`;
+      default: throw this.error(`No zero value for ${type.text}`, token);
+    }
+  }
+
+  // Symbols
+
+  declare(name, symbol) {
+    const entry = { ...symbol, js: `$${name}_${++this.counter}` };
+    this.scopes.at(-1).set(name, entry);
+    return entry;
+  }
+
+  scoped(compile) {
+    this.scopes.push(new Map());
+    try {
+      return compile();
+    } finally {
+      this.scopes.pop();
+    }
+  }
+
+  lookup(name, token) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return this.moduleSymbol(name, token);
+  }
+
+  // Module-scope consts, overrides and variables, compiled when first used
+  moduleSymbol(name, token) {
+    if (this.moduleSymbols.has(name)) {
+      const symbol = this.moduleSymbols.get(name);
+      if (!symbol) throw this.error(`'${name}' depends on itself`, token);
+      return symbol;
+    }
+    const declaration = this.module.declarations.get(name);
+    if (!declaration) return null;
+    this.moduleSymbols.set(name, null);
+    const scopes = this.scopes;
+    this.scopes = [];
+    try {
+      const symbol = declaration.kind === 'var' ? this.compileModuleVar(declaration) : this.compileModuleConstant(declaration);
+      this.moduleSymbols.set(name, symbol);
+      return symbol;
+    } finally {
+      this.scopes = scopes;
+    }
+  }
+
+  compileModuleConstant({ kind, name, type, init, attributes, token }) {
+    const js = `$${name}`;
+    const id = attributes.id?.[0];
+    const key = [name, id && String(parseNumber(id.text))].find(k => k !== undefined && k in this.constants);
+    if (kind === 'override' && key !== undefined) {
+      const declared = type ? this.resolveType(type) : concretize(this.compileExpression(init).type);
+      const value = overrideValue(Number(this.constants[key]), declared.scalar);
+      this.moduleLines.push(`const ${js} = ${value};`);
+      return { kind: 'value', js, type: declared, constantValue: value };
+    }
+    if (!init) throw this.error(`Override '${name}' has no value`, token);
+    const value = this.compileExpression(init);
+    const declared = type ? this.resolveType(type) : kind === 'override' ? concretize(value.type) : value.type;
+    this.moduleLines.push(`const ${js} = ${this.convert(value, declared, token)};`);
+    const literal = init.kind === 'literal' && init.text !== 'true' && init.text !== 'false';
+    return { kind: 'value', js, type: declared, constantValue: literal ? parseNumber(init.text) : undefined };
+  }
+
+  compileModuleVar({ name, space, access, type, init, attributes, token }) {
+    const js = `$${name}`;
+    const resolved = this.resolveType(type);
+    const symbol = { kind: 'memory', js, type: resolved, name, writable: space !== 'uniform' && !(space === 'storage' && access !== 'read_write') };
+    if (space === 'storage' || space === 'uniform') {
+      if (!attributes.group || !attributes.binding) throw this.error(`'${name}' needs @group and @binding`, token);
+      const group = parseNumber(attributes.group[0].text);
+      const binding = parseNumber(attributes.binding[0].text);
+      this.moduleLines.push(`let ${js};`);
+      this.bindings.push(`${js} = __resource(${group}, ${binding});`);
+      // A runtime-sized array, alone or as the last struct member, takes the rest of the binding
+      const layout = this.layoutOf(resolved);
+      const runtimeArray = resolved.kind === 'struct' ? layout.members.at(-1) : { offset: 0, layout };
+      if (runtimeArray?.layout.kind === 'array' && runtimeArray.layout.count === null) {
+        symbol.length = `__length_${name}`;
+        this.moduleLines.push(`let ${symbol.length};`);
+        this.bindings.push(`${symbol.length} = Math.floor((${js}.byteLength - ${runtimeArray.offset}) / ${runtimeArray.layout.stride});`);
+      }
+    } else if (space === 'workgroup') {
+      this.moduleLines.push(`let ${js};`);
+      this.workgroupSetup.push(`${js} = new DataView(new ArrayBuffer(${this.layoutOf(resolved).size}));`);
+    } else {
+      throw this.error(`var<${space}> '${name}' is not supported by the interpreter`, token);
+    }
+    if (init) throw this.error(`Initialized var<${space}> '${name}' is not supported by the interpreter`, token);
+    return symbol;
+  }
+
+  // Places: variables and the parts of them that can be assigned
+  //   local   { code: JS lvalue }
+  //   memory  { view: JS DataView, offset: JS byte offset }
+
+  compilePlace(node) {
+    switch (node.kind) {
+      case 'ident': {
+        const symbol = this.lookup(node.name, node.token);
+        if (symbol?.kind === 'local') return { kind: 'local', code: symbol.js, type: symbol.type, writable: symbol.mutable, name: node.name };
+        if (symbol?.kind === 'memory') {
+          return { kind: 'memory', view: symbol.js, offset: '0', type: symbol.type, writable: symbol.writable, name: node.name, length: symbol.length };
+        }
+        return null;
+      }
+      case 'index': {
+        const base = this.compilePlace(node.base);
+        if (!base) return null;
+        const index = this.compileIndex(node.index);
+        const { type } = base;
+        if (type.kind !== 'vector' && type.kind !== 'array') throw this.error(`Cannot index ${type.text}`, node.token);
+        const element = type.kind === 'vector' ? scalarType(type.scalar) : type.element;
+        const count = type.count ?? base.length;
+        const bounded = `__bound(${index}, ${count}, '${base.name}')`;
+        if (base.kind === 'local') return { ...base, code: `${base.code}[${bounded}]`, type: element };
+        const stride = type.kind === 'vector' ? 4 : this.layoutOf(type).stride;
+        return { ...base, offset: `${base.offset} + ${bounded} * ${stride}`, type: element };
+      }
+      case 'member': {
+        const base = this.compilePlace(node.base);
+        if (!base) return null;
+        const { type } = base;
+        if (type.kind === 'struct') {
+          const member = this.member(type, node.name, node.token);
+          if (base.kind === 'local') return { ...base, code: `${base.code}.${node.name}`, type: member.type };
+          const { offset } = this.layoutOf(type).members.find(m => m.name === node.name);
+          return { ...base, offset: `${base.offset} + ${offset}`, type: member.type };
+        }
+        if (type.kind === 'vector' && node.name.length === 1) {
+          const [component] = this.swizzle(type, node.name, node.token);
+          if (base.kind === 'local') return { ...base, code: `${base.code}[${component}]`, type: scalarType(type.scalar) };
+          return { ...base, offset: `${base.offset} + ${component * 4}`, type: scalarType(type.scalar) };
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // The memory place of a pointer argument &place of a builtin
+  pointerPlace(node, what) {
+    const place = node.kind === 'unary' && node.op === '&' ? this.compilePlace(node.arg) : null;
+    if (place?.kind !== 'memory') throw this.error(`${what} needs a pointer to a variable in memory`, node.token);
+    return place;
+  }
+
+  load(place) {
+    const { type } = place;
+    if (place.kind === 'local') return type.kind === 'scalar' ? place.code : `__copy(${place.code})`;
+    if (type.kind === 'scalar' || type.kind === 'atomic') return `${place.view}.${GETTERS[type.scalar]}(${place.offset}, true)`;
+    return `__read(${place.view}, ${place.offset}, ${this.layoutRef(type)})`;
+  }
+
+  store(place, code, token) {
+    if (!place.writable) throw this.error(`'${place.name}' cannot be assigned`, token);
+    const { type } = place;
+    if (place.kind === 'local') return `${place.code} = ${code};`;
+    if (type.kind === 'atomic') throw this.error('Atomics are written with atomicStore()', token);
+    if (type.kind === 'scalar') return `${place.view}.${SETTERS[type.scalar]}(${place.offset}, ${code}, true);`;
+    return `__write(${place.view}, ${place.offset}, ${this.layoutRef(type)}, ${code});`;
+  }
+
+  member(type, name, token) {
+    const member = type.members.find(m => m.name === name);
+    if (!member) throw this.error(`${type.name} has no member '${name}'`, token);
+    return member;
+  }
+
+  swizzle(type, name, token) {
+    if (!SWIZZLE.test(name)) throw this.error(`Invalid swizzle '${name}'`, token);
+    return [...name].map((c) => {
+      const component = 'xyzw'.includes(c) ? 'xyzw'.indexOf(c) : 'rgba'.indexOf(c);
+      if (component >= type.count) throw this.error(`Swizzle '${name}' is out of range of ${type.text}`, token);
+      return component;
+    });
+  }
+
+  compileIndex(node) {
+    const index = this.compileExpression(node);
+    if (index.type.kind !== 'scalar' || !['i32', 'u32', ABSTRACT_INT].includes(index.type.scalar)) {
+      throw this.error(`Indices must be integers, not ${index.type.text}`, node.token);
+    }
+    return index.code;
+  }
+
+  // Expressions, compiled to { code, type }
+
+  compileExpression(node) {
+    switch (node.kind) {
+      case 'literal': {
+        if (node.text === 'true' || node.text === 'false') return { code: node.text, type: BOOL };
+        const type = literalType(node.text);
+        if (type === 'f16') throw this.error('f16 is not supported by the interpreter', node.token);
+        const value = parseNumber(node.text);
+        return { code: String(type === 'f32' ? Math.fround(value) : value), type: scalarType(type) };
+      }
+      case 'ident': {
+        const symbol = this.lookup(node.name, node.token);
+        if (!symbol) throw this.error(`Unknown name '${node.name}'`, node.token);
+        if (symbol.kind === 'value') return { code: symbol.js, type: symbol.type };
+        return { code: this.load(this.compilePlace(node)), type: symbol.type };
+      }
+      case 'index': {
+        const place = this.compilePlace(node);
+        if (place) return { code: this.load(place), type: place.type };
+        const base = this.compileExpression(node.base);
+        if (base.type.kind !== 'vector' && base.type.kind !== 'array') throw this.error(`Cannot index ${base.type.text}`, node.token);
+        const index = this.compileIndex(node.index);
+        const type = base.type.kind === 'vector' ? scalarType(base.type.scalar) : base.type.element;
+        return { code: `${base.code}[__bound(${index}, ${base.type.count}, 'value')]`, type };
+      }
+      case 'member': {
+        const place = this.compilePlace(node);
+        if (place) return { code: this.load(place), type: place.type };
+        const base = this.compileExpression(node.base);
+        if (base.type.kind === 'struct') return { code: `${base.code}.${node.name}`, type: this.member(base.type, node.name, node.token).type };
+        if (base.type.kind !== 'vector') throw this.error(`${base.type.text} has no member '${node.name}'`, node.token);
+        const components = this.swizzle(base.type, node.name, node.token);
+        if (components.length === 1) return { code: `${base.code}[${components[0]}]`, type: scalarType(base.type.scalar) };
+        return { code: `__swizzle(${base.code}, [${components.join(', ')}])`, type: vectorType(components.length, base.type.scalar) };
+      }
+      case 'unary':
+        return this.compileUnary(node);
+      case 'binary':
+        return this.binary(node.op, this.compileExpression(node.left), this.compileExpression(node.right), node.token);
+      case 'call':
+        return this.compileCall(node);
+      case 'construct':
+        return this.construct(this.resolveConstructedType(node.type), node.args.map(arg => this.compileExpression(arg)), node.token);
+      case 'bitcast':
+        return this.bitcast(this.resolveType(node.type), node.args.map(arg => this.compileExpression(arg)), node.token);
+      default:
+        throw this.error(`Unexpected ${node.kind}`, node.token);
+    }
+  }
+
+  compileUnary({ op, arg, token }) {
+    if (op === '&' || op === '*') throw this.error('Pointers are only supported as builtin arguments', token);
+    const value = this.compileExpression(arg);
+    const { type } = value;
+    const scalar = scalarOf(type);
+    const valid = { '-': scalar !== 'bool' && scalar !== 'u32', '!': scalar === 'bool', '~': scalar === 'i32' || scalar === 'u32' || scalar === ABSTRACT_INT }[op];
+    if (!valid || (type.kind !== 'scalar' && type.kind !== 'vector')) throw this.error(`Cannot apply '${op}' to ${type.text}`, token);
+    const apply = (x) => {
+      if (op === '-') return scalar === 'i32' ? `(-${x} | 0)` : `(-${x})`;
+      if (op === '~') return scalar === 'u32' ? `(~${x} >>> 0)` : `(~${x})`;
+      return `(!${x})`;
+    };
+    return { code: type.kind === 'vector' ? `__map(x => ${apply('x')}, ${value.code})` : apply(value.code), type };
+  }
+
+  binary(op, a, b, token) {
+    if (op === '&&' || op === '||') {
+      return { code: `(${this.convert(a, BOOL, token)} ${op} ${this.convert(b, BOOL, token)})`, type: BOOL };
+    }
+    if (op === '<<' || op === '>>') {
+      const type = isAbstract(a.type) && !isAbstract(b.type) ? concretize(a.type) : a.type;
+      const amountType = isAbstract(b.type) ? b.type : b.type.kind === 'vector' ? vectorType(b.type.count, 'u32') : U32;
+      const left = this.convert(a, type, token);
+      const right = this.convert(b, amountType, token);
+      if (type.kind === 'vector') return { code: `__map((x, y) => ${scalarBinary(op, type.scalar, 'x', 'y')}, ${left}, ${right})`, type };
+      return { code: scalarBinary(op, type.scalar, left, right), type };
+    }
+    const type = this.unify(a.type, b.type, token);
+    const { scalar } = type;
+    const left = this.convert(a, a.type.kind === 'vector' ? type : scalarType(scalar), token);
+    const right = this.convert(b, b.type.kind === 'vector' ? type : scalarType(scalar), token);
+    const resultScalar = COMPARISONS.has(op) ? 'bool' : scalar;
+    if (type.kind === 'scalar') return { code: scalarBinary(op, scalar, left, right), type: scalarType(resultScalar) };
+    return { code: `__map((x, y) => ${scalarBinary(op, scalar, 'x', 'y')}, ${left}, ${right})`, type: vectorType(type.count, resultScalar) };
+  }
+
+  // Type named by a constructor call: vec2 and array without template arguments infer theirs
+  resolveConstructedType(node) {
+    const vector = /^vec([234])$/.exec(node.name);
+    if (vector && !node.args.length) return { kind: 'vector', count: Number(vector[1]), scalar: null };
+    if (node.name === 'array' && !node.args.length) return { kind: 'array', element: null, count: null };
+    return this.resolveType(node);
+  }
+
+  construct(type, args, token) {
+    switch (type.kind) {
+      case 'scalar':
+        if (!args.length) return { code: this.zeroValue(type, token), type };
+        if (args.length !== 1 || args[0].type.kind !== 'scalar') throw this.error(`${type.text}() takes one scalar`, token);
+        return { code: scalarConversion(args[0].code, args[0].type.scalar, type.scalar), type };
+      case 'vector': {
+        const scalar = type.scalar ?? args.map(arg => scalarOf(arg.type)).reduce((a, b) => this.unifyScalars(a, b, token));
+        const result = vectorType(type.count, scalar);
+        if (!args.length) return { code: this.zeroValue(result, token), type: result };
+        const parts = args.map(({ code, type: from }) => (from.kind === 'vector'
+          ? `...__map(x => ${scalarConversion('x', from.scalar, scalar)}, ${code})`
+          : scalarConversion(code, from.scalar, scalar)));
+        if (args.length === 1 && args[0].type.kind === 'scalar') return { code: `__splat(${parts[0]}, ${type.count})`, type: result };
+        const count = args.reduce((sum, arg) => sum + (arg.type.kind === 'vector' ? arg.type.count : 1), 0);
+        if (count !== type.count) throw this.error(`${result.text} needs ${type.count} components, got ${count}`, token);
+        return { code: `[${parts.join(', ')}]`, type: result };
+      }
+      case 'array': {
+        const element = type.element ?? concretize(args.map(arg => arg.type).reduce((a, b) => (a.text === b.text ? a : this.unify(a, b, token))));
+        const count = type.count ?? args.length;
+        const result = arrayType(element, count);
+        if (!args.length) return { code: this.zeroValue(result, token), type: result };
+        if (args.length !== count) throw this.error(`${result.text} needs ${count} elements, got ${args.length}`, token);
+        return { code: `[${args.map(arg => this.convert(arg, element, token)).join(', ')}]`, type: result };
+      }
+      case 'struct': {
+        if (!args.length) return { code: this.zeroValue(type, token), type };
+        if (args.length !== type.members.length) throw this.error(`${type.name} needs ${type.members.length} members, got ${args.length}`, token);
+        const members = type.members.map((m, i) => `${m.name}: ${this.convert(args[i], m.type, token)}`);
+        return { code: `{ ${members.join(', ')} }`, type };
+      }
+      default:
+        throw this.error(`Cannot construct ${type.text}`, token);
+    }
+  }
+
+  bitcast(type, [value], token) {
+    const from = value.type.kind === 'scalar' && isAbstractScalar(value.type.scalar) ? concretize(value.type) : value.type;
+    if (from.kind !== type.kind || from.count !== type.count || !GETTERS[type.scalar] || !GETTERS[from.scalar]) {
+      throw this.error(`Cannot bitcast ${from.text} to ${type.text}`, token);
+    }
+    const code = this.convert(value, from, token);
+    if (type.kind === 'vector') return { code: `__map(x => __bitcast(x, '${from.scalar}', '${type.scalar}'), ${code})`, type };
+    return { code: `__bitcast(${code}, '${from.scalar}', '${type.scalar}')`, type };
+  }
+
+  compileCall(node) {
+    const { name, args, token } = node;
+    const fn = this.module.functions.get(name);
+    if (fn) {
+      if (fn.attributes.compute || fn.attributes.vertex || fn.attributes.fragment) throw this.error(`Entry point '${name}' cannot be called`, token);
+      if (args.length !== fn.params.length) throw this.error(`${name}() takes ${fn.params.length} arguments`, token);
+      const values = args.map((arg, i) => this.convert(this.compileExpression(arg), this.resolveType(fn.params[i].type), arg.token));
+      const call = `$${name}(${values.join(', ')})`;
+      const type = fn.returnType ? this.resolveType(fn.returnType) : VOID;
+      this.reachable.add(name);
+      return { code: this.barrierFunctions.has(name) ? `(yield* ${call})` : call, type };
+    }
+    if (this.isBuiltin(name)) return this.compileBuiltin(name, args, token);
+    if (/^(bool|i32|u32|f32|vec[234][fiu]?|array)$/.test(name) || this.reflection.structs[name] || this.reflection.aliases[name]) {
+      const type = this.resolveConstructedType({ kind: 'type', name, args: [], token });
+      return this.construct(type, args.map(arg => this.compileExpression(arg)), token);
+    }
+    throw this.error(`Unknown function '${name}'`, token);
+  }
+
+  isBuiltin(name) {
+    return ['select', 'min', 'max', 'clamp', 'abs', 'arrayLength', 'atomicLoad', 'atomicStore', 'atomicCompareExchangeWeak',
+      'countOneBits', 'dot', 'length', 'distance', 'normalize', 'cross'].includes(name) ||
+      name in ATOMIC_OPERATIONS || BARRIERS.has(name) || FLOAT_BUILTINS.has(name);
+  }
+
+  compileBuiltin(name, args, token) {
+    if (name === 'arrayLength') {
+      const place = this.pointerPlace(args[0], name);
+      if (place.type.kind !== 'array' || place.type.count !== null) throw this.error('arrayLength() needs a runtime-sized array', token);
+      return { code: place.length, type: U32 };
+    }
+    if (name.startsWith('atomic')) {
+      const place = this.pointerPlace(args[0], name);
+      if (place.type.kind !== 'atomic') throw this.error(`${name}() needs a pointer to an atomic`, token);
+      const scalar = scalarType(place.type.scalar);
+      const values = args.slice(1).map(arg => this.convert(this.compileExpression(arg), scalar, arg.token));
+      const signed = place.type.scalar === 'i32';
+      if (name === 'atomicLoad') return { code: this.load(place), type: scalar };
+      if (name === 'atomicStore') return { code: `${place.view}.${SETTERS[scalar.scalar]}(${place.offset}, ${values[0]}, true)`, type: VOID };
+      if (name === 'atomicCompareExchangeWeak') {
+        return { code: `__atomicCompareExchange(${place.view}, ${place.offset}, ${signed}, ${values.join(', ')})`, type: ATOMIC_COMPARE_EXCHANGE_RESULT(scalar.scalar) };
+      }
+      return { code: `__atomic('${ATOMIC_OPERATIONS[name]}', ${place.view}, ${place.offset}, ${signed}, ${values[0]})`, type: scalar };
+    }
+    if (BARRIERS.has(name)) {
+      if (name !== 'workgroupUniformLoad') return { code: '(yield)', type: VOID };
+      const place = this.pointerPlace(args[0], name);
+      return { code: `(yield, ${this.load(place)})`, type: place.type };
+    }
+
+    const values = args.map(arg => this.compileExpression(arg));
+    if (name === 'select') {
+      const [f, t, condition] = values;
+      const type = this.unify(f.type, t.type, token);
+      const convert = value => this.convert(value, value.type.kind === 'vector' ? type : scalarType(type.scalar), token);
+      if (condition.type.kind === 'vector') return { code: `__map(__select, ${convert(f)}, ${convert(t)}, ${condition.code})`, type };
+      return { code: `__select(${convert(f)}, ${convert(t)}, ${this.convert(condition, BOOL, token)})`, type };
+    }
+    if (name === 'countOneBits') {
+      const [value] = values;
+      if (value.type.kind === 'vector') return { code: `__map(__countOneBits, ${value.code})`, type: value.type };
+      return { code: `__countOneBits(${value.code})`, type: value.type };
+    }
+    if (['dot', 'length', 'distance', 'normalize', 'cross'].includes(name)) {
+      const type = values.map(v => v.type).reduce((a, b) => this.unify(a, b, token));
+      if (type.kind !== 'vector' || !isFloatScalar(type.scalar)) throw this.error(`${name}() needs float vectors`, token);
+      const code = `__fn.${name}(${values.map(v => this.convert(v, type, token)).join(', ')})`;
+      if (name === 'normalize' || name === 'cross') return { code, type };
+      return { code: `Math.fround(${code})`, type: scalarType(type.scalar) };
+    }
+
+    // Componentwise numeric builtins: min, max, clamp, abs and the float functions
+    const type = values.map(v => v.type).reduce((a, b) => this.unify(a, b, token));
+    const float = isFloatScalar(type.scalar);
+    if (FLOAT_BUILTINS.has(name) && !float) throw this.error(`${name}() needs float arguments`, token);
+    if (type.scalar === 'bool') throw this.error(`${name}() needs numeric arguments`, token);
+    const converted = values.map(v => this.convert(v, v.type.kind === 'vector' ? type : scalarType(type.scalar), token));
+    const fn = name === 'abs' && type.scalar === 'i32' ? '(x => Math.abs(x) | 0)' : `__fn.${name}`;
+    const round = code => (type.scalar === 'f32' ? `Math.fround(${code})` : code);
+    if (type.kind === 'vector') return { code: `__map((...x) => ${round(`${fn}(...x)`)}, ${converted.join(', ')})`, type };
+    return { code: round(`${fn}(${converted.join(', ')})`), type };
+  }
+
+  // Statements, compiled to JS statements
+
+  compileStatements(statements) {
+    return statements.map(statement => this.compileStatement(statement)).join('\n');
+  }
+
+  compileStatement(node) {
+    const { token } = node;
+    switch (node.kind) {
+      case 'block':
+        return this.scoped(() => `{\n${this.compileStatements(node.body)}\n}`);
+      case 'let': case 'const': case 'var': {
+        const value = node.init && this.compileExpression(node.init);
+        const type = node.type ? this.resolveType(node.type) : node.kind === 'const' ? value.type : concretize(value.type);
+        const init = value ? this.convert(value, type, token) : this.zeroValue(type, token);
+        const symbol = this.declare(node.name, { kind: node.kind === 'const' ? 'value' : 'local', type, mutable: node.kind === 'var' });
+        return `${node.kind === 'var' ? 'let' : 'const'} ${symbol.js} = ${init};`;
+      }
+      case 'assign':
+        return this.compileAssignment(node);
+      case 'call-statement':
+        return `${this.compileCall(node.call).code};`;
+      case 'if': {
+        const condition = this.convert(this.compileExpression(node.condition), BOOL, token);
+        const otherwise = node.else ? ` else ${this.compileStatement(node.else)}` : '';
+        return `if (${condition}) ${this.compileStatement(node.then)}${otherwise}`;
+      }
+      case 'for':
+        return this.scoped(() => {
+          const init = node.init ? this.compileStatement(node.init) : '';
+          const condition = node.condition ? this.convert(this.compileExpression(node.condition), BOOL, token) : 'true';
+          // continue must still run the update: it leaves a labelled block around the body
+          const label = node.update ? `__continue${++this.counter}` : null;
+          const body = this.loopBody({ label }, () => this.compileStatement(node.body));
+          const update = node.update ? this.compileStatement(node.update) : '';
+          return `{\n${init}\nwhile (${condition}) {\n${label ? `${label}: ${body}` : body}\n${update}\n}\n}`;
+        });
+      case 'while': {
+        const condition = this.convert(this.compileExpression(node.condition), BOOL, token);
+        return `while (${condition}) ${this.loopBody({ label: null }, () => this.compileStatement(node.body))}`;
+      }
+      case 'loop':
+        // The continuing block sees the body's declarations, so both share one JS block
+        return this.scoped(() => {
+          const hasContinuing = node.continuing.length > 0 || node.breakIf;
+          const body = this.loopBody({ label: null, continuing: hasContinuing }, () => this.compileStatements(node.body));
+          const continuing = this.compileStatements(node.continuing);
+          const breakIf = node.breakIf ? `if (${this.convert(this.compileExpression(node.breakIf), BOOL, token)}) break;` : '';
+          return `for (;;) {\n${body}\n${continuing}\n${breakIf}\n}`;
+        });
+      case 'switch': {
+        const selector = this.compileExpression(node.selector);
+        const type = concretize(selector.type);
+        const clauses = node.clauses.map(({ selectors, body }) => {
+          const labels = selectors.map(s => (s ? `case ${this.convert(this.compileExpression(s), type, s.token)}:` : 'default:'));
+          return `${labels.join(' ')} ${this.compileStatement(body)}\nbreak;`;
+        });
+        return `switch (${this.convert(selector, type, token)}) {\n${clauses.join('\n')}\n}`;
+      }
+      case 'break':
+        if (!this.current.loops.length) throw this.error('break outside a loop or switch', token);
+        return 'break;';
+      case 'continue': {
+        const loop = this.current.loops.at(-1);
+        if (!loop) throw this.error('continue outside a loop', token);
+        if (loop.continuing) throw this.error('continue in a loop with a continuing block is not supported by the interpreter', token);
+        return loop.label ? `break ${loop.label};` : 'continue;';
+      }
+      case 'return': {
+        const { returnType } = this.current;
+        if (!node.value) return 'return;';
+        return `return ${this.convert(this.compileExpression(node.value), returnType, token)};`;
+      }
+      default:
+        throw this.error(`Unexpected ${node.kind}`, token);
+    }
+  }
+
+  loopBody(loop, compile) {
+    this.current.loops.push(loop);
+    try {
+      return compile();
+    } finally {
+      this.current.loops.pop();
+    }
+  }
+
+  compileAssignment({ op, target, value, token }) {
+    if (!target) return `${this.compileExpression(value).code};`;
+    const place = this.compilePlace(target);
+    if (!place) throw this.error('Cannot assign to this expression', token);
+    if (op === '=') return this.store(place, this.convert(this.compileExpression(value), place.type, token), token);
+    // Compound assignment: evaluate the memory offset once
+    const setup = place.kind === 'memory' ? `const __offset${++this.counter} = ${place.offset};` : '';
+    const target2 = place.kind === 'memory' ? { ...place, offset: `__offset${this.counter}` } : place;
+    const result = this.binary(op.slice(0, -1), { code: this.load(target2), type: place.type }, this.compileExpression(value), token);
+    return `{\n${setup}\n${this.store(target2, this.convert(result, place.type, token), token)}\n}`;
+  }
+
+  compileFunction(fn) {
+    return this.scoped(() => {
+      const params = fn.params.map(p => this.declare(p.name, { kind: 'local', type: this.resolveType(p.type), mutable: false }));
+      this.current = { returnType: fn.returnType ? this.resolveType(fn.returnType) : VOID, loops: [] };
+      const body = this.compileStatements(fn.body.body);
+      const generator = this.barrierFunctions.has(fn.name) ? '*' : '';
+      return `function${generator} $${fn.name}(${params.map(p => p.js).join(', ')}) {\n${body}\n}`;
+    });
+  }
+
+  // Functions that reach a barrier, directly or through the functions they call
+  findBarrierFunctions() {
+    const calls = new Map([...this.module.functions].map(([name, fn]) => [name, calledNames(fn.body)]));
+    const found = new Set();
+    for (let changed = true; changed;) {
+      changed = false;
+      calls.forEach((names, name) => {
+        if (!found.has(name) && [...names].some(called => BARRIERS.has(called) || found.has(called))) {
+          found.add(name);
+          changed = true;
+        }
+      });
+    }
+    return found;
+  }
+
+  compile(entryPoint) {
+    const entry = this.module.functions.get(entryPoint);
+    if (!entry?.attributes.compute) throw this.error(`No compute entry point '${entryPoint}'`);
+    this.barrierFunctions = this.findBarrierFunctions();
+    this.reachable = new Set([entryPoint]);
+
+    // Entry point parameters are builtins, or structs of builtins
+    const params = entry.params.map((param) => {
+      const builtin = param.attributes.builtin?.[0]?.name;
+      if (builtin) {
+        if (!BUILTIN_INPUTS.includes(builtin)) throw this.error(`@builtin(${builtin}) is not a compute input`, param.token);
+        return builtin;
+      }
+      const type = this.resolveType(param.type);
+      const members = type.kind === 'struct' && this.reflection.structs[type.name].members;
+      if (!members || !members.every(m => BUILTIN_INPUTS.includes(m.builtin))) {
+        throw this.error(`Parameter '${param.name}' must be a compute builtin`, param.token);
+      }
+      return Object.fromEntries(members.map(m => [m.name, m.builtin]));
+    });
+
+    this.scopes = [];
+    const workgroupSize = (entry.attributes.workgroup_size || []).map((node) => {
+      const size = this.compileExpression(node);
+      return this.convert(size, isAbstract(size.type) ? concretize(size.type) : size.type, node.token);
+    });
+    while (workgroupSize.length < 3) workgroupSize.push('1');
+
+    const functions = [];
+    const compiled = new Set();
+    for (let pending = [...this.reachable]; pending.length; pending = [...this.reachable].filter(name => !compiled.has(name))) {
+      pending.forEach((name) => {
+        compiled.add(name);
+        functions.push(this.compileFunction(this.module.functions.get(name)));
+      });
+    }
+
+    const source = `"use strict";
+const { ${Object.keys(RUNTIME).join(', ')} } = __runtime;
+${this.moduleLines.join('\n')}
+${functions.join('\n')}
+return {
+  bind(__resource) {
+${this.bindings.join('\n')}
+  },
+  workgroup() {
+${this.workgroupSetup.join('\n')}
+  },
+  workgroupSize: [${workgroupSize.join(', ')}],
+  entry: $${entryPoint},
+  barriers: ${this.barrierFunctions.has(entryPoint)}
+};`;
+    const instance = new Function('__runtime', '__layouts', source)(RUNTIME, this.layouts);
+    return new ComputeKernel(instance, params);
+  }
+}
+
+/**
+ * Compile the compute entry point `entryPoint` of WGSL `code` for the CPU. `constants` gives
+ * override values by name or @id, as GPUProgrammableStage.constants does. Returns a
+ * ComputeKernel; throws a WGSLInterpreterError for code outside the supported subset.
+ */
+function compileCompute(code, entryPoint, constants = {}) {
+  return new KernelCompiler(code, constants).compile(entryPoint);
+}
+
+export {
+  compileCompute,
+  ComputeKernel,
+  WGSLInterpreterError
+};
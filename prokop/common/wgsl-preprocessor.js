@@ -0,0 +1,253 @@
+// C-style preprocessor for WGSL files.
+//
+// Directives (a '#' as the first non-blank character of a line):
+//   #include "path.wgsl"      inline a file, resolved relative to the including file
+//   #pragma once              skip later includes of this file
+//   #define NAME [value]      object-like macro; later occurrences of NAME are replaced
+//   #undef NAME
+//   #ifdef NAME / #ifndef NAME / #if expr / #elif expr / #else / #endif
+//   #error message
+//
+// `#if` expressions support integers, defined(NAME), macros, ! - + * / % < > <= >= == != && ||
+// and parentheses; undefined names evaluate to 0. Defines can also be supplied from JS.
+//
+// The result carries a line map: lineMap[i] = { file, line } is where output line i + 1 came
+// from, so compiler messages can be reported against the original files.
+
+class WGSLPreprocessError extends Error {
+  constructor(message, file, line) {
+    super(file ? `${file}:${line}: ${message}` : message);
+    this.name = 'WGSLPreprocessError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+// Helper to resolve `path` relative to the file that includes it
+function resolveIncludePath(from, path) {
+  if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(path) || !from) return path;
+  const parts = from.split('/').slice(0, -1).concat(path.split('/'));
+  const resolved = [];
+  parts.forEach(part => {
+    if (part === '.' || part === '') return;
+    if (part === '..' && resolved.length && resolved[resolved.length - 1] !== '..') resolved.pop();
+    else resolved.push(part);
+  });
+  return (from.startsWith('/') ? '/' : '') + resolved.join('/');
+}
+
+async function fetchText(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${path} (${response.status})`);
+  }
+  return response.text();
+}
+
+// Helper to turn a JS define value into macro text
+function defineText(value) {
+  if (value === true) return '1';
+  if (value === false) return '0';
+  return String(value);
+}
+
+// Replace macro names with their values, re-scanning the result (a macro is not expanded
+// inside its own expansion, so self-references terminate). Number literals such as 0xffu are
+// matched whole so their digits and suffixes are never taken for names.
+function expandMacros(text, defines, active = new Set()) {
+  return text.replace(/\d[\w.]*|[A-Za-z_]\w*/g, (name) => {
+    if (!defines.has(name) || active.has(name)) return name;
+    active.add(name);
+    const expanded = expandMacros(defines.get(name), defines, active);
+    active.delete(name);
+    return expanded;
+  });
+}
+
+// Expand macros in a source line, leaving a trailing // comment untouched
+function expandLine(line, defines) {
+  if (defines.size === 0) return line;
+  const comment = line.indexOf('//');
+  return comment < 0
+    ? expandMacros(line, defines)
+    : expandMacros(line.slice(0, comment), defines) + line.slice(comment);
+}
+
+/** Evaluate a #if expression to a number */
+function evaluateCondition(expression, defines, where = {}) {
+  // defined(NAME) / defined NAME are resolved before macro expansion
+  const withDefined = expression.replace(/\bdefined\s*(?:\(\s*([A-Za-z_]\w*)\s*\)|([A-Za-z_]\w*))/g,
+    (_, a, b) => (defines.has(a || b) ? '1' : '0'));
+  const text = expandMacros(withDefined, defines);
+  const tokens = text.match(/0[xX][0-9a-fA-F]+[ui]?|\d+(?:\.\d+)?[uif]?|[A-Za-z_]\w*|&&|\|\||[=!<>]=|[-+*/%!<>()]|\S/g) || [];
+  let pos = 0;
+  const fail = (message) => { throw new WGSLPreprocessError(`${message} in #if ${expression}`, where.file, where.line); };
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const binary = (levels, level) => {
+    if (level === levels.length) return unary();
+    let left = binary(levels, level + 1);
+    while (levels[level].includes(peek())) {
+      const op = next();
+      const right = binary(levels, level + 1);
+      left = ({
+        '||': () => (left || right ? 1 : 0),
+        '&&': () => (left && right ? 1 : 0),
+        '==': () => (left === right ? 1 : 0),
+        '!=': () => (left !== right ? 1 : 0),
+        '<': () => (left < right ? 1 : 0),
+        '>': () => (left > right ? 1 : 0),
+        '<=': () => (left <= right ? 1 : 0),
+        '>=': () => (left >= right ? 1 : 0),
+        '+': () => left + right,
+        '-': () => left - right,
+        '*': () => left * right,
+        '/': () => (right === 0 ? fail('Division by zero') : Math.trunc(left / right)),
+        '%': () => (right === 0 ? fail('Division by zero') : left % right)
+      })[op]();
+    }
+    return left;
+  };
+  const LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '>', '<=', '>='], ['+', '-'], ['*', '/', '%']];
+  const unary = () => {
+    const token = next();
+    if (token === '!') return unary() ? 0 : 1;
+    if (token === '-') return -unary();
+    if (token === '+') return unary();
+    if (token === '(') {
+      const value = binary(LEVELS, 0);
+      if (next() !== ')') fail("Expected ')'");
+      return value;
+    }
+    if (token === undefined) fail('Unexpected end of expression');
+    if (/^0[xX]/.test(token)) return Number(token.replace(/[ui]$/, ''));
+    if (/^\d/.test(token)) return parseFloat(token);
+    if (token === 'true') return 1;
+    if (/^[A-Za-z_]/.test(token)) return 0; // undefined name
+    return fail(`Unexpected '${token}'`);
+  };
+
+  const value = binary(LEVELS, 0);
+  if (pos < tokens.length) fail(`Unexpected '${peek()}'`);
+  return value;
+}
+
+/**
+ * Preprocess WGSL source.
+ *
+ * Options:
+ *   path       name of the source file, the base for relative #include paths
+ *   defines    { NAME: value } predefined macros (true/false become 1/0)
+ *   loadFile   async (path) => text, fetch() by default
+ *
+ * Returns { code, lineMap, sources }, `sources` holding the text of every file read.
+ */
+async function preprocessWGSL(source, { path = '', defines = {}, loadFile = fetchText } = {}) {
+  const macros = new Map(Object.entries(defines).map(([name, value]) => [name, defineText(value)]));
+  const output = [];
+  const lineMap = [];
+  const sources = { [path]: source };
+  const onceFiles = new Set();
+
+  async function processFile(file, text, includeStack) {
+    const conditions = [];
+    const active = () => conditions.every(c => c.active);
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const where = { file, line: i + 1 };
+      const directive = /^\s*#\s*(\w+)\s*(.*?)\s*$/.exec(line);
+      if (!directive) {
+        if (active()) {
+          output.push(expandLine(line, macros));
+          lineMap.push(where);
+        }
+        continue;
+      }
+
+      const [, name, rest] = directive;
+      const error = (message) => new WGSLPreprocessError(message, file, i + 1);
+      switch (name) {
+        case 'ifdef':
+        case 'ifndef':
+        case 'if': {
+          const parentActive = active();
+          let value = false;
+          if (parentActive) {
+            value = name === 'if' ? Boolean(evaluateCondition(rest, macros, where)) : macros.has(rest) === (name === 'ifdef');
+          }
+          conditions.push({ active: value, taken: value, sawElse: false, line: i + 1 });
+          break;
+        }
+        case 'elif': {
+          const top = conditions[conditions.length - 1];
+          if (!top || top.sawElse) throw error('#elif without matching #if');
+          conditions.pop();
+          const parentActive = active();
+          top.active = parentActive && !top.taken && Boolean(evaluateCondition(rest, macros, where));
+          top.taken ||= top.active;
+          conditions.push(top);
+          break;
+        }
+        case 'else': {
+          const top = conditions[conditions.length - 1];
+          if (!top || top.sawElse) throw error('#else without matching #if');
+          top.active = !top.taken;
+          top.taken = true;
+          top.sawElse = true;
+          break;
+        }
+        case 'endif':
+          if (!conditions.pop()) throw error('#endif without matching #if');
+          break;
+        default: {
+          if (!active()) break;
+          if (name === 'define') {
+            const match = /^([A-Za-z_]\w*)\s*(.*)$/.exec(rest);
+            if (!match) throw error(`Malformed #define '${rest}'`);
+            macros.set(match[1], match[2]);
+          } else if (name === 'undef') {
+            macros.delete(rest);
+          } else if (name === 'include') {
+            const match = /^"([^"]+)"$/.exec(rest);
+            if (!match) throw error(`Expected #include "path", got '${rest}'`);
+            const included = resolveIncludePath(file, match[1]);
+            if (includeStack.includes(included)) {
+              throw error(`Include cycle: ${[...includeStack, included].join(' -> ')}`);
+            }
+            if (onceFiles.has(included)) break;
+            if (!(included in sources)) {
+              try {
+                sources[included] = await loadFile(included);
+              } catch (loadError) {
+                throw error(`Cannot include '${included}': ${loadError.message}`);
+              }
+            }
+            await processFile(included, sources[included], [...includeStack, included]);
+          } else if (name === 'pragma') {
+            if (rest === 'once') onceFiles.add(file);
+          } else if (name === 'error') {
+            throw error(`#error ${rest}`);
+          } else {
+            throw error(`Unknown directive '#${name}'`);
+          }
+        }
+      }
+    }
+    if (conditions.length) {
+      throw new WGSLPreprocessError(`Unterminated conditional block opened on line ${conditions[conditions.length - 1].line}`, file, lines.length);
+    }
+  }
+
+  await processFile(path, source, [path]);
+  return { code: output.join('\n'), lineMap, sources };
+}
+
+export {
+  preprocessWGSL,
+  evaluateCondition,
+  resolveIncludePath,
+  WGSLPreprocessError
+};
@@ -0,0 +1,702 @@
+// Minimal WGSL reflection: tokenizes a shader and extracts entry points,
+// their inputs/outputs, bind group resources, overrides and workgroup sizes.
+// It only parses module-scope declarations; function bodies are scanned for
+// identifiers so that resources can be attributed to the entry points using them.
+
+const STAGES = ['vertex', 'fragment', 'compute'];
+
+// Shorthand aliases for templated vector/matrix types (vec2<f32> -> vec2f)
+const SCALAR_SUFFIX = { f32: 'f', i32: 'i', u32: 'u', f16: 'h' };
+
+/** Error thrown when the shader cannot be tokenized or parsed */
+class WGSLReflectError extends Error {
+  constructor(message, token) {
+    super(token ? `${message} (line ${token.line}, column ${token.column})` : message);
+    this.name = 'WGSLReflectError';
+    this.line = token?.line;
+    this.column = token?.column;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+const PUNCTUATION = [
+  '->', '<<=', '>>=', '&&', '||', '==', '!=', '<=', '>=', '++', '--',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+  '@', '(', ')', '{', '}', '[', ']', '<', '>', ',', ';', ':', '.', '=',
+  '+', '-', '*', '/', '%', '&', '|', '^', '!', '~'
+];
+
+/**
+ * Split WGSL source into tokens of type 'ident', 'number' or 'punct'.
+ * Comments (including nested block comments) and whitespace are dropped.
+ * Note: '>>' and '<<' are emitted as two tokens so template lists close cleanly.
+ */
+function tokenizeWGSL(code) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const push = (type, value, start) => {
+    tokens.push({ type, value, line, column: start - lineStart + 1 });
+  };
+
+  while (i < code.length) {
+    const ch = code[i];
+
+    if (ch === '\n') {
+      line++;
+      i++;
+      lineStart = i;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comment
+    if (ch === '/' && code[i + 1] === '/') {
+      while (i < code.length && code[i] !== '\n') i++;
+      continue;
+    }
+
+    // Block comment (WGSL allows nesting)
+    if (ch === '/' && code[i + 1] === '*') {
+      let depth = 0;
+      do {
+        if (code[i] === '/' && code[i + 1] === '*') {
+          depth++;
+          i += 2;
+        } else if (code[i] === '*' && code[i + 1] === '/') {
+          depth--;
+          i += 2;
+        } else {
+          if (code[i] === '\n') {
+            line++;
+            lineStart = i + 1;
+          }
+          i++;
+        }
+      } while (depth > 0 && i < code.length);
+      if (depth > 0) {
+        throw new WGSLReflectError('Unterminated block comment', { line, column: i - lineStart + 1 });
+      }
+      continue;
+    }
+
+    // Identifier or keyword
+    if (/[A-Za-z_]/.test(ch)) {
+      const start = i;
+      while (i < code.length && /\w/.test(code[i])) i++;
+      push('ident', code.slice(start, i), start);
+      continue;
+    }
+
+    // Numeric literal: decimal, hex, float with exponent, optional suffix
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(code[i + 1]))) {
+      const start = i;
+      const match = /^(0[xX][0-9a-fA-F]*(\.[0-9a-fA-F]*)?([pP][+-]?\d+)?|\d*\.?\d*([eE][+-]?\d+)?)[iufh]?/.exec(code.slice(i));
+      i += match[0].length;
+      push('number', code.slice(start, i), start);
+      continue;
+    }
+
+    const punct = PUNCTUATION.find(p => code.startsWith(p, i));
+    if (!punct) {
+      throw new WGSLReflectError(`Unexpected character '${ch}'`, { line, column: i - lineStart + 1 });
+    }
+    push('punct', punct, i);
+    i += punct.length;
+  }
+
+  return tokens;
+}
+
+// Type suffix of a numeric literal, or ''. In hex literals f and h are digits, and only
+// suffixes after a p exponent.
+function numberSuffix(text) {
+  const suffix = /^0[xX]/.test(text) ? /(?:[iu]|(?<=[pP][+-]?\d+)[fh])$/ : /[iufh]$/;
+  const match = suffix.exec(text);
+  return match ? match[0] : '';
+}
+
+// Value of a hex float literal (without suffix): hex mantissa scaled by a power of two
+function parseHexFloat(text) {
+  const [, whole, fraction = '', exponent = '0'] = /^0[xX]([0-9a-fA-F]*)(?:\.([0-9a-fA-F]*))?(?:[pP]([+-]?\d+))?$/.exec(text);
+  return parseInt(whole + fraction || '0', 16) * 2 ** (Number(exponent) - 4 * fraction.length);
+}
+
+/** Type of a WGSL numeric literal: its suffix's type, else 'abstract-int' or 'abstract-float' */
+function literalType(text) {
+  const suffix = numberSuffix(text);
+  if (suffix) return Object.keys(SCALAR_SUFFIX).find(type => SCALAR_SUFFIX[type] === suffix);
+  return (/^0[xX]/.test(text) ? /[.pP]/ : /[.eE]/).test(text) ? 'abstract-float' : 'abstract-int';
+}
+
+/** Convert a WGSL numeric literal token to a JS number */
+function parseNumber(text) {
+  const body = text.slice(0, text.length - numberSuffix(text).length);
+  if (/^0[xX]/.test(body)) {
+    return /[.pP]/.test(body) ? parseHexFloat(body) : parseInt(body, 16);
+  }
+  return Number(body);
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  atEnd() {
+    return this.pos >= this.tokens.length;
+  }
+
+  next() {
+    const token = this.tokens[this.pos++];
+    if (!token) {
+      throw new WGSLReflectError('Unexpected end of shader', this.tokens[this.tokens.length - 1]);
+    }
+    return token;
+  }
+
+  is(value, offset = 0) {
+    return this.peek(offset)?.value === value;
+  }
+
+  accept(value) {
+    if (this.is(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.value !== value) {
+      throw new WGSLReflectError(`Expected '${value}' but found '${token.value}'`, token);
+    }
+    return token;
+  }
+
+  expectIdent() {
+    const token = this.next();
+    if (token.type !== 'ident') {
+      throw new WGSLReflectError(`Expected identifier but found '${token.value}'`, token);
+    }
+    return token.value;
+  }
+
+  // Collect tokens up to (not including) a closing delimiter at depth 0
+  collectUntil(terminators) {
+    const collected = [];
+    let depth = 0;
+    while (!this.atEnd()) {
+      const token = this.peek();
+      if (depth === 0 && terminators.includes(token.value)) break;
+      if (['(', '[', '{'].includes(token.value)) depth++;
+      if ([')', ']', '}'].includes(token.value)) depth--;
+      collected.push(this.next());
+    }
+    return collected;
+  }
+
+  // @name or @name(args...) sequences
+  parseAttributes() {
+    const attributes = [];
+    while (this.is('@')) {
+      this.next();
+      const name = this.expectIdent();
+      let args = [];
+      if (this.accept('(')) {
+        args = splitArgs(this.collectUntil([')']));
+        this.expect(')');
+      }
+      attributes.push({ name, args });
+    }
+    return attributes;
+  }
+
+  // Type specifier with optional template list, e.g. array<vec2<f32>, 4>
+  parseType() {
+    const name = this.expectIdent();
+    if (!this.is('<')) return name;
+    this.next();
+    const args = [];
+    let current = [];
+    let depth = 0;
+    while (true) {
+      const token = this.next();
+      if (token.value === '<') depth++;
+      if (token.value === '>') {
+        if (depth === 0) break;
+        depth--;
+      }
+      if (token.value === ',' && depth === 0) {
+        args.push(joinTokens(current));
+        current = [];
+        continue;
+      }
+      current.push(token);
+    }
+    if (current.length) args.push(joinTokens(current));
+    return normalizeType(`${name}<${args.join(', ')}>`);
+  }
+
+  // Skip a balanced { ... } block, returning the tokens inside it
+  skipBlock() {
+    this.expect('{');
+    const body = this.collectUntil(['}']);
+    this.expect('}');
+    return body;
+  }
+}
+
+function joinTokens(tokens) {
+  let text = '';
+  tokens.forEach((token, i) => {
+    const prev = tokens[i - 1];
+    const needsSpace = prev && prev.type !== 'punct' && token.type !== 'punct';
+    text += (needsSpace ? ' ' : '') + token.value;
+  });
+  return text.replace(/,(?=\S)/g, ', ');
+}
+
+function splitArgs(tokens) {
+  const args = [];
+  let current = [];
+  let depth = 0;
+  for (const token of tokens) {
+    if (['(', '[', '<'].includes(token.value)) depth++;
+    if ([')', ']', '>'].includes(token.value)) depth--;
+    if (token.value === ',' && depth === 0) {
+      args.push(joinTokens(current));
+      current = [];
+      continue;
+    }
+    current.push(token);
+  }
+  if (current.length) args.push(joinTokens(current));
+  return args;
+}
+
+/** Canonical type name: vec3<f32> -> vec3f, mat4x4<f32> -> mat4x4f */
+function normalizeType(type) {
+  return type
+    .replace(/\b(vec[234]|mat[234]x[234])<\s*(f32|i32|u32|f16)\s*>/g,
+      (_, base, scalar) => base + SCALAR_SUFFIX[scalar]);
+}
+
+function attribute(attributes, name) {
+  return attributes.find(a => a.name === name);
+}
+
+// ---------------------------------------------------------------------------
+// Resource classification
+// ---------------------------------------------------------------------------
+
+const STORAGE_ACCESS = { read: 'read-only', write: 'write-only', read_write: 'read-write' };
+
+/** Describe a module-scope variable as a bind group layout entry (minus visibility) */
+function classifyResource(addressSpace, access, type) {
+  if (addressSpace === 'uniform') {
+    return { resourceType: 'buffer', layout: { buffer: { type: 'uniform' } } };
+  }
+  if (addressSpace === 'storage') {
+    const bufferType = access === 'read_write' ? 'storage' : 'read-only-storage';
+    return { resourceType: 'buffer', layout: { buffer: { type: bufferType } } };
+  }
+
+  const base = type.split('<')[0];
+  const templateArgs = type.includes('<') ? type.slice(type.indexOf('<') + 1, -1).split(',').map(s => s.trim()) : [];
+
+  if (base === 'sampler') {
+    return { resourceType: 'sampler', layout: { sampler: { type: 'filtering' } } };
+  }
+  if (base === 'sampler_comparison') {
+    return { resourceType: 'sampler', layout: { sampler: { type: 'comparison' } } };
+  }
+  if (base === 'texture_external') {
+    return { resourceType: 'externalTexture', layout: { externalTexture: {} } };
+  }
+
+  const dimension = (/_(1d|2d_array|2d|3d|cube_array|cube)$/.exec(base) || [])[1];
+  const viewDimension = dimension?.replace('_', '-');
+
+  if (base.startsWith('texture_storage_')) {
+    return {
+      resourceType: 'storageTexture',
+      layout: {
+        storageTexture: {
+          format: templateArgs[0],
+          access: STORAGE_ACCESS[templateArgs[1]] || 'write-only',
+          viewDimension
+        }
+      }
+    };
+  }
+  if (base.startsWith('texture_depth_')) {
+    return {
+      resourceType: 'texture',
+      layout: {
+        texture: {
+          sampleType: 'depth',
+          viewDimension: viewDimension || '2d',
+          multisampled: base.startsWith('texture_depth_multisampled')
+        }
+      }
+    };
+  }
+  if (base.startsWith('texture_')) {
+    const sampleType = { f32: 'float', i32: 'sint', u32: 'uint' }[templateArgs[0]] || 'float';
+    return {
+      resourceType: 'texture',
+      layout: {
+        texture: {
+          sampleType,
+          viewDimension: viewDimension || '2d',
+          multisampled: base.startsWith('texture_multisampled')
+        }
+      }
+    };
+  }
+
+  return { resourceType: 'unknown', layout: {} };
+}
+
+// ---------------------------------------------------------------------------
+// Module-scope parsing
+// ---------------------------------------------------------------------------
+
+function parseModule(tokens) {
+  const parser = new Parser(tokens);
+  const structs = {};
+  const aliases = {};
+  const bindings = [];
+  const overrides = [];
+  const constants = {};
+  const functions = {};
+  const entryPoints = [];
+
+  while (!parser.atEnd()) {
+    if (parser.accept(';')) continue;
+
+    const attributes = parser.parseAttributes();
+    const keywordToken = parser.next();
+    const keyword = keywordToken.value;
+
+    switch (keyword) {
+      case 'enable':
+      case 'requires':
+      case 'diagnostic':
+      case 'const_assert':
+        parser.collectUntil([';']);
+        parser.expect(';');
+        break;
+
+      case 'alias': {
+        const name = parser.expectIdent();
+        parser.expect('=');
+        aliases[name] = parser.parseType();
+        parser.expect(';');
+        break;
+      }
+
+      case 'struct': {
+        const name = parser.expectIdent();
+        parser.expect('{');
+        const members = [];
+        while (!parser.is('}')) {
+          const memberAttributes = parser.parseAttributes();
+          const memberName = parser.expectIdent();
+          parser.expect(':');
+          const type = parser.parseType();
+          const member = describeIO(memberName, type, memberAttributes);
+          const align = attribute(memberAttributes, 'align');
+          const size = attribute(memberAttributes, 'size');
+          if (align) member.align = evaluateLiteral(tokenizeWGSL(align.args[0]), constants);
+          if (size) member.size = evaluateLiteral(tokenizeWGSL(size.args[0]), constants);
+          members.push(member);
+          if (!parser.accept(',')) break;
+        }
+        parser.expect('}');
+        structs[name] = { name, members };
+        break;
+      }
+
+      case 'const': {
+        const name = parser.expectIdent();
+        const type = parser.accept(':') ? parser.parseType() : null;
+        parser.expect('=');
+        const init = parser.collectUntil([';']);
+        parser.expect(';');
+        constants[name] = { name, type, value: evaluateLiteral(init, constants) };
+        break;
+      }
+
+      case 'override': {
+        const name = parser.expectIdent();
+        const type = parser.accept(':') ? parser.parseType() : null;
+        let init = null;
+        if (parser.accept('=')) {
+          init = parser.collectUntil([';']);
+        }
+        parser.expect(';');
+        const id = attribute(attributes, 'id');
+        const defaultValue = init ? evaluateLiteral(init, constants) : undefined;
+        overrides.push({
+          name,
+          id: id ? Number(id.args[0]) : undefined,
+          type: type || inferLiteralType(init),
+          defaultValue
+        });
+        break;
+      }
+
+      case 'var': {
+        let addressSpace = null;
+        let access = null;
+        if (parser.accept('<')) {
+          addressSpace = parser.expectIdent();
+          if (parser.accept(',')) access = parser.expectIdent();
+          parser.expect('>');
+        }
+        const name = parser.expectIdent();
+        const type = parser.accept(':') ? parser.parseType() : null;
+        if (parser.accept('=')) parser.collectUntil([';']);
+        parser.expect(';');
+
+        const group = attribute(attributes, 'group');
+        const binding = attribute(attributes, 'binding');
+        if (group && binding) {
+          if (addressSpace === 'storage' && !access) access = 'read';
+          if (addressSpace === 'uniform') access = 'read';
+          bindings.push({
+            name,
+            group: Number(group.args[0]),
+            binding: Number(binding.args[0]),
+            addressSpace: addressSpace || 'handle',
+            access,
+            type,
+            ...classifyResource(addressSpace, access, type)
+          });
+        }
+        break;
+      }
+
+      case 'fn': {
+        const fn = parseFunction(parser);
+        functions[fn.name] = fn;
+        const stage = STAGES.find(s => attribute(attributes, s));
+        if (stage) {
+          entryPoints.push({ ...fn, stage, attributes });
+        }
+        break;
+      }
+
+      default:
+        throw new WGSLReflectError(`Unexpected '${keyword}' at module scope`, keywordToken);
+    }
+  }
+
+  return { structs, aliases, bindings, overrides, constants, functions, entryPoints };
+}
+
+function parseFunction(parser) {
+  const name = parser.expectIdent();
+  parser.expect('(');
+  const params = [];
+  while (!parser.is(')')) {
+    const attributes = parser.parseAttributes();
+    const paramName = parser.expectIdent();
+    parser.expect(':');
+    const type = parser.parseType();
+    params.push(describeIO(paramName, type, attributes));
+    if (!parser.accept(',')) break;
+  }
+  parser.expect(')');
+
+  let returnType = null;
+  if (parser.accept('->')) {
+    const attributes = parser.parseAttributes();
+    returnType = describeIO(null, parser.parseType(), attributes);
+  }
+
+  const body = parser.skipBlock();
+  const identifiers = new Set(body.filter(t => t.type === 'ident').map(t => t.value));
+  return { name, params, returnType, identifiers };
+}
+
+// Describe a parameter, struct member or return value with its IO attributes
+function describeIO(name, type, attributes) {
+  const io = { name, type };
+  const location = attribute(attributes, 'location');
+  const builtin = attribute(attributes, 'builtin');
+  const interpolate = attribute(attributes, 'interpolate');
+  if (location) io.location = Number(location.args[0]);
+  if (builtin) io.builtin = builtin.args[0];
+  if (interpolate) io.interpolate = interpolate.args;
+  if (attribute(attributes, 'invariant')) io.invariant = true;
+  return io;
+}
+
+// Evaluate a literal initializer (number, bool or reference to a known const)
+function evaluateLiteral(tokens, constants) {
+  if (!tokens || !tokens.length) return undefined;
+  if (tokens.length === 1) {
+    const [token] = tokens;
+    if (token.type === 'number') return parseNumber(token.value);
+    if (token.value === 'true') return true;
+    if (token.value === 'false') return false;
+    if (constants[token.value]) return constants[token.value].value;
+  }
+  if (tokens.length === 2 && tokens[0].value === '-' && tokens[1].type === 'number') {
+    return -parseNumber(tokens[1].value);
+  }
+  return joinTokens(tokens);
+}
+
+function inferLiteralType(tokens) {
+  if (!tokens || tokens.length !== 1) return null;
+  const { type, value } = tokens[0];
+  if (value === 'true' || value === 'false') return 'bool';
+  if (type !== 'number') return null;
+  const literal = literalType(value);
+  return { 'abstract-int': 'i32', 'abstract-float': 'f32' }[literal] ?? literal;
+}
+
+// ---------------------------------------------------------------------------
+// Public reflection API
+// ---------------------------------------------------------------------------
+
+// Expand struct-typed IO into its members so locations/builtins are flattened
+function flattenIO(io, structs, aliases) {
+  if (!io) return [];
+  const type = aliases[io.type] || io.type;
+  const struct = structs[type];
+  if (struct && io.location === undefined && io.builtin === undefined) {
+    return struct.members.map(member => ({ ...member, struct: struct.name, parent: io.name }));
+  }
+  return [{ ...io, type }];
+}
+
+// All functions reachable from an entry point (including itself)
+function reachableFunctions(entryName, functions) {
+  const visited = new Set();
+  const stack = [entryName];
+  while (stack.length) {
+    const name = stack.pop();
+    if (visited.has(name) || !functions[name]) continue;
+    visited.add(name);
+    functions[name].identifiers.forEach(id => {
+      if (functions[id]) stack.push(id);
+    });
+  }
+  return [...visited].map(name => functions[name]);
+}
+
+function resolveWorkgroupSize(attributes, overrides, constants) {
+  const attr = attribute(attributes, 'workgroup_size');
+  if (!attr) return null;
+  const size = attr.args.map(arg => {
+    if (/^[\d.]/.test(arg)) return parseNumber(arg);
+    const override = overrides.find(o => o.name === arg);
+    if (override && typeof override.defaultValue === 'number') return override.defaultValue;
+    if (constants[arg] && typeof constants[arg].value === 'number') return constants[arg].value;
+    return arg;
+  });
+  while (size.length < 3) size.push(1);
+  return size;
+}
+
+/**
+ * Reflect a WGSL shader.
+ * Returns { entryPoints, bindings, structs, overrides, constants }, where each entry point is
+ * { name, stage, inputs, outputs, resources, overrides, workgroupSize } and each binding is
+ * { name, group, binding, addressSpace, access, type, resourceType, layout, visibility }.
+ * Inputs/outputs of struct type are flattened into their members.
+ */
+function reflectWGSL(code) {
+  const module = parseModule(tokenizeWGSL(code));
+  const { structs, aliases, bindings, overrides, constants, functions } = module;
+
+  const entryPoints = module.entryPoints.map(entry => {
+    const used = new Set();
+    reachableFunctions(entry.name, functions).forEach(fn => fn.identifiers.forEach(id => used.add(id)));
+
+    return {
+      name: entry.name,
+      stage: entry.stage,
+      inputs: entry.params.flatMap(param => flattenIO(param, structs, aliases)),
+      outputs: flattenIO(entry.returnType, structs, aliases),
+      resources: bindings.filter(b => used.has(b.name)).map(b => ({ group: b.group, binding: b.binding, name: b.name })),
+      overrides: overrides.filter(o => used.has(o.name) || workgroupUses(entry.attributes, o.name)).map(o => o.name),
+      workgroupSize: entry.stage === 'compute' ? resolveWorkgroupSize(entry.attributes, overrides, constants) : null
+    };
+  });
+
+  // Visibility: union of the stages whose entry points statically use the binding
+  const stageBits = { vertex: 0x1, fragment: 0x2, compute: 0x4 };
+  bindings.forEach(binding => {
+    binding.visibility = entryPoints
+      .filter(e => e.resources.some(r => r.name === binding.name))
+      .reduce((bits, e) => bits | stageBits[e.stage], 0);
+  });
+
+  return {
+    entryPoints,
+    bindings: bindings.sort((a, b) => a.group - b.group || a.binding - b.binding),
+    structs,
+    aliases,
+    overrides,
+    constants
+  };
+}
+
+function workgroupUses(attributes, name) {
+  return attribute(attributes, 'workgroup_size')?.args.some(arg => arg.split(/\W+/).includes(name)) || false;
+}
+
+/** Find an entry point by stage and optional name */
+function findEntryPoint(reflection, stage, name) {
+  return reflection.entryPoints.find(e => e.stage === stage && (!name || e.name === name)) || null;
+}
+
+/** Vertex attributes (inputs with @location) of a vertex entry point, sorted by location */
+function getVertexAttributes(reflection, entryPointName) {
+  const entry = findEntryPoint(reflection, 'vertex', entryPointName);
+  if (!entry) return [];
+  return entry.inputs
+    .filter(input => input.location !== undefined)
+    .sort((a, b) => a.location - b.location);
+}
+
+/** Resource bindings declared in a given group */
+function getGroupBindings(reflection, group) {
+  return reflection.bindings.filter(b => b.group === group);
+}
+
+export {
+  reflectWGSL,
+  tokenizeWGSL,
+  parseNumber,
+  literalType,
+  normalizeType,
+  findEntryPoint,
+  getVertexAttributes,
+  getGroupBindings,
+  WGSLReflectError
+};
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Compare two benchmark reports written by a sample's ?bench mode (common/bench.js) and flag
+// regressions.
+//
+// Usage:
+//   node compare-bench.js base.json candidate.json [--threshold=10] [--min-delta=0.05] [--stat=median]
+//
+// Runs are matched by parameter and value. The CPU frame time and every pass time are
+// compared by `stat` (median, mean, p95, min or max); a metric regresses when the candidate
+// is more than `threshold` percent and more than `min-delta` milliseconds slower. The frame
+// interval is shown for reference only, as it is usually capped by the display's refresh.
+// Exits with 1 when anything regressed, 2 on bad input.
+
+import { readFileSync } from 'node:fs';
+
+const STATS = ['median', 'mean', 'p95', 'min', 'max'];
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node compare-bench.js base.json candidate.json [--threshold=10] [--min-delta=0.05] [--stat=median]');
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const options = { threshold: 10, minDelta: 0.05, stat: 'median', files: [] };
+  argv.forEach((arg) => {
+    const match = /^--([\w-]+)=(.*)$/.exec(arg);
+    if (!match) {
+      options.files.push(arg);
+    } else if (match[1] === 'threshold' || match[1] === 'min-delta') {
+      const value = Number(match[2]);
+      if (!Number.isFinite(value) || value < 0) usage(`Invalid --${match[1]} '${match[2]}'`);
+      options[match[1] === 'threshold' ? 'threshold' : 'minDelta'] = value;
+    } else if (match[1] === 'stat') {
+      if (!STATS.includes(match[2])) usage(`--stat must be one of ${STATS.join(', ')}`);
+      options.stat = match[2];
+    } else {
+      usage(`Unknown option --${match[1]}`);
+    }
+  });
+  if (options.files.length !== 2) usage();
+  return options;
+}
+
+function readReport(path) {
+  try {
+    const report = JSON.parse(readFileSync(path, 'utf8'));
+    if (!Array.isArray(report.results)) throw new Error('no results array');
+    return report;
+  } catch (error) {
+    return usage(`Cannot read report ${path}: ${error.message}`);
+  }
+}
+
+// Helper to describe the machine a report comes from
+function describeAdapter(report) {
+  const { vendor, architecture, device, description } = report.adapter || {};
+  return [vendor, architecture, device, description].filter(Boolean).join(' / ') || 'unknown adapter';
+}
+
+// Helper to flatten a run into { metric name: summary }
+function metrics(run) {
+  const result = {};
+  if (run.cpuMs) result['cpu frame'] = run.cpuMs;
+  Object.entries(run.passMs || {}).forEach(([pass, summary]) => {
+    if (summary) result[`pass ${pass}`] = summary;
+  });
+  if (run.frameMs) result['frame interval'] = run.frameMs;
+  return result;
+}
+
+const runKey = run => `${run.param}=${run.value}`;
+
+// Helper to render rows as aligned columns
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+  return rows.map(row => row.map((cell, i) => (i < 2 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join('  ')).join('\n');
+}
+
+function compare(base, candidate, { threshold, minDelta, stat }) {
+  const warnings = [];
+  if (base.sample !== candidate.sample) warnings.push(`different samples: ${base.sample} vs ${candidate.sample}`);
+  if (describeAdapter(base) !== describeAdapter(candidate)) {
+    warnings.push(`different adapters: ${describeAdapter(base)} vs ${describeAdapter(candidate)}`);
+  }
+  if (base.timing !== candidate.timing) {
+    warnings.push(`different pass timing: ${base.timing} vs ${candidate.timing}; pass times are not comparable`);
+  }
+
+  const baseRuns = new Map(base.results.map(run => [runKey(run), run]));
+  const rows = [['run', 'metric', 'base ms', 'candidate ms', 'change', '']];
+  const regressions = [];
+  const improvements = [];
+  candidate.results.forEach((run) => {
+    const key = runKey(run);
+    const before = baseRuns.get(key);
+    baseRuns.delete(key);
+    if (!before) {
+      warnings.push(`${key} only in the candidate`);
+      return;
+    }
+    if (before.error || run.error) {
+      rows.push([key, 'error', before.error ? 'failed' : '-', run.error ? 'failed' : '-', '', '']);
+      if (run.error && !before.error) regressions.push(`${key}: failed (${run.error})`);
+      return;
+    }
+    const beforeMetrics = metrics(before);
+    Object.entries(metrics(run)).forEach(([metric, summary]) => {
+      const old = beforeMetrics[metric]?.[stat];
+      const now = summary[stat];
+      if (old === undefined || now === undefined) return;
+      const change = old > 0 ? ((now - old) / old) * 100 : 0;
+      let flag = '';
+      // The frame interval follows the display, not the code
+      if (metric !== 'frame interval' && Math.abs(now - old) > minDelta && Math.abs(change) > threshold) {
+        flag = now > old ? 'REGRESSION' : 'faster';
+        (now > old ? regressions : improvements).push(`${key} ${metric}: ${old.toFixed(3)} -> ${now.toFixed(3)} ms (${change > 0 ? '+' : ''}${change.toFixed(1)}%)`);
+      }
+      rows.push([key, metric, old.toFixed(3), now.toFixed(3), `${change > 0 ? '+' : ''}${change.toFixed(1)}%`, flag]);
+    });
+  });
+  baseRuns.forEach((_, key) => warnings.push(`${key} only in the base`));
+  return { rows, warnings, regressions, improvements };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [base, candidate] = options.files.map(readReport);
+  const { rows, warnings, regressions, improvements } = compare(base, candidate, options);
+
+  console.log(`base:      ${options.files[0]} (${base.label || base.date}, ${describeAdapter(base)})`);
+  console.log(`candidate: ${options.files[1]} (${candidate.label || candidate.date}, ${describeAdapter(candidate)})`);
+  console.log(`comparing ${options.stat}, threshold ${options.threshold}% and ${options.minDelta} ms\n`);
+  console.log(table(rows));
+  warnings.forEach(warning => console.warn(`\nwarning: ${warning}`));
+  console.log(`\n${improvements.length} faster, ${regressions.length} regressed`);
+  regressions.forEach(regression => console.log(`  ${regression}`));
+  process.exit(regressions.length ? 1 : 0);
+}
+
+main();
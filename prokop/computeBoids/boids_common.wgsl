@@ -0,0 +1,217 @@
+// Flocking rules shared by the brute-force (boids_update.wgsl) and uniform grid
+// (boids_grid.wgsl) kernels, so both compute the same step from the same neighbors.
+// DIMENSIONS selects the 2D sample or the 3D variant, which flies in the [-1, 1]^3 box.
+// Both kernels also steer around the environment (obstacles, predators and attractors)
+// bound at 10-12, which environment.js edits at runtime.
+#pragma once
+
+#ifndef DIMENSIONS
+#define DIMENSIONS 2
+#endif
+
+#if DIMENSIONS == 3
+alias vecf = vec3f;
+#else
+alias vecf = vec2f;
+#endif
+
+struct Particle {
+  pos : vecf,
+  vel : vecf,
+}
+struct SimParams {
+  deltaT : f32,
+  rule1Distance : f32,
+  rule2Distance : f32,
+  rule3Distance : f32,
+  rule1Scale : f32,
+  rule2Scale : f32,
+  rule3Scale : f32,
+  boundary : u32,         // BOUNDARY_*
+  wallDistance : f32,     // soft wall: steering starts this far inside the box
+  wallScale : f32,
+  avoidDistance : f32,    // obstacles: steering starts this far from the surface
+  avoidScale : f32,
+  fleeDistance : f32,     // predators
+  fleeScale : f32,
+  attractDistance : f32,  // attractors, times each one's strength
+  attractScale : f32,
+}
+struct Particles {
+  particles : array<Particle>,
+}
+
+const BOUNDARY_WRAP = 0u;
+const BOUNDARY_BOUNCE = 1u;
+const BOUNDARY_SOFT_WALL = 2u;
+
+// Environment lists of `count` items. Positions are vec3f in 2D as well, z unused.
+// An obstacle is a capsule: the points within `radius` of the segment a-b, a circle
+// (sphere) when a == b; polygons are made of one capsule per edge.
+struct Obstacle {
+  a : vec3f,
+  radius : f32,
+  b : vec3f,
+}
+struct Obstacles {
+  count : u32,
+  items : array<Obstacle>,
+}
+struct Predator {
+  pos : vec3f,
+}
+struct Predators {
+  count : u32,
+  items : array<Predator>,
+}
+// Pulls boids in with a positive strength, pushes them away with a negative one
+struct Attractor {
+  pos : vec3f,
+  strength : f32,
+}
+struct Attractors {
+  count : u32,
+  items : array<Attractor>,
+}
+
+@binding(10) @group(0) var<storage, read> obstacles : Obstacles;
+@binding(11) @group(0) var<storage, read> predators : Predators;
+@binding(12) @group(0) var<storage, read> attractors : Attractors;
+
+// Sums over the neighbors seen so far
+struct Flock {
+  cMass : vecf,
+  cVel : vecf,
+  colVel : vecf,
+  cMassCount : u32,
+  cVelCount : u32,
+}
+
+// Add the particle at `pos` moving at `vel` to the flock of the particle at `vPos`
+fn addNeighbor(flock : Flock, params : SimParams, vPos : vecf, pos : vecf, vel : vecf) -> Flock {
+  var f = flock;
+  let d = distance(pos, vPos);
+  if (d < params.rule1Distance) {
+    f.cMass += pos;
+    f.cMassCount++;
+  }
+  if (d < params.rule2Distance) {
+    f.colVel -= pos - vPos;
+  }
+  if (d < params.rule3Distance) {
+    f.cVel += vel;
+    f.cVelCount++;
+  }
+  return f;
+}
+
+// A stored position in the simulation's dimensions
+fn toVecf(p : vec3f) -> vecf {
+#if DIMENSIONS == 3
+  return p;
+#else
+  return p.xy;
+#endif
+}
+
+// 1 at distance 0, falling linearly to 0 at `range`
+fn falloff(d : f32, range : f32) -> f32 {
+  if (range <= 0.0) {
+    return 0.0;
+  }
+  return saturate(1.0 - d / range);
+}
+
+// Closest point to `p` on the segment of obstacle `i`
+fn closestOnObstacle(i : u32, p : vecf) -> vecf {
+  let a = toVecf(obstacles.items[i].a);
+  let ab = toVecf(obstacles.items[i].b) - a;
+  let lengthSquared = dot(ab, ab);
+  let t = select(0.0, saturate(dot(p - a, ab) / lengthSquared), lengthSquared > 0.0);
+  return a + ab * t;
+}
+
+// Velocity change from the soft wall, obstacles, predators and attractors
+fn environmentSteering(params : SimParams, vPos : vecf) -> vecf {
+  var steering = vecf(0.0);
+  if (params.boundary == BOUNDARY_SOFT_WALL && params.wallDistance > 0.0) {
+    let low = saturate(vecf(1.0) - (vPos + 1.0) / params.wallDistance);
+    let high = saturate(vecf(1.0) - (1.0 - vPos) / params.wallDistance);
+    steering += (low - high) * params.wallScale;
+  }
+  for (var i = 0u; i < obstacles.count; i++) {
+    let away = vPos - closestOnObstacle(i, vPos);
+    let d = length(away);
+    if (d > 0.0) {
+      // Full strength from the surface inwards
+      let gap = max(d - obstacles.items[i].radius, 0.0);
+      steering += (away / d) * params.avoidScale * falloff(gap, params.avoidDistance);
+    }
+  }
+  for (var i = 0u; i < predators.count; i++) {
+    let away = vPos - toVecf(predators.items[i].pos);
+    let d = length(away);
+    if (d > 0.0) {
+      steering += (away / d) * params.fleeScale * falloff(d, params.fleeDistance);
+    }
+  }
+  for (var i = 0u; i < attractors.count; i++) {
+    let toward = toVecf(attractors.items[i].pos) - vPos;
+    let d = length(toward);
+    if (d > 0.0) {
+      steering += (toward / d) * attractors.items[i].strength * params.attractScale * falloff(d, params.attractDistance);
+    }
+  }
+  return steering;
+}
+
+// Move a position that ended up inside an obstacle onto its surface
+fn leaveObstacles(pos : vecf) -> vecf {
+  var p = pos;
+  for (var i = 0u; i < obstacles.count; i++) {
+    let closest = closestOnObstacle(i, p);
+    let away = p - closest;
+    let d = length(away);
+    if (d > 0.0 && d < obstacles.items[i].radius) {
+      p = closest + (away / d) * obstacles.items[i].radius;
+    }
+  }
+  return p;
+}
+
+// Apply the three rules and the environment, and integrate one step
+// https://github.com/austinEng/Project6-Vulkan-Flocking/blob/master/data/shaders/computeparticles/particle.comp
+fn steer(flock : Flock, params : SimParams, particle : Particle) -> Particle {
+  var vPos = particle.pos;
+  var vVel = particle.vel;
+  var cMass = flock.cMass;
+  var cVel = flock.cVel;
+  if (flock.cMassCount > 0) {
+    cMass = (cMass / f32(flock.cMassCount)) - vPos;
+  }
+  if (flock.cVelCount > 0) {
+    cVel /= f32(flock.cVelCount);
+  }
+  vVel += (cMass * params.rule1Scale) + (flock.colVel * params.rule2Scale) + (cVel * params.rule3Scale);
+  vVel += environmentSteering(params, vPos);
+
+  // clamp velocity for a more pleasing simulation
+  vVel = normalize(vVel) * clamp(length(vVel), 0.0, 0.1);
+  // kinematic update
+  vPos = vPos + (vVel * params.deltaT);
+  vPos = leaveObstacles(vPos);
+  if (params.boundary == BOUNDARY_WRAP) {
+    // Wrap around boundary, per axis
+    vPos = select(vPos, vecf(1.0), vPos < vecf(-1.0));
+    vPos = select(vPos, vecf(-1.0), vPos > vecf(1.0));
+  } else {
+    // Stay in the box; bouncing also turns the velocity inwards. The soft wall steers away
+    // before reaching it, this only catches the boids that get through.
+    let outside = abs(vPos) > vecf(1.0);
+    if (params.boundary == BOUNDARY_BOUNCE) {
+      vVel = select(vVel, -sign(vPos) * abs(vVel), outside);
+    }
+    vPos = clamp(vPos, vecf(-1.0), vecf(1.0));
+  }
+  return Particle(vPos, vVel);
+}
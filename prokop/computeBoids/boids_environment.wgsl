@@ -0,0 +1,103 @@
+// The environment drawn over the boids: obstacles as grey capsules, predators as red discs
+// and attractors as rings, green when they pull and magenta when they push. One instance per
+// item, in that order, each a quad around its capsule; in 3D the quads face the camera.
+
+#include "boids_common.wgsl"
+
+#if DIMENSIONS == 3
+struct Camera {
+  viewProjection : mat4x4f,
+  right : vec3f,
+  up : vec3f,
+}
+@binding(0) @group(0) var<uniform> camera : Camera;
+#endif
+
+const PREDATOR_RADIUS = 0.025;
+const ATTRACTOR_RADIUS = 0.02;
+
+struct VertexOutput {
+  @builtin(position) position : vec4f,
+  // Position in the quad: along the segment (0 at a, segment length at b) and across it
+  @location(0) local : vec2f,
+  // Segment length, radius and the inner radius of a ring (0 when filled)
+  @location(1) @interpolate(flat) shape : vec3f,
+  @location(2) @interpolate(flat) color : vec4f,
+}
+
+@vertex
+fn vert_main(@builtin(vertex_index) vertex : u32, @builtin(instance_index) instance : u32) -> VertexOutput {
+  var a : vec3f;
+  var b : vec3f;
+  var radius : f32;
+  var inner = 0.0;
+  var color : vec4f;
+  if (instance < obstacles.count) {
+    a = obstacles.items[instance].a;
+    b = obstacles.items[instance].b;
+    radius = obstacles.items[instance].radius;
+    color = vec4(0.55, 0.57, 0.62, 1.0);
+  } else if (instance < obstacles.count + predators.count) {
+    a = predators.items[instance - obstacles.count].pos;
+    b = a;
+    radius = PREDATOR_RADIUS;
+    color = vec4(0.95, 0.2, 0.15, 1.0);
+  } else {
+    let attractor = attractors.items[instance - obstacles.count - predators.count];
+    a = attractor.pos;
+    b = a;
+    radius = ATTRACTOR_RADIUS;
+    inner = 0.6 * ATTRACTOR_RADIUS;
+    color = select(vec4(0.9, 0.25, 0.9, 1.0), vec4(0.3, 0.9, 0.35, 1.0), attractor.strength >= 0.0);
+  }
+
+#if DIMENSIONS == 3
+  // Along the segment, or the camera's right for a point; across it in the view plane
+  let forward = cross(camera.up, camera.right);
+  let segment = b - a;
+  let along = select(camera.right, normalize(segment), length(segment) > 0.0);
+  let side = cross(forward, along);
+  let across = select(camera.up, normalize(side), length(side) > 1e-4);
+#else
+  a = vec3(a.xy, 0.0);
+  b = vec3(b.xy, 0.0);
+  let segment = b - a;
+  let along = select(vec3(1.0, 0.0, 0.0), normalize(segment), length(segment) > 0.0);
+  let across = vec3(-along.y, along.x, 0.0);
+#endif
+
+  // Two triangles covering the capsule
+  var corners = array<vec2f, 6>(
+    vec2(0.0, 0.0), vec2(1.0, 0.0), vec2(0.0, 1.0),
+    vec2(0.0, 1.0), vec2(1.0, 0.0), vec2(1.0, 1.0)
+  );
+  let corner = corners[vertex];
+  let segmentLength = length(segment);
+  let local = vec2(mix(-radius, segmentLength + radius, corner.x), mix(-radius, radius, corner.y));
+  let pos = a + along * local.x + across * local.y;
+
+  var output : VertexOutput;
+#if DIMENSIONS == 3
+  output.position = camera.viewProjection * vec4(pos, 1.0);
+#else
+  output.position = vec4(pos.xy, 0.0, 1.0);
+#endif
+  output.local = local;
+  output.shape = vec3(segmentLength, radius, inner);
+  output.color = color;
+  return output;
+}
+
+@fragment
+fn frag_main(
+  @location(0) local : vec2f,
+  @location(1) @interpolate(flat) shape : vec3f,
+  @location(2) @interpolate(flat) color : vec4f
+) -> @location(0) vec4f {
+  let d = length(vec2(local.x - clamp(local.x, 0.0, shape.x), local.y));
+  if (d > shape.y || d < shape.z) {
+    discard;
+  }
+  // Darker rim
+  return vec4(color.rgb * select(1.0, 0.7, d > shape.y * 0.85), color.a);
+}
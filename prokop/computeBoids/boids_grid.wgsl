@@ -0,0 +1,110 @@
+// Uniform grid neighbor search, in four passes per step:
+//   assignCells      cell index of every particle, with the particle index as sort value
+//   (GpuSorter)      sort the particle indices by cell
+//   buildCellTable   first and one-past-last sorted slot of every occupied cell, and the
+//                    particles gathered in sorted order for coherent reads
+//   update           each particle visits the 3x3 (3x3x3 in 3D) cells around its own
+// Cells are at least as wide as the largest rule distance, so these cells hold every
+// neighbor the brute-force kernel would find. In 2D the grid is a single layer in z.
+
+// Threads per workgroup; computeBoids.js supplies it for benchmark sweeps
+#ifndef WORKGROUP_SIZE
+#define WORKGROUP_SIZE 64
+#endif
+
+#include "boids_common.wgsl"
+
+struct GridParams {
+  dim : u32, // cells per side of the [-1, 1] square or cube
+}
+
+@binding(0) @group(0) var<uniform> params : SimParams;
+@binding(1) @group(0) var<storage, read> particlesA : Particles;
+@binding(2) @group(0) var<storage, read_write> particlesB : Particles;
+@binding(3) @group(0) var<uniform> grid : GridParams;
+@binding(4) @group(0) var<storage, read_write> cellKeys : array<u32>;
+@binding(5) @group(0) var<storage, read_write> particleIds : array<u32>;
+@binding(6) @group(0) var<storage, read_write> cellStart : array<u32>;
+@binding(7) @group(0) var<storage, read_write> cellEnd : array<u32>;
+@binding(8) @group(0) var<storage, read_write> sortedParticles : Particles;
+
+// Cells along x, y and z
+fn gridSize() -> vec3i {
+  let dim = i32(grid.dim);
+  return vec3i(dim, dim, select(1, dim, DIMENSIONS == 3));
+}
+
+// Cell coordinates of a position; positions on or past the border go to the border cells
+fn cellOf(pos : vecf) -> vec3i {
+#if DIMENSIONS == 3
+  let p = pos;
+#else
+  let p = vec3f(pos, -1.0);
+#endif
+  let cell = vec3i(floor((p + 1.0) * 0.5 * f32(grid.dim)));
+  return clamp(cell, vec3i(0), gridSize() - 1);
+}
+
+fn cellKey(cell : vec3i) -> u32 {
+  let size = gridSize();
+  return u32((cell.z * size.y + cell.y) * size.x + cell.x);
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn assignCells(@builtin(global_invocation_id) id : vec3u) {
+  let index = id.x;
+  if (index >= arrayLength(&particlesA.particles)) {
+    return;
+  }
+  cellKeys[index] = cellKey(cellOf(particlesA.particles[index].pos));
+  particleIds[index] = index;
+}
+
+// Only cellEnd is cleared beforehand: an empty cell has end 0, so the query skips it whatever
+// start it kept from an earlier step
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn buildCellTable(@builtin(global_invocation_id) id : vec3u) {
+  let slot = id.x;
+  let count = arrayLength(&particlesA.particles);
+  if (slot >= count) {
+    return;
+  }
+  let key = cellKeys[slot];
+  if (slot == 0u || cellKeys[slot - 1u] != key) {
+    cellStart[key] = slot;
+  }
+  if (slot == count - 1u || cellKeys[slot + 1u] != key) {
+    cellEnd[key] = slot + 1u;
+  }
+  sortedParticles.particles[slot] = particlesA.particles[particleIds[slot]];
+}
+
+// One thread per sorted slot; the result goes back to the particle's own index
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn update(@builtin(global_invocation_id) id : vec3u) {
+  let slot = id.x;
+  if (slot >= arrayLength(&particlesA.particles)) {
+    return;
+  }
+
+  let particle = sortedParticles.particles[slot];
+  let cell = cellOf(particle.pos);
+  let first = max(cell - 1, vec3i(0));
+  let last = min(cell + 1, gridSize() - 1);
+  var flock = Flock();
+  for (var z = first.z; z <= last.z; z++) {
+    for (var y = first.y; y <= last.y; y++) {
+      for (var x = first.x; x <= last.x; x++) {
+        let key = cellKey(vec3i(x, y, z));
+        for (var i = cellStart[key]; i < cellEnd[key]; i++) {
+          if (i == slot) {
+            continue;
+          }
+          flock = addNeighbor(flock, params, particle.pos, sortedParticles.particles[i].pos, sortedParticles.particles[i].vel);
+        }
+      }
+    }
+  }
+
+  particlesB.particles[particleIds[slot]] = steer(flock, params, particle);
+}
@@ -0,0 +1,43 @@
+// 3D mode: an instanced cone per particle, its tip along the velocity, with flat shading
+// from a fixed light
+
+// Shared with boids_environment.wgsl, whose billboards also need the view's right and up
+struct Camera {
+  viewProjection : mat4x4f,
+  right : vec3f,
+  up : vec3f,
+}
+@binding(0) @group(0) var<uniform> camera : Camera;
+
+struct VertexOutput {
+  @builtin(position) position : vec4f,
+  @location(4) color : vec4f,
+}
+
+const LIGHT_DIR = vec3f(0.36, 0.8, 0.48);
+
+@vertex
+fn vert_main(
+  @location(0) a_particlePos : vec3f,
+  @location(1) a_particleVel : vec3f,
+  @location(2) a_pos : vec3f,
+  @location(3) a_normal : vec3f
+) -> VertexOutput {
+  // Right-handed basis with the mesh's +y along the velocity
+  let speed = length(a_particleVel);
+  let forward = select(vec3f(0.0, 1.0, 0.0), a_particleVel / speed, speed > 0.0);
+  let reference = select(vec3f(0.0, 1.0, 0.0), vec3f(1.0, 0.0, 0.0), abs(forward.y) > 0.99);
+  let side = normalize(cross(forward, reference));
+  let basis = mat3x3f(side, forward, cross(side, forward));
+
+  var output : VertexOutput;
+  output.position = camera.viewProjection * vec4(a_particlePos + basis * a_pos, 1.0);
+  let light = 0.35 + 0.65 * max(dot(basis * a_normal, LIGHT_DIR), 0.0);
+  output.color = vec4((0.55 + 0.45 * forward) * light, 1.0);
+  return output;
+}
+
+@fragment
+fn frag_main(@location(4) color : vec4f) -> @location(0) vec4f {
+  return color;
+}
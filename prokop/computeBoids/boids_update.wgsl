@@ -1,83 +1,32 @@
-struct Particle {
-  pos : vec2f,
-  vel : vec2f,
-}
-struct SimParams {
-  deltaT : f32,
-  rule1Distance : f32,
-  rule2Distance : f32,
-  rule3Distance : f32,
-  rule1Scale : f32,
-  rule2Scale : f32,
-  rule3Scale : f32,
-}
-struct Particles {
-  particles : array<Particle>,
-}
+// Threads per workgroup; computeBoids.js supplies it for benchmark sweeps
+#ifndef WORKGROUP_SIZE
+#define WORKGROUP_SIZE 64
+#endif
+
+#include "boids_common.wgsl"
+
 @binding(0) @group(0) var<uniform> params : SimParams;
 @binding(1) @group(0) var<storage, read> particlesA : Particles;
 @binding(2) @group(0) var<storage, read_write> particlesB : Particles;
 
-// https://github.com/austinEng/Project6-Vulkan-Flocking/blob/master/data/shaders/computeparticles/particle.comp
-@compute @workgroup_size(64)
+// Brute force: every particle visits every other one, O(n^2)
+@compute @workgroup_size(WORKGROUP_SIZE)
 fn main(@builtin(global_invocation_id) GlobalInvocationID : vec3u) {
   var index = GlobalInvocationID.x;
+  // The last workgroup may run past the end when the particle count is not a multiple of WORKGROUP_SIZE
+  if (index >= arrayLength(&particlesA.particles)) {
+    return;
+  }
 
-  var vPos = particlesA.particles[index].pos;
-  var vVel = particlesA.particles[index].vel;
-  var cMass = vec2(0.0);
-  var cVel = vec2(0.0);
-  var colVel = vec2(0.0);
-  var cMassCount = 0u;
-  var cVelCount = 0u;
-  var pos : vec2f;
-  var vel : vec2f;
-
+  let vPos = particlesA.particles[index].pos;
+  var flock = Flock();
   for (var i = 0u; i < arrayLength(&particlesA.particles); i++) {
     if (i == index) {
       continue;
     }
-
-    pos = particlesA.particles[i].pos.xy;
-    vel = particlesA.particles[i].vel.xy;
-    if (distance(pos, vPos) < params.rule1Distance) {
-      cMass += pos;
-      cMassCount++;
-    }
-    if (distance(pos, vPos) < params.rule2Distance) {
-      colVel -= pos - vPos;
-    }
-    if (distance(pos, vPos) < params.rule3Distance) {
-      cVel += vel;
-      cVelCount++;
-    }
-  }
-  if (cMassCount > 0) {
-    cMass = (cMass / vec2(f32(cMassCount))) - vPos;
-  }
-  if (cVelCount > 0) {
-    cVel /= f32(cVelCount);
+    flock = addNeighbor(flock, params, vPos, particlesA.particles[i].pos, particlesA.particles[i].vel);
   }
-  vVel += (cMass * params.rule1Scale) + (colVel * params.rule2Scale) + (cVel * params.rule3Scale);
 
-  // clamp velocity for a more pleasing simulation
-  vVel = normalize(vVel) * clamp(length(vVel), 0.0, 0.1);
-  // kinematic update
-  vPos = vPos + (vVel * params.deltaT);
-  // Wrap around boundary
-  if (vPos.x < -1.0) {
-    vPos.x = 1.0;
-  }
-  if (vPos.x > 1.0) {
-    vPos.x = -1.0;
-  }
-  if (vPos.y < -1.0) {
-    vPos.y = 1.0;
-  }
-  if (vPos.y > 1.0) {
-    vPos.y = -1.0;
-  }
   // Write back
-  particlesB.particles[index].pos = vPos;
-  particlesB.particles[index].vel = vVel;
+  particlesB.particles[index] = steer(flock, params, particlesA.particles[index]);
 }
@@ -1,70 +1,27 @@
-import { 
-  quitIfAdapterNotAvailable, 
-  quitIfWebGPUNotAvailable, 
-  loadShaderFromFile,
+import {
   createPipeline,
   getPipelineBuffers,
-  fail 
+  createBindGroup,
+  createPingPongBindGroups,
+  getPipelineReflection,
+  getPipelineBindings
 } from './common/webgpu-utils.js';
+import { reportError } from './common/error-reporter.js';
+import { ResourceRegistry } from './common/device-recovery.js';
+import { App } from './common/app.js';
+import { getStructLayout, serialize, sizeOf } from './common/struct-layout.js';
+import GUI from './common/gui-library.js';
+import { boidsStep, compareArrays, encodeReadback, reportVerification } from './common/verify.js';
+import { DebugOverlay } from './common/debug-overlay.js';
+import { startBenchmark } from './common/bench.js';
+import { GpuSorter } from './common/gpu-sort.js';
+import { OrbitCamera } from './common/orbit-camera.js';
+import { Environment, EnvironmentEditor, BOUNDARY_MODES, TOOLS } from './environment.js';
 
 /**
  * Initialize the WebGPU application.
  */
 async function init() {
-    // Declare all variables at function scope
-    let animationId;
-    let shouldContinueRendering = true;
-    let errorOccurred = false;
-    let device, context;
-    let particleBuffers, spriteVertexBuffer, simParamBuffer; 
-    let renderPipeline, computePipeline;
-
-    // Global error handler
-    const handleCriticalError = (error) => {
-        if (errorOccurred) return;
-        errorOccurred = true;
-        
-        shouldContinueRendering = false;
-        if (animationId) {
-            cancelAnimationFrame(animationId);
-            animationId = null;
-        }
-        
-        // Cleanup all resources safely
-        const resources = [
-            context,
-            device,
-            ...(particleBuffers || []),
-            spriteVertexBuffer,
-            simParamBuffer,
-            renderPipeline,
-            computePipeline
-        ].filter(Boolean);
-        
-        resources.forEach(resource => {
-            try {
-                if (resource?.destroy) resource.destroy();
-                if (resource?.unconfigure) resource.unconfigure();
-            } catch (e) {
-                console.error('Cleanup error:', e);
-            }
-        });
-        
-        fail(`Fatal error: ${error.message}`);
-        console.error('Application stopped:', error);
-    };
-
-    // Setup global error handlers
-    window.addEventListener('error', (event) => {
-        handleCriticalError(event.error);
-        event.preventDefault();
-    });
-
-    window.addEventListener('unhandledrejection', (event) => {
-        handleCriticalError(event.reason);
-        event.preventDefault();
-    });
-
     function validateBuffers(buffers) {
         if (!buffers || !buffers.length) {
             throw new Error('Render pipeline buffers not initialized');
@@ -72,227 +29,680 @@ async function init() {
         console.log('[Init] Validated render pipeline buffers');
     }
 
-    try {
-        // Get the canvas element
-        const canvas = document.querySelector('canvas');
-
-        // Request a WebGPU adapter and device
-        const adapter = await navigator.gpu?.requestAdapter();
-        quitIfAdapterNotAvailable(adapter);
-        const device = await adapter.requestDevice({
-          requiredLimits: {
-            maxComputeWorkgroupSizeX: 256
-          },
-          defaultQueue: { label: 'default queue' }
-        });
-        quitIfWebGPUNotAvailable(adapter, device);
-
-        // Add GPU validation error logging
-        device.pushErrorScope('validation');
-        device.addEventListener('uncapturederror', (event) => {
-          console.error('[WebGPU Validation Error]', {
-            error: event.error,
-            message: event.error.message,
-            type: event.error.constructor.name
-          });
-        });
+    // Simulation parameters, edited live through the GUI
+    const simParams = {
+        deltaT:          0.04,
+        rule1Distance:   0.1,
+        rule2Distance:   0.025,
+        rule3Distance:   0.025,
+        rule1Scale:      0.02,
+        rule2Scale:      0.05,
+        rule3Scale:      0.005,
+        boundary:        BOUNDARY_MODES.wrap,
+        wallDistance:    0.1,
+        wallScale:       0.005,
+        avoidDistance:   0.08,
+        avoidScale:      0.01,
+        fleeDistance:    0.25,
+        fleeScale:       0.01,
+        attractDistance: 0.5,
+        attractScale:    0.004
+    };
+    const defaultSimParams = { ...simParams };
 
-        // Create a WebGPU context
-        context = canvas.getContext('webgpu');
-        const devicePixelRatio = window.devicePixelRatio;
-        canvas.width = canvas.clientWidth * devicePixelRatio;
-        canvas.height = canvas.clientHeight * devicePixelRatio;
-
-        // Configure the context
-        const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
-        context.configure({
-            device,
-            format: presentationFormat
-        });
+    // 2D, or 3D with ?3d: the shaders are built with DIMENSIONS, and a 3D Particle's vec3f
+    // members are padded to 16 bytes (pos.xyz, -, vel.xyz, -)
+    let dimensions = new URLSearchParams(location.search).has('3d') ? 3 : 2;
+    const floatsPerParticle = () => (dimensions === 3 ? 8 : 4);
+    const DEPTH_FORMAT = 'depth24plus';
+
+    // Random particle data (pos, vel) per reference
+    function randomParticleData(count) {
+        const stride = floatsPerParticle();
+        const data = new Float32Array(count * stride);
+        for (let i = 0; i < count; ++i) {
+            for (let a = 0; a < dimensions; a++) {
+                data[stride * i + a] = 2 * (Math.random() - 0.5);
+                data[stride * i + stride / 2 + a] = 2 * (Math.random() - 0.5) * 0.1;
+            }
+        }
+        return data;
+    }
+
+    // Uniform grid neighbor search: cells per side of [-1, 1]^2 or [-1, 1]^3. Cells are at
+    // least as wide as the largest rule distance (with some slack for f32 rounding at the
+    // borders), so a particle's neighbors are all in the 3x3 (3x3x3) cells around it.
+    const MAX_GRID_CELLS = 65536;
+    function gridDim() {
+        const reach = Math.max(simParams.rule1Distance, simParams.rule2Distance, simParams.rule3Distance);
+        const maxDim = Math.floor(MAX_GRID_CELLS ** (1 / dimensions));
+        return Math.max(1, Math.min(maxDim, Math.floor(2 / (reach * 1.001))));
+    }
+
+    // Sprite triangle
+    const spriteVertices = new Float32Array([
+      -0.01, -0.02,
+       0.01, -0.02,
+       0.00, 0.02
+    ]);
 
-        // Create pipelines
-        try {
-            renderPipeline = await createPipeline(device, {
+    // 3D mode: a cone along +y as flat-shaded triangles, position and normal per vertex,
+    // counter-clockwise seen from outside
+    function coneVertices(segments = 8, radius = 0.008, height = 0.04) {
+        const tip = [0, height / 2, 0];
+        const ring = (i) => {
+            const angle = (2 * Math.PI * i) / segments;
+            return [radius * Math.cos(angle), -height / 2, radius * Math.sin(angle)];
+        };
+        const faceNormal = ([a, b, c]) => {
+            const u = [0, 1, 2].map(k => b[k] - a[k]);
+            const v = [0, 1, 2].map(k => c[k] - a[k]);
+            const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+            const length = Math.hypot(...n);
+            return n.map(x => x / length);
+        };
+        const data = [];
+        for (let i = 0; i < segments; i++) {
+            [[tip, ring(i + 1), ring(i)], [[0, -height / 2, 0], ring(i), ring(i + 1)]].forEach((triangle) => {
+                const normal = faceNormal(triangle);
+                triangle.forEach(vertex => data.push(...vertex, ...normal));
+            });
+        }
+        return new Float32Array(data);
+    }
+    const coneData = coneVertices();
+    const coneVertexCount = coneData.length / 6;
+
+    // Obstacles, predators and attractors, uploaded to their storage buffers when edited
+    const environment = new Environment();
+    const ENVIRONMENT_STRUCTS = { obstacles: 'Obstacles', predators: 'Predators', attractors: 'Attractors' };
+
+    // Everything on the device is described here, so it can be rebuilt after a device loss.
+    // The particle buffers are snapshotted now and then and restored from the CPU copy.
+    let numParticles = 1500;
+    let initialParticles = randomParticleData(numParticles);
+    let workgroupSize = 64;
+    const simParamsLayout = (resources) => getStructLayout(
+        getPipelineReflection(resources.get('compute')).compute, 'SimParams', { addressSpace: 'uniform' });
+    const gridParamsLayout = (resources) => getStructLayout(
+        getPipelineReflection(resources.get('gridUpdate')).compute, 'GridParams', { addressSpace: 'uniform' });
+    const environmentLayout = (resources, name) => getStructLayout(
+        getPipelineReflection(resources.get('compute')).compute, ENVIRONMENT_STRUCTS[name]);
+    // The grid passes of boids_grid.wgsl, pipeline name -> entry point; the sort runs between
+    // assignCells and buildCellTable
+    const gridPasses = { gridAssign: 'assignCells', gridTable: 'buildCellTable', gridUpdate: 'update' };
+    const resources = new ResourceRegistry()
+        .pipeline('compute', (device) => createPipeline(device, {
+            type: 'compute',
+            shaderPath: './boids_update.wgsl',
+            defines: { WORKGROUP_SIZE: workgroupSize, DIMENSIONS: dimensions }
+        }))
+        // Particle state (pos, vel) is per instance, laid out as the compute shader's
+        // Particle; the sprite triangle or the cone is per vertex
+        .pipeline('render', (device, r) => {
+            const particle = getStructLayout(getPipelineReflection(r.get('compute')).compute, 'Particle');
+            const offset = name => particle.members.find(member => member.name === name).offset;
+            const instances = {
+                stepMode: 'instance',
+                arrayStride: particle.size,
+                attributes: [
+                    { name: 'a_particlePos', offset: offset('pos') },
+                    { name: 'a_particleVel', offset: offset('vel') }
+                ]
+            };
+            return createPipeline(device, dimensions === 3 ? {
+                type: 'render',
+                shaderPath: './boids_mesh.wgsl',
+                presentationFormat: app.format,
+                vertexBuffers: [instances, { stepMode: 'vertex', attributes: ['a_pos', 'a_normal'] }],
+                primitive: { topology: 'triangle-list', cullMode: 'back' },
+                depthStencil: { format: DEPTH_FORMAT, depthWriteEnabled: true, depthCompare: 'less' }
+            } : {
                 type: 'render',
                 shaderPath: './boids_sprite.wgsl',
-                presentationFormat
+                presentationFormat: app.format,
+                vertexBuffers: [instances, { stepMode: 'vertex', attributes: ['a_pos'] }]
             });
+        })
+        // The environment, drawn over the particles from its storage buffers
+        .pipeline('environment', (device) => createPipeline(device, {
+            type: 'render',
+            shaderPath: './boids_environment.wgsl',
+            presentationFormat: app.format,
+            defines: { DIMENSIONS: dimensions },
+            depthStencil: dimensions === 3
+                ? { format: DEPTH_FORMAT, depthWriteEnabled: true, depthCompare: 'less' }
+                : undefined
+        }));
+    Object.entries(gridPasses).forEach(([name, entryPoint]) => resources.pipeline(name, (device) => createPipeline(device, {
+        type: 'compute',
+        shaderPath: './boids_grid.wgsl',
+        compute: { entryPoint },
+        defines: { WORKGROUP_SIZE: workgroupSize, DIMENSIONS: dimensions }
+    })));
+    resources
+        .buffer('cone', {
+            label: 'cone vertices',
+            usage: GPUBufferUsage.VERTEX,
+            contents: coneData
+        })
+        // Camera of boids_mesh.wgsl and boids_environment.wgsl (viewProjection, right, up),
+        // written every 3D frame
+        .buffer('camera', {
+            size: 96,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        })
+        .buffer('sprite', {
+            label: 'sprite vertices',
+            size: spriteVertices.byteLength,
+            usage: GPUBufferUsage.VERTEX,
+            contents: spriteVertices
+        })
+        // Uniform buffer for the simulation parameters, laid out from the SimParams struct
+        // in the compute shader, members matched by name
+        .buffer('simParams', {
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            contents: (r) => serialize(simParamsLayout(r), simParams)
+        })
+        .buffer('gridParams', {
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            contents: (r) => serialize(gridParamsLayout(r), { dim: gridDim() })
+        });
+    // Environment lists, sized for their capacity
+    Object.keys(ENVIRONMENT_STRUCTS).forEach(name => resources.buffer(name, {
+        size: (r) => sizeOf(environmentLayout(r, name), { count: 0, items: new Array(environment.capacity[name]) }),
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        contents: (r) => serialize(environmentLayout(r, name), environment.lists()[name])
+    }));
+    const environmentBuffers = r => Object.fromEntries(Object.keys(ENVIRONMENT_STRUCTS).map(name => [name, r.get(name)]));
+    [0, 1].forEach((i) => resources.buffer(`particles${i}`, {
+        label: `particles ${i}`,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+        contents: () => initialParticles,
+        snapshot: true
+    }));
+    // Grid scratch, sized by the particle count: cell keys and particle indices (sorted
+    // together), and the particles in sorted order. The cell table is sized for the finest grid.
+    const particleCount = () => initialParticles.length / floatsPerParticle();
+    resources
+        .buffer('cellKeys', {
+            size: () => particleCount() * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+        })
+        .buffer('particleIds', {
+            size: () => particleCount() * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+        })
+        .buffer('sortedParticles', {
+            size: () => initialParticles.byteLength,
+            usage: GPUBufferUsage.STORAGE
+        })
+        .buffer('cellStart', {
+            size: MAX_GRID_CELLS * 4,
+            usage: GPUBufferUsage.STORAGE
+        })
+        .buffer('cellEnd', {
+            size: MAX_GRID_CELLS * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        })
+        // Output of the brute-force kernel when it checks the grid
+        .buffer('particlesCheck', {
+            label: 'particles check',
+            size: () => initialParticles.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+    // Ping-pong bind groups for the compute shader (A -> B, then B -> A)
+    resources.bindGroup('particles', (device, r) => createPingPongBindGroups(device, r.get('compute'), 0, {
+        params:     r.get('simParams'),
+        particlesA: r.get('particles0'),
+        particlesB: r.get('particles1'),
+        ...environmentBuffers(r)
+    }, [['particlesA', 'particlesB']], { label: 'particles' }));
+    // The brute-force kernel from either particle buffer into particlesCheck
+    resources.bindGroup('check', (device, r) => [0, 1].map(i => createBindGroup(device, r.get('compute'), 0, {
+        params:     r.get('simParams'),
+        particlesA: r.get(`particles${i}`),
+        particlesB: r.get('particlesCheck'),
+        ...environmentBuffers(r)
+    }, { label: `check [${i}]` })));
+    // Ping-pong bind groups per grid pass. Each binds only what its entry point uses, as
+    // nothing else is part of an 'auto' layout.
+    Object.keys(gridPasses).forEach(name => resources.bindGroup(`${name}BindGroups`, (device, r) => [0, 1].map((i) => {
+        const all = {
+            params:          r.get('simParams'),
+            particlesA:      r.get(`particles${i}`),
+            particlesB:      r.get(`particles${1 - i}`),
+            grid:            r.get('gridParams'),
+            cellKeys:        r.get('cellKeys'),
+            particleIds:     r.get('particleIds'),
+            cellStart:       r.get('cellStart'),
+            cellEnd:         r.get('cellEnd'),
+            sortedParticles: r.get('sortedParticles'),
+            ...environmentBuffers(r)
+        };
+        const used = getPipelineBindings(r.get(name)).map(binding => binding.name);
+        return createBindGroup(device, r.get(name), 0,
+            Object.fromEntries(used.map(binding => [binding, all[binding]])), { label: `${name} [${i}]` });
+    })));
+    const gridBindGroups = Object.keys(gridPasses).map(name => `${name}BindGroups`);
+    // The 2D sprite pipeline has no bindings
+    resources.bindGroup('cameraBindGroup', (device, r) => (dimensions === 3
+        ? createBindGroup(device, r.get('render'), 0, { camera: r.get('camera') }, { label: 'camera' })
+        : null));
+    resources.bindGroup('environmentBindGroup', (device, r) => createBindGroup(device, r.get('environment'), 0, {
+        ...environmentBuffers(r),
+        ...(dimensions === 3 ? { camera: r.get('camera') } : {})
+    }, { label: 'environment' }));
+    // Sorts the cell keys with the particle indices as values, prepared for the particle count
+    resources.resource('sorter', async (device) => {
+        const sorter = new GpuSorter(device, { values: true });
+        await sorter.prepare(particleCount());
+        return sorter;
+    });
 
-            computePipeline = await createPipeline(device, {
-                type: 'compute',
-                shaderPath: './boids_update.wgsl'
-            });
-        } catch (error) {
-            handleCriticalError(error);
-            return;
-        }
+    // Index of the ping-pong buffer holding the current state
+    let t = 0;
+
+    // Runs once the device and the resources exist; returns the per-frame callbacks
+    function setup(app) {
+        console.log(`Sprite vertex buffer created with size: ${resources.get('sprite').size} bytes`);
 
         // Get and validate render pipeline buffers
-        const renderBuffers = getPipelineBuffers(renderPipeline);
-        validateBuffers(renderBuffers);
-
-        // Create render pass descriptor
-        const renderPassDescriptor = {
-            colorAttachments: [{
-                view: undefined, // Assigned later
-                loadOp: 'clear', storeOp: 'store', clearValue: { r: 0, g: 0, b: 0, a: 1 }
-            }],
-            // Use validated render buffers
-            vertexBuffers: renderBuffers
-        };
+        validateBuffers(getPipelineBuffers(resources.get('render')));
 
-        // Create sprite vertex buffer
-        const spriteVertices = new Float32Array([
-          -0.01, -0.02, 
-           0.01, -0.02,
-           0.00, 0.02
-        ]);
-        
-        // Create buffer with proper stride-aligned size (512 bytes stride * 3 vertices)
-        spriteVertexBuffer = device.createBuffer({
-          size: 512 * 3, // 1536 bytes total
-          usage: GPUBufferUsage.VERTEX,
-          mappedAtCreation: true
-        });
-        
-        // Only fill the first 24 bytes with actual vertex data
-        new Float32Array(spriteVertexBuffer.getMappedRange()).set(spriteVertices, 0);
-        spriteVertexBuffer.unmap();
-        
-        console.log(`Sprite vertex buffer created with size: ${spriteVertexBuffer.size} bytes`);
-
-        // Simulation parameters - could be moved to a config object
-        const simParams = {
-            deltaT:        0.04,
-            rule1Distance: 0.1,
-            rule2Distance: 0.025,
-            rule3Distance: 0.025,
-            rule1Scale:    0.02,
-            rule2Scale:    0.05,
-            rule3Scale:    0.005
+        // The grid follows the rule distances
+        const writeSimParams = () => {
+            app.device.queue.writeBuffer(resources.get('simParams'), 0, serialize(simParamsLayout(resources), simParams));
+            app.device.queue.writeBuffer(resources.get('gridParams'), 0, serialize(gridParamsLayout(resources), { dim: gridDim() }));
         };
 
-        // Create uniform buffer for simulation parameters
-        const simParamBufferSize = 7 * Float32Array.BYTES_PER_ELEMENT;
-        simParamBuffer = device.createBuffer({
-            size: simParamBufferSize,
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-        });
-        device.queue.writeBuffer(simParamBuffer, 0, new Float32Array(Object.values(simParams)));
-
-        // Initialize particle data (pos.xy, vel.xy) per reference
-        const numParticles = 1500;
-        const initialParticleData = new Float32Array(numParticles * 4);
-        for (let i = 0; i < numParticles; ++i) {
-            initialParticleData[4 * i + 0] = 2 * (Math.random() - 0.5);
-            initialParticleData[4 * i + 1] = 2 * (Math.random() - 0.5);
-            initialParticleData[4 * i + 2] = 2 * (Math.random() - 0.5) * 0.1;
-            initialParticleData[4 * i + 3] = 2 * (Math.random() - 0.5) * 0.1;
+        // Steps and draws are skipped during a rebuild: recreate() replaces resources one at a
+        // time, so buffers, pipelines and the bind groups made for them are briefly out of step
+        let rebuilding = false;
+
+        // (Re)create the double-buffered particle storage, the grid scratch sized by it and
+        // their bind groups. Old buffers are destroyed once the GPU has finished the frames
+        // still using them.
+        async function allocateParticles(count) {
+            initialParticles = randomParticleData(count);
+            rebuilding = true;
+            try {
+                await resources.recreate('particles0', 'particles1', 'cellKeys', 'particleIds', 'sortedParticles',
+                    'particlesCheck', 'particles', 'check', ...gridBindGroups, 'sorter');
+                numParticles = count;
+            } finally {
+                rebuilding = false;
+            }
+            console.log('Particle buffers created:', { numParticles, size: resources.get('particles0').size });
+        }
+
+        // Rebuild the compute pipelines and their bind groups for another workgroup size
+        async function setWorkgroupSize(size) {
+            const previous = workgroupSize;
+            workgroupSize = size;
+            rebuilding = true;
+            try {
+                await resources.recreate('compute', ...Object.keys(gridPasses), 'particles', 'check', ...gridBindGroups);
+            } catch (error) {
+                workgroupSize = previous;
+                throw error;
+            } finally {
+                rebuilding = false;
+            }
         }
-        // Create double-buffered storage
-        const bufferSize = initialParticleData.byteLength;
-        particleBuffers = [0,1].map(() => {
-            const buf = device.createBuffer({
-                size: bufferSize,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
-                mappedAtCreation: true
+
+        // Switch between 2D and 3D: everything laid out per Particle is rebuilt, and the
+        // particles start over
+        async function setDimensions(count) {
+            if (count === dimensions) return;
+            dimensions = count;
+            initialParticles = randomParticleData(numParticles);
+            rebuilding = true;
+            try {
+                await resources.recreate('compute', 'render', ...Object.keys(gridPasses), 'particles0', 'particles1',
+                    'sortedParticles', 'particlesCheck', 'particles', 'check', ...gridBindGroups, 'cameraBindGroup',
+                    'environment', 'environmentBindGroup');
+                app.depthFormat = dimensions === 3 ? DEPTH_FORMAT : null;
+                camera.enabled = dimensions === 3;
+                toolController.name(toolName());
+                overlay.select(dimensions === 3 ? 'particles 3D' : 'particles');
+                writeSimParams();
+            } finally {
+                rebuilding = false;
+            }
+            console.log(`[Boids] ${dimensions}D mode`);
+        }
+
+        // Upload the environment lists after edits. The buffers were created with the lists
+        // as they were then. `uploadedEnvironment` is what the GPU steps with.
+        let uploadedVersion = environment.version;
+        let uploadedEnvironment = environment.lists();
+        function uploadEnvironment() {
+            if (environment.version === uploadedVersion) return;
+            uploadedEnvironment = environment.lists();
+            Object.keys(ENVIRONMENT_STRUCTS).forEach(name => app.device.queue.writeBuffer(
+                resources.get(name), 0, serialize(environmentLayout(resources, name), uploadedEnvironment[name])));
+            uploadedVersion = environment.version;
+        }
+
+        // Workgroups covering every particle, from the pipeline's own workgroup size
+        function workgroupsFor(pipeline, entryPoint) {
+            const entry = getPipelineReflection(pipeline).compute.entryPoints.find(e => e.name === entryPoint);
+            return Math.ceil(numParticles / entry.workgroupSize[0]);
+        }
+
+        // One brute-force step through `bindGroup`, timed as pass `name`
+        function encodeBruteForce(commandEncoder, bindGroup, name) {
+            const computePipeline = resources.get('compute');
+            const passEncoder = app.beginComputePass(commandEncoder, name);
+            passEncoder.setPipeline(computePipeline);
+            passEncoder.setBindGroup(0, bindGroup);
+            passEncoder.dispatchWorkgroups(workgroupsFor(computePipeline, 'main'));
+            passEncoder.end();
+        }
+
+        // One grid step from particles[from]: assign cells, sort by cell, build the cell
+        // table, query the 3x3 cells
+        function encodeGridStep(commandEncoder, from) {
+            const dispatch = (passEncoder, name) => {
+                passEncoder.setPipeline(resources.get(name));
+                passEncoder.setBindGroup(0, resources.get(`${name}BindGroups`)[from]);
+                passEncoder.dispatchWorkgroups(workgroupsFor(resources.get(name), gridPasses[name]));
+            };
+            let passEncoder = app.beginComputePass(commandEncoder, 'grid assign');
+            dispatch(passEncoder, 'gridAssign');
+            passEncoder.end();
+
+            resources.get('sorter').encode(commandEncoder, resources.get('cellKeys'), {
+                count: numParticles,
+                values: resources.get('particleIds'),
+                beginComputePass: descriptor => app.beginComputePass(commandEncoder, 'grid sort', descriptor)
             });
-            new Float32Array(buf.getMappedRange()).set(initialParticleData);
-            buf.unmap();
-            return buf;
+
+            const cells = gridDim() ** dimensions;
+            commandEncoder.clearBuffer(resources.get('cellEnd'), 0, cells * 4);
+            passEncoder = app.beginComputePass(commandEncoder, 'update');
+            dispatch(passEncoder, 'gridTable');
+            dispatch(passEncoder, 'gridUpdate');
+            passEncoder.end();
+        }
+
+        // Re-seed the current buffers without reallocating
+        function randomizeParticles() {
+            const data = randomParticleData(numParticles);
+            [0, 1].forEach(i => app.device.queue.writeBuffer(resources.get(`particles${i}`), 0, data));
+        }
+
+        // 3D view: drag to orbit, shift+drag to pan, wheel to zoom, WASD/QE to fly
+        const camera = new OrbitCamera(app.canvas, { distance: 3.5 });
+        camera.enabled = dimensions === 3;
+
+        // Environment tools on the canvas: plain clicks in 2D, ctrl+clicks in 3D where the
+        // other ones move the camera. 3D points are on the plane through the camera target.
+        const editor = new EnvironmentEditor(app.canvas, environment, {
+            toSimulation: (event) => {
+                const rect = app.canvas.getBoundingClientRect();
+                const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+                const y = 1 - ((event.clientY - rect.top) / rect.height) * 2;
+                return dimensions === 3 ? camera.targetPlanePoint(x, y, app.canvasManager.aspect) : [x, y, 0];
+            },
+            accepts: event => dimensions === 2 || event.ctrlKey,
+            dimensions: () => dimensions
         });
 
-        console.log('Particle buffers created:', { size: particleBuffers[0].size });
-
-        // Create bind groups for compute shader
-        const particleBindGroups = [];
-        try {
-            for (let i = 0; i < 2; ++i) {
-                particleBindGroups.push(device.createBindGroup({
-                  layout: computePipeline.getBindGroupLayout(0),
-                  entries: [
-                    { binding: 0, resource: { buffer: simParamBuffer,               offset: 0, size: simParamBufferSize } },
-                    { binding: 1, resource: { buffer: particleBuffers[i],           offset: 0 } },
-                    { binding: 2, resource: { buffer: particleBuffers[(i + 1) % 2], offset: 0 } }
-                  ]
-                }));
+        const settings = {
+            numParticles,
+            randomize: randomizeParticles,
+            resetParams: () => {
+                Object.assign(simParams, defaultSimParams);
+                writeSimParams();
+                gui.updateDisplay();
+            },
+            step: () => app.step(),
+            mode: `${dimensions}D`,
+            neighborSearch: 'grid',
+            verify: false,
+            verifyReference: 'CPU',
+            verifyResult: '',
+            overlay: false,
+            addPredator: () => environment.addPredator(
+                [0, 1, 2].map(a => (a < dimensions ? 2 * Math.random() - 1 : 0)), dimensions),
+            clearEnvironment: () => {
+                editor.finishPolygon();
+                environment.clear();
             }
-        } catch (error) {
-            console.error('Failed to create bind groups:', {
-                error: error.message,
-                pipelineType: getPipelineType(computePipeline),
-                pipeline: computePipeline
+        };
+
+        // Live parameter panel
+        const gui = new GUI({ name: 'Boids' });
+        const simFolder = gui.addFolder('Simulation');
+        simFolder.add(settings, 'mode', ['2D', '3D'])
+            .onChange(mode => setDimensions(mode === '3D' ? 3 : 2).catch(reportError));
+        simFolder.add(simParams, 'deltaT', 0, 0.15, 0.005).onChange(writeSimParams);
+        simFolder.add(settings, 'numParticles', 64, 262144, 64)
+            .name('particle count')
+            .onFinishChange((count) => {
+                if (count !== numParticles) allocateParticles(count).catch(reportError);
             });
-            throw error;
-        }
+        simFolder.add(settings, 'neighborSearch', ['grid', 'brute force']).name('neighbor search');
+        simFolder.open();
+        const rulesFolder = gui.addFolder('Rules');
+        rulesFolder.add(simParams, 'rule1Distance', 0, 0.3, 0.005).name('cohesion distance').onChange(writeSimParams);
+        rulesFolder.add(simParams, 'rule2Distance', 0, 0.3, 0.005).name('separation distance').onChange(writeSimParams);
+        rulesFolder.add(simParams, 'rule3Distance', 0, 0.3, 0.005).name('alignment distance').onChange(writeSimParams);
+        rulesFolder.add(simParams, 'rule1Scale', 0, 0.1, 0.001).name('cohesion scale').onChange(writeSimParams);
+        rulesFolder.add(simParams, 'rule2Scale', 0, 0.1, 0.001).name('separation scale').onChange(writeSimParams);
+        rulesFolder.add(simParams, 'rule3Scale', 0, 0.1, 0.001).name('alignment scale').onChange(writeSimParams);
+        rulesFolder.open();
+        const environmentFolder = gui.addFolder('Environment');
+        environmentFolder.add(simParams, 'boundary', BOUNDARY_MODES).onChange(writeSimParams);
+        const toolName = () => (dimensions === 3 ? 'tool (ctrl+click)' : 'tool (click)');
+        const toolController = environmentFolder.add(editor, 'tool', TOOLS).name(toolName())
+            .onChange(() => editor.finishPolygon());
+        environmentFolder.add(editor, 'obstacleRadius', 0.01, 0.3, 0.01).name('circle radius');
+        environmentFolder.add(editor, 'attractorStrength', 0, 4, 0.1).name('attractor strength');
+        environmentFolder.add(settings, 'addPredator').name('add predator');
+        environmentFolder.add(settings, 'clearEnvironment').name('clear environment');
+        environmentFolder.add(simParams, 'wallDistance', 0, 0.5, 0.01).name('soft wall distance').onChange(writeSimParams);
+        environmentFolder.add(simParams, 'wallScale', 0, 0.05, 0.001).name('soft wall scale').onChange(writeSimParams);
+        environmentFolder.add(simParams, 'avoidDistance', 0, 0.5, 0.01).name('avoid distance').onChange(writeSimParams);
+        environmentFolder.add(simParams, 'avoidScale', 0, 0.05, 0.001).name('avoid scale').onChange(writeSimParams);
+        environmentFolder.add(simParams, 'fleeDistance', 0, 1, 0.01).name('flee distance').onChange(writeSimParams);
+        environmentFolder.add(simParams, 'fleeScale', 0, 0.05, 0.001).name('flee scale').onChange(writeSimParams);
+        environmentFolder.add(simParams, 'attractDistance', 0, 2, 0.01).name('attract distance').onChange(writeSimParams);
+        environmentFolder.add(simParams, 'attractScale', 0, 0.05, 0.001).name('attract scale').onChange(writeSimParams);
+        const playFolder = gui.addFolder('Playback');
+        playFolder.add(app, 'running').listen();
+        playFolder.add(settings, 'step').name('step (.)');
+        playFolder.add(app, 'fps').listen();
+        gui.add(settings, 'randomize').name('randomize particles');
+        gui.add(settings, 'resetParams').name('reset parameters');
+        const debugFolder = gui.addFolder('Debug');
+        debugFolder.add(settings, 'verify').name('check each step');
+        debugFolder.add(settings, 'verifyReference', ['CPU', 'GPU brute force']).name('check against');
+        debugFolder.add(settings, 'verifyResult').name('last result').listen();
+        debugFolder.add(settings, 'overlay').name('buffer overlay').onChange((visible) => { overlay.visible = visible; });
+        debugFolder.add(app.profilerGraph, 'visible').name('pass timings');
+
+        // Buffer inspector: the particle state being drawn this frame, heatmap by speed
+        const overlay = new DebugOverlay(app.device, { title: 'Boids' });
+        overlay.addSource('particles', {
+            buffer: () => resources.get(`particles${t % 2}`),
+            type: Float32Array,
+            columns: ['pos.x', 'pos.y', 'vel.x', 'vel.y'],
+            value: (p) => Math.hypot(p[2], p[3])
+        });
+        overlay.addSource('particles 3D', {
+            buffer: () => resources.get(`particles${t % 2}`),
+            type: Float32Array,
+            columns: ['pos.x', 'pos.y', 'pos.z', '-', 'vel.x', 'vel.y', 'vel.z', '-'],
+            value: (p) => Math.hypot(p[4], p[5], p[6])
+        });
+        if (dimensions === 3) overlay.select('particles 3D');
 
-        // Frame-rate counter
-        let lastTime = performance.now();
-        let frameCount = 0;
-        function logFPS() {
-            const now = performance.now();
-            frameCount++;
-            if (now - lastTime >= 1000) {
-                const fps = (frameCount * 1000) / (now - lastTime);
-                console.log(`FPS: ${fps.toFixed(1)}`);
-                frameCount = 0;
-                lastTime = now;
+        // Verify mode: the compute step's output is copied out and compared with a reference:
+        // the CPU step of the copied input (O(n^2) in JS, so keep to a few thousand particles)
+        // or the brute-force kernel run on the same input, which checks the grid. f32 sums
+        // differ slightly from the double precision reference and between summation orders.
+        // The padding of 3D particles is left out, as the shader's struct writes leave it undefined.
+        const VERIFY_TOLERANCE = 1e-4;
+        const COMPONENTS = {
+            2: ['pos.x', 'pos.y', 'vel.x', 'vel.y'],
+            3: ['pos.x', 'pos.y', 'pos.z', 'vel.x', 'vel.y', 'vel.z']
+        };
+        let verifyPending = false;
+        async function verifyStep(readReference, readOutput, params, dims, lists) {
+            verifyPending = true;
+            try {
+                const [reference, output] = await Promise.all([readReference(), readOutput()]);
+                const expected = params ? boidsStep(reference, params, {
+                    dimensions: dims,
+                    obstacles: lists.obstacles.items,
+                    predators: lists.predators.items,
+                    attractors: lists.attractors.items
+                }) : reference;
+                const unpadded = data => (dims === 3 ? data.filter((_, i) => i % 4 !== 3) : data);
+                const result = compareArrays(unpadded(output), unpadded(expected), { tolerance: VERIFY_TOLERANCE });
+                const names = COMPONENTS[dims];
+                settings.verifyResult = reportVerification('Boids', result,
+                    (i) => `particle ${Math.floor(i / names.length)} ${names[i % names.length]}`,
+                    { reference: params ? 'cpu' : 'brute force' });
+            } catch (error) {
+                console.error('[Verify][Boids] Readback failed:', error);
+            } finally {
+                verifyPending = false;
             }
         }
-        
-        function frame() {
-            logFPS();
-            if (!shouldContinueRendering || errorOccurred) return;
-            
-            try {
-                // Update render target view
-                renderPassDescriptor.colorAttachments[0].view = context
-                    .getCurrentTexture()
-                    .createView();
-
-                const commandEncoder = device.createCommandEncoder();
-                
-                // Compute pass
-                {
-                    const passEncoder = commandEncoder.beginComputePass();
-                    passEncoder.setPipeline(computePipeline);
-                    passEncoder.setBindGroup(0, particleBindGroups[t % 2]);
-                    passEncoder.dispatchWorkgroups(Math.ceil(numParticles / 64));
-                    passEncoder.end();
+
+        // ?bench: sweep the particle count, the workgroup size, the neighbor search and 2D/3D
+        startBenchmark(app, {
+            sample: 'computeBoids',
+            params: {
+                numParticles: {
+                    values: [1024, 4096, 16384, 65536, 262144],
+                    default: numParticles,
+                    apply: allocateParticles
+                },
+                workgroupSize: {
+                    values: [32, 64, 128, 256],
+                    default: workgroupSize,
+                    apply: setWorkgroupSize
+                },
+                neighborSearch: {
+                    values: ['brute force', 'grid'],
+                    default: settings.neighborSearch,
+                    apply: (mode) => { settings.neighborSearch = mode; }
+                },
+                dimensions: {
+                    values: [2, 3],
+                    default: dimensions,
+                    apply: setDimensions
                 }
-                
-                // Render pass
-                {
-                    const passEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
-                    passEncoder.setPipeline(renderPipeline);
-                    passEncoder.setVertexBuffer(0, particleBuffers[(t + 1) % 2]);
-                    passEncoder.setVertexBuffer(1, spriteVertexBuffer);
-                    passEncoder.draw(3, numParticles, 0, 0);
-                    passEncoder.end();
+            }
+        });
+
+        return {
+            // One simulation step: particles[t] -> particles[t + 1]
+            update(commandEncoder) {
+                if (rebuilding) return;
+                const device = app.device;
+                environment.stepPredators(simParams.deltaT, dimensions);
+                uploadEnvironment();
+                const particleBuffers = [resources.get('particles0'), resources.get('particles1')];
+                const verifying = settings.verify && !verifyPending;
+                const onGpu = settings.verifyReference === 'GPU brute force';
+                let readReference = null;
+                if (verifying && onGpu) {
+                    encodeBruteForce(commandEncoder, resources.get('check')[t % 2], 'check');
+                    readReference = encodeReadback(device, commandEncoder, resources.get('particlesCheck'), Float32Array);
+                } else if (verifying) {
+                    readReference = encodeReadback(device, commandEncoder, particleBuffers[t % 2], Float32Array);
+                }
+
+                if (settings.neighborSearch === 'grid') {
+                    encodeGridStep(commandEncoder, t % 2);
+                } else {
+                    encodeBruteForce(commandEncoder, resources.get('particles')[t % 2], 'update');
                 }
-                
-                device.queue.submit([commandEncoder.finish()]);
+
+                const readOutput = verifying
+                    ? encodeReadback(device, commandEncoder, particleBuffers[(t + 1) % 2], Float32Array)
+                    : null;
                 t++;
-                
-                if (shouldContinueRendering && !errorOccurred) {
-                    animationId = requestAnimationFrame(frame);
+                if (verifying) {
+                    const params = onGpu ? null : { ...simParams };
+                    const dims = dimensions;
+                    // Every step of a frame sees the last upload, so read it once they are submitted
+                    return () => verifyStep(readReference, readOutput, params, dims, uploadedEnvironment);
                 }
-            } catch (error) {
-                handleCriticalError(error);
-            }
-        }
+            },
 
-        let t = 0;
-        frame();
+            // Draw the current particle state
+            render(passEncoder) {
+                if (rebuilding) return;
+                uploadEnvironment();
+                passEncoder.setPipeline(resources.get('render'));
+                passEncoder.setVertexBuffer(0, resources.get(`particles${t % 2}`));
+                if (dimensions === 3) {
+                    camera.update();
+                    const { right, up } = camera.axes;
+                    const cameraData = new Float32Array(24);
+                    cameraData.set(camera.viewProjection(app.canvasManager.aspect));
+                    cameraData.set(right, 16);
+                    cameraData.set(up, 20);
+                    app.device.queue.writeBuffer(resources.get('camera'), 0, cameraData);
+                    passEncoder.setBindGroup(0, resources.get('cameraBindGroup'));
+                    passEncoder.setVertexBuffer(1, resources.get('cone'));
+                    passEncoder.draw(coneVertexCount, numParticles, 0, 0);
+                } else {
+                    passEncoder.setVertexBuffer(1, resources.get('sprite'));
+                    passEncoder.draw(3, numParticles, 0, 0);
+                }
 
-        // Cleanup on window unload
-        window.addEventListener('beforeunload', () => {
-            handleCriticalError(new Error('Application closed'));
-        });
+                // One quad per obstacle, predator and attractor
+                const items = Object.values(uploadedEnvironment).reduce((sum, list) => sum + list.count, 0);
+                if (items > 0) {
+                    passEncoder.setPipeline(resources.get('environment'));
+                    passEncoder.setBindGroup(0, resources.get('environmentBindGroup'));
+                    passEncoder.draw(6, items, 0, 0);
+                }
+            },
 
-    } catch (error) {
-        handleCriticalError(error);
+            afterSubmit() {
+                overlay.update();
+            },
+
+            onRestored(app, state) {
+                overlay.device = app.device;
+                if (state) t = state.t;
+            },
+
+            destroy() {
+                overlay.destroy();
+                camera.destroy();
+                editor.destroy();
+            }
+        };
     }
+
+    const app = new App({
+        label: 'Boids',
+        resources,
+        deviceDescriptor: {
+            requiredLimits: {
+                maxComputeWorkgroupSizeX: 256
+            },
+            defaultQueue: { label: 'default queue' }
+        },
+        profile: true,
+        depthFormat: dimensions === 3 ? DEPTH_FORMAT : null,
+        recovery: {
+            snapshotInterval: 60,
+            saveState: () => ({ t })
+        },
+        init: setup
+    });
+    await app.start();
 }
 
-init();
+init().catch(error => reportError(error, { fatal: true }));
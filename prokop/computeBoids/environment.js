@@ -0,0 +1,266 @@
+// What the boids steer around besides each other: obstacles, predators and attractors.
+// The lists are edited on the CPU and uploaded to the Obstacles, Predators and Attractors
+// storage buffers of boids_common.wgsl; `version` changes with every edit, so the sample
+// knows when to upload. Positions are [x, y, z] arrays, with z = 0 in 2D.
+//
+// Mouse tools (EnvironmentEditor):
+//   attract / repel    hold to pull / push the boids at the pointer; shift+click pins a point
+//   circle             click to place a round obstacle
+//   polygon            click the corners; clicking near the first one closes the polygon,
+//                      Escape or another tool leaves it open as a wall
+//   predator           click to release a predator
+//   erase              click an item to remove it
+
+const BOUNDARY_MODES = { 'wrap': 0, 'bounce': 1, 'soft wall': 2 };
+const TOOLS = ['attract', 'repel', 'circle', 'polygon', 'predator', 'erase'];
+
+// Predators are a little slower than the boids' top speed (0.1), so the flock can get away
+const PREDATOR_SPEED = 0.08;
+// How fast a predator's heading drifts, per unit of simulation time
+const PREDATOR_WANDER = 2;
+
+// Helpers for [x, y, z] arrays
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]) || 1;
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+// Distance from `p` to the segment a-b
+function segmentDistance(a, b, p) {
+    const ab = sub(b, a);
+    const lengthSquared = dot(ab, ab);
+    const t = lengthSquared > 0 ? Math.min(Math.max(dot(sub(p, a), ab) / lengthSquared, 0), 1) : 0;
+    return Math.hypot(...sub(p, [a[0] + ab[0] * t, a[1] + ab[1] * t, a[2] + ab[2] * t]));
+}
+
+class Environment {
+    /**
+     * @param {object} [capacity]   list sizes of the storage buffers
+     * @param {number} [capacity.obstacles=64]
+     * @param {number} [capacity.predators=16]
+     * @param {number} [capacity.attractors=16]  including the one under the pointer
+     */
+    constructor({ obstacles = 64, predators = 16, attractors = 16 } = {}) {
+        this.capacity = { obstacles, predators, attractors };
+        // { a, b, radius }: a capsule around the segment a-b, a circle when a == b
+        this.obstacles = [];
+        // { pos, heading }
+        this.predators = [];
+        // { pos, strength }: pinned points
+        this.attractors = [];
+        // { pos, strength } while the pointer pulls or pushes, or null
+        this.cursor = null;
+        this.version = 0;
+    }
+
+    __changed() {
+        this.version++;
+    }
+
+    // Helper to add to a list unless it is full
+    __add(list, item) {
+        const capacity = this.capacity[list] - (list === 'attractors' ? 1 : 0);
+        if (this[list].length >= capacity) {
+            console.warn(`[Boids] No room for more ${list} (${capacity})`);
+            return false;
+        }
+        this[list].push(item);
+        this.__changed();
+        return true;
+    }
+
+    addObstacle(a, b, radius) {
+        return this.__add('obstacles', { a: [...a], b: [...b], radius });
+    }
+
+    addCircle(center, radius) {
+        return this.addObstacle(center, center, radius);
+    }
+
+    /** Release a predator at `pos`, heading in a random direction */
+    addPredator(pos, dimensions = 2) {
+        const heading = normalize([Math.random() - 0.5, Math.random() - 0.5, dimensions === 3 ? Math.random() - 0.5 : 0]);
+        return this.__add('predators', { pos: [...pos], heading });
+    }
+
+    addAttractor(pos, strength) {
+        return this.__add('attractors', { pos: [...pos], strength });
+    }
+
+    /** Pull (strength > 0) or push at `pos`, or stop with null */
+    setCursor(pos, strength = 1) {
+        this.cursor = pos ? { pos: [...pos], strength } : null;
+        this.__changed();
+    }
+
+    /** Remove the item nearest to `point`, if it is within `reach` of its edge */
+    removeNear(point, reach) {
+        let nearest = null;
+        const consider = (list, index, distance) => {
+            if (distance <= reach && (!nearest || distance < nearest.distance)) nearest = { list, index, distance };
+        };
+        this.obstacles.forEach(({ a, b, radius }, i) => consider('obstacles', i, Math.max(segmentDistance(a, b, point) - radius, 0)));
+        this.predators.forEach(({ pos }, i) => consider('predators', i, Math.hypot(...sub(point, pos))));
+        this.attractors.forEach(({ pos }, i) => consider('attractors', i, Math.hypot(...sub(point, pos))));
+        if (!nearest) return false;
+        this[nearest.list].splice(nearest.index, 1);
+        this.__changed();
+        return true;
+    }
+
+    clear() {
+        this.obstacles = [];
+        this.predators = [];
+        this.attractors = [];
+        this.cursor = null;
+        this.__changed();
+    }
+
+    /**
+     * Move the predators by one simulation step: a heading that drifts at random, turned
+     * back at the walls of the [-1, 1] box. In 2D they stay at z = 0.
+     */
+    stepPredators(deltaT, dimensions = 2) {
+        if (!this.predators.length) return;
+        const axes = dimensions === 3 ? 3 : 2;
+        this.predators.forEach((predator) => {
+            const heading = predator.heading.map((h, a) => (a < axes ? h + (Math.random() - 0.5) * PREDATOR_WANDER * deltaT : 0));
+            predator.heading = normalize(heading);
+            for (let a = 0; a < 3; a++) {
+                predator.pos[a] = a < axes ? predator.pos[a] + predator.heading[a] * PREDATOR_SPEED * deltaT : 0;
+                if (Math.abs(predator.pos[a]) > 1) {
+                    predator.pos[a] = Math.sign(predator.pos[a]);
+                    predator.heading[a] = -predator.heading[a];
+                }
+            }
+        });
+        this.__changed();
+    }
+
+    /**
+     * The lists as the storage buffers hold them, { count, items } per struct, for
+     * serialize() and the CPU reference
+     */
+    lists() {
+        const list = items => ({ count: items.length, items });
+        const attractors = this.cursor ? [...this.attractors, this.cursor] : this.attractors;
+        return {
+            obstacles: list(this.obstacles.map(({ a, b, radius }) => ({ a: [...a], radius, b: [...b] }))),
+            predators: list(this.predators.map(({ pos }) => ({ pos: [...pos] }))),
+            attractors: list(attractors.map(({ pos, strength }) => ({ pos: [...pos], strength })))
+        };
+    }
+}
+
+class EnvironmentEditor {
+    /**
+     * @param {HTMLElement} element       receives the pointer input
+     * @param {Environment} environment
+     * @param {object} options
+     * @param {function} options.toSimulation   pointer event -> [x, y, z] in simulation space
+     * @param {function} [options.accepts]      whether a press is for the editor; the others
+     *                                          reach the element's other listeners, e.g. a camera
+     * @param {function} [options.dimensions]   current dimension count, for new predators
+     */
+    constructor(element, environment, { toSimulation, accepts = () => true, dimensions = () => 2 }) {
+        this.element = element;
+        this.environment = environment;
+        this.toSimulation = toSimulation;
+        this.accepts = accepts;
+        this.dimensions = dimensions;
+        this.tool = 'attract';
+        this.obstacleRadius = 0.08;
+        this.wallThickness = 0.01;
+        this.attractorStrength = 1;
+        this.__polygon = null; // { first, last } corners while a polygon is drawn
+        this.__dragging = false;
+        this.__listeners = [];
+
+        // Capture phase, so a handled press can be kept from the element's own listeners
+        this.__listen(element, 'pointerdown', (event) => {
+            if (event.button !== 0 || !this.accepts(event)) return;
+            event.stopImmediatePropagation();
+            this.__press(this.toSimulation(event), event);
+        }, { capture: true });
+        this.__listen(element, 'pointermove', (event) => {
+            if (this.__dragging) this.environment.setCursor(this.toSimulation(event), this.environment.cursor.strength);
+        });
+        const release = () => {
+            if (!this.__dragging) return;
+            this.__dragging = false;
+            this.environment.setCursor(null);
+        };
+        this.__listen(element, 'pointerup', release);
+        this.__listen(element, 'pointercancel', release);
+        this.__listen(window, 'keydown', (event) => {
+            if (event.key === 'Escape') this.finishPolygon();
+        });
+    }
+
+    __listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        this.__listeners.push([target, type, listener, options]);
+    }
+
+    __press(point, event) {
+        const { environment } = this;
+        if (this.tool !== 'polygon') this.finishPolygon();
+        switch (this.tool) {
+            case 'attract':
+            case 'repel': {
+                const strength = this.tool === 'attract' ? this.attractorStrength : -this.attractorStrength;
+                if (event.shiftKey) {
+                    environment.addAttractor(point, strength);
+                } else {
+                    environment.setCursor(point, strength);
+                    this.__dragging = true;
+                    this.element.setPointerCapture?.(event.pointerId);
+                }
+                break;
+            }
+            case 'circle':
+                environment.addCircle(point, this.obstacleRadius);
+                break;
+            case 'polygon':
+                this.__addCorner(point);
+                break;
+            case 'predator':
+                environment.addPredator(point, this.dimensions());
+                break;
+            case 'erase':
+                environment.removeNear(point, 0.03);
+                break;
+            default:
+                throw new Error(`Unknown environment tool '${this.tool}' (${TOOLS.join(', ')})`);
+        }
+    }
+
+    // Each corner after the first adds the edge to it; one near the first corner closes
+    // the polygon
+    __addCorner(point) {
+        const polygon = this.__polygon;
+        if (!polygon) {
+            this.__polygon = { first: point, last: point };
+            return;
+        }
+        const closing = polygon.last !== polygon.first && Math.hypot(...sub(point, polygon.first)) < 0.04;
+        const corner = closing ? polygon.first : point;
+        this.environment.addObstacle(polygon.last, corner, this.wallThickness);
+        polygon.last = corner;
+        if (closing) this.finishPolygon();
+    }
+
+    /** Stop adding edges to the polygon being drawn */
+    finishPolygon() {
+        this.__polygon = null;
+    }
+
+    destroy() {
+        this.__listeners.forEach(([target, type, listener, options]) => target.removeEventListener(type, listener, options));
+        this.__listeners = [];
+    }
+}
+
+export { Environment, EnvironmentEditor, BOUNDARY_MODES, TOOLS };
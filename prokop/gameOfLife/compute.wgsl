@@ -1,6 +1,13 @@
 @binding(0) @group(0) var<storage, read> size: vec2u;
 @binding(1) @group(0) var<storage, read> current: array<u32>;
 @binding(2) @group(0) var<storage, read_write> next: array<u32>;
+@binding(3) @group(0) var<uniform> rule: Rule;
+
+// Life-like rule as bitmasks: bit n set means "n live neighbours" triggers birth/survival
+struct Rule {
+  birth: u32,
+  survive: u32,
+}
 
 override blockSize = 8;
 
@@ -15,16 +22,27 @@ fn getCell(x: u32, y: u32) -> u32 {
   return current[getIndex(x, y)];
 }
 
+// Neighbour coordinates wrap around the edges (torus); x - 1 is written as x + w - 1
+// so it does not underflow for grid sizes that do not divide 2^32
 fn countNeighbors(x: u32, y: u32) -> u32 {
-  return getCell(x - 1, y - 1) + getCell(x, y - 1) + getCell(x + 1, y - 1) + 
-         getCell(x - 1, y) +                         getCell(x + 1, y) + 
-         getCell(x - 1, y + 1) + getCell(x, y + 1) + getCell(x + 1, y + 1);
+  let xl = x + size.x - 1;
+  let xr = x + 1;
+  let yd = y + size.y - 1;
+  let yu = y + 1;
+  return getCell(xl, yd) + getCell(x, yd) + getCell(xr, yd) + 
+         getCell(xl, y) +                   getCell(xr, y) + 
+         getCell(xl, yu) + getCell(x, yu) + getCell(xr, yu);
 }
 
 @compute @workgroup_size(blockSize, blockSize)
 fn main(@builtin(global_invocation_id) grid: vec3u) {
   let x = grid.x;
   let y = grid.y;
+  // Grids that are not a multiple of blockSize leave part of the last workgroups idle
+  if (x >= size.x || y >= size.y) {
+    return;
+  }
   let n = countNeighbors(x, y);
-  next[getIndex(x, y)] = select(u32(n == 3u), u32(n == 2u || n == 3u), getCell(x, y) == 1u); 
+  let mask = select(rule.birth, rule.survive, getCell(x, y) == 1u);
+  next[getIndex(x, y)] = (mask >> n) & 1u;
 } 
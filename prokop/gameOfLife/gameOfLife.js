@@ -1,222 +1,516 @@
-import { quitIfAdapterNotAvailable, quitIfWebGPUNotAvailable, loadShaderFromFile } from '../common/webgpu-utils.js';
+import {
+    createPipeline,
+    createBindGroup,
+    createPingPongBindGroups,
+    getPipelineReflection,
+    readBuffer
+} from '../common/webgpu-utils.js';
+import { getStructLayout, serialize } from '../common/struct-layout.js';
+import GUI from '../common/gui-library.js';
+import { NAMED_RULES, parseRule, formatRule } from './rules.js';
+import { parsePattern, patternSegments, formatRLE, formatCells, extractPattern } from './patterns.js';
+import { lifeStep, compareArrays, encodeReadback, reportVerification } from '../common/verify.js';
+import { DebugOverlay } from '../common/debug-overlay.js';
+import { reportError } from '../common/error-reporter.js';
+import { App } from '../common/app.js';
+import { startBenchmark } from '../common/bench.js';
+
+// Upper bound of generations computed per animation frame, so a long stall
+// (e.g. a background tab) does not trigger thousands of dispatches at once
+const MAX_STEPS_PER_FRAME = 32;
+
+// NDC half-extent of a width x height grid of square cells fitted into the canvas, as in vert.wgsl
+function gridScale(width, height, canvas) {
+    const cellSize = Math.min(canvas.width / width, canvas.height / height);
+    return [width * cellSize / canvas.width, height * cellSize / canvas.height];
+}
+
+/**
+ * Map a pointer position to the cell under it.
+ * Inverse of the placement in vert.wgsl: cell (col, row) covers
+ *   x_ndc in [(col / w - 0.5), ((col + 1) / w - 0.5)] * 2 * scale.x
+ * and likewise for y with row 0 at the bottom of the canvas.
+ */
+function canvasToCell(canvas, clientX, clientY, width, height) {
+    const rect = canvas.getBoundingClientRect();
+    const ndcX = ((clientX - rect.left) / rect.width) * 2 - 1;
+    const ndcY = 1 - ((clientY - rect.top) / rect.height) * 2;
+    const [scaleX, scaleY] = gridScale(width, height, canvas);
+    const col = Math.floor((ndcX / (2 * scaleX) + 0.5) * width);
+    const row = Math.floor((ndcY / (2 * scaleY) + 0.5) * height);
+    if (col < 0 || row < 0 || col >= width || row >= height) {
+        return null;
+    }
+    return { col, row, index: row * width + col };
+}
+
+// Offer text as a file download
+function downloadText(text, fileName) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
 
 /**
  * Minimal WebGPU implementation of Conway's Game of Life
+ * (any life-like B/S rule, configurable grid, pause/step, mouse painting
+ * and RLE / .cells pattern import and export).
+ * Runs once the App has a device; returns the per-frame callbacks.
  */
-async function init() {
-    try {
-        // Get the canvas element
-        const canvas = document.querySelector('canvas');
-
-        // Request WebGPU adapter and device
-        const adapter = await navigator.gpu?.requestAdapter();
-        quitIfAdapterNotAvailable(adapter);
-        const device = await adapter.requestDevice();
-        quitIfWebGPUNotAvailable(adapter, device);
-
-        // Configure WebGPU context
-        const context = canvas.getContext('webgpu');
-        const devicePixelRatio = window.devicePixelRatio;
-        canvas.width = canvas.clientWidth * devicePixelRatio;
-        canvas.height = canvas.clientHeight * devicePixelRatio;
-
-        const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
-        context.configure({
-            device,
-            format: presentationFormat
+async function setup(app) {
+    const { device, canvas, format: presentationFormat } = app;
+
+    // Create bind group layout for compute shader
+    const computeBindGroupLayout = device.createBindGroupLayout({
+        entries: [
+            {
+                binding: 0,
+                visibility: GPUShaderStage.COMPUTE,
+                buffer: { type: 'read-only-storage' }
+            },
+            {
+                binding: 1,
+                visibility: GPUShaderStage.COMPUTE,
+                buffer: { type: 'read-only-storage' }
+            },
+            {
+                binding: 2,
+                visibility: GPUShaderStage.COMPUTE,
+                buffer: { type: 'storage' }
+            },
+            {
+                binding: 3,
+                visibility: GPUShaderStage.COMPUTE,
+                buffer: { type: 'uniform' }
+            }
+        ]
+    });
+
+    // Create compute pipeline for Game of Life rules. `constants` can override blockSize;
+    // the explicit layout keeps the bind groups valid across such pipelines.
+    function createComputePipeline(constants) {
+        return createPipeline(device, {
+            compute: { path: './compute.wgsl', entryPoint: 'main', constants },
+            bindGroupLayouts: [computeBindGroupLayout],
+            label: 'gameOfLife'
         });
+    }
+    let computePipeline = await createComputePipeline();
+    const computeReflection = getPipelineReflection(computePipeline).compute;
+    let [blockX, blockY] = computeReflection.entryPoints[0].workgroupSize;
 
-        // Create bind group layout for compute shader
-        const computeBindGroupLayout = device.createBindGroupLayout({
-            entries: [
-                {
-                    binding: 0,
-                    visibility: GPUShaderStage.COMPUTE,
-                    buffer: { type: 'read-only-storage' }
-                },
-                {
-                    binding: 1,
-                    visibility: GPUShaderStage.COMPUTE,
-                    buffer: { type: 'read-only-storage' }
-                },
-                {
-                    binding: 2,
-                    visibility: GPUShaderStage.COMPUTE,
-                    buffer: { type: 'storage' }
-                }
+    // Switch to blockSize x blockSize workgroups. The reflection shows the shader's default,
+    // not the override, so the block size is tracked here.
+    async function setBlockSize(blockSize) {
+        computePipeline = await createComputePipeline({ blockSize });
+        blockX = blockY = blockSize;
+    }
+
+    const settings = {
+        width: 64,
+        height: 64,
+        rule: 'B3/S23',
+        preset: 'Conway',
+        density: 0.3,
+        step: () => app.step(),
+        randomize: () => resizeGrid(settings.width, settings.height, randomCells(settings.density)),
+        clear: () => resizeGrid(settings.width, settings.height, null),
+        patternX: 0,
+        patternY: 0,
+        loadPattern: () => fileInput.click(),
+        saveRLE: () => exportPattern('rle'),
+        saveCells: () => exportPattern('cells'),
+        verify: false,
+        verifyResult: '',
+        overlay: false
+    };
+
+    // Create render bind group layout
+    const renderBindGroupLayout = device.createBindGroupLayout({
+        entries: [{
+            binding: 0,
+            visibility: GPUShaderStage.VERTEX,
+            buffer: { type: 'uniform' }
+        }]
+    });
+
+    // Create render pipeline
+    // Instance buffer (cell states) then vertex buffer (square positions)
+    const renderPipeline = await createPipeline(device, {
+        vertex: {
+            path: './vert.wgsl',
+            entryPoint: 'main',
+            buffers: [
+                { stepMode: 'instance', attributes: ['cell'] },
+                { stepMode: 'vertex', attributes: ['pos'] }
             ]
-        });
+        },
+        fragment: { path: './frag.wgsl', entryPoint: 'main' },
+        presentationFormat,
+        primitive: { topology: 'triangle-strip' },
+        bindGroupLayouts: [renderBindGroupLayout],
+        label: 'gameOfLife'
+    });
 
-        // Create compute pipeline for Game of Life rules
-        const computePipeline = device.createComputePipeline({
-            layout: device.createPipelineLayout({
-                bindGroupLayouts: [computeBindGroupLayout]
-            }),
-            compute: {
-                module: device.createShaderModule({
-                    code: await loadShaderFromFile('./compute.wgsl')
-                }),
-                entryPoint: 'main'
-            }
-        });
+    // View uniform: grid size in cells and canvas size in pixels, laid out from the View struct
+    const viewLayout = getStructLayout(getPipelineReflection(renderPipeline).vertex, 'View', { addressSpace: 'uniform' });
+    const viewBuffer = device.createBuffer({
+        size: viewLayout.size,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    function writeView() {
+        device.queue.writeBuffer(viewBuffer, 0, serialize(viewLayout, {
+            grid: [grid.width, grid.height],
+            canvas: [canvas.width, canvas.height]
+        }));
+    }
+
+    // Rule buffer: birth/survive bitmasks, laid out from the Rule struct
+    const ruleLayout = getStructLayout(computeReflection, 'Rule', { addressSpace: 'uniform' });
+    const ruleBuffer = device.createBuffer({
+        size: ruleLayout.size,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    let activeRule = null;
+    function writeRule(rule) {
+        const masks = parseRule(rule);
+        device.queue.writeBuffer(ruleBuffer, 0, serialize(ruleLayout, masks));
+        activeRule = masks;
+    }
+    writeRule(settings.rule);
+
+    // Create buffer for grid size
+    const sizeBuffer = device.createBuffer({
+        size: 8,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+    });
 
-        // Initialize game state (random starting pattern)
-        const gridSize = 64;
-        const cellData = new Uint32Array(gridSize * gridSize);
+    // Random starting pattern
+    function randomCells(density) {
+        const cellData = new Uint32Array(settings.width * settings.height);
         for (let i = 0; i < cellData.length; ++i) {
-            cellData[i] = Math.random() > 0.7 ? 1 : 0;
+            cellData[i] = Math.random() < density ? 1 : 0;
         }
+        return cellData;
+    }
 
-        // Create double-buffered storage for cell states
-        const cellBuffers = [
-            device.createBuffer({
-                size: cellData.byteLength,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-                mappedAtCreation: true
-            }),
-            device.createBuffer({
-                size: cellData.byteLength,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
-            })
-        ];
-        new Uint32Array(cellBuffers[0].getMappedRange()).set(cellData);
-        cellBuffers[0].unmap();
-
-        // Create buffer for grid size
-        const sizeBuffer = device.createBuffer({
-            size: 8,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-        });
-        device.queue.writeBuffer(sizeBuffer, 0, new Uint32Array([gridSize, gridSize]));
-
-        // Create bind groups for compute shader
-        const bindGroups = [
-            device.createBindGroup({
-                layout: computeBindGroupLayout,
-                entries: [
-                    { binding: 0, resource: { buffer: sizeBuffer } },
-                    { binding: 1, resource: { buffer: cellBuffers[0] } },
-                    { binding: 2, resource: { buffer: cellBuffers[1] } }
-                ]
-            }),
-            device.createBindGroup({
-                layout: computeBindGroupLayout,
-                entries: [
-                    { binding: 0, resource: { buffer: sizeBuffer } },
-                    { binding: 1, resource: { buffer: cellBuffers[1] } },
-                    { binding: 2, resource: { buffer: cellBuffers[0] } }
-                ]
-            })
-        ];
-
-        // Create uniform buffer for grid size
-        const uniformBuffer = device.createBuffer({
-            size: 8,
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-            mappedAtCreation: true
-        });
-        new Uint32Array(uniformBuffer.getMappedRange()).set([gridSize, gridSize]);
-        uniformBuffer.unmap();
+    // Double-buffered storage for cell states, recreated when the grid size changes.
+    // `grid` is the allocated size; settings.width/height may be mid-edit in the GUI.
+    const grid = { width: 0, height: 0 };
+    let cellBuffers = null;
+    let bindGroups = [];
+    let step = 0;
+    function resizeGrid(width, height, cellData) {
+        const oldBuffers = cellBuffers;
+        const byteLength = width * height * Uint32Array.BYTES_PER_ELEMENT;
+        cellBuffers = [0, 1].map((i) => device.createBuffer({
+            label: `cells ${i}`,
+            size: byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+        }));
+        if (cellData) {
+            device.queue.writeBuffer(cellBuffers[0], 0, cellData);
+        }
+        device.queue.writeBuffer(sizeBuffer, 0, new Uint32Array([width, height]));
 
-        // Create render bind group
-        const renderBindGroupLayout = device.createBindGroupLayout({
-            entries: [{
-                binding: 0,
-                visibility: GPUShaderStage.VERTEX,
-                buffer: { type: 'uniform' }
-            }]
-        });
+        // Create ping-pong bind groups for compute shader (current -> next, then swapped)
+        bindGroups = createPingPongBindGroups(device, computePipeline, 0, {
+            size: sizeBuffer,
+            current: cellBuffers[0],
+            next: cellBuffers[1],
+            rule: ruleBuffer
+        }, [['current', 'next']], { label: 'cells' });
 
-        const renderBindGroup = device.createBindGroup({
-            layout: renderBindGroupLayout,
-            entries: [{
-                binding: 0,
-                resource: { buffer: uniformBuffer }
-            }]
+        grid.width = width;
+        grid.height = height;
+        writeView();
+        step = 0;
+        if (oldBuffers) {
+            device.queue.onSubmittedWorkDone().then(() => oldBuffers.forEach(buf => buf.destroy()));
+        }
+    }
+    resizeGrid(settings.width, settings.height, randomCells(settings.density));
+
+    // Read the current generation back from the GPU
+    async function readCells() {
+        const { width, height } = grid;
+        const cellData = await readBuffer(device, cellBuffers[step % 2], { type: Uint32Array });
+        return { cellData, width, height };
+    }
+
+    // Write a pattern into the current generation with its bottom-left corner at grid cell (x, y),
+    // one writeBuffer per run of consecutive cells
+    function placePatternOnGrid(pattern, x, y) {
+        if (pattern.width > grid.width || pattern.height > grid.height) {
+            settings.width = Math.max(settings.width, pattern.width);
+            settings.height = Math.max(settings.height, pattern.height);
+            resizeGrid(settings.width, settings.height, null);
+            gui.updateDisplay();
+        }
+        const { width, height } = grid;
+        const target = cellBuffers[step % 2];
+        const cells = Uint32Array.from(pattern.cells);
+        patternSegments(width, height, pattern, x, y).forEach(({ row, start, length, offset }) => {
+            device.queue.writeBuffer(target, offset * 4, cells, row * pattern.width + start, length);
         });
+        if (pattern.rule) {
+            try {
+                settings.rule = formatRule(parseRule(pattern.rule));
+                writeRule(settings.rule);
+                gui.updateDisplay();
+            } catch (error) {
+                console.warn(`Pattern rule '${pattern.rule}' ignored: ${error.message}`);
+            }
+        }
+        console.log(`Placed ${pattern.name || 'pattern'} (${pattern.width}x${pattern.height}) at (${x}, ${y})`);
+    }
 
-        // Create render pipeline
-        const renderPipeline = device.createRenderPipeline({
-            layout: device.createPipelineLayout({
-                bindGroupLayouts: [renderBindGroupLayout]
-            }),
-            vertex: {
-                module: device.createShaderModule({
-                    code: await loadShaderFromFile('./vert.wgsl')
-                }),
-                entryPoint: 'main',
-                // Instance buffer (cell states) then vertex buffer (square positions)
-                buffers: [
-                    {
-                        arrayStride: 4,
-                        stepMode: 'instance',
-                        attributes: [{ shaderLocation: 0, offset: 0, format: 'uint32' }]
-                    },
-                    {
-                        arrayStride: 8,
-                        stepMode: 'vertex',
-                        attributes: [{ shaderLocation: 1, offset: 0, format: 'uint32x2' }]
-                    }
-                ]
-            },
-            fragment: {
-                module: device.createShaderModule({
-                    code: await loadShaderFromFile('./frag.wgsl')
-                }),
-                entryPoint: 'main',
-                targets: [{ format: presentationFormat }]
+    // Place at the GUI offset, or centered on `cell` when given
+    function loadPatternText(text, fileName = '', cell = null) {
+        try {
+            const pattern = parsePattern(text, fileName);
+            if (cell) {
+                placePatternOnGrid(pattern, cell.col - Math.floor(pattern.width / 2), cell.row - Math.floor(pattern.height / 2));
+            } else {
+                placePatternOnGrid(pattern, settings.patternX, settings.patternY);
+            }
+        } catch (error) {
+            console.error(`Failed to load pattern${fileName ? ` '${fileName}'` : ''}: ${error.message}`);
+        }
+    }
+
+    async function exportPattern(format) {
+        const { cellData, width, height } = await readCells();
+        const pattern = extractPattern(cellData, width, height, { rule: settings.rule });
+        if (format === 'cells') {
+            downloadText(formatCells(pattern), 'gameOfLife.cells');
+        } else {
+            downloadText(formatRLE(pattern), 'gameOfLife.rle');
+        }
+    }
+
+    // Pattern files come from the GUI button, drag and drop onto the canvas or the clipboard
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.rle,.cells,.txt';
+    fileInput.style.display = 'none';
+    document.body.appendChild(fileInput);
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (file) loadPatternText(await file.text(), file.name);
+        fileInput.value = '';
+    });
+    canvas.addEventListener('dragover', (event) => event.preventDefault());
+    canvas.addEventListener('drop', async (event) => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (!file) return;
+        const cell = canvasToCell(canvas, event.clientX, event.clientY, grid.width, grid.height);
+        loadPatternText(await file.text(), file.name, cell);
+    });
+    window.addEventListener('paste', (event) => {
+        if (event.target instanceof HTMLInputElement) return;
+        const text = event.clipboardData.getData('text');
+        if (text) loadPatternText(text);
+    });
+
+    // Create render bind group
+    const renderBindGroup = createBindGroup(device, renderPipeline, 0, { view: viewBuffer });
+
+    // Create square vertex buffer
+    // Triangle-strip order: bottom-left, bottom-right, top-left, top-right
+    const squareVertices = new Uint32Array([0, 0, 1, 0, 0, 1, 1, 1]);
+    const squareBuffer = device.createBuffer({
+        size: squareVertices.byteLength,
+        usage: GPUBufferUsage.VERTEX,
+        mappedAtCreation: true
+    });
+    new Uint32Array(squareBuffer.getMappedRange()).set(squareVertices);
+    squareBuffer.unmap();
+
+    // Mouse painting: left button draws live cells, right button or shift erases.
+    // Cells are written straight into the buffer the next generation reads from.
+    let paintValue = null;
+    let lastCell = null;
+    function paintCell(cell) {
+        device.queue.writeBuffer(cellBuffers[step % 2], cell.index * 4, new Uint32Array([paintValue]));
+    }
+    function paintTo(event) {
+        const cell = canvasToCell(canvas, event.clientX, event.clientY, grid.width, grid.height);
+        if (!cell) return;
+        // Fill the cells between two pointer events so fast strokes stay connected
+        const from = lastCell || cell;
+        const n = Math.max(Math.abs(cell.col - from.col), Math.abs(cell.row - from.row));
+        for (let i = 0; i <= n; i++) {
+            const t = n === 0 ? 0 : i / n;
+            const col = Math.round(from.col + (cell.col - from.col) * t);
+            const row = Math.round(from.row + (cell.row - from.row) * t);
+            paintCell({ index: row * grid.width + col });
+        }
+        lastCell = cell;
+    }
+    canvas.addEventListener('pointerdown', (event) => {
+        paintValue = event.button === 2 || event.shiftKey ? 0 : 1;
+        lastCell = null;
+        canvas.setPointerCapture(event.pointerId);
+        paintTo(event);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (paintValue !== null) paintTo(event);
+    });
+    canvas.addEventListener('pointerup', () => { paintValue = null; });
+    canvas.addEventListener('contextmenu', (event) => event.preventDefault());
+
+    // Controls
+    const gui = new GUI({ name: 'Game of Life' });
+    const gridFolder = gui.addFolder('Grid');
+    gridFolder.add(settings, 'width', 8, 2048, 1).onFinishChange(() => settings.randomize());
+    gridFolder.add(settings, 'height', 8, 2048, 1).onFinishChange(() => settings.randomize());
+    gridFolder.add(settings, 'density', 0, 1, 0.01);
+    gridFolder.add(settings, 'randomize');
+    gridFolder.add(settings, 'clear');
+    gridFolder.open();
+    const rulesFolder = gui.addFolder('Rules');
+    const ruleController = rulesFolder.add(settings, 'rule').onFinishChange((rule) => {
+        try {
+            writeRule(rule);
+            settings.rule = formatRule(parseRule(rule));
+        } catch (error) {
+            console.error(error.message);
+            settings.rule = formatRule(parseRule(NAMED_RULES[settings.preset] || 'B3/S23'));
+            writeRule(settings.rule);
+        }
+        ruleController.updateDisplay();
+    });
+    rulesFolder.add(settings, 'preset', Object.keys(NAMED_RULES)).onChange((name) => {
+        settings.rule = NAMED_RULES[name];
+        writeRule(settings.rule);
+        ruleController.updateDisplay();
+    });
+    rulesFolder.open();
+    const patternFolder = gui.addFolder('Patterns');
+    patternFolder.add(settings, 'patternX', 0, 2048, 1).name('offset x');
+    patternFolder.add(settings, 'patternY', 0, 2048, 1).name('offset y');
+    patternFolder.add(settings, 'loadPattern').name('load .rle / .cells');
+    patternFolder.add(settings, 'saveRLE').name('save .rle');
+    patternFolder.add(settings, 'saveCells').name('save .cells');
+    const playFolder = gui.addFolder('Playback');
+    playFolder.add(app, 'running').listen();
+    playFolder.add(settings, 'step').name('step (.)');
+    playFolder.add(app, 'stepsPerSecond', 1, 240, 1).name('generations/s');
+    playFolder.open();
+    const debugFolder = gui.addFolder('Debug');
+    debugFolder.add(settings, 'verify').name('check against CPU');
+    debugFolder.add(settings, 'verifyResult').name('last result').listen();
+    debugFolder.add(settings, 'overlay').name('buffer overlay').onChange((visible) => { overlay.visible = visible; });
+    debugFolder.add(app.profilerGraph, 'visible').name('pass timings');
+
+    // Buffer inspector: the generation on screen, row 0 at the bottom as drawn
+    const overlay = new DebugOverlay(device, { title: 'Game of Life' });
+    overlay.addSource('cells', {
+        buffer: () => cellBuffers[step % 2],
+        type: Uint32Array,
+        shape: () => ({ width: grid.width, height: grid.height }),
+        flipY: true
+    });
+
+    // Verify mode: one generation runs in its own compute pass, bracketed by copies of its
+    // input and output, and is compared with the CPU reference once the copies are mapped
+    let verifyPending = false;
+    function encodeVerifiedStep(commandEncoder) {
+        const { width, height } = grid;
+        const rule = activeRule;
+        const readInput = encodeReadback(device, commandEncoder, cellBuffers[step % 2]);
+        const computePass = app.beginComputePass(commandEncoder, 'step');
+        computePass.setPipeline(computePipeline);
+        computePass.setBindGroup(0, bindGroups[step % 2]);
+        computePass.dispatchWorkgroups(Math.ceil(width / blockX), Math.ceil(height / blockY));
+        computePass.end();
+        step = 1 - step;
+        const readOutput = encodeReadback(device, commandEncoder, cellBuffers[step % 2]);
+
+        verifyPending = true;
+        return async () => {
+            try {
+                const [input, output] = await Promise.all([readInput(), readOutput()]);
+                const result = compareArrays(output, lifeStep(input, width, height, rule));
+                settings.verifyResult = reportVerification('Game of Life', result,
+                    (i) => `cell (${i % width}, ${Math.floor(i / width)})`);
+            } catch (error) {
+                console.error('[Verify][Game of Life] Readback failed:', error);
+            } finally {
+                verifyPending = false;
+            }
+        };
+    }
+
+    // ?bench: sweep the grid size and the workgroup size
+    startBenchmark(app, {
+        sample: 'gameOfLife',
+        params: {
+            gridSize: {
+                values: [64, 256, 1024, 2048, 4096],
+                default: settings.width,
+                apply: (size) => {
+                    settings.width = settings.height = size;
+                    resizeGrid(size, size, randomCells(settings.density));
+                    gui.updateDisplay();
+                }
             },
-            primitive: { topology: 'triangle-strip' }
-        });
+            blockSize: {
+                values: [4, 8, 16],
+                default: blockX,
+                apply: setBlockSize
+            }
+        }
+    });
 
-        // Create square vertex buffer
-        // Triangle-strip order: bottom-left, bottom-right, top-left, top-right
-        const squareVertices = new Uint32Array([0, 0, 1, 0, 0, 1, 1, 1]);
-        const squareBuffer = device.createBuffer({
-            size: squareVertices.byteLength,
-            usage: GPUBufferUsage.VERTEX,
-            mappedAtCreation: true
-        });
-        new Uint32Array(squareBuffer.getMappedRange()).set(squareVertices);
-        squareBuffer.unmap();
-
-        // Animation loop
-        let step = 0;
-        function frame() {
-            const commandEncoder = device.createCommandEncoder();
-            
-            // Compute pass
-            const computePass = commandEncoder.beginComputePass();
+    return {
+        // One generation: reads the current buffer and writes the other one
+        update(commandEncoder) {
+            if (settings.verify && !verifyPending) {
+                return encodeVerifiedStep(commandEncoder);
+            }
+            const computePass = app.beginComputePass(commandEncoder, 'step');
             computePass.setPipeline(computePipeline);
             computePass.setBindGroup(0, bindGroups[step % 2]);
-            computePass.dispatchWorkgroups(gridSize/8, gridSize/8);
+            computePass.dispatchWorkgroups(Math.ceil(grid.width / blockX), Math.ceil(grid.height / blockY));
             computePass.end();
+            step = 1 - step;
+        },
 
-            // Render pass
-            const renderPass = commandEncoder.beginRenderPass({
-                colorAttachments: [{
-                    view: context.getCurrentTexture().createView(),
-                    clearValue: [0, 0, 0, 1],
-                    loadOp: 'clear',
-                    storeOp: 'store'
-                }]
-            });
+        render(renderPass) {
             renderPass.setPipeline(renderPipeline);
             renderPass.setBindGroup(0, renderBindGroup);
             renderPass.setVertexBuffer(0, cellBuffers[step % 2]);
             renderPass.setVertexBuffer(1, squareBuffer);
-            renderPass.draw(4, gridSize * gridSize); // 4 vertices per cell
-            renderPass.end();
+            renderPass.draw(4, grid.width * grid.height); // 4 vertices per cell
+        },
 
-            device.queue.submit([commandEncoder.finish()]);
-            step = 1 - step;
-            requestAnimationFrame(frame);
-        }
+        // Keep the cells square when the canvas changes shape
+        resize() {
+            writeView();
+        },
 
-        requestAnimationFrame(frame);
-    } catch (error) {
-        console.error('Initialization failed:', error);
-    }
+        afterSubmit() {
+            overlay.update();
+        },
+
+        destroy() {
+            cellBuffers.forEach(buf => buf.destroy());
+            overlay.destroy();
+        }
+    };
 }
 
-init();
\ No newline at end of file
+const app = new App({
+    label: 'Game of Life',
+    fixedTimestep: 1 / 30,
+    maxStepsPerFrame: MAX_STEPS_PER_FRAME,
+    profile: true,
+    init: setup
+});
+app.start().catch(error => reportError(error, { fatal: true }));
@@ -0,0 +1,246 @@
+// Game of Life pattern files: run-length encoded (.rle) and plaintext (.cells).
+// https://conwaylife.com/wiki/Run_Length_Encoded
+// https://conwaylife.com/wiki/Plaintext
+//
+// A pattern is { width, height, cells, name, rule, comments } where `cells` is a
+// Uint8Array in row-major order with row 0 being the first (top) line of the file.
+
+const RLE_LINE_LENGTH = 70;
+
+function createPattern(width, height, extra = {}) {
+    return { width, height, cells: new Uint8Array(width * height), name: '', rule: null, comments: [], ...extra };
+}
+
+/** Parse an RLE file, including '#N/#C/#O/#r' lines and the 'x = , y = , rule =' header */
+function parseRLE(text) {
+    const lines = text.split(/\r?\n/);
+    const meta = { name: '', rule: null, comments: [] };
+    let header = null;
+    let bodyStart = lines.length;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+        if (line.startsWith('#')) {
+            const tag = line[1];
+            const value = line.slice(2).trim();
+            if (tag === 'N') meta.name = value;
+            else if (tag === 'C' || tag === 'c' || tag === 'O') meta.comments.push(value);
+            else if (tag === 'r') meta.rule = value;
+            continue;
+        }
+        const match = /^x\s*=\s*(\d+)\s*,\s*y\s*=\s*(\d+)(?:\s*,\s*rule\s*=\s*([^\s,]+))?/i.exec(line);
+        if (!match) {
+            throw new Error(`RLE: expected 'x = <width>, y = <height>' header, found '${line}'`);
+        }
+        header = { width: Number(match[1]), height: Number(match[2]), rule: match[3] || null };
+        bodyStart = i + 1;
+        break;
+    }
+    if (!header) {
+        throw new Error('RLE: missing header line');
+    }
+
+    const pattern = createPattern(header.width, header.height, { ...meta, rule: header.rule || meta.rule });
+    const body = lines.slice(bodyStart).join('').replace(/\s+/g, '');
+    let x = 0;
+    let y = 0;
+    let count = '';
+    for (const ch of body) {
+        if (ch === '!') break;
+        if (/\d/.test(ch)) {
+            count += ch;
+            continue;
+        }
+        const n = count ? Number(count) : 1;
+        count = '';
+        if (ch === '$') {
+            y += n;
+            x = 0;
+        } else if (ch === 'b' || ch === '.') {
+            x += n;
+        } else if (/[a-zA-Z]/.test(ch)) {
+            // 'o' is alive; other letters are multi-state cells, treated as alive here
+            for (let i = 0; i < n; i++, x++) {
+                if (x >= pattern.width || y >= pattern.height) {
+                    throw new Error(`RLE: cell (${x}, ${y}) lies outside the declared ${pattern.width}x${pattern.height} bounds`);
+                }
+                pattern.cells[y * pattern.width + x] = 1;
+            }
+        } else {
+            throw new Error(`RLE: unexpected character '${ch}'`);
+        }
+    }
+    return pattern;
+}
+
+/** Serialize a pattern to RLE, with the rule in the header when known */
+function formatRLE(pattern) {
+    const out = [];
+    if (pattern.name) out.push(`#N ${pattern.name}`);
+    (pattern.comments || []).forEach(comment => out.push(`#C ${comment}`));
+    out.push(`x = ${pattern.width}, y = ${pattern.height}${pattern.rule ? `, rule = ${pattern.rule}` : ''}`);
+
+    const tokens = [];
+    const run = (n, tag) => tokens.push(n > 1 ? `${n}${tag}` : tag);
+    let pendingRows = 0;
+    for (let y = 0; y < pattern.height; y++) {
+        const row = pattern.cells.subarray(y * pattern.width, (y + 1) * pattern.width);
+        const last = row.lastIndexOf(1);
+        if (last < 0) {
+            pendingRows++;
+            continue;
+        }
+        if (tokens.length || pendingRows) {
+            // End the previous row, merging runs of empty rows into one '$' token
+            run(pendingRows + (tokens.length ? 1 : 0), '$');
+        }
+        pendingRows = 0;
+        let x = 0;
+        while (x <= last) {
+            const value = row[x];
+            let n = 1;
+            while (x + n <= last && row[x + n] === value) n++;
+            run(n, value ? 'o' : 'b');
+            x += n;
+        }
+    }
+    tokens.push('!');
+
+    // Wrap the body without splitting tokens
+    let line = '';
+    tokens.forEach(token => {
+        if (line.length + token.length > RLE_LINE_LENGTH) {
+            out.push(line);
+            line = '';
+        }
+        line += token;
+    });
+    out.push(line);
+    return out.join('\n') + '\n';
+}
+
+/** Parse a plaintext .cells file ('O' alive, '.' dead, '!' comment lines) */
+function parseCells(text) {
+    const meta = { name: '', comments: [] };
+    const rows = [];
+    text.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('!')) {
+            const value = line.slice(1).trim();
+            const name = /^Name:\s*(.*)$/i.exec(value);
+            if (name) meta.name = name[1];
+            else if (value) meta.comments.push(value);
+            return;
+        }
+        rows.push(line.replace(/\s+$/, ''));
+    });
+    // Trailing blank lines are not part of the pattern
+    while (rows.length && rows[rows.length - 1] === '') rows.pop();
+
+    const width = rows.reduce((w, row) => Math.max(w, row.length), 0);
+    const pattern = createPattern(width, rows.length, meta);
+    rows.forEach((row, y) => {
+        for (let x = 0; x < row.length; x++) {
+            const ch = row[x];
+            if (ch === 'O' || ch === '*') {
+                pattern.cells[y * width + x] = 1;
+            } else if (ch !== '.') {
+                throw new Error(`.cells: unexpected character '${ch}' on row ${y + 1}`);
+            }
+        }
+    });
+    return pattern;
+}
+
+/** Serialize a pattern to plaintext .cells */
+function formatCells(pattern) {
+    const out = [];
+    if (pattern.name) out.push(`!Name: ${pattern.name}`);
+    (pattern.comments || []).forEach(comment => out.push(`!${comment}`));
+    for (let y = 0; y < pattern.height; y++) {
+        const row = pattern.cells.subarray(y * pattern.width, (y + 1) * pattern.width);
+        out.push(Array.from(row, v => (v ? 'O' : '.')).join('').replace(/\.+$/, ''));
+    }
+    return out.join('\n') + '\n';
+}
+
+/** Parse either format, choosing by file name or by content */
+function parsePattern(text, fileName = '') {
+    if (/\.cells$/i.test(fileName)) return parseCells(text);
+    if (/\.rle$/i.test(fileName)) return parseRLE(text);
+    return /^\s*x\s*=/m.test(text) ? parseRLE(text) : parseCells(text);
+}
+
+/**
+ * Where a pattern lands in a gridWidth x gridHeight grid (row-major, row 0 at the bottom as in
+ * vert.wgsl) with its bottom-left corner at grid cell (x, y), wrapping around the grid edges
+ * like the simulation does. Returns runs of consecutive cells, one per pattern row or more when
+ * the row wraps: { row, start, length, offset } copies `length` cells from column `start` of
+ * pattern row `row` to the grid cells from index `offset` on.
+ */
+function patternSegments(gridWidth, gridHeight, pattern, x, y) {
+    const segments = [];
+    for (let py = 0; py < pattern.height; py++) {
+        // File rows run top to bottom, grid rows bottom to top
+        const gy = (((y + pattern.height - 1 - py) % gridHeight) + gridHeight) % gridHeight;
+        for (let px = 0; px < pattern.width;) {
+            const gx = (((x + px) % gridWidth) + gridWidth) % gridWidth;
+            const length = Math.min(pattern.width - px, gridWidth - gx);
+            segments.push({ row: py, start: px, length, offset: gy * gridWidth + gx });
+            px += length;
+        }
+    }
+    return segments;
+}
+
+/**
+ * Write a pattern into grid cell data (Uint32Array) as laid out by patternSegments.
+ * Dead pattern cells clear the grid unless `transparent` is set.
+ */
+function placePattern(cellData, gridWidth, gridHeight, pattern, x, y, { transparent = false } = {}) {
+    patternSegments(gridWidth, gridHeight, pattern, x, y).forEach(({ row, start, length, offset }) => {
+        for (let i = 0; i < length; i++) {
+            const value = pattern.cells[row * pattern.width + start + i];
+            if (transparent && !value) continue;
+            cellData[offset + i] = value;
+        }
+    });
+    return cellData;
+}
+
+/** Extract the bounding box of live cells from grid cell data as a pattern (empty grid -> 0x0) */
+function extractPattern(cellData, gridWidth, gridHeight, extra = {}) {
+    let minX = gridWidth, minY = gridHeight, maxX = -1, maxY = -1;
+    for (let gy = 0; gy < gridHeight; gy++) {
+        for (let gx = 0; gx < gridWidth; gx++) {
+            if (cellData[gy * gridWidth + gx]) {
+                minX = Math.min(minX, gx);
+                maxX = Math.max(maxX, gx);
+                minY = Math.min(minY, gy);
+                maxY = Math.max(maxY, gy);
+            }
+        }
+    }
+    if (maxX < 0) return createPattern(0, 0, extra);
+
+    const pattern = createPattern(maxX - minX + 1, maxY - minY + 1, extra);
+    for (let py = 0; py < pattern.height; py++) {
+        const gy = maxY - py;
+        for (let px = 0; px < pattern.width; px++) {
+            pattern.cells[py * pattern.width + px] = cellData[gy * gridWidth + minX + px] ? 1 : 0;
+        }
+    }
+    return pattern;
+}
+
+export {
+    createPattern,
+    parseRLE,
+    formatRLE,
+    parseCells,
+    formatCells,
+    parsePattern,
+    patternSegments,
+    placePattern,
+    extractPattern
+};
@@ -0,0 +1,54 @@
+// Life-like cellular automaton rules in B/S notation (e.g. 'B3/S23' for Conway's Life).
+// Rules are passed to compute.wgsl as two bitmasks, so changing them needs no shader recompile:
+// bit n of `birth` set  -> a dead cell with n live neighbours is born
+// bit n of `survive` set -> a live cell with n live neighbours survives
+
+const NAMED_RULES = {
+    'Conway': 'B3/S23',
+    'HighLife': 'B36/S23',
+    'Day & Night': 'B3678/S34678',
+    'Seeds': 'B2/S',
+    'Life without Death': 'B3/S012345678',
+    'Maze': 'B3/S12345',
+    '2x2': 'B36/S125',
+    'Move': 'B368/S245'
+};
+
+function digitsToMask(digits, rule) {
+    let mask = 0;
+    for (const d of digits) {
+        const n = Number(d);
+        if (!/[0-8]/.test(d)) {
+            throw new Error(`Invalid neighbour count '${d}' in rule '${rule}'`);
+        }
+        mask |= 1 << n;
+    }
+    return mask;
+}
+
+/**
+ * Parse a rule string into { birth, survive } bitmasks.
+ * Accepts 'B3/S23' (any case, either order) and the classic 'S/B' form '23/3'.
+ */
+function parseRule(rule) {
+    const text = rule.trim().replace(/\s+/g, '');
+    const bs = /^(?:B([0-8]*)\/?S([0-8]*)|S([0-8]*)\/?B([0-8]*))$/i.exec(text);
+    if (bs) {
+        const birth = bs[1] ?? bs[4];
+        const survive = bs[2] ?? bs[3];
+        return { birth: digitsToMask(birth, rule), survive: digitsToMask(survive, rule) };
+    }
+    const classic = /^([0-8]*)\/([0-8]*)$/.exec(text);
+    if (classic) {
+        return { birth: digitsToMask(classic[2], rule), survive: digitsToMask(classic[1], rule) };
+    }
+    throw new Error(`Cannot parse rule '${rule}' - expected B/S notation such as 'B3/S23'`);
+}
+
+/** Format { birth, survive } bitmasks back to 'B3/S23' notation */
+function formatRule({ birth, survive }) {
+    const digits = (mask) => [...Array(9).keys()].filter(n => mask & (1 << n)).join('');
+    return `B${digits(birth)}/S${digits(survive)}`;
+}
+
+export { NAMED_RULES, parseRule, formatRule };
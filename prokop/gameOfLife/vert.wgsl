@@ -3,14 +3,22 @@ struct Out {
   @location(0) cell: f32,
 }
 
-@binding(0) @group(0) var<uniform> size: vec2u;
+struct View {
+  grid: vec2u,    // cells
+  canvas: vec2f,  // drawing buffer size in pixels
+}
+
+@binding(0) @group(0) var<uniform> view: View;
 
 @vertex
 fn main(@builtin(instance_index) i: u32, @location(0) cell: u32, @location(1) pos: vec2u) -> Out {
-  let w = size.x;
-  let h = size.y;
-  let x = (f32(i % w + pos.x) / f32(w) - 0.5) * 2. * f32(w) / f32(max(w, h));
-  let y = (f32((i - (i % w)) / w + pos.y) / f32(h) - 0.5) * 2. * f32(h) / f32(max(w, h));
+  let w = view.grid.x;
+  let h = view.grid.y;
+  // Square cells, the grid fitted into the canvas: NDC half-extent of the grid on each axis
+  let cellSize = min(view.canvas.x / f32(w), view.canvas.y / f32(h));
+  let scale = vec2f(f32(w), f32(h)) * cellSize / view.canvas;
+  let x = (f32(i % w + pos.x) / f32(w) - 0.5) * 2. * scale.x;
+  let y = (f32((i - (i % w)) / w + pos.y) / f32(h) - 0.5) * 2. * scale.y;
 
   return Out(vec4f(x, y, 0., 1.), f32(cell));
 }
@@ -3,9 +3,16 @@ import socketserver
 import os
 import sys
 import argparse
+import json
+import re
+import time
 
 # --- Configuration ---
 DEFAULT_PORT = 8000
+# Benchmark reports (?bench=...&post) are POSTed here and saved under the served directory
+BENCH_RESULTS_PATH = '/bench-results'
+BENCH_RESULTS_DIR = 'bench-results'
+MAX_REPORT_BYTES = 16 * 1024 * 1024
 # DEFAULT_DIRECTORY is now context-dependent; if no directory is given, it's the current dir.
 
 # --- Request Handler Class ---
@@ -21,6 +28,42 @@ class CustomHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
         self.send_header('Cross-Origin-Embedder-Policy', 'require-corp')
         super().end_headers()
 
+    def send_text(self, status, text):
+        body = text.encode('utf-8')
+        self.send_response(status)
+        self.send_header('Content-Type', 'text/plain; charset=utf-8')
+        self.send_header('Content-Length', str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def do_POST(self):
+        # Only benchmark reports are accepted; they are saved as bench-results/<sample>-<time>.json
+        if self.path.split('?')[0] != BENCH_RESULTS_PATH:
+            self.send_text(404, 'Not found')
+            return
+        length = int(self.headers.get('Content-Length') or 0)
+        if length <= 0 or length > MAX_REPORT_BYTES:
+            self.send_text(413 if length > 0 else 411, 'Report missing or too large')
+            return
+        try:
+            report = json.loads(self.rfile.read(length))
+        except ValueError as e:
+            self.send_text(400, f'Invalid JSON: {e}')
+            return
+        sample = re.sub(r'[^\w.-]', '_', str(report.get('sample') or 'report')) if isinstance(report, dict) else 'report'
+        directory = os.path.join(self.directory, BENCH_RESULTS_DIR)
+        os.makedirs(directory, exist_ok=True)
+        stamp = time.strftime('%Y%m%d-%H%M%S')
+        name = f"{sample}-{stamp}.json"
+        count = 1
+        while os.path.exists(os.path.join(directory, name)):
+            count += 1
+            name = f"{sample}-{stamp}-{count}.json"
+        with open(os.path.join(directory, name), 'w') as f:
+            json.dump(report, f, indent=2)
+        print(f"Saved benchmark report {BENCH_RESULTS_DIR}/{name}")
+        self.send_text(201, f'{BENCH_RESULTS_DIR}/{name}')
+
 # --- Main Script Logic ---
 def main():
     parser = argparse.ArgumentParser(
@@ -0,0 +1,158 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM } from './setup.js';
+
+const page = installDOM();
+const { installMockWebGPU } = await import('../common/mock-webgpu.js');
+const { createPipeline, createBindGroup, readBuffer } = await import('../common/webgpu-utils.js');
+const { ResourceRegistry, RecoverableDevice } = await import('../common/device-recovery.js');
+
+const COMPUTE = `
+@binding(0) @group(0) var<storage, read_write> state : array<u32>;
+@binding(1) @group(0) var<uniform> scale : u32;
+
+@compute @workgroup_size(4)
+fn main(@builtin(global_invocation_id) id : vec3u) {
+  state[id.x] *= scale;
+}
+`;
+
+const INITIAL_STATE = [1, 2, 3, 4];
+const INITIAL_SCALE = [2, 0, 0, 0];
+
+let mock = null;
+let recoverable = null;
+
+afterEach(() => {
+  recoverable?.destroy();
+  mock?.uninstall();
+  recoverable = null;
+  mock = null;
+});
+
+// A registry with one of each kind of resource; `builds` counts the factory calls per name
+function createRegistry(builds) {
+  const count = name => builds.set(name, (builds.get(name) ?? 0) + 1);
+  const usage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST;
+  return new ResourceRegistry()
+    .pipeline('compute', (device) => {
+      count('compute');
+      return createPipeline(device, { compute: { code: COMPUTE }, label: 'scale' });
+    })
+    .buffer('state', { usage, contents: () => (count('state'), new Uint32Array(INITIAL_STATE)), snapshot: true })
+    .buffer('scale', {
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+      contents: () => (count('scale'), new Uint32Array(INITIAL_SCALE))
+    })
+    .bindGroup('bindGroup', (device, r) => {
+      count('bindGroup');
+      return createBindGroup(device, r.get('compute'), 0, { state: r.get('state'), scale: r.get('scale') });
+    })
+    .resource('texture', (device) => {
+      count('texture');
+      return device.createTexture({ size: [4, 4], format: 'rgba8unorm', usage: GPUTextureUsage.TEXTURE_BINDING });
+    });
+}
+
+const NAMES = ['compute', 'state', 'scale', 'bindGroup', 'texture'];
+
+// Start a RecoverableDevice on the mock; `restored` resolves with onRestored's arguments
+// once the recovery has finished
+async function startRecoverable(options = {}) {
+  mock = installMockWebGPU();
+  const builds = new Map();
+  const resources = createRegistry(builds);
+  let onRestored;
+  const restored = new Promise((resolve) => { onRestored = (device, state) => resolve({ device, state }); })
+    .then(async (result) => {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      return result;
+    });
+  recoverable = new RecoverableDevice({ resources, onRestored, ...options });
+  await recoverable.start();
+  return { resources, builds, restored };
+}
+
+const contents = async (device, buffer) => [...await readBuffer(device, buffer, { type: Uint32Array })];
+
+test('a lost device is replaced and every registered resource rebuilt on it', async () => {
+  const { resources, builds, restored } = await startRecoverable();
+  const lost = recoverable.device;
+  const before = NAMES.map(name => resources.get(name));
+  assert.deepEqual([...builds.values()], [1, 1, 1, 1, 1]);
+
+  lost.loseDevice('unknown', 'driver reset');
+  const { device } = await restored;
+
+  assert.notEqual(device, lost);
+  assert.equal(recoverable.device, device);
+  assert.equal(mock.gpu.devices.length, 2);
+  assert.equal(recoverable.recoveries, 1);
+  assert.equal(recoverable.recovering, false);
+  assert.deepEqual([...builds.values()], [2, 2, 2, 2, 2]);
+  NAMES.forEach((name, i) => {
+    const value = resources.get(name);
+    assert.notEqual(value, before[i], name);
+    assert.equal(value.device, device, name);
+  });
+  // The old buffers and texture were released before the rebuild
+  const destroyed = mock.gpu.log.of('destroy').map(call => call.object);
+  [before[1], before[2], before[4]].forEach(value => assert.ok(destroyed.includes(value), value.label));
+  assert.deepEqual(await contents(device, resources.get('state')), INITIAL_STATE);
+  assert.deepEqual(device.errors, []);
+});
+
+test('snapshotted buffers and saveState come back from the last snapshot', async () => {
+  let step = 42;
+  const { resources, restored } = await startRecoverable({ saveState: () => ({ step }) });
+  const lost = recoverable.device;
+  lost.queue.writeBuffer(resources.get('state'), 0, new Uint32Array([9, 8, 7, 6]));
+  lost.queue.writeBuffer(resources.get('scale'), 0, new Uint32Array([5, 0, 0, 0]));
+  const snapshot = await recoverable.snapshot();
+  assert.deepEqual(snapshot.state, { step: 42 });
+  step = 43;
+
+  lost.loseDevice();
+  const { device, state } = await restored;
+  assert.deepEqual(state, { step: 42 });
+  assert.deepEqual(await contents(device, resources.get('state')), [9, 8, 7, 6]);
+  // Not snapshotted: rebuilt from its contents
+  assert.deepEqual(await contents(device, resources.get('scale')), INITIAL_SCALE);
+});
+
+test('restoreSnapshot: false rebuilds from the initial contents', async () => {
+  const { resources, restored } = await startRecoverable({ restoreSnapshot: false, saveState: () => 'saved' });
+  const lost = recoverable.device;
+  lost.queue.writeBuffer(resources.get('state'), 0, new Uint32Array([9, 8, 7, 6]));
+  await recoverable.snapshot();
+
+  lost.loseDevice();
+  const { device, state } = await restored;
+  assert.equal(state, undefined);
+  assert.deepEqual(await contents(device, resources.get('state')), INITIAL_STATE);
+});
+
+test('the frame loop pauses during recovery and resumes on the new device', async () => {
+  const { restored } = await startRecoverable();
+  const devices = [];
+  recoverable.startLoop(() => devices.push(mock.gpu.devices.indexOf(recoverable.device)));
+  await page.frames(2);
+  const lost = recoverable.device;
+  lost.loseDevice();
+  await lost.lost;
+  // The frame queued before the loss finds the device recovering and draws nothing
+  await page.frames(1);
+  await restored;
+  await page.frames(2);
+  assert.deepEqual(devices, [0, 0, 1, 1]);
+});
+
+test('destroying the device does not trigger recovery', async () => {
+  await startRecoverable();
+  const device = recoverable.device;
+  recoverable.destroy();
+  await device.lost;
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(mock.gpu.devices.length, 1);
+  assert.equal(recoverable.recoveries, 0);
+});
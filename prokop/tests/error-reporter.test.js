@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM } from './setup.js';
+
+installDOM();
+const { ErrorCategory, categorizeError, reportError, onCleanup } = await import('../common/error-reporter.js');
+
+let cleanups = 0;
+onCleanup(() => { cleanups++; });
+
+// Error dialog entry titles, with their count when folded
+const dialogEntries = () => [...document.querySelectorAll('.error-report .entry')]
+  .map(entry => entry.querySelector('.title').textContent + entry.querySelector('.count').textContent);
+
+// Tests share the dialog and the one-time cleanup, so they run in this order
+test('errors are categorized by their category, GPUError class or name', () => {
+  assert.equal(categorizeError(Object.assign(new Error('x'), { category: ErrorCategory.DEVICE_LOST })), ErrorCategory.DEVICE_LOST);
+  assert.equal(categorizeError(Object.assign(new Error('x'), { name: 'ShaderCompileError' })), ErrorCategory.SHADER_COMPILE);
+  assert.equal(categorizeError(Object.assign(new Error('x'), { name: 'WGSLPreprocessError' })), ErrorCategory.SHADER_COMPILE);
+  assert.equal(categorizeError(new TypeError('x')), ErrorCategory.UNCAUGHT);
+  assert.equal(categorizeError('message'), ErrorCategory.UNCAUGHT);
+});
+
+test('uncaught errors and validation errors are not fatal by default', () => {
+  assert.equal(reportError(new Error('first')), ErrorCategory.UNCAUGHT);
+  reportError(new Error('first'));
+  reportError('a bad binding', { category: ErrorCategory.VALIDATION });
+  assert.deepEqual(dialogEntries(), ['Errorx2', 'WebGPU validation error']);
+  assert.equal(cleanups, 0);
+});
+
+test('uncaught exceptions and unhandled rejections reach the dialog without stopping', () => {
+  const error = new Event('error');
+  error.error = new Error('thrown in a handler');
+  globalThis.dispatchEvent(error);
+  const rejection = new Event('unhandledrejection');
+  rejection.reason = new Error('rejected');
+  globalThis.dispatchEvent(rejection);
+  assert.equal(dialogEntries().length, 4);
+  assert.ok(dialogEntries().every(title => !title.includes('(stopped)')));
+  assert.equal(cleanups, 0);
+});
+
+test('{ fatal: true } stops the sample, once', () => {
+  const error = new Error('frame failed');
+  reportError(error, { fatal: true });
+  reportError(error, { fatal: true });
+  assert.equal(cleanups, 1);
+  assert.ok(dialogEntries().includes('Error (stopped)'));
+  reportError(new Error('no device'), { category: ErrorCategory.ADAPTER_UNAVAILABLE });
+  assert.ok(dialogEntries().includes('WebGPU unavailable (stopped)'));
+  assert.equal(cleanups, 1);
+});
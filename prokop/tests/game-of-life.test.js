@@ -0,0 +1,91 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM, serveFiles, startSample } from './setup.js';
+
+const page = installDOM();
+const { installMockWebGPU } = await import('../common/mock-webgpu.js');
+const { gpu } = installMockWebGPU({ runCompute: true });
+serveFiles(new URL('../gameOfLife/', import.meta.url));
+const app = await startSample(new URL('../gameOfLife/gameOfLife.js', import.meta.url), gpu);
+const device = gpu.devices[0];
+const { parseRLE, placePattern } = await import('../gameOfLife/patterns.js');
+
+after(() => app.stop());
+
+// The settings row of the GUI controller named `name`
+const controllerRow = name => [...document.querySelectorAll('.property-name')].find(row => row.textContent === name).parentElement;
+
+// Pass types recorded per submitted frame
+const framePasses = submit => submit.commandBuffers
+  .flatMap(commandBuffer => commandBuffer.commands)
+  .filter(command => command.type === 'computePass' || command.type === 'renderPass')
+  .map(command => command.type);
+
+test('the sample sets up pipelines and buffers without validation errors', async () => {
+  await page.frames(2);
+  assert.ok(gpu.log.of('createComputePipeline').length >= 1);
+  assert.ok(gpu.log.of('createRenderPipeline').length >= 1);
+  assert.deepEqual(device.errors, []);
+});
+
+test('each generation is one compute pass followed by the render pass', async () => {
+  app.pause();
+  const from = device.submits.length;
+  for (let i = 0; i < 5; i++) {
+    app.step();
+    await page.frames(1);
+  }
+  const frames = device.submits.slice(from).map(framePasses);
+  assert.equal(frames.length, 5);
+  frames.forEach(passes => assert.deepEqual(passes, ['computePass', 'renderPass']));
+  assert.deepEqual(device.errors, []);
+});
+
+test('a paused frame only renders', async () => {
+  const from = device.submits.length;
+  await page.frames(3);
+  const frames = device.submits.slice(from).map(framePasses);
+  assert.equal(frames.length, 3);
+  frames.forEach(passes => assert.deepEqual(passes, ['renderPass']));
+});
+
+test('a pasted pattern is written where placePattern puts it, wrapping at the grid edges', () => {
+  [['offset x', 62], ['offset y', 63]].forEach(([name, value]) => {
+    const input = controllerRow(name).querySelector('input[type=number]');
+    input.value = String(value);
+    input.dispatchEvent(new page.dom.window.Event('change'));
+  });
+  const glider = 'x = 3, y = 3, rule = B3/S23\nbob$2bo$3o!\n';
+  const from = gpu.log.of('writeBuffer').length;
+  const paste = new Event('paste');
+  paste.clipboardData = { getData: () => glider };
+  globalThis.dispatchEvent(paste);
+
+  // Replay the writes to the 64x64 cell buffer on an empty grid
+  const cells = new Uint32Array(64 * 64);
+  gpu.log.of('writeBuffer').slice(from)
+    .filter(call => call.args[0].size === cells.byteLength)
+    .forEach(({ args: [, offset, data, dataOffset, size] }) => cells.set(data.subarray(dataOffset, dataOffset + size), offset / 4));
+  assert.deepEqual(cells, placePattern(new Uint32Array(64 * 64), 64, 64, parseRLE(glider), 62, 63));
+  assert.deepEqual(device.errors, []);
+});
+
+test('verify mode reads generations back through the pooled staging buffers', async (t) => {
+  // The mock runs the compute shader, so every generation matches the CPU reference
+  const reports = t.mock.method(console, 'log', () => {});
+  const mismatches = t.mock.method(console, 'error', () => {});
+  controllerRow('check against CPU').querySelector('input[type=checkbox]').click();
+  const stagingBuffers = () => gpu.log.of('createBuffer').filter(call => call.args[0].usage & GPUBufferUsage.MAP_READ);
+  const before = stagingBuffers().length;
+  for (let i = 0; i < 4; i++) {
+    app.step();
+    await page.frames(2);
+  }
+  const verified = gpu.log.of('copyBufferToBuffer').filter(call => call.args[2].usage & GPUBufferUsage.MAP_READ);
+  assert.ok(verified.length >= 8);
+  // Input and output copies of one generation at a time: at most two more staging buffers
+  assert.ok(stagingBuffers().length - before <= 2);
+  assert.ok(reports.mock.calls.some(call => String(call.arguments[0]).startsWith('[Verify][Game of Life] OK')));
+  assert.equal(mismatches.mock.callCount(), 0);
+  assert.deepEqual(device.errors, []);
+});
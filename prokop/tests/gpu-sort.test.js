@@ -0,0 +1,253 @@
+// Tests of GpuSorter: the sorting scheme on a JS reference model of its passes (key mapping
+// and padding, the bitonic network of bitonicSteps, the digit-major radix passes), then the
+// WGSL kernels themselves, run by the mock device through the WGSL interpreter and checked
+// against the model.
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM } from './setup.js';
+
+installDOM();
+const { GpuSorter, bitonicSteps, RADIX_TILE, RADIX_BITS, ALGO_LOCAL_FLIP, ALGO_GLOBAL_FLIP } = await import('../common/gpu-sort.js');
+const { installMockWebGPU } = await import('../common/mock-webgpu.js');
+const { readBuffer } = await import('../common/webgpu-utils.js');
+
+const LENGTHS = [2, 3, 5, 100, 257, 1000, 1025];
+
+// Key mapping of the transform shader's encode() / decode(), on u32 bit patterns
+function encodeSortKey(key, keyType, descending) {
+  let k = key;
+  if (keyType === 'i32') {
+    k = (key ^ 0x80000000) >>> 0;
+  } else if (keyType === 'f32') {
+    k = (key & 0x80000000) !== 0 ? ~key >>> 0 : (key | 0x80000000) >>> 0;
+  }
+  return descending ? ~k >>> 0 : k;
+}
+
+function decodeSortKey(encoded, keyType, descending) {
+  const k = descending ? ~encoded >>> 0 : encoded;
+  if (keyType === 'i32') return (k ^ 0x80000000) >>> 0;
+  if (keyType === 'f32') return (k & 0x80000000) !== 0 ? (k & 0x7fffffff) >>> 0 : ~k >>> 0;
+  return k;
+}
+
+// The bitonic steps on `keys` and `values`, skipping compares whose upper slot is padding
+function bitonicNetwork(keys, values, count) {
+  bitonicSteps(keys.length, keys.length / 2).forEach(({ algo, blockHeight }) => {
+    const flip = algo === ALGO_LOCAL_FLIP || algo === ALGO_GLOBAL_FLIP;
+    const half = blockHeight / 2;
+    for (let id = 0; id < keys.length / 2; id++) {
+      const offset = Math.floor((2 * id) / blockHeight) * blockHeight;
+      const before = offset + (id % half);
+      const after = offset + (flip ? blockHeight - (id % half) - 1 : (id % half) + half);
+      if (after < count && keys[after] < keys[before]) {
+        [keys[before], keys[after]] = [keys[after], keys[before]];
+        if (values) [values[before], values[after]] = [values[after], values[before]];
+      }
+    }
+  });
+}
+
+// One LSD radix pass: per-tile digit counts laid out digit-major, their exclusive scan, then
+// a stable scatter by rank within the tile
+function radixPass(keysIn, valuesIn, shift) {
+  const bins = 1 << RADIX_BITS;
+  const numBlocks = keysIn.length / RADIX_TILE;
+  const digit = i => (keysIn[i] >>> shift) & (bins - 1);
+  const blockSums = new Uint32Array(bins * numBlocks);
+  for (let i = 0; i < keysIn.length; i++) {
+    blockSums[digit(i) * numBlocks + Math.floor(i / RADIX_TILE)]++;
+  }
+  let carry = 0;
+  for (let i = 0; i < blockSums.length; i++) {
+    const value = blockSums[i];
+    blockSums[i] = carry;
+    carry += value;
+  }
+  const keysOut = new Uint32Array(keysIn.length);
+  const valuesOut = valuesIn && new Uint32Array(valuesIn.length);
+  for (let i = 0; i < keysIn.length; i++) {
+    const dest = blockSums[digit(i) * numBlocks + Math.floor(i / RADIX_TILE)]++;
+    keysOut[dest] = keysIn[i];
+    if (valuesIn) valuesOut[dest] = valuesIn[i];
+  }
+  return { keys: keysOut, values: valuesOut };
+}
+
+// GpuSorter.sort() of `keys` of any key type (with u32 `values`, if given) through the model:
+// the prepare pass's mapping and padding, the backend's passes, then the finish pass
+function sortModel(keys, { values = null, keyType = 'u32', order = 'ascending', backend = 'bitonic' } = {}) {
+  const count = keys.length;
+  const descending = order === 'descending';
+  const paddedCount = backend === 'radix'
+    ? Math.ceil(count / RADIX_TILE) * RADIX_TILE
+    : Math.max(2, 2 ** Math.ceil(Math.log2(count)));
+
+  let sortedKeys = new Uint32Array(paddedCount).fill(0xffffffff);
+  let sortedValues = values && new Uint32Array(paddedCount);
+  new Uint32Array(keys.buffer, keys.byteOffset, count).forEach((key, i) => {
+    sortedKeys[i] = encodeSortKey(key, keyType, descending);
+  });
+  if (values) sortedValues.set(values);
+
+  if (backend === 'radix') {
+    for (let shift = 0; shift < 32; shift += RADIX_BITS) {
+      ({ keys: sortedKeys, values: sortedValues } = radixPass(sortedKeys, sortedValues, shift));
+    }
+  } else {
+    bitonicNetwork(sortedKeys, sortedValues, count);
+  }
+
+  const decoded = sortedKeys.slice(0, count).map(key => decodeSortKey(key, keyType, descending));
+  return { keys: new keys.constructor(decoded.buffer), values: sortedValues && sortedValues.slice(0, count) };
+}
+
+// Deterministic keys with plenty of duplicates, as the typed array of their key type
+function randomKeys(keyType, count, seed = count) {
+  let state = seed * 2654435761 >>> 0 || 1;
+  const next = () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return state >>> 0;
+  };
+  const words = Uint32Array.from({ length: count }, () => (next() % 4 === 0 ? next() % 8 : next()));
+  if (keyType === 'i32') return new Int32Array(words.buffer);
+  if (keyType === 'f32') {
+    return Float32Array.from(words, w => [0, 1.5, -2.25, Infinity, -Infinity][w % 8] ?? (w / 0x10000 - 32768) * 1e-3);
+  }
+  return words;
+}
+
+const byOrder = order => (order === 'ascending' ? (a, b) => a - b : (a, b) => b - a);
+
+describe('the reference model of GpuSorter sorts like Array.prototype.sort', () => {
+  for (const backend of ['bitonic', 'radix']) {
+    for (const keyType of ['u32', 'i32', 'f32']) {
+      for (const order of ['ascending', 'descending']) {
+        test(`${backend} ${keyType} ${order}`, () => {
+          LENGTHS.forEach((count) => {
+            const keys = randomKeys(keyType, count);
+            const expected = [...keys].sort(byOrder(order));
+            assert.deepEqual([...sortModel(keys, { keyType, order, backend }).keys], expected, `${count} keys`);
+          });
+        });
+
+        test(`${backend} ${keyType} ${order} key-value`, () => {
+          LENGTHS.forEach((count) => {
+            const keys = randomKeys(keyType, count);
+            const values = Uint32Array.from(keys, (_, i) => i);
+            const sorted = sortModel(keys, { keyType, order, backend, values });
+            // Array.prototype.sort is stable, so it fixes the value order of equal keys
+            const expected = [...values].sort((a, b) => byOrder(order)(keys[a], keys[b]));
+            assert.deepEqual([...sorted.keys], expected.map(i => keys[i]), `${count} keys`);
+            if (backend === 'radix') {
+              assert.deepEqual([...sorted.values], expected, `${count} values`);
+            } else {
+              assert.deepEqual([...sorted.values].sort((a, b) => a - b), [...values], `${count} values`);
+              sorted.values.forEach((value, i) => assert.equal(keys[value], sorted.keys[i]));
+            }
+          });
+        });
+      }
+    }
+  }
+});
+
+describe('in the reference model, real keys that map to the padding key keep their values', () => {
+  const cases = [
+    ['u32', 'ascending', 0xffffffff],
+    ['i32', 'ascending', 0x7fffffff],
+    ['u32', 'descending', 0],
+    ['i32', 'descending', -0x80000000]
+  ];
+  for (const backend of ['bitonic', 'radix']) {
+    cases.forEach(([keyType, order, key]) => {
+      test(`${backend} ${keyType} ${order} ${key}`, () => {
+        [3, 5, 9, 300].forEach((count) => {
+          const keys = keyType === 'i32' ? new Int32Array(count) : new Uint32Array(count);
+          keys.fill(key).set([1, 2], count - 2);
+          const values = Uint32Array.from(keys, (_, i) => i + 1);
+          const sorted = sortModel(keys, { keyType, order, backend, values });
+          assert.deepEqual([...sorted.keys], [...keys].sort(byOrder(order)), `${count} keys`);
+          assert.deepEqual([...sorted.values].sort((a, b) => a - b), [...values], `${count} values`);
+        });
+      });
+    });
+  }
+});
+
+describe('the WGSL kernels, run on the mock, sort exactly like the reference model', () => {
+  let device;
+  let uninstall;
+  before(async () => {
+    let gpu;
+    ({ gpu, uninstall } = installMockWebGPU({ runCompute: true }));
+    device = await (await gpu.requestAdapter()).requestDevice();
+  });
+  after(() => uninstall());
+
+  // GpuSorter.sort() of `keys` (and u32 `values`) on the device, read back
+  async function sortOnDevice(keys, { values = null, keyType = 'u32', order = 'ascending', backend = 'bitonic' } = {}, t) {
+    // Pipeline creation logs a line per kernel
+    t.mock.method(console, 'log', () => {});
+    const upload = (data) => {
+      const buffer = device.createBuffer({ size: data.byteLength, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST });
+      device.queue.writeBuffer(buffer, 0, data);
+      return buffer;
+    };
+    const keyBuffer = upload(keys);
+    const valueBuffer = values && upload(values);
+    const sorter = new GpuSorter(device, { keyType, values: Boolean(values), backend });
+    await sorter.sort(keyBuffer, { values: valueBuffer, order });
+    const sorted = {
+      keys: await readBuffer(device, keyBuffer, { type: keys.constructor }),
+      values: values && await readBuffer(device, valueBuffer, { type: Uint32Array })
+    };
+    sorter.destroy();
+    assert.deepEqual(device.errors, []);
+    return sorted;
+  }
+
+  // 300 keys are two radix tiles; 1025 pad to 2048 for bitonic, which needs global steps
+  const lengthsFor = keyType => (keyType === 'u32' ? [5, 300, 1025] : [5, 300]);
+
+  for (const backend of ['bitonic', 'radix']) {
+    for (const keyType of ['u32', 'i32', 'f32']) {
+      for (const order of ['ascending', 'descending']) {
+        test(`${backend} ${keyType} ${order}`, async (t) => {
+          for (const count of lengthsFor(keyType)) {
+            const keys = randomKeys(keyType, count);
+            const values = Uint32Array.from(keys, (_, i) => i);
+            const options = { keyType, order, backend };
+            const sorted = await sortOnDevice(keys, { ...options, values }, t);
+            // Same network and passes: the same permutation, so the values must match too
+            const expected = sortModel(keys, { ...options, values });
+            assert.deepEqual([...sorted.keys], [...expected.keys], `${count} keys`);
+            assert.deepEqual([...sorted.values], [...expected.values], `${count} values`);
+            assert.deepEqual([...(await sortOnDevice(keys, options, t)).keys], [...keys].sort(byOrder(order)), `${count} keys only`);
+          }
+        });
+      }
+    }
+  }
+
+  test('real keys that map to the padding key keep their values', async (t) => {
+    const cases = [['u32', 'ascending', 0xffffffff], ['i32', 'descending', -0x80000000]];
+    for (const backend of ['bitonic', 'radix']) {
+      for (const [keyType, order, key] of cases) {
+        // 600 keys are three radix tiles, and pad to 1024 for bitonic, with a global step
+        for (const count of [9, 600]) {
+          const keys = keyType === 'i32' ? new Int32Array(count) : new Uint32Array(count);
+          keys.fill(key).set([1, 2], count - 2);
+          const values = Uint32Array.from(keys, (_, i) => i + 1);
+          const sorted = await sortOnDevice(keys, { keyType, order, backend, values }, t);
+          const what = `${backend} ${keyType} ${order} ${count}`;
+          assert.deepEqual([...sorted.keys], [...keys].sort(byOrder(order)), what);
+          assert.deepEqual([...sorted.values].sort((a, b) => a - b), [...values], what);
+        }
+      }
+    }
+  });
+});
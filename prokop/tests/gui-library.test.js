@@ -0,0 +1,197 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM } from './setup.js';
+
+const page = installDOM();
+const { Event } = page.dom.window;
+const { default: GUI } = await import('../common/gui-library.js');
+
+afterEach(() => {
+  GUI.__instances.forEach(gui => gui.destroy());
+  localStorage.clear();
+});
+
+// Change a controller's input the way the user does
+function edit(input, value, type = 'change') {
+  input.value = String(value);
+  input.dispatchEvent(new Event(type));
+}
+
+test('number controllers clamp to min and max and round to the step', () => {
+  const gui = new GUI();
+  const params = { speed: 5, count: 10 };
+  const speed = gui.add(params, 'speed', 0, 10, 0.25);
+  speed.setValue(12);
+  assert.equal(params.speed, 10);
+  speed.setValue(-3);
+  assert.equal(params.speed, 0);
+  speed.setValue(3.1);
+  assert.equal(params.speed, 3);
+  speed.setValue(3.13);
+  assert.equal(params.speed, 3.25);
+
+  const count = gui.add(params, 'count').min(1).max(100).step(5);
+  count.setValue(23);
+  assert.equal(params.count, 21); // steps counted from min
+  count.setValue(1000);
+  assert.equal(params.count, 96); // the last step below max
+});
+
+test('number controllers without a step keep any value in range', () => {
+  const gui = new GUI();
+  const params = { scale: 0.5 };
+  gui.add(params, 'scale', 0, 1).setValue(0.123456);
+  assert.equal(params.scale, 0.123456);
+});
+
+test('onChange fires on every edit, onFinishChange when the edit is committed', () => {
+  const gui = new GUI();
+  const params = { speed: 1, enabled: false, label: 'a' };
+  const changes = [];
+  const finished = [];
+  const speed = gui.add(params, 'speed', 0, 10, 1)
+    .onChange(value => changes.push(value))
+    .onFinishChange(value => finished.push(value));
+  const [slider, number] = speed.domElement.querySelectorAll('input');
+
+  edit(slider, 4, 'input');
+  edit(slider, 6, 'input');
+  assert.deepEqual(changes, [4, 6]);
+  assert.deepEqual(finished, []);
+  slider.dispatchEvent(new Event('change'));
+  assert.deepEqual(finished, [6]);
+  edit(number, 42);
+  assert.deepEqual(changes, [4, 6, 10]);
+  assert.deepEqual(finished, [6, 10]);
+  assert.equal(number.value, '10');
+
+  let toggled = null;
+  const enabled = gui.add(params, 'enabled').onFinishChange((value) => { toggled = value; });
+  enabled.__li.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  assert.equal(params.enabled, true);
+  assert.equal(toggled, true);
+
+  const label = gui.add(params, 'label').onChange(value => changes.push(value));
+  edit(label.domElement.querySelector('input'), 'b', 'input');
+  assert.equal(params.label, 'b');
+  assert.equal(changes.at(-1), 'b');
+});
+
+test('add picks the controller for the value and rejects the rest', () => {
+  const gui = new GUI();
+  let fired = 0;
+  const params = { mode: 'b', run: () => fired++, missing: undefined, nested: null };
+  const mode = gui.add(params, 'mode', ['a', 'b', 'c']);
+  assert.equal(mode.domElement.querySelector('select').selectedIndex, 1);
+  mode.options({ First: 'a', Second: 'b' });
+  assert.deepEqual([...mode.domElement.querySelectorAll('option')].map(o => o.textContent), ['First', 'Second']);
+
+  gui.add(params, 'run').name('Run').fire();
+  assert.equal(fired, 1);
+  assert.throws(() => gui.add(params, 'missing'), /has no property "missing"/);
+  assert.throws(() => gui.add(params, 'nested'), /Unsupported value type/);
+});
+
+test('folders hold their own controllers and are removed with them', () => {
+  const gui = new GUI();
+  const params = { a: 1, b: 2 };
+  const folder = gui.addFolder('Physics');
+  const a = folder.add(params, 'a');
+  gui.add(params, 'b');
+  assert.throws(() => gui.addFolder('Physics'), /already have a folder/);
+  assert.equal(gui.__allControllers().length, 2);
+  assert.ok(gui.domElement.contains(a.domElement));
+
+  a.remove();
+  assert.equal(folder.__controllers.length, 0);
+  assert.ok(!gui.domElement.contains(a.domElement));
+
+  gui.removeFolder(folder);
+  assert.ok(!gui.domElement.contains(folder.domElement));
+  assert.doesNotThrow(() => gui.addFolder('Physics'));
+
+  assert.ok(document.body.contains(gui.domElement));
+  gui.destroy();
+  assert.ok(!document.body.contains(gui.domElement));
+  assert.equal(gui.__allControllers().length, 0);
+  assert.ok(!GUI.__instances.includes(gui));
+});
+
+test('listen() refreshes the display every frame until the GUI is destroyed', async () => {
+  const gui = new GUI();
+  const params = { frame: 0 };
+  const controller = gui.add(params, 'frame').listen();
+  const input = controller.domElement.querySelector('input[type=number]');
+
+  params.frame = 7;
+  assert.equal(input.value, '0');
+  await page.frames(1);
+  assert.equal(input.value, '7');
+
+  gui.destroy();
+  assert.equal(page.pendingFrames, 0);
+  params.frame = 8;
+  await page.frames(1);
+  assert.equal(input.value, '7');
+});
+
+test('presets save, switch and revert remembered values', () => {
+  const gui = new GUI();
+  const params = { speed: 1, color: '#ff0000' };
+  gui.remember(params);
+  const speed = gui.add(params, 'speed', 0, 10);
+  gui.addColor(params, 'color');
+
+  speed.setValue(4);
+  gui.revert();
+  assert.equal(params.speed, 1);
+
+  speed.setValue(5);
+  gui.save();
+  speed.setValue(9);
+  gui.revert();
+  assert.equal(params.speed, 5);
+
+  params.color = '#00ff00';
+  gui.saveAs('Green');
+  assert.equal(gui.preset, 'Green');
+  gui.preset = 'Default';
+  assert.deepEqual(params, { speed: 5, color: '#ff0000' });
+  gui.preset = 'Green';
+  assert.deepEqual(params, { speed: 5, color: '#00ff00' });
+
+  const saved = gui.getSaveObject();
+  assert.equal(saved.preset, 'Green');
+  assert.deepEqual(Object.keys(saved.remembered), ['Default', 'Green']);
+  assert.deepEqual(saved.remembered.Default[0], { speed: 5, color: '#ff0000' });
+});
+
+test('presets persist in localStorage when asked to', () => {
+  const key = `${location.pathname}.gui`;
+  const first = new GUI({ useLocalStorage: true });
+  const params = { speed: 1 };
+  first.remember(params);
+  const speed = first.add(params, 'speed', 0, 10);
+  first.save();
+  speed.setValue(6);
+  first.saveAs('Fast');
+  assert.equal(JSON.parse(localStorage.getItem(key)).remembered.Fast[0].speed, 6);
+  first.destroy();
+
+  const restored = { speed: 1 };
+  const second = new GUI({ useLocalStorage: true });
+  second.remember(restored);
+  second.add(restored, 'speed', 0, 10);
+  assert.equal(second.preset, 'Fast');
+  assert.equal(restored.speed, 6);
+  second.preset = 'Default';
+  assert.equal(restored.speed, 1);
+
+  const untouched = { speed: 1 };
+  const third = new GUI();
+  third.remember(untouched);
+  third.add(untouched, 'speed', 0, 10);
+  assert.equal(untouched.speed, 1);
+  third.saveAs('Other');
+  assert.equal(JSON.parse(localStorage.getItem(key)).preset, 'Fast');
+});
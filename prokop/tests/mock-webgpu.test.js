@@ -0,0 +1,227 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDOM } from './setup.js';
+
+installDOM();
+const { installMockWebGPU } = await import('../common/mock-webgpu.js');
+const {
+  createPipeline,
+  getPipelineType,
+  getPipelineBindings,
+  getPipelineBuffers,
+  readBuffer,
+  quitIfWebGPUNotAvailable
+} = await import('../common/webgpu-utils.js');
+const { onCleanup } = await import('../common/error-reporter.js');
+const { encodeReadback } = await import('../common/verify.js');
+
+const COMPUTE = `
+struct Params { scale : f32 }
+@binding(0) @group(0) var<uniform> params : Params;
+@binding(1) @group(0) var<storage, read_write> data : array<f32>;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) id : vec3u) {
+  data[id.x] *= params.scale;
+}
+`;
+
+const RENDER = `
+struct VertexOutput {
+  @builtin(position) position : vec4f,
+  @location(0) color : vec4f,
+}
+
+@vertex
+fn vert_main(@location(0) pos : vec2f, @location(1) color : vec4f) -> VertexOutput {
+  return VertexOutput(vec4(pos, 0.0, 1.0), color);
+}
+
+@fragment
+fn frag_main(@location(0) color : vec4f) -> @location(0) vec4f {
+  return color;
+}
+`;
+
+async function requestDevice(options) {
+  const { gpu, uninstall } = installMockWebGPU(options);
+  const adapter = await navigator.gpu.requestAdapter();
+  const device = adapter && await adapter.requestDevice();
+  return { gpu, adapter, device, uninstall };
+}
+
+// Error dialog entries shown by error-reporter.js
+const dialogEntries = () => [...document.querySelectorAll('.error-report .entry .title')].map(e => e.textContent);
+
+test('createPipeline builds a compute pipeline with reflected bindings', async () => {
+  const { gpu, device, uninstall } = await requestDevice();
+  try {
+    const pipeline = await createPipeline(device, { compute: { code: COMPUTE }, label: 'scale' });
+    assert.equal(getPipelineType(pipeline), 'compute');
+    assert.deepEqual(getPipelineBindings(pipeline).map(b => [b.binding, b.name]), [[0, 'params'], [1, 'data']]);
+    const [call] = gpu.log.of('createComputePipeline');
+    assert.equal(call.args[0].layout, 'auto');
+    assert.equal(call.args[0].compute.entryPoint, 'main');
+    assert.deepEqual(device.errors, []);
+  } finally {
+    uninstall();
+  }
+});
+
+test('createPipeline lays out interleaved vertex buffers from the vertex inputs', async () => {
+  const { device, uninstall } = await requestDevice();
+  try {
+    const pipeline = await createPipeline(device, {
+      vertex: { code: RENDER },
+      fragment: { code: RENDER },
+      presentationFormat: 'bgra8unorm',
+      vertexBuffers: [{ attributes: ['pos', 'color'] }]
+    });
+    assert.equal(getPipelineType(pipeline), 'render');
+    assert.deepEqual(getPipelineBuffers(pipeline), [{
+      arrayStride: 24,
+      stepMode: 'vertex',
+      attributes: [
+        { shaderLocation: 0, offset: 0, format: 'float32x2' },
+        { shaderLocation: 1, offset: 8, format: 'float32x4' }
+      ]
+    }]);
+  } finally {
+    uninstall();
+  }
+});
+
+test('createPipeline rejects an entry point the shader does not have', async () => {
+  const { gpu, device, uninstall } = await requestDevice();
+  try {
+    await assert.rejects(createPipeline(device, { compute: { code: COMPUTE, entryPoint: 'missing' } }), /missing/);
+    assert.equal(gpu.log.of('createComputePipeline').length, 0);
+  } finally {
+    uninstall();
+  }
+});
+
+test('createPipeline passes shader loading errors to the caller without reporting them', async () => {
+  const files = { 'broken.wgsl': '#include "defs.wgsl"\n', 'defs.wgsl': '#if WORKGROUP_SIZE > 64\n#error too big\n#endif\n' };
+  const fetch = globalThis.fetch;
+  globalThis.fetch = async path => ({ ok: path in files, status: path in files ? 200 : 404, text: async () => files[path] });
+  const { device, uninstall } = await requestDevice();
+  const entries = dialogEntries().length;
+  try {
+    const error = await createPipeline(device, { compute: 'broken.wgsl', defines: { WORKGROUP_SIZE: 128 } }).catch(e => e);
+    assert.equal(error.name, 'WGSLPreprocessError');
+    assert.deepEqual([error.file, error.line], ['defs.wgsl', 2]);
+    await assert.rejects(createPipeline(device, { compute: 'missing.wgsl' }), /Failed to load shader: missing.wgsl \(404\)/);
+    assert.equal(dialogEntries().length, entries);
+  } finally {
+    globalThis.fetch = fetch;
+    uninstall();
+  }
+});
+
+test('the mock applies buffer writes and copies in submission order', async () => {
+  const { device, uninstall } = await requestDevice();
+  try {
+    const source = device.createBuffer({ size: 16, usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST });
+    const staging = device.createBuffer({ size: 16, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+    device.queue.writeBuffer(source, 0, new Uint32Array([1, 2, 3, 4]));
+    const encoder = device.createCommandEncoder();
+    encoder.copyBufferToBuffer(source, 4, staging, 0, 8);
+    device.queue.submit([encoder.finish()]);
+    await staging.mapAsync(GPUMapMode.READ);
+    assert.deepEqual([...new Uint32Array(staging.getMappedRange())], [2, 3, 0, 0]);
+    staging.unmap();
+    assert.equal(device.submits.length, 1);
+  } finally {
+    uninstall();
+  }
+});
+
+test('with runCompute, submitted dispatches run in order between the copies', async () => {
+  const { device, uninstall } = await requestDevice({ runCompute: true });
+  try {
+    const pipeline = await createPipeline(device, { compute: { code: COMPUTE }, label: 'scale' });
+    const params = device.createBuffer({ size: 4, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    const data = device.createBuffer({ size: 64 * 4, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST });
+    const before = device.createBuffer({ size: 64 * 4, usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST });
+    device.queue.writeBuffer(params, 0, new Float32Array([0.5]));
+    device.queue.writeBuffer(data, 0, Float32Array.from({ length: 64 }, (_, i) => i));
+    const bindGroup = device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [{ binding: 0, resource: { buffer: params } }, { binding: 1, resource: { buffer: data } }]
+    });
+    const encoder = device.createCommandEncoder();
+    encoder.copyBufferToBuffer(data, 0, before, 0, 64 * 4);
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(1);
+    pass.dispatchWorkgroups(1);
+    pass.end();
+    device.queue.submit([encoder.finish()]);
+    assert.deepEqual([...await readBuffer(device, before, { size: 12, type: Float32Array })], [0, 1, 2]);
+    assert.deepEqual([...await readBuffer(device, data, { size: 20, type: Float32Array })], [0, 0.25, 0.5, 0.75, 1]);
+    assert.deepEqual(device.errors, []);
+  } finally {
+    uninstall();
+  }
+});
+
+test('encodeReadback reads through pooled staging buffers', async () => {
+  const { gpu, device, uninstall } = await requestDevice();
+  try {
+    const source = device.createBuffer({ size: 16, usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST });
+    const stagingBuffers = () => gpu.log.of('createBuffer').filter(call => call.args[0].usage & GPUBufferUsage.MAP_READ);
+    for (let frame = 0; frame < 3; frame++) {
+      device.queue.writeBuffer(source, 0, new Uint32Array([frame, 1, 2, 3]));
+      const encoder = device.createCommandEncoder();
+      const reads = [encodeReadback(device, encoder, source), encodeReadback(device, encoder, source, Float32Array)];
+      device.queue.submit([encoder.finish()]);
+      const [words, floats] = await Promise.all(reads.map(read => read()));
+      assert.deepEqual([...words], [frame, 1, 2, 3]);
+      assert.equal(floats.length, 4);
+    }
+    // Two reads in flight at once need two buffers; later frames reuse them
+    assert.equal(stagingBuffers().length, 2);
+    assert.equal(gpu.log.of('destroy').length, 0);
+  } finally {
+    uninstall();
+  }
+});
+
+test('quitIfWebGPUNotAvailable passes a working adapter and device', async () => {
+  const { adapter, device, uninstall } = await requestDevice();
+  try {
+    assert.doesNotThrow(() => quitIfWebGPUNotAvailable(adapter, device));
+  } finally {
+    uninstall();
+  }
+});
+
+test('quitIfWebGPUNotAvailable reports a missing adapter and runs the cleanup hooks', async () => {
+  const { adapter, uninstall } = await requestDevice({ adapterAvailable: false });
+  let cleanedUp = 0;
+  const unregister = onCleanup(() => { cleanedUp++; });
+  try {
+    assert.equal(adapter, null);
+    assert.throws(() => quitIfWebGPUNotAvailable(adapter, null), /requestAdapter returned null/);
+    assert.equal(cleanedUp, 1);
+    assert.ok(dialogEntries().includes('WebGPU unavailable (stopped)'));
+  } finally {
+    unregister();
+    uninstall();
+  }
+});
+
+test('quitIfWebGPUNotAvailable reports the loss of a watched device', async () => {
+  const { adapter, device, uninstall } = await requestDevice();
+  try {
+    quitIfWebGPUNotAvailable(adapter, device);
+    device.loseDevice('unknown', 'driver reset');
+    await device.lost;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.ok(dialogEntries().includes('GPU device lost (stopped)'));
+  } finally {
+    uninstall();
+  }
+});
@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createPattern,
+  parseRLE,
+  formatRLE,
+  parseCells,
+  formatCells,
+  parsePattern,
+  patternSegments,
+  placePattern,
+  extractPattern
+} from '../gameOfLife/patterns.js';
+
+const GLIDER_RLE = `#N Glider
+#O Richard K. Guy
+#C The smallest spaceship.
+x = 3, y = 3, rule = B3/S23
+bob$2bo$3o!
+`;
+
+const GOSPER_GUN_RLE = `#N Gosper glider gun
+x = 36, y = 9, rule = B3/S23
+24bo$22bobo$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o$2o8bo3bob2o4b
+obo$10bo5bo7bo$11bo3bo$12b2o!
+`;
+
+const GLIDER_CELLS = `!Name: Glider
+!A comment
+.O
+..O
+OOO
+`;
+
+// Live cells as 'x,y' strings, to compare patterns regardless of their bounds
+const liveCells = pattern => Array.from(pattern.cells, (v, i) => v && `${i % pattern.width},${Math.floor(i / pattern.width)}`).filter(Boolean);
+
+// A width x height pattern with live cells at [x, y]
+function patternOf(width, height, cells, extra) {
+  const pattern = createPattern(width, height, extra);
+  cells.forEach(([x, y]) => { pattern.cells[y * width + x] = 1; });
+  return pattern;
+}
+
+test('parseRLE reads the header, comments and body', () => {
+  const glider = parseRLE(GLIDER_RLE);
+  assert.equal(glider.width, 3);
+  assert.equal(glider.height, 3);
+  assert.equal(glider.rule, 'B3/S23');
+  assert.equal(glider.name, 'Glider');
+  assert.deepEqual(glider.comments, ['Richard K. Guy', 'The smallest spaceship.']);
+  assert.deepEqual([...glider.cells], [0, 1, 0, 0, 0, 1, 1, 1, 1]);
+
+  const gun = parseRLE(GOSPER_GUN_RLE);
+  assert.equal(gun.cells.reduce((a, b) => a + b), 36);
+});
+
+test('RLE headers with and without a rule, in any spacing and case', () => {
+  [
+    ['x = 2, y = 1, rule = B36/S23\n2o!', 'B36/S23'],
+    ['x=2,y=1,rule=23/3\n2o!', '23/3'],
+    ['X = 2, Y = 1\n2o!', null],
+    ['#r B3/S12\nx = 2, y = 1\n2o!', 'B3/S12'],
+    ['#r B3/S12\nx = 2, y = 1, rule = B2/S\n2o!', 'B2/S']
+  ].forEach(([text, rule]) => {
+    const pattern = parseRLE(text);
+    assert.deepEqual([pattern.width, pattern.height, pattern.rule], [2, 1, rule], text);
+    assert.deepEqual([...pattern.cells], [1, 1], text);
+  });
+  assert.throws(() => parseRLE('bo$2bo$3o!'), /expected 'x = <width>, y = <height>' header/);
+  assert.throws(() => parseRLE('#C only comments\n'), /missing header/);
+  assert.throws(() => parseRLE('x = 2, y = 1\n3o!'), /outside the declared 2x1 bounds/);
+});
+
+test('RLE round trip: parse, format, parse', () => {
+  [GLIDER_RLE, GOSPER_GUN_RLE].forEach((text) => {
+    const pattern = parseRLE(text);
+    const formatted = formatRLE(pattern);
+    assert.deepEqual(parseRLE(formatted), pattern);
+    assert.equal(formatRLE(parseRLE(formatted)), formatted);
+    formatted.split('\n').forEach(line => assert.ok(line.length <= 70, line));
+  });
+});
+
+test('formatRLE merges empty rows and keeps empty bottom rows in the header', () => {
+  const pattern = patternOf(4, 6, [[0, 0], [3, 0], [1, 3]], { rule: 'B3/S23' });
+  const text = formatRLE(pattern);
+  assert.equal(text, 'x = 4, y = 6, rule = B3/S23\no2bo3$bo!\n');
+  assert.deepEqual(parseRLE(text), pattern);
+});
+
+test('.cells round trip: parse, format, parse', () => {
+  const glider = parseCells(GLIDER_CELLS);
+  assert.equal(glider.name, 'Glider');
+  assert.deepEqual(glider.comments, ['A comment']);
+  assert.deepEqual([glider.width, glider.height], [3, 3]);
+  assert.deepEqual(parseCells(formatCells(glider)), glider);
+
+  const gun = parseRLE(GOSPER_GUN_RLE);
+  const cells = parseCells(formatCells(gun));
+  assert.deepEqual([cells.width, cells.height], [gun.width, gun.height]);
+  assert.deepEqual(liveCells(cells), liveCells(gun));
+});
+
+test('.cells drops trailing dead cells but keeps the live ones', () => {
+  const pattern = patternOf(5, 4, [[1, 0], [0, 2]]);
+  const text = formatCells(pattern);
+  assert.equal(text, '.O\n\nO\n\n');
+  const parsed = parseCells(text);
+  assert.deepEqual([parsed.width, parsed.height], [2, 3]);
+  assert.deepEqual(liveCells(parsed), liveCells(pattern));
+  assert.throws(() => parseCells('.O\n.X\n'), /unexpected character 'X' on row 2/);
+});
+
+test('parsePattern picks the format by file name, then by content', () => {
+  assert.deepEqual(parsePattern(GLIDER_RLE), parseRLE(GLIDER_RLE));
+  assert.deepEqual(parsePattern(GLIDER_CELLS), parseCells(GLIDER_CELLS));
+  assert.deepEqual(parsePattern(GLIDER_RLE, 'glider.RLE'), parseRLE(GLIDER_RLE));
+  assert.deepEqual(parsePattern('O.\n.O\n', 'diagonal.cells'), patternOf(2, 2, [[0, 0], [1, 1]]));
+  // Cross-format: RLE -> .cells -> RLE keeps the cells
+  const gun = parseRLE(GOSPER_GUN_RLE);
+  assert.deepEqual(liveCells(parsePattern(formatRLE(parsePattern(formatCells(gun))))), liveCells(gun));
+});
+
+test('extractPattern returns the bounding box of the live cells', () => {
+  const glider = parseRLE(GLIDER_RLE);
+  const grid = placePattern(new Uint32Array(16 * 12), 16, 12, glider, 5, 2);
+  const extracted = extractPattern(grid, 16, 12, { name: 'copy' });
+  assert.deepEqual([extracted.width, extracted.height, extracted.name], [3, 3, 'copy']);
+  assert.deepEqual([...extracted.cells], [...glider.cells]);
+
+  // A single cell, and cells in opposite corners
+  const corner = new Uint32Array(8 * 8);
+  corner[3 * 8 + 6] = 1;
+  assert.deepEqual([...extractPattern(corner, 8, 8).cells], [1]);
+  corner[0] = 1;
+  const box = extractPattern(corner, 8, 8);
+  assert.deepEqual([box.width, box.height], [7, 4]);
+  // Row 0 of the pattern is the top (highest) grid row
+  assert.deepEqual(liveCells(box), ['6,0', '0,3']);
+
+  const empty = extractPattern(new Uint32Array(64), 8, 8);
+  assert.deepEqual([empty.width, empty.height], [0, 0]);
+});
+
+test('placePattern wraps around the grid edges and can leave dead cells alone', () => {
+  const block = patternOf(2, 2, [[0, 0], [1, 0], [0, 1]]);
+  const grid = new Uint32Array(4 * 4).fill(1);
+  placePattern(grid, 4, 4, block, 3, 3);
+  // Bottom-left corner at (3, 3): the top pattern row wraps to grid row 0
+  assert.deepEqual([grid[0 * 4 + 3], grid[0 * 4 + 0], grid[3 * 4 + 3], grid[3 * 4 + 0]], [1, 1, 1, 0]);
+
+  const transparent = new Uint32Array(4 * 4).fill(1);
+  placePattern(transparent, 4, 4, block, 3, 3, { transparent: true });
+  assert.ok(transparent.every(v => v === 1));
+});
+
+test('patternSegments flips rows and splits them where they wrap', () => {
+  const pattern = patternOf(3, 2, [[0, 0], [2, 1]]);
+  // Top pattern row 0 lands on grid row 2, bottom row 1 on grid row 1
+  assert.deepEqual(patternSegments(8, 4, pattern, 1, 1), [
+    { row: 0, start: 0, length: 3, offset: 2 * 8 + 1 },
+    { row: 1, start: 0, length: 3, offset: 1 * 8 + 1 }
+  ]);
+  // Across the right and top edges, and from negative coordinates
+  assert.deepEqual(patternSegments(8, 4, pattern, 6, 3), [
+    { row: 0, start: 0, length: 2, offset: 0 * 8 + 6 },
+    { row: 0, start: 2, length: 1, offset: 0 * 8 + 0 },
+    { row: 1, start: 0, length: 2, offset: 3 * 8 + 6 },
+    { row: 1, start: 2, length: 1, offset: 3 * 8 + 0 }
+  ]);
+  assert.deepEqual(patternSegments(8, 4, pattern, -1, -1), patternSegments(8, 4, pattern, 7, 3));
+  // A row wider than the grid wraps more than once
+  assert.deepEqual(patternSegments(2, 1, patternOf(5, 1, []), 1, 0).map(s => [s.start, s.length, s.offset]), [[0, 1, 1], [1, 2, 0], [3, 2, 0]]);
+});
+
+test('placePattern puts every pattern cell where the simulation wraps it', () => {
+  const gun = parseRLE(GOSPER_GUN_RLE);
+  [[0, 0], [30, 5], [-7, 12], [39, 19]].forEach(([x, y]) => {
+    const grid = placePattern(new Uint32Array(40 * 20), 40, 20, gun, x, y);
+    const expected = new Uint32Array(40 * 20);
+    for (let py = 0; py < gun.height; py++) {
+      for (let px = 0; px < gun.width; px++) {
+        const gx = (((x + px) % 40) + 40) % 40;
+        const gy = (((y + gun.height - 1 - py) % 20) + 20) % 20;
+        expected[gy * 40 + gx] = gun.cells[py * gun.width + px];
+      }
+    }
+    assert.deepEqual(grid, expected, `at ${x}, ${y}`);
+  });
+});
@@ -0,0 +1,105 @@
+// Test environment for the prokop modules under Node's test runner (npm test): a jsdom page as
+// the global scope, animation frames that run only when a test asks for them, and fetch
+// reading files from the repo, so samples load their shaders as in the browser.
+//
+// Usage, before importing the modules under test (they touch the DOM when loaded):
+//   const page = installDOM({ search: '?3d' });
+//   const { gpu } = installMockWebGPU();
+//   serveFiles(new URL('../gameOfLife/', import.meta.url));
+//   const app = await startSample(new URL('../gameOfLife/gameOfLife.js', import.meta.url), gpu);
+//   await page.frames(10);
+
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+// Event and CustomEvent stay Node's, for the global and mock device event targets; events
+// for page elements come from dom.window
+const DOM_GLOBALS = [
+  'document', 'location', 'localStorage', 'navigator', 'Node', 'Element', 'HTMLElement',
+  'HTMLInputElement', 'HTMLSelectElement', 'HTMLTextAreaElement', 'HTMLCanvasElement', 'Option',
+  'KeyboardEvent', 'MouseEvent', 'getComputedStyle'
+];
+
+/**
+ * Make a jsdom page the global environment, with `window` being globalThis. Returns
+ * { dom, frames(count, interval) }; frames() runs the queued animation frame callbacks
+ * `count` times, `interval` milliseconds apart, letting promises settle in between.
+ */
+function installDOM({ search = '', html = '<!doctype html><body><canvas></canvas></body>' } = {}) {
+  const dom = new JSDOM(html, { url: `http://localhost/${search}`, pretendToBeVisual: true });
+  DOM_GLOBALS.forEach((key) => {
+    Object.defineProperty(globalThis, key, { value: dom.window[key], configurable: true, writable: true });
+  });
+  // jsdom has no canvas contexts; a 2d canvas then draws nothing, as without canvas support
+  dom.window.HTMLCanvasElement.prototype.getContext = () => null;
+  globalThis.window = globalThis;
+  globalThis.devicePixelRatio = 1;
+  if (typeof globalThis.addEventListener !== 'function') {
+    const events = new EventTarget();
+    globalThis.addEventListener = events.addEventListener.bind(events);
+    globalThis.removeEventListener = events.removeEventListener.bind(events);
+    globalThis.dispatchEvent = events.dispatchEvent.bind(events);
+  }
+
+  let queue = [];
+  let now = 0;
+  globalThis.requestAnimationFrame = (callback) => {
+    queue.push(callback);
+    return queue.length;
+  };
+  globalThis.cancelAnimationFrame = () => { queue = []; };
+
+  async function frames(count = 1, interval = 1000 / 60) {
+    for (let i = 0; i < count; i++) {
+      now += interval;
+      const callbacks = queue;
+      queue = [];
+      callbacks.forEach(callback => callback(now));
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+  }
+
+  return { dom, frames, get pendingFrames() { return queue.length; } };
+}
+
+/** Serve fetch() from the files under `base` (a directory URL ending in '/') */
+function serveFiles(base) {
+  globalThis.fetch = async (path) => {
+    try {
+      const text = await readFile(new URL(path, base), 'utf8');
+      return { ok: true, status: 200, text: async () => text };
+    } catch {
+      return { ok: false, status: 404, text: async () => '' };
+    }
+  };
+}
+
+/**
+ * Give the page's canvas a mock 'webgpu' context (jsdom has no canvas contexts), import the
+ * sample module at `url` and resolve to its App once it has started
+ */
+async function startSample(url, gpu) {
+  const { MockGPUCanvasContext } = await import('../common/mock-webgpu.js');
+  const { App } = await import('../common/app.js');
+  const canvas = document.querySelector('canvas');
+  let context = null;
+  canvas.getContext = (type) => {
+    if (type !== 'webgpu') return null;
+    context ??= new MockGPUCanvasContext(canvas, gpu.log);
+    return context;
+  };
+
+  const started = new Promise((resolve) => {
+    const start = App.prototype.start;
+    App.prototype.start = async function startAndCapture(...args) {
+      App.prototype.start = start;
+      const result = await start.apply(this, args);
+      resolve(this);
+      return result;
+    };
+  });
+  await import(url);
+  return started;
+}
+
+export { installDOM, serveFiles, startSample };
@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileCompute, WGSLInterpreterError } from '../common/wgsl-interpreter.js';
+
+// Run `entry` of `code` over `workgroups` with buffers[i] bound at group 0, binding i;
+// returns the buffers, changed in place
+function run(code, buffers, { entry = 'main', constants = {}, workgroups = [1] } = {}) {
+  compileCompute(code, entry, constants).dispatch((group, binding) => {
+    const data = buffers[binding];
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }, workgroups);
+  return buffers;
+}
+
+test('integer arithmetic wraps, and division by zero follows WGSL', () => {
+  const [u, i] = run(`
+    @group(0) @binding(0) var<storage, read_write> u: array<u32>;
+    @group(0) @binding(1) var<storage, read_write> i: array<i32>;
+    @compute @workgroup_size(1) fn main() {
+      u[0] = u[0] + 1u;
+      u[1] = u[1] - 1u;
+      u[2] = u[2] * 0x10001u;
+      u[3] = u[3] / u[4];
+      u[4] = u[3] % u[4];
+      u[5] = 1u << u[5]; // shift amounts wrap at 32
+      u[6] = u[6] >> 31u;
+      u[7] = u32(i32(u[7]) - 2);
+      i[0] = i[0] + 1;
+      i[1] = i[1] / 2;
+      i[2] = i[2] % 2;
+      i[3] = i[3] / -1;
+      i[4] = i[4] >> 1u;
+      i[5] = i32(u[1]);
+      i[6] = i32(f32(i[1]) * 0.9);
+    }`, [new Uint32Array([0xffffffff, 0, 0x10000, 7, 0, 33, 0x80000000, 0]), new Int32Array([0x7fffffff, -7, -7, -0x80000000, -8, 0, 0])]);
+  assert.deepEqual([...u], [0, 0xffffffff, 0x10000, 7, 0, 2, 1, 0xfffffffe]);
+  assert.deepEqual([...i], [-0x80000000, -3, -1, -0x80000000, -4, -1, -2]);
+});
+
+test('f32 results are rounded to f32, and bitcast reinterprets the bits', () => {
+  const [f, u] = run(`
+    @group(0) @binding(0) var<storage, read_write> f: array<f32>;
+    @group(0) @binding(1) var<storage, read_write> u: array<u32>;
+    @compute @workgroup_size(1) fn main() {
+      f[0] = f[0] + 1e-8;
+      f[1] = f[1] * 3.0;
+      f[2] = min(max(f[2], -1.0), 1.0) + clamp(2.5, 0.0, 1.0) + round(2.5) + floor(-0.5);
+      f[3] = bitcast<f32>(0x3fc00000u);
+      u[0] = bitcast<u32>(-f[1]);
+      u[1] = countOneBits(0xf0f0u);
+      u[2] = u32(f[2] - 5.0);
+      u[3] = u32(f[3] * 3.0);
+    }`, [new Float32Array([1, 0.1, -3, 0]), new Uint32Array(4)]);
+  assert.deepEqual([...f], [1, Math.fround(Math.fround(0.1) * 3), 1, 1.5]);
+  assert.deepEqual([...u], [new Uint32Array(new Float32Array([-f[1]]).buffer)[0], 8, 0, 4]);
+});
+
+test('structs, vectors, swizzles, control flow and function calls', () => {
+  const code = `
+    struct Pair { a: vec2u, b: u32 }
+    struct Data { count: u32, pairs: array<Pair> }
+    @group(0) @binding(0) var<storage, read_write> data: Data;
+    @group(0) @binding(1) var<storage, read_write> out: array<u32>;
+
+    fn collatz_steps(start: u32) -> u32 {
+      var n = start;
+      var steps = 0u;
+      loop {
+        if (n == 1u) { break; }
+        n = select(n / 2u, 3u * n + 1u, n % 2u == 1u);
+        continuing {
+          steps++;
+          break if steps >= 1000u;
+        }
+      }
+      return steps;
+    }
+
+    fn classify(n: u32) -> u32 {
+      switch (n % 4u) {
+        case 0u, 1u: { return 10u; }
+        case 2u: { return 20u; }
+        default: { return 30u; }
+      }
+    }
+
+    @compute @workgroup_size(4) fn main(@builtin(global_invocation_id) id: vec3u) {
+      let i = id.x;
+      if (i >= data.count || i >= arrayLength(&data.pairs)) { return; }
+      var pair = data.pairs[i];
+      pair.a = pair.a.yx * 2u + vec2u(1u);
+      pair.b += pair.a.x;
+      data.pairs[i] = pair;
+      data.pairs[i].a.y -= 1u;
+
+      var odd_sum = 0u;
+      for (var k = 0u; k < 10u; k++) {
+        if (k % 2u == 0u) { continue; }
+        odd_sum += k;
+      }
+      var halvings = 0u;
+      var m = 1024u;
+      while (m > 1u) { m >>= 1u; halvings++; }
+      out[i] = collatz_steps(i + 1u) * 1000000u + classify(i) * 10000u + odd_sum * 100u + halvings;
+    }`;
+  // count = 3, then from byte 8 three Pair { a: vec2u, b: u32 } of 16 bytes each
+  const data = new Uint32Array([3, 0, 1, 2, 3, 0, 4, 5, 6, 0, 7, 8, 9, 0]);
+  const [, out] = run(code, [data, new Uint32Array(4)]);
+  assert.deepEqual([...data.slice(2)], [5, 2, 8, 0, 11, 8, 17, 0, 17, 14, 26, 0]);
+  assert.deepEqual([...out], [0 + 100000 + 2500 + 10, 1000000 + 100000 + 2500 + 10, 7000000 + 200000 + 2500 + 10, 0]);
+});
+
+test('workgroup memory, barriers and atomics', () => {
+  // Inclusive prefix sums per workgroup of 8, and a count of odd values across workgroups
+  const code = `
+    @group(0) @binding(0) var<storage, read_write> values: array<u32>;
+    @group(0) @binding(1) var<storage, read_write> odd: atomic<u32>;
+    var<workgroup> tile: array<u32, 8>;
+
+    fn scan_step(lid: u32, offset: u32) {
+      let add = select(0u, tile[max(lid, offset) - offset], lid >= offset);
+      workgroupBarrier();
+      tile[lid] += add;
+      workgroupBarrier();
+    }
+
+    @compute @workgroup_size(8) fn main(
+      @builtin(global_invocation_id) id: vec3u,
+      @builtin(local_invocation_index) lid: u32,
+    ) {
+      tile[lid] = values[id.x];
+      if (values[id.x] % 2u == 1u) { atomicAdd(&odd, 1u); }
+      workgroupBarrier();
+      for (var offset = 1u; offset < 8u; offset *= 2u) {
+        scan_step(lid, offset);
+      }
+      values[id.x] = tile[lid];
+    }`;
+  const values = Uint32Array.from({ length: 16 }, (_, i) => i);
+  const [sums, odd] = run(code, [values, new Uint32Array(1)], { workgroups: [2] });
+  assert.deepEqual([...sums], [0, 1, 3, 6, 10, 15, 21, 28, 8, 17, 27, 38, 50, 63, 77, 92]);
+  assert.deepEqual([...odd], [8]);
+});
+
+test('overrides take the pipeline constants by name or @id, also in @workgroup_size', () => {
+  const code = `
+    @group(0) @binding(0) var<storage, read_write> out: array<u32>;
+    override block: u32 = 2u;
+    @id(3) override scale: f32 = 1.0;
+    override enabled = false;
+    @compute @workgroup_size(block) fn main(@builtin(global_invocation_id) id: vec3u) {
+      out[id.x] = select(1u, u32(f32(id.x) * scale), enabled);
+    }`;
+  const kernel = compileCompute(code, 'main', { block: 4, 3: 2.5, enabled: 1 });
+  assert.deepEqual(kernel.workgroupSize, [4, 1, 1]);
+  assert.deepEqual([...run(code, [new Uint32Array(8)], { constants: { block: 4, 3: 2.5, enabled: 1 }, workgroups: [2] })[0]],
+    [0, 2, 5, 7, 10, 12, 15, 17]);
+  assert.deepEqual([...run(code, [new Uint32Array(4)], { workgroups: [2] })[0]], [1, 1, 1, 1]);
+});
+
+test('out-of-bounds accesses and unsupported code throw', () => {
+  const header = '@group(0) @binding(0) var<storage, read_write> data: array<u32>;\n';
+  assert.throws(() => run(`${header}@compute @workgroup_size(2) fn main(@builtin(local_invocation_index) i: u32) {
+    data[i + 1u] = 1u;
+  }`, [new Uint32Array(2)]), (error) => {
+    assert.ok(error instanceof WGSLInterpreterError);
+    assert.match(error.message, /Index 2 is out of bounds of 'data' \(2 elements\)/);
+    return true;
+  });
+  assert.throws(() => compileCompute(`${header}@group(0) @binding(1) var image: texture_2d<f32>;
+    @compute @workgroup_size(1) fn main() { _ = image; }`, 'main'),
+  /Type 'texture_2d' is not supported by the interpreter at line 2/);
+  assert.throws(() => compileCompute(`@group(0) @binding(0) var<storage> data: array<u32>;
+    @compute @workgroup_size(1) fn main() { data[0] = 1u; }`, 'main'), /'data' cannot be assigned/);
+  assert.throws(() => compileCompute(`${header}@compute @workgroup_size(1) fn main() { data[0] = 1u + 1i; }`, 'main'),
+    /Operands u32 and i32 do not match/);
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reflectWGSL, findEntryPoint, getVertexAttributes, getGroupBindings, WGSLReflectError } from '../common/wgsl-reflect.js';
+
+// GPUShaderStage bits of binding visibility
+const GPU_FRAGMENT = 0x2;
+const GPU_COMPUTE = 0x4;
+
+// Values of `const` declarations, by name
+const constValues = code => Object.fromEntries(Object.values(reflectWGSL(code).constants).map(c => [c.name, c.value]));
+
+test('decimal, hex, suffixed and hex float literals', () => {
+  assert.deepEqual(constValues(`
+    const DECIMAL = 42; const FLOAT = 1.5; const LEADING_DOT = .25; const EXPONENT = 1e3;
+    const UNSIGNED = 7u; const SIGNED = 12i; const F32 = 2f; const F16 = 0.5h; const F32_EXPONENT = 1.5e-2f;
+  `), {
+    DECIMAL: 42, FLOAT: 1.5, LEADING_DOT: 0.25, EXPONENT: 1000,
+    UNSIGNED: 7, SIGNED: 12, F32: 2, F16: 0.5, F32_EXPONENT: 0.015
+  });
+
+  // f and h are hex digits unless they follow a p exponent
+  assert.deepEqual(constValues(`
+    const FF = 0xff; const F1 = 0x1f; const E1 = 0x1E; const FFU = 0xffu; const FI = 0X1Fi; const ZERO = 0x0;
+  `), { FF: 255, F1: 31, E1: 30, FFU: 255, FI: 31, ZERO: 0 });
+
+  assert.deepEqual(constValues(`
+    const A = 0x1.8p1; const B = 0x1p-2f; const C = 0x.8p0h; const D = 0xA.8; const E = 0x1.fp+4; const F = 0xfp0;
+  `), { A: 3, B: 0.25, C: 0.5, D: 10.5, E: 31, F: 15 });
+});
+
+test('override types come from the declaration, else from the literal', () => {
+  const { overrides } = reflectWGSL(`
+    override HEX = 0x1f;
+    override HEX_F = 0xf;
+    override HEX_FLOAT = 0x1p4f;
+    override FLOAT = 1.5;
+    override UNSIGNED = 3u;
+    override HALF = 2h;
+    override ENABLED = true;
+    @id(7) override SIZE: u32 = 64;
+    override REQUIRED: f32;
+  `);
+  assert.deepEqual(overrides.map(({ name, id, type, defaultValue }) => [name, id, type, defaultValue]), [
+    ['HEX', undefined, 'i32', 31],
+    ['HEX_F', undefined, 'i32', 15],
+    ['HEX_FLOAT', undefined, 'f32', 16],
+    ['FLOAT', undefined, 'f32', 1.5],
+    ['UNSIGNED', undefined, 'u32', 3],
+    ['HALF', undefined, 'f16', 2],
+    ['ENABLED', undefined, 'bool', true],
+    ['SIZE', 7, 'u32', 64],
+    ['REQUIRED', undefined, 'f32', undefined]
+  ]);
+});
+
+test('@workgroup_size from literals, consts and override defaults', () => {
+  const reflection = reflectWGSL(`
+    const WIDTH = 0x10u;
+    override BLOCK = 0x1f;
+    override DEPTH: u32;
+    @compute @workgroup_size(64) fn literal() {}
+    @compute @workgroup_size(0x40, 2) fn hex() {}
+    @compute @workgroup_size(WIDTH, BLOCK) fn named() {}
+    @compute @workgroup_size(8, 8, DEPTH) fn unresolved() {}
+    @compute @workgroup_size(BLOCK) fn uses_block() { let x = 1; }
+  `);
+  const sizes = Object.fromEntries(reflection.entryPoints.map(e => [e.name, e.workgroupSize]));
+  assert.deepEqual(sizes, {
+    literal: [64, 1, 1],
+    hex: [64, 2, 1],
+    named: [16, 31, 1],
+    unresolved: [8, 8, 'DEPTH'],
+    uses_block: [31, 1, 1]
+  });
+  assert.deepEqual(findEntryPoint(reflection, 'compute', 'named').overrides, ['BLOCK']);
+  assert.deepEqual(findEntryPoint(reflection, 'compute', 'unresolved').overrides, ['DEPTH']);
+  assert.deepEqual(findEntryPoint(reflection, 'compute', 'literal').overrides, []);
+});
+
+test('struct-typed entry point inputs and outputs are flattened into their members', () => {
+  const reflection = reflectWGSL(`
+    struct Particle {
+      @location(0) position: vec2<f32>,
+      @location(1) @interpolate(flat) id: u32,
+      @builtin(instance_index) instance: u32,
+    }
+    alias ParticleIn = Particle;
+    struct VertexOut {
+      @builtin(position) position: vec4f,
+      @location(0) color: vec4f,
+    }
+    @vertex fn vs(particle: ParticleIn, @location(2) velocity: vec2f) -> VertexOut {
+      var out: VertexOut;
+      return out;
+    }
+    @fragment fn fs(in: VertexOut) -> @location(0) vec4f { return in.color; }
+  `);
+  const vs = findEntryPoint(reflection, 'vertex');
+  assert.deepEqual(vs.inputs.map(({ name, type, location, builtin, struct, parent }) => [name, type, location, builtin, struct, parent]), [
+    ['position', 'vec2f', 0, undefined, 'Particle', 'particle'],
+    ['id', 'u32', 1, undefined, 'Particle', 'particle'],
+    ['instance', 'u32', undefined, 'instance_index', 'Particle', 'particle'],
+    ['velocity', 'vec2f', 2, undefined, undefined, undefined]
+  ]);
+  assert.deepEqual(vs.inputs[1].interpolate, ['flat']);
+  assert.deepEqual(vs.outputs.map(output => output.name), ['position', 'color']);
+  assert.deepEqual(getVertexAttributes(reflection).map(a => [a.name, a.location]), [['position', 0], ['id', 1], ['velocity', 2]]);
+
+  const fs = findEntryPoint(reflection, 'fragment');
+  assert.deepEqual(fs.inputs.map(input => input.builtin ?? input.location), ['position', 0]);
+  assert.deepEqual(fs.outputs.map(({ type, location }) => [type, location]), [['vec4f', 0]]);
+});
+
+test('bindings: address spaces, access modes, layouts and visibility', () => {
+  const reflection = reflectWGSL(`
+    @group(0) @binding(0) var<storage> input: array<u32>;
+    @group(0) @binding(1) var<storage, read_write> output: array<u32>;
+    @group(0) @binding(2) var<uniform> params: vec4f;
+    @group(0) @binding(3) var<storage, read> unused: array<f32>;
+    @group(1) @binding(0) var color: texture_2d<f32>;
+    @group(1) @binding(1) var linear: sampler;
+    @group(1) @binding(2) var target_image: texture_storage_2d<rgba8unorm, write>;
+    @group(1) @binding(3) var depth: texture_depth_2d;
+
+    @compute @workgroup_size(64) fn main(@builtin(global_invocation_id) id: vec3u) {
+      output[id.x] = input[id.x] + u32(params.x);
+    }
+    @fragment fn fs(@builtin(position) position: vec4f) -> @location(0) vec4f {
+      return textureSample(color, linear, position.xy) * params;
+    }
+  `);
+  const describeBinding = ({ name, addressSpace, access, layout, visibility }) => [name, addressSpace, access, layout, visibility];
+  assert.deepEqual(getGroupBindings(reflection, 0).map(describeBinding), [
+    ['input', 'storage', 'read', { buffer: { type: 'read-only-storage' } }, GPU_COMPUTE],
+    ['output', 'storage', 'read_write', { buffer: { type: 'storage' } }, GPU_COMPUTE],
+    ['params', 'uniform', 'read', { buffer: { type: 'uniform' } }, GPU_COMPUTE | GPU_FRAGMENT],
+    ['unused', 'storage', 'read', { buffer: { type: 'read-only-storage' } }, 0]
+  ]);
+  assert.deepEqual(getGroupBindings(reflection, 1).map(b => [b.name, b.resourceType, b.layout]), [
+    ['color', 'texture', { texture: { sampleType: 'float', viewDimension: '2d', multisampled: false } }],
+    ['linear', 'sampler', { sampler: { type: 'filtering' } }],
+    ['target_image', 'storageTexture', { storageTexture: { format: 'rgba8unorm', access: 'write-only', viewDimension: '2d' } }],
+    ['depth', 'texture', { texture: { sampleType: 'depth', viewDimension: '2d', multisampled: false } }]
+  ]);
+  assert.deepEqual(findEntryPoint(reflection, 'compute').resources.map(r => r.name), ['input', 'output', 'params']);
+  assert.deepEqual(findEntryPoint(reflection, 'fragment').resources.map(r => r.name), ['params', 'color', 'linear']);
+});
+
+test('syntax errors carry their position', () => {
+  assert.throws(() => reflectWGSL('@compute @workgroup_size(1)\nfn main() { let a = 1 $ 2; }'), (error) => {
+    assert.ok(error instanceof WGSLReflectError);
+    assert.equal(error.line, 2);
+    return true;
+  });
+});